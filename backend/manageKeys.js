@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Patient from './models/Patient.js';
+import encryptionService from './services/encryptionService.js';
+
+dotenv.config();
+
+const COMMANDS = {
+  // Encrypt values stored before encryption was enabled and backfill blind indexes
+  reencrypt: async () => {
+    const updated = await Patient.reencryptFields();
+    console.log(`✅ Re-encrypted ${updated} patients`);
+  },
+
+  // New data key for new writes, then move existing values onto it
+  'rotate-data-key': async () => {
+    const keyId = await encryptionService.rotateDataKey();
+    console.log(`🔑 New data key ${keyId} is active`);
+    await COMMANDS.reencrypt();
+  },
+
+  // New master key (local key file only; with a KMS, rotate there and run rewrap)
+  'rotate-master-key': async () => {
+    const provider = encryptionService.getKeyProvider();
+    if (typeof provider.rotateMasterKey !== 'function') {
+      throw new Error('The configured key provider rotates master keys itself; run "rewrap" afterwards');
+    }
+
+    const masterKeyId = provider.rotateMasterKey();
+    console.log(`🔑 New master key ${masterKeyId} is active`);
+    await COMMANDS.rewrap();
+  },
+
+  // Re-wrap stored data keys under the current master key
+  rewrap: async () => {
+    const count = await encryptionService.rewrapKeys();
+    console.log(`✅ Re-wrapped ${count} keys`);
+  }
+};
+
+const run = async () => {
+  const command = process.argv[2];
+
+  if (!COMMANDS[command]) {
+    console.error(`Usage: npm run keys -- <${Object.keys(COMMANDS).join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/healthcare_db');
+    await encryptionService.initialize();
+    await COMMANDS[command]();
+    console.log('⚠️  Restart running API servers so they load the current keys');
+  } catch (error) {
+    console.error('❌ Key management failed:', error);
+    process.exit(1);
+  }
+
+  process.exit(0);
+};
+
+run();
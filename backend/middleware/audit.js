@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import auditService from '../services/auditService.js';
+
+/**
+ * Record a PHI audit entry once the response is sent. Place it after protect
+ * and before authorizePatientAccess so refused attempts are recorded too.
+ */
+export const auditPhiAccess = (action, resource = 'patient') => (req, res, next) => {
+  const patient = req.params.patientId || req.params.id || req.body?.patientId;
+
+  if (!req.user || !patient || !mongoose.Types.ObjectId.isValid(patient)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    auditService.recordRequest(req, {
+      patient,
+      action,
+      resource,
+      statusCode: res.statusCode,
+      basis: req.patientAccess?.basis,
+      grant: req.patientAccess?.grant?._id
+    });
+  });
+
+  next();
+};
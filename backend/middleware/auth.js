@@ -0,0 +1,173 @@
+import jwt from 'jsonwebtoken';
+import Patient from '../models/Patient.js';
+import Doctor from '../models/Doctor.js';
+import Admin from '../models/Admin.js';
+import Caregiver from '../models/Caregiver.js';
+import ProxyActivity from '../models/ProxyActivity.js';
+import accessPolicyService from '../services/accessPolicyService.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { asyncHandler } from './asyncHandler.js';
+
+// The token type doubles as the user's role
+export const userModels = {
+  patient: Patient,
+  doctor: Doctor,
+  caregiver: Caregiver,
+  admin: Admin
+};
+
+/**
+ * Extract a bearer token from the Authorization header or the x-auth-token header
+ */
+const getTokenFromRequest = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+
+  return req.headers['x-auth-token'] || null;
+};
+
+/**
+ * Require a valid JWT and attach the authenticated user to req.user
+ */
+export const protect = asyncHandler(async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Not authorized, no token provided' }
+    });
+  }
+
+  // Invalid or expired tokens throw and are handled by errorHandler
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Access tokens are bound to a session so logout and revocation take effect immediately
+  const session = decoded.sid ? await sessionService.touchSession(decoded.sid) : null;
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Session has expired or been revoked' }
+    });
+  }
+
+  const Model = userModels[decoded.type];
+  const user = Model ? await Model.findById(decoded.id).lean() : null;
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Not authorized, user no longer exists' }
+    });
+  }
+
+  req.user = {
+    ...user,
+    id: user._id.toString(),
+    type: decoded.type,
+    role: decoded.type,
+    sessionId: session._id.toString()
+  };
+
+  next();
+});
+
+/**
+ * Allow two-factor enrollment with either a session or the enrollment
+ * challenge issued at login when policy requires 2FA before first sign-in
+ */
+export const protectTwoFactorEnrollment = asyncHandler(async (req, res, next) => {
+  const { challengeToken } = req.body;
+
+  if (!challengeToken) {
+    return protect(req, res, next);
+  }
+
+  const decoded = twoFactorService.verifyChallenge(challengeToken, 'totp-enroll');
+  const Model = userModels[decoded.type];
+  const user = Model ? await Model.findById(decoded.id).lean() : null;
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Not authorized, user no longer exists' }
+    });
+  }
+
+  req.user = {
+    ...user,
+    id: user._id.toString(),
+    type: decoded.type,
+    role: decoded.type,
+    sessionId: null
+  };
+
+  next();
+});
+
+/**
+ * Restrict a route to the given roles
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ErrorResponse('Not authorized to access this resource', 403));
+  }
+
+  next();
+};
+
+/**
+ * Patients must confirm their email address before using features that act on
+ * or share their data; until then they can only view and edit their own record.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.role === 'patient' && !req.user.emailVerified) {
+    return next(new ErrorResponse('Please verify your email address to use this feature', 403));
+  }
+
+  next();
+};
+
+/**
+ * Require the authenticated user to hold `scope` on the patient in req.params.
+ * Access through a caregiver grant is recorded against the caregiver.
+ */
+export const authorizePatientAccess = (scope = 'record:read') => asyncHandler(async (req, res, next) => {
+  const patientId = req.params.patientId || req.params.id;
+  const { allowed, basis, grant } = await accessPolicyService.resolvePatientAccess(req.user, patientId, scope);
+
+  if (!allowed) {
+    throw new ErrorResponse('Not authorized to access this patient record', 403);
+  }
+
+  // Read by the PHI audit log
+  req.patientAccess = { basis, scope, grant };
+
+  if (grant) {
+    req.proxyGrant = grant;
+
+    res.on('finish', () => {
+      ProxyActivity.create({
+        grant: grant._id,
+        patient: patientId,
+        actor: {
+          user: req.user.id,
+          userType: req.user.role,
+          name: `${req.user.firstName} ${req.user.lastName}`
+        },
+        scope,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip
+      }).catch(error => console.error('Error recording proxy activity:', error));
+    });
+  }
+
+  next();
+});
@@ -0,0 +1,41 @@
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import ErrorResponse from '../utils/errorResponse.js';
+
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB limit
+
+/**
+ * Multer instance that stores files in backend/uploads as `<prefix>-<timestamp><extension>`.
+ * Routes remove the file with removeUpload once they have processed it.
+ */
+export const createUpload = ({ prefix, extension, mimeTypes, typeError, maxSize = MAX_UPLOAD_SIZE }) => multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      const uploadsDir = path.join(process.cwd(), 'uploads');
+      if (!fs.existsSync(uploadsDir)) {
+        fs.mkdirSync(uploadsDir, { recursive: true });
+      }
+      cb(null, uploadsDir);
+    },
+    filename: function (req, file, cb) {
+      cb(null, `${prefix}-${Date.now()}${extension}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (mimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse(typeError, 400), false);
+    }
+  },
+  limits: {
+    fileSize: maxSize
+  }
+});
+
+export const removeUpload = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
@@ -1,9 +1,10 @@
 import mongoose from 'mongoose';
 
 export const validatePatientId = (req, res, next) => {
-  const { patientId } = req.params;
+  const { patientId, id } = req.params;
+  const targetId = patientId || id;
   
-  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
     return res.status(400).json({
       success: false,
       error: { message: 'Invalid patient ID format' }
@@ -14,9 +15,10 @@ export const validatePatientId = (req, res, next) => {
 };
 
 export const validateDoctorId = (req, res, next) => {
-  const { doctorId } = req.params;
+  const { doctorId, id } = req.params;
+  const targetId = doctorId || id;
   
-  if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
     return res.status(400).json({
       success: false,
       error: { message: 'Invalid doctor ID format' }
@@ -38,4 +40,95 @@ export const validateHospitalId = (req, res, next) => {
   }
   
   next();
-}; 
\ No newline at end of file
+};
+
+export const validateGrantId = (req, res, next) => {
+  const { grantId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(grantId)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid grant ID format' }
+    });
+  }
+  
+  next();
+};
+
+export const validateUserId = (req, res, next) => {
+  const { id } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid user ID format' }
+    });
+  }
+  
+  next();
+};
+
+export const validateEntryId = (req, res, next) => {
+  const { entryId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid entry ID format' }
+    });
+  }
+  
+  next();
+};
+
+export const validateImportId = (req, res, next) => {
+  const { importId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(importId)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid import ID format' }
+    });
+  }
+  
+  next();
+};
+
+export const validateCandidateId = (req, res, next) => {
+  const { candidateId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(candidateId)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid candidate ID format' }
+    });
+  }
+  
+  next();
+};
+
+export const validateMergeId = (req, res, next) => {
+  const { mergeId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(mergeId)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid merge ID format' }
+    });
+  }
+  
+  next();
+};
+
+export const validateHoldId = (req, res, next) => {
+  const { holdId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(holdId)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid legal hold ID format' }
+    });
+  }
+  
+  next();
+};
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const accountLockoutSchema = new mongoose.Schema({
+  // The account, or for a sign-in email without an active account the email's
+  // blind index, so that email is throttled the same way
+  user: mongoose.Schema.Types.ObjectId,
+  identifier: String,
+  userType: {
+    type: String,
+    enum: ['patient', 'doctor', 'caregiver', 'admin'],
+    required: true
+  },
+  // Consecutive password or 2FA attempts since the last success or lockout. An
+  // attempt is counted when it starts and the count is cleared when one succeeds.
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  lastAttemptIp: String,
+  lockedUntil: Date,
+  // How many times the account has been locked, kept for admin review
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: Date
+}, { timestamps: true });
+
+// Instance methods
+accountLockoutSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Indexes for better performance
+accountLockoutSchema.index({ user: 1, userType: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+accountLockoutSchema.index({ identifier: 1, userType: 1 }, { unique: true, partialFilterExpression: { identifier: { $exists: true } } });
+accountLockoutSchema.index({ lockedUntil: 1 });
+
+const AccountLockout = mongoose.model('AccountLockout', accountLockoutSchema);
+
+export default AccountLockout;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const appointmentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    default: 30,
+    min: 5
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled', 'no-show'],
+    default: 'scheduled'
+  },
+  notes: String
+}, { timestamps: true });
+
+// Indexes for better performance
+appointmentSchema.index({ patient: 1, scheduledAt: -1 });
+appointmentSchema.index({ doctor: 1, scheduledAt: -1 });
+appointmentSchema.index({ doctor: 1, patient: 1 });
+
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+export default Appointment;
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Append-only record of access to patient health information. Each entry stores
+// the hash of the one before it, so editing or removing an entry breaks the chain.
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    user: mongoose.Schema.Types.ObjectId,
+    userType: String,
+    name: String
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['view', 'update', 'ai-process', 'export', 'merge'],
+    required: true
+  },
+  // What was accessed, e.g. 'patient' or 'ai:patient-summary'
+  resource: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  outcome: {
+    type: String,
+    enum: ['success', 'denied', 'error'],
+    required: true
+  },
+  // Why access was allowed (self, treatment, caregiver, administration)
+  basis: String,
+  // Free-text reason supplied by the client in the X-Access-Reason header
+  reason: String,
+  grant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CaregiverGrant'
+  },
+  ipAddress: String,
+  userAgent: String,
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ sequence: 1 }, { unique: true });
+auditLogSchema.index({ patient: 1, occurredAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, occurredAt: -1 });
+auditLogSchema.index({ occurredAt: -1 });
+
+// Entries can only be inserted
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens for account flows. Only the SHA-256 hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['patient', 'doctor', 'caregiver', 'admin'],
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification', 'phone-verification'],
+    required: true
+  },
+  // Email address or phone number being verified
+  target: String,
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  // Wrong guesses against a short one-time code
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+authTokenSchema.index({ user: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+// Atomically mark a live token as used so it cannot be replayed
+authTokenSchema.statics.consume = function(tokenHash, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash,
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+export default AuthToken;
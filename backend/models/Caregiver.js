@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+// Family member or other proxy who manages patients' care through grants
+const caregiverSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    select: false
+  },
+  phone: String,
+
+  // System fields
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginDate: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual fields
+caregiverSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+// Instance methods
+caregiverSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(enteredPassword, this.password);
+};
+
+const Caregiver = mongoose.model('Caregiver', caregiverSchema);
+
+export default Caregiver;
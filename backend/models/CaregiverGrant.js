@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+export const CAREGIVER_SCOPES = [
+  'record:read',
+  'record:write',
+  'medications:read',
+  'medications:write',
+  'appointments:read',
+  'appointments:write'
+];
+
+// A patient's grant of scoped, time-limited access to a caregiver
+const caregiverGrantSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Set when the invitation is accepted; a caregiver or another patient account
+  grantee: {
+    user: mongoose.Schema.Types.ObjectId,
+    userType: {
+      type: String,
+      enum: ['caregiver', 'patient']
+    }
+  },
+  inviteEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  relationship: String,
+  scopes: {
+    type: [{
+      type: String,
+      enum: CAREGIVER_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpiresAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  revokedAt: Date
+}, { timestamps: true });
+
+// Indexes for better performance
+caregiverGrantSchema.index({ patient: 1, status: 1 });
+caregiverGrantSchema.index({ 'grantee.user': 1, 'grantee.userType': 1, status: 1 });
+caregiverGrantSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+// Instance methods
+caregiverGrantSchema.methods.isUsable = function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+};
+
+// Write access implies read access for the same area
+caregiverGrantSchema.methods.allows = function(scope) {
+  if (this.scopes.includes(scope)) return true;
+
+  const [area, level] = scope.split(':');
+  return level === 'read' && this.scopes.includes(`${area}:write`);
+};
+
+// Static methods
+caregiverGrantSchema.statics.findActiveGrant = function(granteeId, granteeType, patientId) {
+  return this.findOne({
+    patient: patientId,
+    'grantee.user': granteeId,
+    'grantee.userType': granteeType,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const CaregiverGrant = mongoose.model('CaregiverGrant', caregiverGrantSchema);
+
+export default CaregiverGrant;
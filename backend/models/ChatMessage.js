@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { encryptField, decryptField } from '../utils/fieldEncryption.js';
+
+const encrypted = { get: decryptField, set: value => encryptField(value) };
+
+// One question a patient asked the medical AI chat and the answer given, kept so
+// the patient can export their chat history
+const chatMessageSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  conversationId: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    ...encrypted
+  },
+  response: {
+    type: String,
+    ...encrypted
+  },
+  // False when the answer came from canned guidance rather than the AI provider
+  aiProcessed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Indexes for better performance
+chatMessageSchema.index({ patient: 1, createdAt: -1 });
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+
+export default ChatMessage;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+export const CONSENT_TYPES = ['ai-processing', 'research', 'marketing'];
+
+// A published version of the text a patient agrees to. Versions are never edited;
+// changes are published as a new version.
+const consentDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: CONSENT_TYPES,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // When true, grants given for earlier versions stop counting once this version is in effect
+  requiresReconsent: {
+    type: Boolean,
+    default: false
+  },
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+consentDocumentSchema.index({ type: 1, version: -1 }, { unique: true });
+
+const ConsentDocument = mongoose.model('ConsentDocument', consentDocumentSchema);
+
+export default ConsentDocument;
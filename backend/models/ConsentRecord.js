@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { CONSENT_TYPES } from './ConsentDocument.js';
+
+// Append-only ledger of consent decisions. The latest record per type is the
+// patient's current choice; Patient.preferences.privacy mirrors it.
+const consentRecordSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: CONSENT_TYPES,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['granted', 'withdrawn'],
+    required: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConsentDocument',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Who recorded the decision: the patient or a caregiver acting for them
+  actor: {
+    user: mongoose.Schema.Types.ObjectId,
+    userType: {
+      type: String,
+      enum: ['patient', 'caregiver', 'admin']
+    }
+  },
+  ipAddress: String,
+  userAgent: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Indexes for better performance
+consentRecordSchema.index({ patient: 1, type: 1, createdAt: -1 });
+
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+export default ConsentRecord;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
 
 const educationSchema = new mongoose.Schema({
   degree: {
@@ -97,6 +98,10 @@ const doctorSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  password: {
+    type: String,
+    select: false
+  },
   phone: {
     type: String,
     required: true
@@ -230,6 +235,20 @@ const doctorSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verification: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    rejectionReasons: [String]
+  },
   lastLoginDate: Date,
   joinDate: {
     type: Date,
@@ -286,6 +305,7 @@ doctorSchema.index({ averageRating: -1 });
 doctorSchema.index({ acceptingNewPatients: 1 });
 doctorSchema.index({ isActive: 1 });
 doctorSchema.index({ isVerified: 1 });
+doctorSchema.index({ 'verification.status': 1, 'verification.submittedAt': 1 });
 
 // Compound indexes
 doctorSchema.index({ specializations: 1, 'officeAddress.zipCode': 1 });
@@ -293,7 +313,8 @@ doctorSchema.index({ acceptingNewPatients: 1, isActive: 1, isVerified: 1 });
 
 // Pre-save middleware to calculate average rating
 doctorSchema.pre('save', function(next) {
-  if (this.reviews && this.reviews.length > 0) {
+  // Also when no reviews are left, e.g. after a patient's data is erased
+  if (this.reviews) {
     const publicReviews = this.reviews.filter(review => review.isPublic);
     this.totalReviews = publicReviews.length;
     
@@ -334,6 +355,11 @@ doctorSchema.methods.getActiveCertifications = function() {
   return this.certifications.filter(cert => cert.isActive && (!cert.expiryDate || cert.expiryDate > new Date()));
 };
 
+doctorSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(enteredPassword, this.password);
+};
+
 doctorSchema.methods.addReview = function(patientId, rating, comment) {
   this.reviews.push({
     patient: patientId,
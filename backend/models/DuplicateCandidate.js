@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Two patient records that may belong to the same person, awaiting admin review
+const duplicateCandidateSchema = new mongoose.Schema({
+  // The two records, ordered by _id
+  patients: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient'
+    }],
+    validate: {
+      validator: patients => patients.length === 2,
+      message: 'A duplicate candidate pairs exactly two patients'
+    }
+  },
+  // "<first id>:<second id>", so a pair is only queued once
+  pairKey: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Fields that agree, e.g. { field: 'lastName', match: 'phonetic', points: 18 }
+  matches: [{
+    _id: false,
+    field: String,
+    match: String,
+    points: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'dismissed', 'merged'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    user: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  reviewedAt: Date,
+  merge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientMerge'
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+duplicateCandidateSchema.index({ pairKey: 1 }, { unique: true });
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+duplicateCandidateSchema.index({ patients: 1 });
+
+// Static methods
+duplicateCandidateSchema.statics.toPairKey = function(firstId, secondId) {
+  return [String(firstId), String(secondId)].sort().join(':');
+};
+
+const DuplicateCandidate = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
+
+export default DuplicateCandidate;
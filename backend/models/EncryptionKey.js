@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const encryptionKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Data keys encrypt field values; the blind-index key derives searchable hashes
+  purpose: {
+    type: String,
+    enum: ['data', 'blind-index'],
+    required: true
+  },
+  // The key itself, encrypted under a master key held by the key provider
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  masterKeyId: {
+    type: String,
+    required: true
+  },
+  // Retired data keys still decrypt existing values but are never used for new ones
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  retiredAt: Date
+}, { timestamps: true });
+
+// Indexes for better performance
+encryptionKeySchema.index({ purpose: 1, status: 1 });
+
+const EncryptionKey = mongoose.model('EncryptionKey', encryptionKeySchema);
+
+export default EncryptionKey;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// A patient's request to have their data erased. It is carried out once the grace
+// period ends, unless cancelled first or held back by a legal hold.
+const erasureRequestSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'held', 'cancelled', 'completed'],
+    default: 'scheduled'
+  },
+  // End of the grace period; the patient can cancel until then
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: Date,
+  completedAt: Date,
+  // What was erased, e.g. { appointments: 3, doctorReviews: 1 }
+  summary: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
+// Indexes for better performance
+erasureRequestSchema.index({ patient: 1, createdAt: -1 });
+erasureRequestSchema.index({ status: 1, scheduledFor: 1 });
+
+const ErasureRequest = mongoose.model('ErasureRequest', erasureRequestSchema);
+
+export default ErasureRequest;
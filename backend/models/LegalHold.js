@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Retention hold on a patient's data (e.g. litigation or a regulatory inquiry).
+// While one is active, erasure requests for the patient are not carried out.
+const legalHoldSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  placedBy: {
+    user: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active'
+  },
+  releasedBy: {
+    user: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  releasedAt: Date
+}, { timestamps: true });
+
+// Indexes for better performance
+legalHoldSchema.index({ patient: 1, status: 1 });
+legalHoldSchema.index({ status: 1, createdAt: -1 });
+
+const LegalHold = mongoose.model('LegalHold', legalHoldSchema);
+
+export default LegalHold;
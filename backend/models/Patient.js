@@ -1,4 +1,29 @@
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import {
+  fieldEncryptionPlugin,
+  encryptField,
+  decryptField,
+  normalizeEmail,
+  normalizePhone
+} from '../utils/fieldEncryption.js';
+import { RELATIVES } from '../utils/hereditaryRisk.js';
+import { LAB_FLAGS, flagLabResult } from '../utils/labReferenceRanges.js';
+import { VITALS_IMPORT_FORMATS } from '../utils/deviceVitals.js';
+
+// Sensitive fields are stored encrypted; see utils/fieldEncryption.js
+const encrypted = { get: decryptField, set: value => encryptField(value) };
+const encryptedEmail = { get: decryptField, set: value => encryptField(value, normalizeEmail) };
+
+// Identifier of an imported resource in the system it came from (e.g. a FHIR
+// identifier or fullUrl), so re-importing it updates the entry instead of adding one
+const sourceIdentifierSchema = new mongoose.Schema({
+  system: String,
+  value: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
 
 const medicalHistorySchema = new mongoose.Schema({
   condition: {
@@ -18,7 +43,11 @@ const medicalHistorySchema = new mongoose.Schema({
     enum: ['mild', 'moderate', 'severe'],
     default: 'mild'
   },
-  notes: String
+  notes: {
+    type: String,
+    ...encrypted
+  },
+  sourceIdentifiers: [sourceIdentifierSchema]
 }, { timestamps: true });
 
 const medicationSchema = new mongoose.Schema({
@@ -39,7 +68,8 @@ const medicationSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'discontinued'],
     default: 'active'
   },
-  notes: String
+  notes: String,
+  sourceIdentifiers: [sourceIdentifierSchema]
 }, { timestamps: true });
 
 const allergySchema = new mongoose.Schema({
@@ -53,7 +83,11 @@ const allergySchema = new mongoose.Schema({
     enum: ['mild', 'moderate', 'severe', 'life-threatening'],
     default: 'mild'
   },
-  notes: String
+  notes: {
+    type: String,
+    ...encrypted
+  },
+  sourceIdentifiers: [sourceIdentifierSchema]
 }, { timestamps: true });
 
 const vitalSignsSchema = new mongoose.Schema({
@@ -75,7 +109,117 @@ const vitalSignsSchema = new mongoose.Schema({
   recordedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Doctor'
-  }
+  },
+  // Export format of a reading imported from a wearable or home device
+  source: {
+    type: String,
+    enum: VITALS_IMPORT_FORMATS
+  },
+  sourceIdentifiers: [sourceIdentifierSchema]
+}, { timestamps: true });
+
+const labResultSchema = new mongoose.Schema({
+  test: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  loincCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{1,7}-\d$/, 'LOINC code must look like 2345-7']
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  specimenDate: {
+    type: Date,
+    required: true
+  },
+  orderedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
+  // Set on save from utils/labReferenceRanges.js for the patient's sex and age
+  // on the specimen date; unset when the table has no range for the test
+  flag: {
+    type: String,
+    enum: LAB_FLAGS
+  },
+  referenceRange: {
+    low: Number,
+    high: Number,
+    criticalLow: Number,
+    criticalHigh: Number,
+    unit: String,
+    version: String
+  },
+  notes: {
+    type: String,
+    ...encrypted
+  },
+  sourceIdentifiers: [sourceIdentifierSchema]
+}, { timestamps: true });
+
+const immunizationSchema = new mongoose.Schema({
+  vaccine: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // CDC vaccine code (CVX); matched against the immunization schedule
+  cvxCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{1,3}$/, 'CVX code must be 1 to 3 digits']
+  },
+  doseNumber: {
+    type: Number,
+    min: 1
+  },
+  administeredDate: {
+    type: Date,
+    required: true
+  },
+  lotNumber: String,
+  administeredBy: String,
+  notes: {
+    type: String,
+    ...encrypted
+  },
+  sourceIdentifiers: [sourceIdentifierSchema]
+}, { timestamps: true });
+
+const familyHistorySchema = new mongoose.Schema({
+  relative: {
+    type: String,
+    enum: Object.keys(RELATIVES),
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['maternal', 'paternal']
+  },
+  condition: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ageAtOnset: {
+    type: Number,
+    min: 0,
+    max: 120
+  },
+  notes: {
+    type: String,
+    ...encrypted
+  },
+  sourceIdentifiers: [sourceIdentifierSchema]
 }, { timestamps: true });
 
 const emergencyContactSchema = new mongoose.Schema({
@@ -86,7 +230,8 @@ const emergencyContactSchema = new mongoose.Schema({
   relationship: String,
   phone: {
     type: String,
-    required: true
+    required: true,
+    ...encrypted
   },
   email: String,
   isPrimary: {
@@ -110,13 +255,27 @@ const patientSchema = new mongoose.Schema({
   email: {
     type: String,
     required: true,
+    ...encryptedEmail
+  },
+  // Blind indexes: keyed hashes of the normalized email and phone, used for lookups
+  emailIndex: {
+    type: String,
     unique: true,
-    lowercase: true,
-    trim: true
+    sparse: true,
+    select: false
+  },
+  phoneIndex: {
+    type: String,
+    select: false
+  },
+  password: {
+    type: String,
+    select: false
   },
   phone: {
     type: String,
-    required: true
+    required: true,
+    ...encrypted
   },
   dateOfBirth: {
     type: Date,
@@ -149,18 +308,30 @@ const patientSchema = new mongoose.Schema({
   currentMedications: [medicationSchema],
   allergies: [allergySchema],
   vitalSigns: [vitalSignsSchema],
+  labResults: [labResultSchema],
+  immunizations: [immunizationSchema],
+  familyHistory: [familyHistorySchema],
   
   // Insurance Information
   insurance: {
     provider: String,
-    policyNumber: String,
-    groupNumber: String,
+    policyNumber: {
+      type: String,
+      ...encrypted
+    },
+    groupNumber: {
+      type: String,
+      ...encrypted
+    },
     policyHolderName: String,
     relationship: String
   },
   
   // Emergency Contacts
   emergencyContacts: [emergencyContactSchema],
+
+  // Identifiers of this patient in systems their records were imported from
+  sourceIdentifiers: [sourceIdentifierSchema],
   
   // Primary Care Provider
   primaryDoctor: {
@@ -185,22 +356,50 @@ const patientSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set on a duplicate record once it is merged into another; it then stays inactive
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  // Set when the patient's data is erased on request; only this inactive shell is kept
+  erasedAt: Date,
   lastLoginDate: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  // A changed email or phone is held here until the new value is verified
+  pendingEmail: {
+    type: String,
+    ...encryptedEmail
+  },
+  pendingPhone: {
+    type: String,
+    ...encrypted
+  },
   preferences: {
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
       app: { type: Boolean, default: true }
     },
+    // Mirrors the latest consent records; change through consentService, not directly
     privacy: {
       shareDataForResearch: { type: Boolean, default: false },
-      allowMarketing: { type: Boolean, default: false }
+      allowMarketing: { type: Boolean, default: false },
+      allowAIProcessing: { type: Boolean, default: false }
     }
   }
 }, { 
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Virtual fields
@@ -225,7 +424,7 @@ patientSchema.virtual('age').get(function() {
 // Calculate BMI virtual
 patientSchema.virtual('currentBMI').get(function() {
   if (this.vitalSigns && this.vitalSigns.length > 0) {
-    const latestVitals = this.vitalSigns[this.vitalSigns.length - 1];
+    const latestVitals = this.getLatestVitalSigns();
     if (latestVitals.weight && latestVitals.height) {
       const heightInMeters = latestVitals.height / 100;
       return (latestVitals.weight / (heightInMeters * heightInMeters)).toFixed(1);
@@ -235,9 +434,15 @@ patientSchema.virtual('currentBMI').get(function() {
 });
 
 // Indexes for better performance
-patientSchema.index({ email: 1 });
-patientSchema.index({ phone: 1 });
+patientSchema.index({ phoneIndex: 1 });
 patientSchema.index({ 'address.zipCode': 1 });
+patientSchema.index({ dateOfBirth: 1 });
+// Clinician search
+patientSchema.index({ lastName: 1, firstName: 1 });
+patientSchema.index({ 'medicalHistory.condition': 1, 'medicalHistory.status': 1 });
+patientSchema.index({ 'currentMedications.name': 1, 'currentMedications.status': 1 });
+patientSchema.index({ 'allergies.allergen': 1 });
+patientSchema.index({ 'healthSummary.overallRiskScore': -1 });
 patientSchema.index({ primaryDoctor: 1 });
 patientSchema.index({ createdAt: -1 });
 
@@ -253,10 +458,27 @@ patientSchema.pre('save', function(next) {
       }
     });
   }
+
+  // Reference ranges depend on sex and age, so a change to either reflags every result
+  if (this.isModified('labResults') || this.isModified('gender') || this.isModified('dateOfBirth')) {
+    this.labResults.forEach((result) => {
+      const { flag, referenceRange } = flagLabResult(result, this);
+      result.flag = flag;
+      result.referenceRange = referenceRange;
+    });
+  }
   
   next();
 });
 
+// Field-level encryption
+patientSchema.plugin(fieldEncryptionPlugin, {
+  blindIndexes: {
+    email: { field: 'emailIndex', normalize: normalizeEmail },
+    phone: { field: 'phoneIndex', normalize: normalizePhone }
+  }
+});
+
 // Instance methods
 patientSchema.methods.getActiveConditions = function() {
   return this.medicalHistory.filter(condition => condition.status === 'active' || condition.status === 'chronic');
@@ -270,6 +492,17 @@ patientSchema.methods.getHighSeverityAllergies = function() {
   return this.allergies.filter(allergy => allergy.severity === 'severe' || allergy.severity === 'life-threatening');
 };
 
+// Imported readings can be older than ones already recorded, so the latest is by date
+patientSchema.methods.getLatestVitalSigns = function() {
+  return this.vitalSigns.reduce((latest, vitals) =>
+    (!latest || vitals.recordedDate >= latest.recordedDate ? vitals : latest), null);
+};
+
+patientSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(enteredPassword, this.password);
+};
+
 const Patient = mongoose.model('Patient', patientSchema);
 
 export default Patient; 
\ No newline at end of file
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// A merge of a duplicate patient record into the record that is kept, with what it
+// changed so it can be undone
+const patientMergeSchema = new mongoose.Schema({
+  // The record that is kept
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // The duplicate, left inactive with mergedInto pointing at the survivor
+  merged: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DuplicateCandidate'
+  },
+  performedBy: {
+    user: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Sub-documents copied to the survivor
+  addedEntries: [{
+    _id: false,
+    path: String,
+    entryId: mongoose.Schema.Types.ObjectId
+  }],
+  // Empty survivor fields filled from the duplicate. Values are stored as in the
+  // record, so encrypted fields stay encrypted.
+  filledFields: [{
+    _id: false,
+    path: String,
+    previous: mongoose.Schema.Types.Mixed,
+    value: mongoose.Schema.Types.Mixed
+  }],
+  addedSourceIdentifiers: [{
+    _id: false,
+    system: String,
+    value: String
+  }],
+  // Documents of other collections moved from the duplicate to the survivor
+  movedAppointments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' }],
+  movedGrants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CaregiverGrant' }],
+  status: {
+    type: String,
+    enum: ['merged', 'undone'],
+    default: 'merged'
+  },
+  undoneBy: {
+    user: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  undoneAt: Date
+}, { timestamps: true });
+
+// Indexes for better performance
+patientMergeSchema.index({ survivor: 1, createdAt: -1 });
+patientMergeSchema.index({ merged: 1, createdAt: -1 });
+
+const PatientMerge = mongoose.model('PatientMerge', patientMergeSchema);
+
+export default PatientMerge;
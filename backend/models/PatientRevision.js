@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const patientRevisionSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Increases by one per patient; revision 1 is the record before its first tracked change
+  revision: {
+    type: Number,
+    required: true
+  },
+  author: {
+    user: mongoose.Schema.Types.ObjectId,
+    userType: {
+      type: String,
+      enum: ['patient', 'doctor', 'caregiver', 'admin']
+    },
+    name: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Top-level record paths that differ from the previous revision
+  changedPaths: [String],
+  // Paths left out of the snapshot, e.g. vitalSigns after a device import; they are
+  // not compared with neighbouring revisions
+  omittedPaths: {
+    type: [String],
+    default: undefined
+  },
+  // Stored values of the versioned paths. Encrypted fields are kept encrypted.
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes for better performance
+patientRevisionSchema.index({ patient: 1, revision: -1 }, { unique: true });
+
+const PatientRevision = mongoose.model('PatientRevision', patientRevisionSchema);
+
+export default PatientRevision;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Attribution record for every request a caregiver makes on a patient's behalf
+const proxyActivitySchema = new mongoose.Schema({
+  grant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CaregiverGrant',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    userType: {
+      type: String,
+      enum: ['caregiver', 'patient'],
+      required: true
+    },
+    name: String
+  },
+  scope: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Indexes for better performance
+proxyActivitySchema.index({ patient: 1, createdAt: -1 });
+proxyActivitySchema.index({ grant: 1, createdAt: -1 });
+
+const ProxyActivity = mongoose.model('ProxyActivity', proxyActivitySchema);
+
+export default ProxyActivity;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { encryptField, decryptField } from '../utils/fieldEncryption.js';
+
+// Uploaded document parsed and awaiting review before it is written to the record
+const recordImportSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  uploadedBy: {
+    user: mongoose.Schema.Types.ObjectId,
+    userType: {
+      type: String,
+      enum: ['patient', 'doctor', 'caregiver', 'admin']
+    },
+    name: String
+  },
+  format: {
+    type: String,
+    enum: ['ccda'],
+    default: 'ccda'
+  },
+  fileName: String,
+  // Parsed document as JSON, encrypted; removed once the import is committed or discarded
+  parsed: {
+    type: String,
+    get: decryptField,
+    set: value => encryptField(value)
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'committed', 'discarded'],
+    default: 'pending'
+  },
+  // Result counts of the commit, e.g. { created: 3, merged: 1 }
+  summary: mongoose.Schema.Types.Mixed,
+  committedAt: Date,
+  // Pending imports not reviewed in time are removed
+  expiresAt: Date
+}, { timestamps: true });
+
+// Indexes for better performance
+recordImportSchema.index({ patient: 1, createdAt: -1 });
+recordImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance methods
+recordImportSchema.methods.getParsed = function() {
+  return this.parsed ? JSON.parse(this.parsed) : null;
+};
+
+const RecordImport = mongoose.model('RecordImport', recordImportSchema);
+
+export default RecordImport;
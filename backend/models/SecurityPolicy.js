@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Single document holding system-wide security settings managed by admins
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  requireTwoFactorForDoctors: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+// Static methods
+securityPolicySchema.statics.getPolicy = async function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+export default SecurityPolicy;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// A login session backing one rotating refresh token. Only token hashes are stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['patient', 'doctor', 'caregiver', 'admin'],
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hashes of rotated-out refresh tokens, used to detect token reuse
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  device: String,
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, { timestamps: true });
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, userType: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance methods
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
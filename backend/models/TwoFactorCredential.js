@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const twoFactorCredentialSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['patient', 'doctor', 'caregiver', 'admin'],
+    required: true
+  },
+  secret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, promoted once the user confirms a code
+  pendingSecret: {
+    type: String,
+    select: false
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  enabledAt: Date,
+  // SHA-256 hashes of unused one-time recovery codes
+  recoveryCodeHashes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted time step, so a code cannot be replayed within its window
+  lastUsedStep: Number
+}, { timestamps: true });
+
+// Indexes for better performance
+twoFactorCredentialSchema.index({ user: 1, userType: 1 }, { unique: true });
+
+const TwoFactorCredential = mongoose.model('TwoFactorCredential', twoFactorCredentialSchema);
+
+export default TwoFactorCredential;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { VITALS_IMPORT_FORMATS } from '../utils/deviceVitals.js';
+
+// Background job importing a wearable or home-device export into vitalSigns
+const vitalsImportSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  uploadedBy: {
+    user: mongoose.Schema.Types.ObjectId,
+    userType: {
+      type: String,
+      enum: ['patient', 'doctor', 'caregiver', 'admin']
+    },
+    name: String
+  },
+  format: {
+    type: String,
+    enum: VITALS_IMPORT_FORMATS,
+    required: true
+  },
+  fileName: String,
+  // Uploaded file, removed once the job has finished
+  filePath: {
+    type: String,
+    select: false
+  },
+  // Column mapping for CSV formats: { columns: { recordedDate: 'Date', weight: 'Weight' }, units: { weight: 'lb' } }
+  mapping: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  progress: {
+    percent: {
+      type: Number,
+      default: 0
+    },
+    // Lines of the file read so far and the readings found in them
+    linesRead: {
+      type: Number,
+      default: 0
+    },
+    readings: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Result counts, e.g. { created: 120, updated: 2, unchanged: 30, skipped: 1 }
+  summary: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, { timestamps: true });
+
+// Indexes for better performance
+vitalsImportSchema.index({ patient: 1, createdAt: -1 });
+vitalsImportSchema.index({ status: 1, updatedAt: 1 });
+
+const VitalsImport = mongoose.model('VitalsImport', vitalsImportSchema);
+
+export default VitalsImport;
@@ -0,0 +1,460 @@
+import express from 'express';
+import Doctor from '../models/Doctor.js';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import lockoutService from '../services/lockoutService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import duplicateDetectionService from '../services/duplicateDetectionService.js';
+import patientMergeService from '../services/patientMergeService.js';
+import erasureService from '../services/erasureService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, authorize, userModels } from '../middleware/auth.js';
+import {
+  validateDoctorId,
+  validateUserId,
+  validateCandidateId,
+  validateMergeId,
+  validateHoldId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/admin/doctors/verification-queue
+ * @desc    List doctor registrations awaiting license/NPI review
+ * @access  Private (admin)
+ */
+router.get('/doctors/verification-queue', asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+  const query = { 'verification.status': status };
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skip = (pageNum - 1) * limitNum;
+
+  const doctors = await Doctor.find(query)
+    .select('firstName lastName email phone licenseNumber npiNumber specializations certifications yearsOfExperience verification createdAt')
+    .sort({ 'verification.submittedAt': 1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  const total = await Doctor.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      doctors,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/doctors/:id/approve
+ * @desc    Approve a doctor's credentials and publish their profile
+ * @access  Private (admin)
+ */
+router.put('/doctors/:id/approve', validateDoctorId, asyncHandler(async (req, res) => {
+  const doctor = await Doctor.findByIdAndUpdate(
+    req.params.id,
+    {
+      isVerified: true,
+      'verification.status': 'approved',
+      'verification.reviewedAt': new Date(),
+      'verification.reviewedBy': req.user.id,
+      'verification.rejectionReasons': []
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!doctor) {
+    return res.status(404).json({
+      success: false,
+      error: { message: 'Doctor not found' }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { doctor }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/doctors/:id/reject
+ * @desc    Reject a doctor's credentials with reasons
+ * @access  Private (admin)
+ */
+router.put('/doctors/:id/reject', validateDoctorId, asyncHandler(async (req, res) => {
+  const { reasons } = req.body;
+
+  if (!Array.isArray(reasons) || reasons.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'At least one rejection reason is required' }
+    });
+  }
+
+  const doctor = await Doctor.findByIdAndUpdate(
+    req.params.id,
+    {
+      isVerified: false,
+      'verification.status': 'rejected',
+      'verification.reviewedAt': new Date(),
+      'verification.reviewedBy': req.user.id,
+      'verification.rejectionReasons': reasons
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!doctor) {
+    return res.status(404).json({
+      success: false,
+      error: { message: 'Doctor not found' }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { doctor }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/security-policy
+ * @desc    Get system-wide security settings
+ * @access  Private (admin)
+ */
+router.get('/security-policy', asyncHandler(async (req, res) => {
+  const policy = await SecurityPolicy.getPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: { policy }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/security-policy
+ * @desc    Update system-wide security settings
+ * @access  Private (admin)
+ */
+router.put('/security-policy', asyncHandler(async (req, res) => {
+  const { requireTwoFactorForDoctors } = req.body;
+
+  if (typeof requireTwoFactorForDoctors !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'requireTwoFactorForDoctors must be a boolean' }
+    });
+  }
+
+  const policy = await SecurityPolicy.findOneAndUpdate(
+    { key: 'global' },
+    { requireTwoFactorForDoctors, updatedBy: req.user.id },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+
+  // Doctors signed in without 2FA must sign in again and enroll
+  const revokedSessions = requireTwoFactorForDoctors
+    ? await twoFactorService.revokeUnenrolledSessions('doctor')
+    : 0;
+
+  res.status(200).json({
+    success: true,
+    data: { policy, revokedSessions }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    Accounts currently locked after repeated failed logins
+ * @access  Private (admin)
+ */
+router.get('/lockouts', asyncHandler(async (req, res) => {
+  const lockouts = await lockoutService.listLocked();
+
+  const accounts = await Promise.all(lockouts.map(async (lockout) => {
+    const user = await userModels[lockout.userType]
+      .findById(lockout.user)
+      .select('firstName lastName email')
+      .lean();
+
+    return { ...lockout, account: user };
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: { lockouts: accounts }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/accounts/:userType/:id/unlock
+ * @desc    Lift a login lockout and reset the failed-attempt counter
+ * @access  Private (admin)
+ */
+router.put('/accounts/:userType/:id/unlock', validateUserId, asyncHandler(async (req, res) => {
+  const { userType, id } = req.params;
+
+  const Model = userModels[userType];
+  if (!Model) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid user type' }
+    });
+  }
+
+  const user = await Model.exists({ _id: id });
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: { message: 'User not found' }
+    });
+  }
+
+  await lockoutService.unlock(id, userType);
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Account unlocked' }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/duplicates
+ * @desc    Review queue of patient records that may be the same person, best match first (?status=pending|dismissed|merged)
+ * @access  Private (admin)
+ */
+router.get('/duplicates', asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const { candidates, total } = await duplicateDetectionService.listCandidates({
+    status,
+    page: pageNum,
+    limit: limitNum
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      candidates,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/duplicates/scan
+ * @desc    Compare every active patient record and queue likely duplicates
+ * @access  Private (admin)
+ */
+router.post('/duplicates/scan', asyncHandler(async (req, res) => {
+  const result = await duplicateDetectionService.scan();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/duplicates/:candidateId/dismiss
+ * @desc    Mark a candidate pair as different people
+ * @access  Private (admin)
+ */
+router.put('/duplicates/:candidateId/dismiss', validateCandidateId, asyncHandler(async (req, res) => {
+  const candidate = await duplicateDetectionService.dismiss(req.params.candidateId, req);
+
+  res.status(200).json({
+    success: true,
+    data: { candidate }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/duplicates/:candidateId/merge
+ * @desc    Merge a candidate pair into the record given as { "survivorId", "reason" }
+ * @access  Private (admin)
+ */
+router.post('/duplicates/:candidateId/merge', validateCandidateId, asyncHandler(async (req, res) => {
+  const { survivorId, reason } = req.body;
+
+  if (!survivorId) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'survivorId is required' }
+    });
+  }
+
+  const merge = await patientMergeService.merge(req.params.candidateId, { survivorId, reason }, req);
+
+  res.status(201).json({
+    success: true,
+    data: { merge }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/patient-merges
+ * @desc    Merges performed, newest first (?patientId= for those involving one patient)
+ * @access  Private (admin)
+ */
+router.get('/patient-merges', asyncHandler(async (req, res) => {
+  const { patientId, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const { merges, total } = await patientMergeService.listMerges({ patientId, page: pageNum, limit: limitNum });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      merges,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/patient-merges/:mergeId/undo
+ * @desc    Undo a merge and reactivate the duplicate record
+ * @access  Private (admin)
+ */
+router.post('/patient-merges/:mergeId/undo', validateMergeId, asyncHandler(async (req, res) => {
+  const { merge, keptFields } = await patientMergeService.undo(req.params.mergeId, req);
+
+  res.status(200).json({
+    success: true,
+    data: { merge, keptFields }
+  });
+}));
+
+/**
+ * @route   GET /api/admin/erasure-requests
+ * @desc    Patient data erasure requests, soonest first (?status=scheduled|held|cancelled|completed)
+ * @access  Private (admin)
+ */
+router.get('/erasure-requests', asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const { requests, total } = await erasureService.listRequests({ status, page: pageNum, limit: limitNum });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      requests,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/erasure-requests/process
+ * @desc    Carry out erasure requests whose grace period has ended now instead of on the next scheduled run
+ * @access  Private (admin)
+ */
+router.post('/erasure-requests/process', asyncHandler(async (req, res) => {
+  const result = await erasureService.processDueRequests();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/admin/legal-holds
+ * @desc    Legal holds, newest first (?patientId=&status=active|released)
+ * @access  Private (admin)
+ */
+router.get('/legal-holds', asyncHandler(async (req, res) => {
+  const { patientId, status, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const { holds, total } = await erasureService.listHolds({ patientId, status, page: pageNum, limit: limitNum });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      holds,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/admin/legal-holds
+ * @desc    Keep a patient's data from being erased, with { "patientId", "reason" }
+ * @access  Private (admin)
+ */
+router.post('/legal-holds', asyncHandler(async (req, res) => {
+  const { patientId, reason } = req.body;
+
+  if (!patientId || !reason) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'patientId and reason are required' }
+    });
+  }
+
+  const hold = await erasureService.placeHold(patientId, { reason }, req);
+
+  res.status(201).json({
+    success: true,
+    data: { hold }
+  });
+}));
+
+/**
+ * @route   PUT /api/admin/legal-holds/:holdId/release
+ * @desc    Release a legal hold; held erasure requests are carried out on the next run
+ * @access  Private (admin)
+ */
+router.put('/legal-holds/:holdId/release', validateHoldId, asyncHandler(async (req, res) => {
+  const hold = await erasureService.releaseHold(req.params.holdId, req);
+
+  res.status(200).json({
+    success: true,
+    data: { hold }
+  });
+}));
+
+export default router;
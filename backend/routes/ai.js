@@ -1,44 +1,43 @@
 import express from 'express';
 import AIService from '../services/aiService.js';
+import consentService from '../services/consentService.js';
+import ChatMessage from '../models/ChatMessage.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, authorizePatientAccess, requireVerifiedEmail } from '../middleware/auth.js';
 import { validatePatientId } from '../middleware/validation.js';
-import multer from 'multer';
+import { auditPhiAccess } from '../middleware/audit.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { assessFamilyHistory, MAX_HEREDITARY_POINTS } from '../utils/hereditaryRisk.js';
+import { createUpload, removeUpload } from '../middleware/upload.js';
 import fs from 'fs';
-import path from 'path';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadsDir = path.join(process.cwd(), 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    cb(null, `patient-history-${Date.now()}.txt`);
-  }
-});
+router.use(protect, requireVerifiedEmail);
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/plain') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only .txt files are allowed'), false);
-    }
-  },
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  }
+const upload = createUpload({
+  prefix: 'patient-history',
+  extension: '.txt',
+  mimeTypes: ['text/plain'],
+  typeError: 'Only .txt files are allowed'
 });
 
 // Helper function to get AIService instance
 const getAIService = () => new AIService();
 
+// Free-text paths send whatever the caller typed or uploaded to the LLM,
+// so a patient calling them needs their own ai-processing consent
+const callerAllowsAI = async (req) =>
+  req.user.role !== 'patient' || consentService.hasConsent(req.user.id, 'ai-processing');
+
+const requireCallerAIConsent = asyncHandler(async (req, res, next) => {
+  if (!(await callerAllowsAI(req))) {
+    throw new ErrorResponse('Please consent to AI processing of your health data to use this feature', 403);
+  }
+
+  next();
+});
+
 /**
  * @route   POST /api/ai/patient-summary/:patientId
  * @desc    Generate AI-powered patient history summary
@@ -46,6 +45,8 @@ const getAIService = () => new AIService();
  */
 router.post('/patient-summary/:patientId', 
   validatePatientId,
+  auditPhiAccess('ai-process', 'ai:patient-summary'),
+  authorizePatientAccess('record:read'),
   asyncHandler(async (req, res) => {
     const { patientId } = req.params;
     
@@ -71,6 +72,8 @@ router.post('/patient-summary/:patientId',
  */
 router.post('/suggest-doctors/:patientId',
   validatePatientId,
+  auditPhiAccess('ai-process', 'ai:suggest-doctors'),
+  authorizePatientAccess('record:read'),
   asyncHandler(async (req, res) => {
     const { patientId } = req.params;
     const options = req.body;
@@ -85,6 +88,7 @@ router.post('/suggest-doctors/:patientId',
         recommendations: suggestions.recommendations,
         searchCriteria: suggestions.searchCriteria,
         totalFound: suggestions.totalFound,
+        aiProcessed: suggestions.aiProcessed,
         generatedAt: suggestions.generatedAt
       }
     });
@@ -97,6 +101,7 @@ router.post('/suggest-doctors/:patientId',
  * @access  Private
  */
 router.post('/analyze-symptoms',
+  requireCallerAIConsent,
   asyncHandler(async (req, res) => {
     const { symptoms, patientAge, patientGender } = req.body;
     
@@ -136,6 +141,8 @@ router.post('/analyze-symptoms',
  */
 router.get('/health-insights/:patientId',
   validatePatientId,
+  auditPhiAccess('ai-process', 'ai:health-insights'),
+  authorizePatientAccess('record:read'),
   asyncHandler(async (req, res) => {
     const { patientId } = req.params;
     
@@ -148,6 +155,7 @@ router.get('/health-insights/:patientId',
         patientId,
         insights: insights.insights,
         trends: insights.trends,
+        aiProcessed: insights.aiProcessed,
         generatedAt: insights.generatedAt
       }
     });
@@ -156,12 +164,14 @@ router.get('/health-insights/:patientId',
 
 /**
  * @route   POST /api/ai/medical-chat
- * @desc    AI-powered medical chat for general health questions
+ * @desc    AI-powered medical chat for general health questions. Send the returned
+ *          conversationId with follow-up messages; patients' messages are kept for their data export.
  * @access  Private
  */
 router.post('/medical-chat',
   asyncHandler(async (req, res) => {
     const { message, conversationHistory = [] } = req.body;
+    const conversationId = String(req.body.conversationId || Date.now()).slice(0, 100);
     
     if (!message) {
       return res.status(400).json({
@@ -171,14 +181,29 @@ router.post('/medical-chat',
     }
 
     try {
+      // Without consent the chat still answers, from canned guidance only
+      const allowExternalAI = await callerAllowsAI(req);
+
       const aiService = getAIService();
-      const response = await aiService.chatWithMedicalAI(message, conversationHistory);
+      const response = await aiService.chatWithMedicalAI(message, conversationHistory, { allowExternalAI });
+
+      // Kept so patients can export their chat history
+      if (req.user.role === 'patient') {
+        ChatMessage.create({
+          patient: req.user.id,
+          conversationId,
+          message,
+          response: response.message,
+          aiProcessed: allowExternalAI
+        }).catch(error => console.error('Error saving chat message:', error));
+      }
 
       res.status(200).json({
         success: true,
         data: {
           response,
-          conversationId: Date.now().toString(),
+          conversationId,
+          aiProcessed: allowExternalAI,
           generatedAt: new Date()
         }
       });
@@ -199,6 +224,8 @@ router.post('/medical-chat',
  */
 router.post('/risk-assessment/:patientId',
   validatePatientId,
+  auditPhiAccess('ai-process', 'ai:risk-assessment'),
+  authorizePatientAccess('record:read'),
   asyncHandler(async (req, res) => {
     const { patientId } = req.params;
     const { riskFactors = [] } = req.body;
@@ -255,6 +282,13 @@ router.post('/risk-assessment/:patientId',
         assessedRisks.push('Has severe allergies requiring careful monitoring');
       }
 
+      // Hereditary risks from family history, e.g. early heart disease in a parent
+      const hereditaryRisks = assessFamilyHistory(patient.familyHistory);
+      const hereditaryPoints = hereditaryRisks.reduce((total, risk) => total + risk.points, 0);
+
+      riskScore += Math.min(hereditaryPoints, MAX_HEREDITARY_POINTS);
+      hereditaryRisks.forEach(risk => assessedRisks.push(risk.reason));
+
       // Cap the risk score at 100
       riskScore = Math.min(riskScore, 100);
 
@@ -267,11 +301,13 @@ router.post('/risk-assessment/:patientId',
           riskScore,
           riskLevel,
           assessedRisks,
+          hereditaryRisks,
           recommendations: [
             'Regular health checkups are recommended',
             'Maintain updated medical history',
             'Keep emergency contacts current',
-            'Follow prescribed medication regimens'
+            'Follow prescribed medication regimens',
+            ...hereditaryRisks.map(risk => risk.recommendation)
           ],
           generatedAt: new Date()
         }
@@ -367,6 +403,7 @@ router.post('/medication-interactions',
  * @access  Private
  */
 router.post('/patient-history-summary',
+  requireCallerAIConsent,
   upload.single('historyFile'),
   asyncHandler(async (req, res) => {
     if (!req.file) {
@@ -385,7 +422,7 @@ router.post('/patient-history-summary',
       const summary = await aiService.generateHistorySummaryFromText(fileContent);
       
       // Clean up uploaded file
-      fs.unlinkSync(req.file.path);
+      removeUpload(req.file);
       
       res.status(200).json({
         success: true,
@@ -401,9 +438,7 @@ router.post('/patient-history-summary',
       
     } catch (error) {
       // Clean up file if error occurs
-      if (req.file && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
+      removeUpload(req.file);
       
       res.status(500).json({
         success: false,
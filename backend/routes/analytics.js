@@ -1,8 +1,11 @@
 import express from 'express';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.use(protect);
+
 /**
  * @route   GET /api/analytics/dashboard
  * @desc    Get dashboard analytics (placeholder)
@@ -1,8 +1,11 @@
 import express from 'express';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
+router.use(protect);
+
 /**
  * @route   GET /api/appointments
  * @desc    Get appointments (placeholder for future implementation)
@@ -23,7 +26,7 @@ router.get('/', asyncHandler(async (req, res) => {
  * @desc    Create new appointment (placeholder)
  * @access  Private
  */
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requireVerifiedEmail, asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     data: {
@@ -0,0 +1,140 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import auditService from '../services/auditService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const REPORT_DEFAULT_DAYS = 30;
+
+/**
+ * @route   GET /api/audit/me
+ * @desc    Who accessed the current patient's record, when and why
+ * @access  Private (patient)
+ */
+router.get('/me', authorize('patient'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { patient: req.user.id };
+
+  // Other users' network details are left out of the patient's view
+  const entries = await AuditLog.find(query)
+    .select('occurredAt actor action resource outcome basis reason')
+    .sort({ occurredAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/audit/entries
+ * @desc    Search audit entries (?patientId=&actorId=&actorType=&action=&outcome=&from=&to=)
+ * @access  Private (admin)
+ */
+router.get('/entries', authorize('admin'), asyncHandler(async (req, res) => {
+  const { patientId, actorId, actorType, action, outcome, from, to, page = 1, limit = 100 } = req.query;
+
+  const query = {};
+  if (patientId) query.patient = patientId;
+  if (actorId) query['actor.user'] = actorId;
+  if (actorType) query['actor.userType'] = actorType;
+  if (action) query.action = action;
+  if (outcome) query.outcome = outcome;
+  if (from || to) {
+    query.occurredAt = {};
+    if (from) query.occurredAt.$gte = new Date(from);
+    if (to) query.occurredAt.$lte = new Date(to);
+  }
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skip = (pageNum - 1) * limitNum;
+
+  const entries = await AuditLog.find(query)
+    .sort({ sequence: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/audit/report
+ * @desc    Compliance report of PHI access over a period (defaults to the last 30 days)
+ * @access  Private (admin)
+ */
+router.get('/report', authorize('admin'), asyncHandler(async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid reporting period' }
+    });
+  }
+
+  const report = await auditService.buildReport({ from, to });
+
+  res.status(200).json({
+    success: true,
+    data: { report }
+  });
+}));
+
+/**
+ * @route   GET /api/audit/verify
+ * @desc    Check the hash chain for tampering (?from=&to= sequence numbers)
+ * @access  Private (admin)
+ */
+router.get('/verify', authorize('admin'), asyncHandler(async (req, res) => {
+  const from = parseInt(req.query.from, 10) || 1;
+  const to = parseInt(req.query.to, 10) || undefined;
+
+  const verification = await auditService.verifyChain({ from, to });
+
+  res.status(200).json({
+    success: true,
+    data: { verification }
+  });
+}));
+
+export default router;
@@ -1,12 +1,76 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import Patient from '../models/Patient.js';
 import Doctor from '../models/Doctor.js';
+import Caregiver from '../models/Caregiver.js';
+import AuthToken from '../models/AuthToken.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, protectTwoFactorEnrollment, authorize, userModels } from '../middleware/auth.js';
+import mailService from '../services/mailService.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import caregiverService from '../services/caregiverService.js';
+import lockoutService from '../services/lockoutService.js';
+import verificationService from '../services/verificationService.js';
+import duplicateDetectionService from '../services/duplicateDetectionService.js';
+import { isValidNpi } from '../utils/npi.js';
+import { getPasswordError } from '../utils/passwordPolicy.js';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
 
 const router = express.Router();
 
+const RESET_TOKEN_EXPIRE_MINUTES = 60;
+
+/**
+ * Start a session for a fully authenticated user and send the login payload
+ */
+const sendLoginResponse = async (req, res, user, userType, extra = {}) => {
+  await lockoutService.recordSuccess(user._id, userType);
+
+  const { accessToken, refreshToken } = await sessionService.createSession(user._id, userType, req);
+
+  // Update last login
+  user.lastLoginDate = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        type: userType
+      },
+      ...extra
+    }
+  });
+};
+
+/**
+ * Refuse a login attempt for a locked or throttled account
+ */
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+
+  res.status(block.statusCode).json({
+    success: false,
+    error: { message: block.message, retryAfter: block.retryAfter }
+  });
+};
+
+// Compared against for emails without an account so their login takes as long as a
+// real password check; hashed at the cost used for account passwords, on first use
+let dummyPasswordHash = null;
+
+const getDummyPasswordHash = () => {
+  dummyPasswordHash = dummyPasswordHash || bcrypt.hashSync('no account for this email', 10);
+  return dummyPasswordHash;
+};
+
 /**
  * @route   POST /api/auth/register/patient
  * @desc    Register a patient
@@ -15,6 +79,14 @@ const router = express.Router();
 router.post('/register/patient', asyncHandler(async (req, res) => {
   const { firstName, lastName, email, phone, dateOfBirth, gender, password } = req.body;
 
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: { message: passwordError }
+    });
+  }
+
   // Check if patient exists
   const existingPatient = await Patient.findOne({ email });
   if (existingPatient) {
@@ -39,135 +111,756 @@ router.post('/register/patient', asyncHandler(async (req, res) => {
     password: hashedPassword
   });
 
-  // Generate JWT
-  const token = jwt.sign(
-    { id: patient._id, type: 'patient' },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
-  );
+  // The account works right away, with restricted features until the email is verified
+  await verificationService.sendInitialVerifications(patient);
+
+  // Someone registering again under another email is queued for admin review
+  duplicateDetectionService.screenPatient(patient)
+    .catch(error => console.error('Error screening for duplicate patients:', error));
+
+  // Start a session
+  const { accessToken, refreshToken } = await sessionService.createSession(patient._id, 'patient', req);
 
   res.status(201).json({
     success: true,
     data: {
-      token,
+      token: accessToken,
+      refreshToken,
       patient: {
         id: patient._id,
         firstName: patient.firstName,
         lastName: patient.lastName,
         email: patient.email,
+        emailVerified: patient.emailVerified,
+        phoneVerified: patient.phoneVerified,
         type: 'patient'
       }
     }
   });
 }));
 
+/**
+ * @route   POST /api/auth/register/doctor
+ * @desc    Register a doctor (pending license/NPI verification)
+ * @access  Public
+ */
+router.post('/register/doctor', asyncHandler(async (req, res) => {
+  const {
+    firstName,
+    lastName,
+    email,
+    phone,
+    password,
+    licenseNumber,
+    npiNumber,
+    specializations,
+    yearsOfExperience,
+    certifications,
+    education,
+    department,
+    officeAddress
+  } = req.body;
+
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: { message: passwordError }
+    });
+  }
+
+  if (!licenseNumber) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'License number is required' }
+    });
+  }
+
+  if (!isValidNpi(npiNumber)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'NPI number must be 10 digits with a valid check digit' }
+    });
+  }
+
+  // Check if doctor exists
+  const existingDoctor = await Doctor.findOne({
+    $or: [{ email }, { licenseNumber }, { npiNumber }]
+  });
+  if (existingDoctor) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Doctor with this email, license or NPI number already exists' }
+    });
+  }
+
+  // Hash password
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  // Create doctor; listings stay hidden until an admin approves
+  const doctor = await Doctor.create({
+    firstName,
+    lastName,
+    email,
+    phone,
+    password: hashedPassword,
+    licenseNumber,
+    npiNumber,
+    specializations,
+    yearsOfExperience,
+    certifications,
+    education,
+    department,
+    officeAddress,
+    isVerified: false,
+    verification: {
+      status: 'pending',
+      submittedAt: new Date()
+    }
+  });
+
+  // Start a session
+  const { accessToken, refreshToken } = await sessionService.createSession(doctor._id, 'doctor', req);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      token: accessToken,
+      refreshToken,
+      doctor: {
+        id: doctor._id,
+        firstName: doctor.firstName,
+        lastName: doctor.lastName,
+        email: doctor.email,
+        type: 'doctor',
+        verificationStatus: doctor.verification.status
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/register/caregiver
+ * @desc    Register a caregiver account by accepting an invitation
+ * @access  Public
+ */
+router.post('/register/caregiver', asyncHandler(async (req, res) => {
+  const { invitationToken, firstName, lastName, phone, password } = req.body;
+
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: { message: passwordError }
+    });
+  }
+
+  const invitation = invitationToken ? await caregiverService.findPendingInvitation(invitationToken) : null;
+  if (!invitation) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invitation is invalid or has expired' }
+    });
+  }
+
+  // The account is tied to the address the invitation was sent to
+  const email = invitation.inviteEmail;
+  const existingCaregiver = await Caregiver.findOne({ email });
+  if (existingCaregiver) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Caregiver with this email already exists, log in to accept the invitation' }
+    });
+  }
+
+  // Hash password
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  const caregiver = await Caregiver.create({
+    firstName,
+    lastName,
+    email,
+    phone,
+    password: hashedPassword
+  });
+
+  await caregiverService.acceptInvitation(invitationToken, {
+    user: caregiver._id,
+    userType: 'caregiver'
+  }, email);
+
+  // Start a session
+  const { accessToken, refreshToken } = await sessionService.createSession(caregiver._id, 'caregiver', req);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      token: accessToken,
+      refreshToken,
+      caregiver: {
+        id: caregiver._id,
+        firstName: caregiver.firstName,
+        lastName: caregiver.lastName,
+        email: caregiver.email,
+        type: 'caregiver'
+      }
+    }
+  });
+}));
+
 /**
  * @route   POST /api/auth/login
- * @desc    Login user (patient or doctor)
+ * @desc    Login user (patient, doctor, caregiver or admin)
  * @access  Public
  */
 router.post('/login', asyncHandler(async (req, res) => {
   const { email, password, userType = 'patient' } = req.body;
 
-  if (!email || !password) {
+  if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
     return res.status(400).json({
       success: false,
       error: { message: 'Please provide email and password' }
     });
   }
 
-  let user;
-  if (userType === 'patient') {
-    user = await Patient.findOne({ email }).select('+password');
-  } else if (userType === 'doctor') {
-    user = await Doctor.findOne({ email }).select('+password');
+  const Model = userModels[userType];
+  if (!Model) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid user type' }
+    });
   }
 
-  if (!user) {
+  const user = await Model.findOne({ email }).select('+password');
+
+  // An email without an active account is throttled and has a password checked like
+  // one, so neither the responses nor their timing tell whether the account exists
+  const account = user?.isActive ? user : lockoutService.unknownAccount(email);
+
+  const block = await lockoutService.claimAttempt(account, userType, req);
+  if (block) {
+    return sendLoginBlocked(res, block);
+  }
+
+  const passwordMatches = account === user
+    ? await user.matchPassword(password)
+    : await bcrypt.compare(password, getDummyPasswordHash()) && false;
+
+  if (!passwordMatches) {
+    await lockoutService.recordFailure(account, userType);
+
     return res.status(401).json({
       success: false,
       error: { message: 'Invalid credentials' }
     });
   }
 
-  // Check password (in a real app, you'd have password field in schema)
-  // For now, we'll skip password verification since our models don't have password field
-  // const isMatch = await bcrypt.compare(password, user.password);
-  
-  // Generate JWT
-  const token = jwt.sign(
-    { id: user._id, type: userType },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
-  );
+  // The password was right, so this attempt does not count against a second factor
+  await lockoutService.releaseAttempt(user, userType);
 
-  // Update last login
-  user.lastLoginDate = new Date();
-  await user.save();
+  // Password is correct; a second factor may still be needed
+  if (await twoFactorService.isEnabled(user._id, userType)) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.signChallenge(user._id, userType, 'totp-login')
+      }
+    });
+  }
+
+  if (await twoFactorService.isRequired(userType)) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.signChallenge(user._id, userType, 'totp-enroll')
+      }
+    });
+  }
+
+  await sendLoginResponse(req, res, user, userType);
+}));
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a TOTP code or a recovery code
+ * @access  Public
+ */
+router.post('/login/2fa', asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Challenge token and a verification or recovery code are required' }
+    });
+  }
+
+  const decoded = twoFactorService.verifyChallenge(challengeToken, 'totp-login');
+  const user = await userModels[decoded.type].findById(decoded.id);
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Invalid verification code' }
+    });
+  }
+
+  // Second-factor guesses count towards the same lockout as passwords
+  const block = await lockoutService.claimAttempt(user, decoded.type, req);
+  if (block) {
+    return sendLoginBlocked(res, block);
+  }
+
+  if (!(await twoFactorService.verify(user._id, decoded.type, { code, recoveryCode }))) {
+    await lockoutService.recordFailure(user, decoded.type);
+
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Invalid verification code' }
+    });
+  }
+
+  await sendLoginResponse(req, res, user, decoded.type);
+}));
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get current user
+ * @access  Private
+ */
+router.get('/me', protect, asyncHandler(async (req, res) => {
+  const { id, firstName, lastName, email, type } = req.user;
+
+  const verification = type === 'patient' ? {
+    emailVerified: Boolean(req.user.emailVerified),
+    phoneVerified: Boolean(req.user.phoneVerified),
+    pendingEmail: req.user.pendingEmail,
+    pendingPhone: req.user.pendingPhone
+  } : {};
 
   res.status(200).json({
     success: true,
     data: {
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        type: userType
-      }
+      user: { id, firstName, lastName, email, type, ...verification }
     }
   });
 }));
 
 /**
- * @route   GET /api/auth/me
- * @desc    Get current user
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address (or a pending email change) with the emailed token
+ * @access  Public
+ */
+router.post('/verify-email', asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Verification token is required' }
+    });
+  }
+
+  const patient = await verificationService.verifyEmail(token);
+
+  res.status(200).json({
+    success: true,
+    data: { email: patient.email, emailVerified: true }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new email verification link
+ * @access  Private (patient)
+ */
+router.post('/verify-email/resend', protect, authorize('patient'), asyncHandler(async (req, res) => {
+  const { pendingEmail, email, emailVerified } = req.user;
+
+  if (!pendingEmail && emailVerified) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Email address is already verified' }
+    });
+  }
+
+  await verificationService.sendEmailVerification(req.user, pendingEmail || email);
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Verification email sent' }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/verify-phone/send
+ * @desc    Text a one-time code to the account's (or pending) phone number
+ * @access  Private (patient)
+ */
+router.post('/verify-phone/send', protect, authorize('patient'), asyncHandler(async (req, res) => {
+  await verificationService.sendPhoneCode(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Verification code sent' }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/verify-phone
+ * @desc    Confirm a phone number with the texted code
+ * @access  Private (patient)
+ */
+router.post('/verify-phone', protect, authorize('patient'), asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Verification code is required' }
+    });
+  }
+
+  const patient = await verificationService.verifyPhone(req.user, code);
+
+  res.status(200).json({
+    success: true,
+    data: { phone: patient.phone, phoneVerified: true }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate a refresh token and issue a new access token
+ * @access  Public
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Refresh token is required' }
+    });
+  }
+
+  const { accessToken, refreshToken: nextRefreshToken } = await sessionService.rotateSession(refreshToken, req);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: accessToken,
+      refreshToken: nextRefreshToken
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the current session
  * @access  Private
  */
-router.get('/me', asyncHandler(async (req, res) => {
-  // This would require auth middleware to populate req.user
-  // For demo purposes, we'll return a mock response
+router.post('/logout', protect, asyncHandler(async (req, res) => {
+  await sessionService.revokeSession(req.user.sessionId, 'logout');
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Logged out' }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', protect, asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user.id, req.user.type);
+
   res.status(200).json({
     success: true,
     data: {
-      user: {
-        id: '507f1f77bcf86cd799439011',
-        firstName: 'Neel',
-        lastName: 'Patel',
-        email: 'neel@example.com',
-        type: 'patient'
-      }
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === req.user.sessionId
+      }))
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', protect, asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user.id, req.user.type);
+  const target = sessions.find(session => session._id.toString() === req.params.sessionId);
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: { message: 'Session not found' }
+    });
+  }
+
+  await sessionService.revokeSession(target._id, 'revoked-by-user');
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Session revoked' }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out everywhere (optionally keeping the current session)
+ * @access  Private
+ */
+router.delete('/sessions', protect, asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+
+  const revoked = await sessionService.revokeAllSessions(req.user.id, req.user.type, {
+    exceptSessionId: keepCurrent ? req.user.sessionId : null,
+    reason: 'logout-all'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { revoked }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status for the current user
+ * @access  Private
+ */
+router.get('/2fa', protect, asyncHandler(async (req, res) => {
+  const { id, type } = req.user;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: await twoFactorService.isEnabled(id, type),
+      required: await twoFactorService.isRequired(type),
+      remainingRecoveryCodes: await twoFactorService.getRemainingRecoveryCodes(id, type)
     }
   });
 }));
 
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment and return an otpauth URI for a QR code
+ * @access  Private (or enrollment challenge token)
+ */
+router.post('/2fa/setup', protectTwoFactorEnrollment, asyncHandler(async (req, res) => {
+  const { id, type, email } = req.user;
+
+  if (await twoFactorService.isEnabled(id, type)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Two-factor authentication is already enabled' }
+    });
+  }
+
+  const { secret, otpauthUri } = await twoFactorService.beginEnrollment(id, type, email);
+
+  res.status(200).json({
+    success: true,
+    data: { secret, otpauthUri }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm TOTP enrollment and receive one-time recovery codes
+ * @access  Private (or enrollment challenge token)
+ */
+router.post('/2fa/enable', protectTwoFactorEnrollment, asyncHandler(async (req, res) => {
+  const { id, type, sessionId } = req.user;
+
+  const recoveryCodes = await twoFactorService.confirmEnrollment(id, type, req.body.code);
+
+  // Enrolling from the login challenge completes the login
+  if (!sessionId) {
+    const user = await userModels[type].findById(id);
+    return sendLoginResponse(req, res, user, type, { recoveryCodes });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a current TOTP code)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, asyncHandler(async (req, res) => {
+  const { id, type } = req.user;
+
+  if (!(await twoFactorService.verify(id, type, { code: req.body.code }))) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Invalid verification code' }
+    });
+  }
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(id, type);
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/2fa
+ * @desc    Turn off two-factor authentication (requires a current TOTP code)
+ * @access  Private
+ */
+router.delete('/2fa', protect, asyncHandler(async (req, res) => {
+  const { id, type } = req.user;
+
+  if (await twoFactorService.isRequired(type)) {
+    return res.status(403).json({
+      success: false,
+      error: { message: 'Two-factor authentication is required for your account' }
+    });
+  }
+
+  if (!(await twoFactorService.verify(id, type, { code: req.body.code }))) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Invalid verification code' }
+    });
+  }
+
+  await twoFactorService.disable(id, type);
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Two-factor authentication disabled' }
+  });
+}));
+
 /**
  * @route   POST /api/auth/forgot-password
- * @desc    Forgot password
+ * @desc    Email a single-use password reset link
  * @access  Public
  */
 router.post('/forgot-password', asyncHandler(async (req, res) => {
   const { email, userType = 'patient' } = req.body;
 
-  let user;
-  if (userType === 'patient') {
-    user = await Patient.findOne({ email });
-  } else if (userType === 'doctor') {
-    user = await Doctor.findOne({ email });
+  // Same response whether or not the account exists
+  const genericResponse = {
+    success: true,
+    data: { message: 'If an account exists for this email, a password reset link has been sent' }
+  };
+
+  const Model = userModels[userType];
+  if (!email || !Model) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Please provide a valid email and user type' }
+    });
   }
 
-  if (!user) {
-    return res.status(404).json({
+  const user = await Model.findOne({ email });
+  if (!user || !user.isActive) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Only the most recent link stays valid
+  await AuthToken.deleteMany({ user: user._id, purpose: 'password-reset', usedAt: null });
+
+  const { token, tokenHash } = createRandomToken();
+  await AuthToken.create({
+    user: user._id,
+    userType,
+    purpose: 'password-reset',
+    tokenHash,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_EXPIRE_MINUTES * 60 * 1000)
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const resetUrl = `${frontendUrl}/reset-password?token=${token}`;
+
+  try {
+    await mailService.sendPasswordReset(user.email, resetUrl, RESET_TOKEN_EXPIRE_MINUTES);
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+  }
+
+  res.status(200).json(genericResponse);
+}));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
       success: false,
-      error: { message: 'User not found' }
+      error: { message: 'Reset token is required' }
     });
   }
 
-  // In a real app, you'd send an email with reset token
+  const passwordError = getPasswordError(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      error: { message: passwordError }
+    });
+  }
+
+  const resetToken = await AuthToken.consume(hashToken(token), 'password-reset');
+
+  if (!resetToken) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Reset token is invalid or has expired' }
+    });
+  }
+
+  const user = await userModels[resetToken.userType].findById(resetToken.user);
+  if (!user || !user.isActive) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Reset token is invalid or has expired' }
+    });
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+  await user.save();
+
+  // Sign out everywhere in case the old password was compromised
+  await sessionService.revokeAllSessions(user._id, resetToken.userType, { reason: 'password-reset' });
+
+  // Proving control of the mailbox is enough to lift a lockout
+  await lockoutService.unlock(user._id, resetToken.userType);
+
   res.status(200).json({
     success: true,
-    data: { message: 'Password reset email sent' }
+    data: { message: 'Password has been reset. You can now log in.' }
   });
 }));
 
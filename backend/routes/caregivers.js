@@ -0,0 +1,233 @@
+import express from 'express';
+import Patient from '../models/Patient.js';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import ProxyActivity from '../models/ProxyActivity.js';
+import caregiverService from '../services/caregiverService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, authorize, requireVerifiedEmail } from '../middleware/auth.js';
+import { validateGrantId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   POST /api/caregivers/invitations
+ * @desc    Invite a caregiver with scoped, expiring access to your record
+ * @access  Private (patient)
+ */
+router.post('/invitations', authorize('patient'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const patient = await Patient.findById(req.user.id);
+
+  const grant = await caregiverService.createInvitation(patient, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: { grant }
+  });
+}));
+
+/**
+ * @route   POST /api/caregivers/invitations/accept
+ * @desc    Accept a caregiver invitation with the current account
+ * @access  Private (caregiver, patient)
+ */
+router.post('/invitations/accept', authorize('caregiver', 'patient'), requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invitation token is required' }
+    });
+  }
+
+  const grant = await caregiverService.acceptInvitation(token, {
+    user: req.user.id,
+    userType: req.user.role
+  }, req.user.email);
+
+  res.status(200).json({
+    success: true,
+    data: { grant }
+  });
+}));
+
+/**
+ * @route   POST /api/caregivers/invitations/decline
+ * @desc    Decline a caregiver invitation
+ * @access  Private (caregiver, patient)
+ */
+router.post('/invitations/decline', authorize('caregiver', 'patient'), asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invitation token is required' }
+    });
+  }
+
+  await caregiverService.declineInvitation(token);
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Invitation declined' }
+  });
+}));
+
+/**
+ * @route   GET /api/caregivers/profiles
+ * @desc    Patients the current user can act for, for profile switching
+ * @access  Private (caregiver, patient)
+ */
+router.get('/profiles', authorize('caregiver', 'patient'), asyncHandler(async (req, res) => {
+  const grants = await caregiverService.getProfiles(req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      profiles: grants
+        .filter(grant => grant.patient)
+        .map(grant => ({
+          grantId: grant._id,
+          patient: grant.patient,
+          relationship: grant.relationship,
+          scopes: grant.scopes,
+          expiresAt: grant.expiresAt
+        }))
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/caregivers/grants
+ * @desc    Caregiver grants issued by the current patient
+ * @access  Private (patient)
+ */
+router.get('/grants', authorize('patient'), asyncHandler(async (req, res) => {
+  const grants = await CaregiverGrant.find({ patient: req.user.id })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: { grants }
+  });
+}));
+
+/**
+ * @route   PUT /api/caregivers/grants/:grantId
+ * @desc    Change the scopes or expiry of a grant
+ * @access  Private (patient who issued the grant)
+ */
+router.put('/grants/:grantId', authorize('patient'), validateGrantId, asyncHandler(async (req, res) => {
+  const { scopes, expiresAt } = req.body;
+
+  const grant = await CaregiverGrant.findOne({
+    _id: req.params.grantId,
+    patient: req.user.id,
+    status: { $in: ['pending', 'active'] }
+  });
+
+  if (!grant) {
+    return res.status(404).json({
+      success: false,
+      error: { message: 'Grant not found' }
+    });
+  }
+
+  if (scopes !== undefined) {
+    caregiverService.validateScopes(scopes);
+    grant.scopes = scopes;
+  }
+
+  if (expiresAt !== undefined) {
+    grant.expiresAt = caregiverService.validateExpiry(expiresAt);
+  }
+
+  await grant.save();
+
+  res.status(200).json({
+    success: true,
+    data: { grant }
+  });
+}));
+
+/**
+ * @route   DELETE /api/caregivers/grants/:grantId
+ * @desc    Revoke a grant (by the patient) or give it up (by the caregiver)
+ * @access  Private (patient who issued the grant, or its grantee)
+ */
+router.delete('/grants/:grantId', validateGrantId, asyncHandler(async (req, res) => {
+  const grant = await CaregiverGrant.findOne({
+    _id: req.params.grantId,
+    status: { $in: ['pending', 'active'] },
+    $or: [
+      { patient: req.user.id },
+      { 'grantee.user': req.user.id, 'grantee.userType': req.user.role }
+    ]
+  });
+
+  if (!grant) {
+    return res.status(404).json({
+      success: false,
+      error: { message: 'Grant not found' }
+    });
+  }
+
+  grant.status = 'revoked';
+  grant.revokedAt = new Date();
+  grant.inviteTokenHash = undefined;
+  await grant.save();
+
+  res.status(200).json({
+    success: true,
+    data: { grant }
+  });
+}));
+
+/**
+ * @route   GET /api/caregivers/grants/:grantId/activity
+ * @desc    Actions a caregiver took on the patient's behalf under a grant
+ * @access  Private (patient who issued the grant)
+ */
+router.get('/grants/:grantId/activity', authorize('patient'), validateGrantId, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const grant = await CaregiverGrant.exists({ _id: req.params.grantId, patient: req.user.id });
+  if (!grant) {
+    return res.status(404).json({
+      success: false,
+      error: { message: 'Grant not found' }
+    });
+  }
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { grant: req.params.grantId };
+  const activity = await ProxyActivity.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  const total = await ProxyActivity.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      activity,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import ConsentDocument from '../models/ConsentDocument.js';
+import consentService from '../services/consentService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, authorize, authorizePatientAccess } from '../middleware/auth.js';
+import { validatePatientId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/consents/documents
+ * @desc    Consent documents currently in effect (?type=ai-processing&all=true for every version)
+ * @access  Private
+ */
+router.get('/documents', asyncHandler(async (req, res) => {
+  const { type, all } = req.query;
+
+  let documents;
+  if (all === 'true') {
+    const query = type ? { type } : {};
+    documents = await ConsentDocument.find(query).sort({ type: 1, version: -1 }).lean();
+  } else {
+    documents = await consentService.getCurrentDocuments();
+    if (type) {
+      documents = documents.filter(document => document.type === type);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { documents }
+  });
+}));
+
+/**
+ * @route   POST /api/consents/documents
+ * @desc    Publish a new version of a consent document
+ * @access  Private (admin)
+ */
+router.post('/documents', authorize('admin'), asyncHandler(async (req, res) => {
+  const document = await consentService.publishDocument(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: { document }
+  });
+}));
+
+/**
+ * @route   GET /api/consents/patients/:patientId
+ * @desc    Current consent status for each consent type
+ * @access  Private
+ */
+router.get('/patients/:patientId', validatePatientId, authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const consents = await consentService.getStatus(req.params.patientId);
+
+  res.status(200).json({
+    success: true,
+    data: { consents }
+  });
+}));
+
+/**
+ * @route   GET /api/consents/patients/:patientId/history
+ * @desc    Timestamped history of consent grants and withdrawals
+ * @access  Private
+ */
+router.get('/patients/:patientId/history', validatePatientId, authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const history = await consentService.getHistory(req.params.patientId);
+
+  res.status(200).json({
+    success: true,
+    data: { history }
+  });
+}));
+
+/**
+ * @route   POST /api/consents/patients/:patientId
+ * @desc    Grant or withdraw consent: { type, action: 'granted' | 'withdrawn', version }
+ * @access  Private (patient, or a caregiver with record:write)
+ */
+router.post('/patients/:patientId',
+  authorize('patient', 'caregiver'),
+  validatePatientId,
+  authorizePatientAccess('record:write'),
+  asyncHandler(async (req, res) => {
+    const record = await consentService.recordDecision(
+      req.params.patientId,
+      req.body,
+      { user: req.user.id, userType: req.user.role },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { record }
+    });
+  })
+);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -8,7 +9,7 @@ const router = express.Router();
  * @desc    Get medications (placeholder for future implementation)
  * @access  Private
  */
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', protect, asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
@@ -0,0 +1,100 @@
+import express from 'express';
+import fs from 'fs';
+import ccdaImportService from '../services/ccdaImportService.js';
+import accessPolicyService from '../services/accessPolicyService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authorizePatientAccess } from '../middleware/auth.js';
+import { validateImportId } from '../middleware/validation.js';
+import { auditPhiAccess } from '../middleware/audit.js';
+import { createUpload, removeUpload } from '../middleware/upload.js';
+
+// Mounted under /api/patients/:id/ccda, which validates the patient ID
+const router = express.Router({ mergeParams: true });
+
+const upload = createUpload({
+  prefix: 'ccda',
+  extension: '.xml',
+  mimeTypes: ['text/xml', 'application/xml'],
+  typeError: 'Only C-CDA .xml files are allowed'
+});
+
+/**
+ * @route   POST /api/patients/:id/ccda
+ * @desc    Upload a C-CDA document (field `document`) and parse it into a pending import for review
+ * @access  Private (record:write; the medications section is shown with medications:read)
+ */
+router.post('/', auditPhiAccess('update', 'patient.ccda'), authorizePatientAccess('record:write'), upload.single('document'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'No C-CDA document uploaded' }
+    });
+  }
+
+  try {
+    const xml = fs.readFileSync(req.file.path, 'utf-8');
+    const preview = await ccdaImportService.createPreview(req.params.id, {
+      xml,
+      fileName: req.file.originalname,
+      includeMedications: accessPolicyService.canReadMedications(req.patientAccess)
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      data: { import: preview }
+    });
+  } finally {
+    // Only the parsed entries are kept, encrypted, until the import is reviewed
+    removeUpload(req.file);
+  }
+}));
+
+/**
+ * @route   GET /api/patients/:id/ccda/:importId
+ * @desc    Review a pending import: each parsed entry with what committing would do to it
+ * @access  Private (record:read; the medications section also needs medications:read)
+ */
+router.get('/:importId', validateImportId, auditPhiAccess('view', 'patient.ccda'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const preview = await ccdaImportService.getPreview(req.params.id, req.params.importId, {
+    includeMedications: accessPolicyService.canReadMedications(req.patientAccess)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { import: preview }
+  });
+}));
+
+/**
+ * @route   POST /api/patients/:id/ccda/:importId/commit
+ * @desc    Write a pending import to the record. Body: { excluded: { problems: [1], ... } }
+ * @access  Private (record:write; medications also need medications:write)
+ */
+router.post('/:importId/commit', validateImportId, auditPhiAccess('update', 'patient.ccda'), authorizePatientAccess('record:write'), asyncHandler(async (req, res) => {
+  const { grant } = req.patientAccess;
+  const { summary, results } = await ccdaImportService.commit(req.params.id, req.params.importId, {
+    excluded: req.body.excluded,
+    canWriteMedications: !grant || grant.allows('medications:write')
+  }, req);
+
+  res.status(200).json({
+    success: true,
+    data: { summary, results }
+  });
+}));
+
+/**
+ * @route   DELETE /api/patients/:id/ccda/:importId
+ * @desc    Discard a pending import
+ * @access  Private (record:write)
+ */
+router.delete('/:importId', validateImportId, auditPhiAccess('update', 'patient.ccda'), authorizePatientAccess('record:write'), asyncHandler(async (req, res) => {
+  await ccdaImportService.discard(req.params.id, req.params.importId);
+
+  res.status(200).json({
+    success: true,
+    data: { message: 'Import discarded' }
+  });
+}));
+
+export default router;
@@ -0,0 +1,227 @@
+import express from 'express';
+import Patient from '../models/Patient.js';
+import revisionService from '../services/revisionService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authorizePatientAccess } from '../middleware/auth.js';
+import { validateEntryId } from '../middleware/validation.js';
+import { auditPhiAccess } from '../middleware/audit.js';
+
+// Mounted under /api/patients/:id, which validates the patient ID
+const router = express.Router({ mergeParams: true });
+
+const calculateBMI = (weight, height) => {
+  if (!weight || !height) return undefined;
+  const heightInMeters = height / 100;
+  return Number((weight / (heightInMeters * heightInMeters)).toFixed(1));
+};
+
+/**
+ * Patient sub-document arrays editable through their own endpoints. `fields` is the
+ * whitelist callers may write; everything else on an entry is set by the server.
+ */
+const RECORD_SECTIONS = {
+  'medical-history': {
+    path: 'medicalHistory',
+    label: 'Medical history entry',
+    fields: ['condition', 'diagnosedDate', 'status', 'severity', 'notes'],
+    readScope: 'record:read',
+    writeScope: 'record:write'
+  },
+  allergies: {
+    path: 'allergies',
+    label: 'Allergy',
+    fields: ['allergen', 'reaction', 'severity', 'notes'],
+    readScope: 'record:read',
+    writeScope: 'record:write'
+  },
+  'vital-signs': {
+    path: 'vitalSigns',
+    label: 'Vital signs entry',
+    fields: ['bloodPressure', 'heartRate', 'temperature', 'respiratoryRate', 'oxygenSaturation', 'weight', 'height', 'recordedDate'],
+    readScope: 'record:read',
+    writeScope: 'record:write',
+    beforeSave: (patient, entry, req, isNew) => {
+      entry.bmi = calculateBMI(entry.weight, entry.height);
+      if (isNew && req.user.role === 'doctor') entry.recordedBy = req.user.id;
+    }
+  },
+  'lab-results': {
+    path: 'labResults',
+    label: 'Lab result',
+    fields: ['test', 'loincCode', 'value', 'unit', 'specimenDate', 'orderedBy', 'notes'],
+    readScope: 'record:read',
+    writeScope: 'record:write',
+    beforeSave: (patient, entry, req, isNew) => {
+      if (isNew && !entry.orderedBy && req.user.role === 'doctor') entry.orderedBy = req.user.id;
+    }
+  },
+  immunizations: {
+    path: 'immunizations',
+    label: 'Immunization',
+    fields: ['vaccine', 'cvxCode', 'doseNumber', 'administeredDate', 'lotNumber', 'administeredBy', 'notes'],
+    readScope: 'record:read',
+    writeScope: 'record:write'
+  },
+  'family-history': {
+    path: 'familyHistory',
+    label: 'Family history entry',
+    fields: ['relative', 'side', 'condition', 'ageAtOnset', 'notes'],
+    readScope: 'record:read',
+    writeScope: 'record:write'
+  },
+  'emergency-contacts': {
+    path: 'emergencyContacts',
+    label: 'Emergency contact',
+    fields: ['name', 'relationship', 'phone', 'email', 'isPrimary'],
+    readScope: 'record:read',
+    writeScope: 'record:write',
+    beforeSave: (patient, entry) => {
+      // A newly chosen primary contact replaces the previous one
+      if (entry.isPrimary) {
+        patient.emergencyContacts.forEach((contact) => {
+          if (!contact._id.equals(entry._id)) contact.isPrimary = false;
+        });
+      }
+    }
+  },
+  medications: {
+    path: 'currentMedications',
+    label: 'Medication',
+    fields: ['name', 'dosage', 'frequency', 'startDate', 'endDate', 'status', 'notes'],
+    readScope: 'medications:read',
+    writeScope: 'medications:write',
+    beforeSave: (patient, entry, req, isNew) => {
+      if (isNew && req.user.role === 'doctor') entry.prescribedBy = req.user.id;
+    }
+  }
+};
+
+const pickFields = (body, fields) => Object.fromEntries(
+  fields
+    .filter(field => body && body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+const findPatient = async (req, res) => {
+  const patient = await Patient.findById(req.params.id);
+
+  if (!patient) {
+    res.status(404).json({
+      success: false,
+      error: { message: 'Patient not found' }
+    });
+  }
+
+  return patient;
+};
+
+const findEntry = (res, patient, section, entryId) => {
+  const entry = patient[section.path].id(entryId);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      error: { message: `${section.label} not found` }
+    });
+  }
+
+  return entry;
+};
+
+/**
+ * For each section, e.g. `allergies`:
+ *
+ * @route   GET /api/patients/:id/allergies
+ * @desc    List the entries of a record section
+ * @access  Private (record:read, or medications:read for medications)
+ *
+ * @route   POST /api/patients/:id/allergies
+ * @desc    Add an entry
+ * @access  Private (record:write, or medications:write for medications)
+ *
+ * @route   PUT /api/patients/:id/allergies/:entryId
+ * @desc    Edit the whitelisted fields of an entry
+ * @access  Private (record:write, or medications:write for medications)
+ *
+ * @route   DELETE /api/patients/:id/allergies/:entryId
+ * @desc    Remove an entry
+ * @access  Private (record:write, or medications:write for medications)
+ */
+Object.entries(RECORD_SECTIONS).forEach(([segment, section]) => {
+  const resource = `patient.${section.path}`;
+
+  router.get(`/${segment}`, auditPhiAccess('view', resource), authorizePatientAccess(section.readScope), asyncHandler(async (req, res) => {
+    const patient = await Patient.findById(req.params.id).select(section.path).lean();
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Patient not found' }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { [section.path]: patient[section.path] || [] }
+    });
+  }));
+
+  router.post(`/${segment}`, auditPhiAccess('update', resource), authorizePatientAccess(section.writeScope), asyncHandler(async (req, res) => {
+    const patient = await findPatient(req, res);
+    if (!patient) return;
+
+    const before = revisionService.snapshot(patient);
+    const entry = patient[section.path].create(pickFields(req.body, section.fields));
+    patient[section.path].push(entry);
+    section.beforeSave?.(patient, entry, req, true);
+
+    // Runs the sub-schema validators (required fields, enums) on the new entry
+    await patient.save({ validateModifiedOnly: true });
+    await revisionService.record(patient, { before, req, reason: `Added ${section.label.toLowerCase()}` });
+
+    res.status(201).json({
+      success: true,
+      data: { entry: patient[section.path].id(entry._id) }
+    });
+  }));
+
+  router.put(`/${segment}/:entryId`, validateEntryId, auditPhiAccess('update', resource), authorizePatientAccess(section.writeScope), asyncHandler(async (req, res) => {
+    const patient = await findPatient(req, res);
+    if (!patient) return;
+
+    const entry = findEntry(res, patient, section, req.params.entryId);
+    if (!entry) return;
+
+    const before = revisionService.snapshot(patient);
+    entry.set(pickFields(req.body, section.fields));
+    section.beforeSave?.(patient, entry, req, false);
+
+    await patient.save({ validateModifiedOnly: true });
+    await revisionService.record(patient, { before, req, reason: `Updated ${section.label.toLowerCase()}` });
+
+    res.status(200).json({
+      success: true,
+      data: { entry }
+    });
+  }));
+
+  router.delete(`/${segment}/:entryId`, validateEntryId, auditPhiAccess('update', resource), authorizePatientAccess(section.writeScope), asyncHandler(async (req, res) => {
+    const patient = await findPatient(req, res);
+    if (!patient) return;
+
+    const entry = findEntry(res, patient, section, req.params.entryId);
+    if (!entry) return;
+
+    const before = revisionService.snapshot(patient);
+    entry.deleteOne();
+    await patient.save({ validateModifiedOnly: true });
+    await revisionService.record(patient, { before, req, reason: `Removed ${section.label.toLowerCase()}` });
+
+    res.status(200).json({
+      success: true,
+      data: { message: `${section.label} removed` }
+    });
+  }));
+});
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import PatientRevision from '../models/PatientRevision.js';
+import revisionService from '../services/revisionService.js';
+import accessPolicyService from '../services/accessPolicyService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authorizePatientAccess } from '../middleware/auth.js';
+import { validateEntryId } from '../middleware/validation.js';
+import { auditPhiAccess } from '../middleware/audit.js';
+
+// Mounted under /api/patients/:id/revisions, which validates the patient ID
+const router = express.Router({ mergeParams: true });
+
+const parseRevision = (value) => {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+// Medication entries use the caregiver medications:* scopes, as in the record sections
+const scopeForPath = (path, level) => (path === 'currentMedications' ? `medications:${level}` : `record:${level}`);
+
+const authorizeRestore = (req, res, next) => authorizePatientAccess(scopeForPath(req.params.path, 'write'))(req, res, next);
+
+const invalidRevision = res => res.status(400).json({
+  success: false,
+  error: { message: 'Revision must be a positive integer' }
+});
+
+/**
+ * @route   GET /api/patients/:id/revisions
+ * @desc    List the record's revisions, newest first, without their snapshots
+ * @access  Private (record:read)
+ */
+router.get('/', auditPhiAccess('view', 'patient.revisions'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { patient: req.params.id };
+  const revisions = await PatientRevision.find(query)
+    .select('-snapshot')
+    .sort({ revision: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .lean();
+
+  const total = await PatientRevision.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revisions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/patients/:id/revisions/diff?from=&to=
+ * @desc    Changes between two revisions
+ * @access  Private (record:read; medication changes also need medications:read)
+ */
+router.get('/diff', auditPhiAccess('view', 'patient.revisions'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const from = parseRevision(req.query.from);
+  const to = parseRevision(req.query.to);
+
+  if (!from || !to) {
+    return invalidRevision(res);
+  }
+
+  const hidden = accessPolicyService.hiddenRecordPaths(req.patientAccess);
+  const changes = (await revisionService.diff(req.params.id, from, to))
+    .filter(change => !hidden.includes(change.path));
+
+  res.status(200).json({
+    success: true,
+    data: { from, to, changes }
+  });
+}));
+
+/**
+ * @route   GET /api/patients/:id/revisions/:revision
+ * @desc    The record as it was at a revision
+ * @access  Private (record:read; the medication list also needs medications:read)
+ */
+router.get('/:revision', auditPhiAccess('view', 'patient.revisions'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const revisionNumber = parseRevision(req.params.revision);
+
+  if (!revisionNumber) {
+    return invalidRevision(res);
+  }
+
+  const { snapshot, ...revision } = await revisionService.getRevision(req.params.id, revisionNumber);
+  const visible = accessPolicyService.redactRecord(snapshot, req.patientAccess);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revision: { ...revision, snapshot: revisionService.readSnapshot(visible) }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/patients/:id/revisions/:revision/restore/:path/:entryId
+ * @desc    Restore one sub-document (e.g. an allergy) to its state at a revision
+ * @access  Private (record:write, or medications:write for currentMedications)
+ */
+router.post('/:revision/restore/:path/:entryId', validateEntryId, auditPhiAccess('update', 'patient.revisions'), authorizeRestore, asyncHandler(async (req, res) => {
+  const revisionNumber = parseRevision(req.params.revision);
+
+  if (!revisionNumber) {
+    return invalidRevision(res);
+  }
+
+  const entry = await revisionService.restoreEntry(
+    req.params.id,
+    revisionNumber,
+    { path: req.params.path, entryId: req.params.entryId },
+    req
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { entry }
+  });
+}));
+
+export default router;
@@ -0,0 +1,95 @@
+import express from 'express';
+import vitalsImportService from '../services/vitalsImportService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authorizePatientAccess } from '../middleware/auth.js';
+import { validateImportId } from '../middleware/validation.js';
+import { auditPhiAccess } from '../middleware/audit.js';
+import { createUpload, removeUpload } from '../middleware/upload.js';
+
+// Mounted under /api/patients/:id/vitals-imports, which validates the patient ID
+const router = express.Router({ mergeParams: true });
+
+// Apple Health exports run to hundreds of megabytes; they are read line by line
+const upload = createUpload({
+  prefix: 'vitals',
+  extension: '.upload',
+  mimeTypes: ['text/xml', 'application/xml', 'text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+  typeError: 'Only Apple Health export.xml and .csv files are allowed',
+  maxSize: 200 * 1024 * 1024
+});
+
+/**
+ * @route   POST /api/patients/:id/vitals-imports
+ * @desc    Upload a device export (field `file`) to import into vital signs in the background.
+ *          Body: format (apple-health|fitbit|google-fit|csv) and, for CSV, mapping as JSON:
+ *          { "columns": { "recordedDate": "Date", "weight": "Weight" }, "units": { "weight": "lb" } }
+ * @access  Private (record:write)
+ */
+router.post('/', auditPhiAccess('update', 'patient.vitalsImport'), authorizePatientAccess('record:write'), upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'No export file uploaded' }
+    });
+  }
+
+  let mapping;
+
+  try {
+    mapping = req.body.mapping ? JSON.parse(req.body.mapping) : undefined;
+  } catch (error) {
+    mapping = null;
+  }
+
+  // JSON such as "null", a number or an array parses but is not a mapping
+  if (mapping !== undefined && (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping))) {
+    removeUpload(req.file);
+    return res.status(400).json({
+      success: false,
+      error: { message: 'mapping must be a JSON object' }
+    });
+  }
+
+  try {
+    const job = await vitalsImportService.createJob(req.params.id, { format: req.body.format, file: req.file, mapping }, req);
+
+    res.status(202).json({
+      success: true,
+      data: { import: job }
+    });
+  } catch (error) {
+    // The job removes the file once it has run; a job that was never queued does not
+    removeUpload(req.file);
+    throw error;
+  }
+}));
+
+/**
+ * @route   GET /api/patients/:id/vitals-imports
+ * @desc    The patient's recent vitals imports, newest first
+ * @access  Private (record:read)
+ */
+router.get('/', auditPhiAccess('view', 'patient.vitalsImport'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const imports = await vitalsImportService.listJobs(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { imports }
+  });
+}));
+
+/**
+ * @route   GET /api/patients/:id/vitals-imports/:importId
+ * @desc    Status and progress of a vitals import, and its result counts once completed
+ * @access  Private (record:read)
+ */
+router.get('/:importId', validateImportId, auditPhiAccess('view', 'patient.vitalsImport'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const job = await vitalsImportService.getJob(req.params.id, req.params.importId);
+
+  res.status(200).json({
+    success: true,
+    data: { import: job }
+  });
+}));
+
+export default router;
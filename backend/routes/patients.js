@@ -1,16 +1,68 @@
 import express from 'express';
 import Patient from '../models/Patient.js';
+import verificationService from '../services/verificationService.js';
+import revisionService from '../services/revisionService.js';
+import duplicateDetectionService from '../services/duplicateDetectionService.js';
+import patientSearchService from '../services/patientSearchService.js';
+import auditService from '../services/auditService.js';
+import fhirService, { FHIR_CONTENT_TYPE } from '../services/fhirService.js';
+import fhirImportService from '../services/fhirImportService.js';
+import accessPolicyService from '../services/accessPolicyService.js';
+import patientSummaryService, { PDF_CONTENT_TYPE } from '../services/patientSummaryService.js';
+import immunizationService from '../services/immunizationService.js';
+import labResultService from '../services/labResultService.js';
 import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, authorize, authorizePatientAccess } from '../middleware/auth.js';
 import { validatePatientId } from '../middleware/validation.js';
+import { auditPhiAccess } from '../middleware/audit.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import patientRecordRoutes from './patientRecords.js';
+import patientRevisionRoutes from './patientRevisions.js';
+import patientCcdaRoutes from './patientCcda.js';
+import patientVitalsImportRoutes from './patientVitalsImports.js';
 
 const router = express.Router();
 
+router.use(protect);
+
+/**
+ * @route   GET /api/patients
+ * @desc    Search the patients the caller treats (all for admins).
+ *          ?name=&dateOfBirth=&condition=&medication=&allergy=&minAge=&maxAge=&zipCode=
+ *          &minRiskScore=&maxRiskScore=&sort=name|dateOfBirth|riskScore|createdAt&order=asc|desc&page=&limit=
+ * @access  Private (doctor, admin)
+ */
+router.get('/', authorize('doctor', 'admin'), asyncHandler(async (req, res) => {
+  const { patients, page, limit, total } = await patientSearchService.search(req.user, req.query);
+
+  patients.forEach(patient => auditService.recordRequest(req, {
+    patient: patient._id,
+    action: 'view',
+    resource: 'patient.search',
+    statusCode: 200,
+    basis: req.user.role === 'admin' ? 'administration' : 'treatment'
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      patients,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
 /**
  * @route   GET /api/patients/:id
  * @desc    Get patient by ID
- * @access  Private
+ * @access  Private (record:read; the medication list also needs medications:read)
  */
-router.get('/:id', validatePatientId, asyncHandler(async (req, res) => {
+router.get('/:id', validatePatientId, auditPhiAccess('view'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
   const patient = await Patient.findById(req.params.id)
     .populate('primaryDoctor', 'firstName lastName specializations')
     .lean();
@@ -24,33 +76,227 @@ router.get('/:id', validatePatientId, asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    data: { patient }
+    data: { patient: accessPolicyService.redactRecord(patient, req.patientAccess) }
   });
 }));
 
+// Profile fields a record update may change. Record sections such as allergies have
+// their own endpoints (routes/patientRecords.js); account, verification and
+// AI-generated fields are never written here.
+const UPDATABLE_FIELDS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'gender',
+  'address',
+  'bloodType',
+  'insurance',
+  'primaryDoctor'
+];
+
 /**
  * @route   PUT /api/patients/:id
- * @desc    Update patient
+ * @desc    Update patient. A changed email or phone is held until the new value is verified.
  * @access  Private
  */
-router.put('/:id', validatePatientId, asyncHandler(async (req, res) => {
-  const patient = await Patient.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    { new: true, runValidators: true }
+router.put('/:id', validatePatientId, auditPhiAccess('update'), authorizePatientAccess('record:write'), asyncHandler(async (req, res) => {
+  const { email, phone, preferences } = req.body;
+  const updates = Object.fromEntries(
+    UPDATABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]])
   );
 
-  if (!patient) {
+  // Update preference groups individually so the privacy settings, which follow
+  // the consent records, are never overwritten here
+  if (preferences) {
+    Object.entries(preferences)
+      .filter(([group]) => group !== 'privacy')
+      .forEach(([group, value]) => {
+        updates[`preferences.${group}`] = value;
+      });
+  }
+
+  const existingPatient = await Patient.findById(req.params.id);
+
+  if (!existingPatient) {
     return res.status(404).json({
       success: false,
       error: { message: 'Patient not found' }
     });
   }
 
+  // Changing the primary doctor changes who may see the record, so it is checked and
+  // audited on its own; clearing it is always allowed
+  const changesPrimaryDoctor = updates.primaryDoctor !== undefined &&
+    String(updates.primaryDoctor || '') !== String(existingPatient.primaryDoctor || '');
+  if (changesPrimaryDoctor && updates.primaryDoctor) {
+    await accessPolicyService.assertAssignableDoctor(updates.primaryDoctor);
+  }
+
+  const pendingVerification = await verificationService.requestContactChange(existingPatient.toObject(), { email, phone });
+  const before = revisionService.snapshot(existingPatient);
+
+  // Saved rather than updated in place so the save hooks run, e.g. reflagging lab
+  // results against the ranges for a corrected sex or birth date
+  const patient = existingPatient.set(updates);
+  await patient.save({ validateModifiedOnly: true });
+
+  await revisionService.record(patient, { before, req, reason: 'Updated profile' });
+
+  if (changesPrimaryDoctor) {
+    auditService.recordRequest(req, {
+      patient: patient._id,
+      action: 'update',
+      resource: 'patient.primaryDoctor',
+      statusCode: 200,
+      basis: req.patientAccess.basis,
+      grant: req.patientAccess.grant?._id
+    });
+  }
+
+  // A corrected name, birth date or address can reveal a duplicate record
+  if (['firstName', 'lastName', 'dateOfBirth', 'address'].some(field => updates[field] !== undefined)) {
+    duplicateDetectionService.screenPatient(patient)
+      .catch(error => console.error('Error screening for duplicate patients:', error));
+  }
+
   res.status(200).json({
     success: true,
-    data: { patient }
+    data: { patient: accessPolicyService.redactRecord(patient.toJSON(), req.patientAccess), pendingVerification }
+  });
+}));
+
+/**
+ * @route   GET /api/patients/:id/$everything
+ * @desc    The whole record as a FHIR R4 Bundle (Patient/$everything)
+ * @access  Private (record:read; MedicationStatements also need medications:read)
+ */
+router.get('/:id/\\$everything', validatePatientId, auditPhiAccess('export', 'patient.fhir'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const baseUrl = process.env.FHIR_BASE_URL || `${req.protocol}://${req.get('host')}/api/fhir`;
+  const bundle = await fhirService.everything(req.params.id, {
+    baseUrl,
+    includeMedications: accessPolicyService.canReadMedications(req.patientAccess)
   });
+
+  res.status(200).type(FHIR_CONTENT_TYPE).send(JSON.stringify(bundle));
+}));
+
+/**
+ * @route   GET /api/patients/:id/summary.pdf
+ * @desc    Printable summary of the record to bring to a new doctor
+ * @access  Private (record:read; the medications section also needs medications:read)
+ */
+router.get('/:id/summary.pdf', validatePatientId, auditPhiAccess('export', 'patient.summary'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const { pdf, fileName } = await patientSummaryService.generatePdf(req.params.id, {
+    includeMedications: accessPolicyService.canReadMedications(req.patientAccess)
+  });
+
+  res.status(200)
+    .type(PDF_CONTENT_TYPE)
+    .set('Content-Disposition', `attachment; filename="${fileName}"`)
+    .send(pdf);
 }));
 
+/**
+ * @route   GET /api/patients/:id/immunization-schedule
+ * @desc    Due, overdue, upcoming and completed vaccines from the date of birth and immunization history
+ * @access  Private (record:read)
+ */
+router.get('/:id/immunization-schedule', validatePatientId, auditPhiAccess('view', 'patient.immunization-schedule'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const { schedule, asOf, counts, recommendations } = await immunizationService.getSchedule(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { schedule, asOf, counts, recommendations }
+  });
+}));
+
+/**
+ * @route   GET /api/patients/:id/lab-results/trend
+ * @desc    One test's results over time with their flags. ?test=<LOINC code or name>&from=&to=
+ * @access  Private (record:read)
+ */
+router.get('/:id/lab-results/trend', validatePatientId, auditPhiAccess('view', 'patient.labResults'), authorizePatientAccess('record:read'), asyncHandler(async (req, res) => {
+  const { test, from, to } = req.query;
+  const trend = await labResultService.getTrend(req.params.id, { test, from, to });
+
+  res.status(200).json({
+    success: true,
+    data: { trend }
+  });
+}));
+
+/**
+ * @route   POST /api/patients/$import
+ * @desc    Import a FHIR R4 Bundle for a patient who may not have a record yet. The Bundle's
+ *          Patient is matched to the record it was imported into before by its identifiers;
+ *          otherwise a record is created from its name, gender, birth date, phone and email.
+ * @access  Private (doctor, admin; a matched record needs record:write)
+ */
+router.post('/\\$import', authorize('doctor', 'admin'), asyncHandler(async (req, res) => {
+  const { patient, created } = await fhirImportService.findOrCreatePatient(req.body, req);
+
+  if (!created) {
+    const { allowed } = await accessPolicyService.resolvePatientAccess(req.user, patient._id, 'record:write');
+    if (!allowed) {
+      throw new ErrorResponse('Not authorized to access this patient record', 403);
+    }
+  }
+
+  const { summary, results } = await fhirImportService.importBundle(patient._id, req.body, { req });
+  const statusCode = created ? 201 : 200;
+
+  auditService.recordRequest(req, {
+    patient: patient._id,
+    action: 'update',
+    resource: 'patient.fhir',
+    statusCode,
+    basis: req.user.role === 'admin' ? 'administration' : 'treatment'
+  });
+
+  // Screened with the address the import filled in
+  if (created) {
+    Patient.findById(patient._id)
+      .then(imported => duplicateDetectionService.screenPatient(imported))
+      .catch(error => console.error('Error screening for duplicate patients:', error));
+  }
+
+  res.status(statusCode).json({
+    success: true,
+    data: { patient: { _id: patient._id, created }, summary, results }
+  });
+}));
+
+/**
+ * @route   POST /api/patients/:id/$import
+ * @desc    Import a FHIR R4 transaction or collection Bundle (e.g. Synthea output) into the record.
+ *          Re-importing a resource updates the entry it created; results are reported per resource.
+ * @access  Private (record:write; medications also need medications:write)
+ */
+router.post('/:id/\\$import', validatePatientId, auditPhiAccess('update', 'patient.fhir'), authorizePatientAccess('record:write'), asyncHandler(async (req, res) => {
+  const { grant } = req.patientAccess;
+  const { summary, results } = await fhirImportService.importBundle(req.params.id, req.body, {
+    req,
+    canWriteMedications: !grant || grant.allows('medications:write')
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { summary, results }
+  });
+}));
+
+// Revision history: /api/patients/:id/revisions
+router.use('/:id/revisions', validatePatientId, patientRevisionRoutes);
+
+// C-CDA document imports: /api/patients/:id/ccda
+router.use('/:id/ccda', validatePatientId, patientCcdaRoutes);
+
+// Wearable and home-device vitals imports: /api/patients/:id/vitals-imports
+router.use('/:id/vitals-imports', validatePatientId, patientVitalsImportRoutes);
+
+// Record sections: /api/patients/:id/allergies, /medical-history, /vital-signs, ...
+router.use('/:id', validatePatientId, patientRecordRoutes);
+
 export default router; 
\ No newline at end of file
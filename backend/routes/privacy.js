@@ -0,0 +1,89 @@
+import express from 'express';
+import Patient from '../models/Patient.js';
+import dataExportService, { ZIP_CONTENT_TYPE } from '../services/dataExportService.js';
+import erasureService from '../services/erasureService.js';
+import auditService from '../services/auditService.js';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Self-service for the signed-in patient's own data; caregivers cannot act here
+router.use(protect, authorize('patient'));
+
+/**
+ * @route   GET /api/privacy/export
+ * @desc    Download everything held about the patient as a ZIP of JSON and CSV files
+ * @access  Private (patient)
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  const { archive, fileName } = await dataExportService.generateArchive(req.user.id);
+
+  auditService.recordRequest(req, {
+    patient: req.user.id,
+    action: 'export',
+    resource: 'patient.data-export',
+    statusCode: 200,
+    basis: 'self'
+  });
+
+  res.status(200)
+    .type(ZIP_CONTENT_TYPE)
+    .set('Content-Disposition', `attachment; filename="${fileName}"`)
+    .send(archive);
+}));
+
+/**
+ * @route   GET /api/privacy/erasure
+ * @desc    The patient's scheduled erasure request, if any
+ * @access  Private (patient)
+ */
+router.get('/erasure', asyncHandler(async (req, res) => {
+  const request = await erasureService.findOpenRequest(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { request }
+  });
+}));
+
+/**
+ * @route   POST /api/privacy/erasure
+ * @desc    Ask for the account and its data to be erased after the grace period (requires the password)
+ * @access  Private (patient)
+ */
+router.post('/erasure', asyncHandler(async (req, res) => {
+  const { password, reason } = req.body;
+
+  const patient = await Patient.findById(req.user.id).select('+password');
+
+  if (!password || !(await patient.matchPassword(password))) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Incorrect password' }
+    });
+  }
+
+  const request = await erasureService.requestErasure(req.user.id, { reason });
+
+  res.status(201).json({
+    success: true,
+    data: { request }
+  });
+}));
+
+/**
+ * @route   DELETE /api/privacy/erasure
+ * @desc    Cancel a scheduled erasure request
+ * @access  Private (patient)
+ */
+router.delete('/erasure', asyncHandler(async (req, res) => {
+  const request = await erasureService.cancel(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { request }
+  });
+}));
+
+export default router;
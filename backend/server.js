@@ -6,6 +6,7 @@ import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
+import cron from 'node-cron';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -17,11 +18,21 @@ import medicationRoutes from './routes/medications.js';
 import healthRecordsRoutes from './routes/healthRecords.js';
 import aiRoutes from './routes/ai.js';
 import analyticsRoutes from './routes/analytics.js';
+import adminRoutes from './routes/admin.js';
+import caregiverRoutes from './routes/caregivers.js';
+import consentRoutes from './routes/consents.js';
+import auditRoutes from './routes/audit.js';
+import privacyRoutes from './routes/privacy.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
 
+// Import services
+import encryptionService from './services/encryptionService.js';
+import erasureService from './services/erasureService.js';
+import vitalsImportService from './services/vitalsImportService.js';
+
 dotenv.config();
 
 const app = express();
@@ -61,11 +72,11 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'x-access-reason', 'x-change-reason'],
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -83,8 +94,24 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/healthcar
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
-.catch((err) => console.error('❌ MongoDB connection error:', err));
+.then(async () => {
+  console.log('✅ MongoDB connected successfully');
+  await encryptionService.initialize();
+  console.log('🔐 Field encryption keys loaded');
+
+  // Erase patient data whose grace period has ended (hourly by default)
+  cron.schedule(process.env.ERASURE_SCHEDULE || '0 * * * *', () => {
+    erasureService.processDueRequests()
+      .catch(error => console.error('Error processing erasure requests:', error));
+  });
+
+  // Run device vitals imports left queued or cut short by a restart (every 5 minutes by default)
+  const resumeVitalsImports = () => vitalsImportService.processPending()
+    .catch(error => console.error('Error resuming vitals imports:', error));
+  resumeVitalsImports();
+  cron.schedule(process.env.VITALS_IMPORT_SCHEDULE || '*/5 * * * *', resumeVitalsImports);
+})
+.catch((err) => console.error('❌ Startup error:', err));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -106,6 +133,11 @@ app.use('/api/medications', medicationRoutes);
 app.use('/api/health-records', healthRecordsRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/caregivers', caregiverRoutes);
+app.use('/api/consents', consentRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/privacy', privacyRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -122,6 +154,11 @@ app.get('/', (req, res) => {
       healthRecords: '/api/health-records',
       ai: '/api/ai',
       analytics: '/api/analytics',
+      admin: '/api/admin',
+      caregivers: '/api/caregivers',
+      consents: '/api/consents',
+      audit: '/api/audit',
+      privacy: '/api/privacy',
     }
   });
 });
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import Doctor from '../models/Doctor.js';
+import Appointment from '../models/Appointment.js';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+class AccessPolicyService {
+  /**
+   * Decide whether a user may access a patient record for a scope such as
+   * 'record:read' or 'medications:write'. Returns the basis for access
+   * (self, treatment, caregiver or administration) and the caregiver grant
+   * when access is by proxy so the action can be attributed.
+   */
+  async resolvePatientAccess(user, patientId, scope = 'record:read') {
+    if (!user || !patientId) return { allowed: false, basis: null, grant: null };
+
+    switch (user.role) {
+      case 'admin':
+        return { allowed: true, basis: 'administration', grant: null };
+
+      case 'patient':
+        if (user.id === patientId.toString()) {
+          return { allowed: true, basis: 'self', grant: null };
+        }
+        // A patient may also be a caregiver for someone else
+        return this.resolveCaregiverAccess(user, patientId, scope);
+
+      case 'doctor': {
+        const allowed = await this.isTreatingDoctor(user.id, patientId);
+        return { allowed, basis: allowed ? 'treatment' : null, grant: null };
+      }
+
+      case 'caregiver':
+        return this.resolveCaregiverAccess(user, patientId, scope);
+
+      default:
+        return { allowed: false, basis: null, grant: null };
+    }
+  }
+
+  /**
+   * A doctor treats a patient when they are the primary doctor or share an appointment
+   */
+  async isTreatingDoctor(doctorId, patientId) {
+    const isPrimaryDoctor = await Patient.exists({ _id: patientId, primaryDoctor: doctorId });
+    if (isPrimaryDoctor) return true;
+
+    const hasAppointment = await Appointment.exists({ patient: patientId, doctor: doctorId });
+    return Boolean(hasAppointment);
+  }
+
+  /**
+   * Check a doctor may be made a patient's primary doctor, which gives them treatment
+   * access to the whole record: only an existing, verified and active doctor can be
+   */
+  async assertAssignableDoctor(doctorId) {
+    const assignable = typeof doctorId === 'string' && mongoose.Types.ObjectId.isValid(doctorId) &&
+      await Doctor.exists({ _id: doctorId, isActive: true, isVerified: true });
+
+    if (!assignable) {
+      throw new ErrorResponse('primaryDoctor must be a verified, active doctor', 400);
+    }
+  }
+
+  /**
+   * Query filter for the patients a clinician may look up: every patient for an
+   * admin, those a doctor treats, and none for anyone else
+   */
+  async treatedPatientsFilter(user) {
+    switch (user?.role) {
+      case 'admin':
+        return {};
+
+      case 'doctor': {
+        const appointmentPatients = await Appointment.distinct('patient', { doctor: user.id });
+        return { $or: [{ primaryDoctor: user.id }, { _id: { $in: appointmentPatients } }] };
+      }
+
+      default:
+        return { _id: { $in: [] } };
+    }
+  }
+
+  /**
+   * Whether access resolved by resolvePatientAccess covers the medication list:
+   * a caregiver also needs medications:read, whatever record scope they hold
+   */
+  canReadMedications({ grant } = {}) {
+    return !grant || grant.allows('medications:read');
+  }
+
+  /**
+   * Record paths left out of what this access reads through whole-record endpoints
+   */
+  hiddenRecordPaths(patientAccess) {
+    return this.canReadMedications(patientAccess) ? [] : ['currentMedications'];
+  }
+
+  /**
+   * A plain copy of a patient record (or revision snapshot) without the paths
+   * hidden from this access
+   */
+  redactRecord(record, patientAccess) {
+    const hidden = this.hiddenRecordPaths(patientAccess);
+    return Object.fromEntries(Object.entries(record).filter(([path]) => !hidden.includes(path)));
+  }
+
+  async resolveCaregiverAccess(user, patientId, scope) {
+    const grant = await CaregiverGrant.findActiveGrant(user.id, user.role, patientId);
+
+    if (!grant || !grant.allows(scope)) {
+      return { allowed: false, basis: null, grant: null };
+    }
+
+    return { allowed: true, basis: 'caregiver', grant };
+  }
+}
+
+export default new AccessPolicyService();
@@ -2,6 +2,8 @@ import OpenAI from 'openai';
 import Patient from '../models/Patient.js';
 import Doctor from '../models/Doctor.js';
 import Hospital from '../models/Hospital.js';
+import consentService from './consentService.js';
+import ErrorResponse from '../utils/errorResponse.js';
 
 class AIService {
   constructor() {
@@ -19,10 +21,26 @@ class AIService {
     }
   }
 
+  /**
+   * Patient data is only sent to the external LLM with the patient's ai-processing consent
+   */
+  async hasAIConsent(patientId) {
+    return consentService.hasConsent(patientId, 'ai-processing');
+  }
+
+  async assertAIConsent(patientId) {
+    if (!(await this.hasAIConsent(patientId))) {
+      throw new ErrorResponse('The patient has not consented to AI processing of their health data', 403);
+    }
+  }
+
   /**
    * Generate comprehensive patient history summary using AI
    */
   async generatePatientSummary(patientId) {
+    // The whole record goes into the prompt, so there is nothing to degrade to
+    await this.assertAIConsent(patientId);
+
     try {
       const patient = await Patient.findById(patientId)
         .populate('primaryDoctor', 'firstName lastName specializations')
@@ -166,10 +184,15 @@ class AIService {
       // Use AI to rank doctors based on patient conditions
       const rankedDoctors = await this.rankDoctorsByPatientConditions(doctors, activeConditions, patient);
 
+      // Without consent, fall back to a standard description instead of an LLM-written one
+      const aiProcessed = await this.hasAIConsent(patientId);
+
       // Generate personalized recommendations for each doctor
       const recommendations = await Promise.all(
         rankedDoctors.slice(0, maxResults).map(async (doctor) => {
-          const recommendation = await this.generateDoctorRecommendation(doctor, patient, activeConditions);
+          const recommendation = aiProcessed
+            ? await this.generateDoctorRecommendation(doctor, patient, activeConditions)
+            : this.describeDoctor(doctor);
           return {
             doctor,
             recommendation,
@@ -183,6 +206,7 @@ class AIService {
         recommendations,
         searchCriteria,
         totalFound: doctors.length,
+        aiProcessed,
         generatedAt: new Date()
       };
 
@@ -265,7 +289,12 @@ class AIService {
         reaction: allergy.reaction
       })),
       vitals: patient.vitalSigns.length > 0 ? patient.vitalSigns[patient.vitalSigns.length - 1] : null,
-      familyHistory: patient.familyHistory || []
+      familyHistory: (patient.familyHistory || []).map(entry => ({
+        relative: entry.relative,
+        side: entry.side,
+        condition: entry.condition,
+        ageAtOnset: entry.ageAtOnset
+      }))
     };
   }
 
@@ -391,10 +420,14 @@ class AIService {
 
     } catch (error) {
       console.error('Error generating doctor recommendation:', error);
-      return `Dr. ${doctor.firstName} ${doctor.lastName} is a qualified ${doctor.specializations[0]} with ${doctor.yearsOfExperience} years of experience.`;
+      return this.describeDoctor(doctor);
     }
   }
 
+  describeDoctor(doctor) {
+    return `Dr. ${doctor.firstName} ${doctor.lastName} is a qualified ${doctor.specializations[0]} with ${doctor.yearsOfExperience} years of experience.`;
+  }
+
   /**
    * Generate health insights based on trends in patient data
    */
@@ -408,6 +441,16 @@ class AIService {
 
       // Analyze vital signs trends
       const vitalsAnalysis = this.analyzeVitalsTrends(patient.vitalSigns);
+
+      // Trends are computed locally; only the written insights need the LLM
+      if (!(await this.hasAIConsent(patientId))) {
+        return {
+          insights: null,
+          trends: vitalsAnalysis,
+          aiProcessed: false,
+          generatedAt: new Date()
+        };
+      }
       
       const prompt = `
         Analyze these health trends and provide insights:
@@ -440,6 +483,7 @@ class AIService {
       return {
         insights: completion.choices[0].message.content,
         trends: vitalsAnalysis,
+        aiProcessed: true,
         generatedAt: new Date()
       };
 
@@ -652,10 +696,10 @@ Moderate to high risk profile due to multiple comorbidities requiring proactive
   /**
    * Medical chat AI functionality
    */
-  async chatWithMedicalAI(message, conversationHistory = []) {
+  async chatWithMedicalAI(message, conversationHistory = [], { allowExternalAI = true } = {}) {
     try {
-      // If no real API key, provide fallback response
-      if (!this.hasRealApiKey) {
+      // If no real API key, or the user has not consented, provide fallback response
+      if (!this.hasRealApiKey || !allowExternalAI) {
         return {
           message: "Hello! I'm MedAssist, your personal healthcare assistant. How can I help you today?",
           suggestions: this.generateMedicalSuggestions(message),
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import AuditLog from '../models/AuditLog.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_REASON_LENGTH = 500;
+
+const getOutcome = (statusCode) => {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return 'error';
+};
+
+class AuditService {
+  constructor() {
+    // Appends are serialized within this process; the unique sequence index
+    // catches races between processes, which then retry on the new tail
+    this.queue = Promise.resolve();
+  }
+
+  record(entry) {
+    const append = this.queue.then(() => this.append(entry));
+    this.queue = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * Record access to a patient's information made by a request. Failures are
+   * logged rather than failing the request.
+   */
+  recordRequest(req, { patient, action, resource, statusCode, basis, grant }) {
+    const reason = req.get('x-access-reason');
+
+    return this.record({
+      actor: {
+        user: req.user.id,
+        userType: req.user.role,
+        name: `${req.user.firstName} ${req.user.lastName}`
+      },
+      patient,
+      action,
+      resource,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      outcome: getOutcome(statusCode),
+      basis,
+      reason: reason ? reason.slice(0, MAX_REASON_LENGTH) : undefined,
+      grant,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Error writing audit log:', error));
+  }
+
+  async append(entry, attempt = 1) {
+    const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+    // Build the document first so the hash covers values exactly as they are stored
+    const auditEntry = new AuditLog({
+      ...entry,
+      sequence: last ? last.sequence + 1 : 1,
+      occurredAt: entry.occurredAt || new Date(),
+      previousHash: last ? last.hash : GENESIS_HASH
+    });
+    auditEntry.hash = this.computeHash(auditEntry);
+
+    try {
+      return await auditEntry.save();
+    } catch (error) {
+      if (error.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) {
+        return this.append(entry, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  computeHash(entry) {
+    const canonical = JSON.stringify([
+      entry.sequence,
+      new Date(entry.occurredAt).toISOString(),
+      entry.actor?.user?.toString() || null,
+      entry.actor?.userType || null,
+      entry.actor?.name || null,
+      entry.patient.toString(),
+      entry.action,
+      entry.resource,
+      entry.method || null,
+      entry.path || null,
+      entry.statusCode ?? null,
+      entry.outcome,
+      entry.basis || null,
+      entry.reason || null,
+      entry.grant?.toString() || null,
+      entry.ipAddress || null,
+      entry.userAgent || null,
+      entry.previousHash
+    ]);
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * Walk the chain in sequence order and report the first entry that is
+   * missing, out of order, or does not match its hash
+   */
+  async verifyChain({ from = 1, to } = {}) {
+    let expectedPreviousHash = GENESIS_HASH;
+
+    if (from > 1) {
+      const previous = await AuditLog.findOne({ sequence: from - 1 }).select('hash').lean();
+      if (!previous) {
+        return { valid: false, checked: 0, brokenAt: from - 1, reason: 'Entry is missing' };
+      }
+      expectedPreviousHash = previous.hash;
+    }
+
+    const query = { sequence: { $gte: from, ...(to && { $lte: to }) } };
+    const cursor = AuditLog.find(query).sort({ sequence: 1 }).lean().cursor();
+
+    let expectedSequence = from;
+    let checked = 0;
+
+    for await (const entry of cursor) {
+      if (entry.sequence !== expectedSequence) {
+        return { valid: false, checked, brokenAt: expectedSequence, reason: 'Entry is missing' };
+      }
+
+      if (entry.previousHash !== expectedPreviousHash) {
+        return { valid: false, checked, brokenAt: entry.sequence, reason: 'Link to the previous entry does not match' };
+      }
+
+      if (this.computeHash(entry) !== entry.hash) {
+        return { valid: false, checked, brokenAt: entry.sequence, reason: 'Entry contents do not match its hash' };
+      }
+
+      expectedPreviousHash = entry.hash;
+      expectedSequence += 1;
+      checked += 1;
+    }
+
+    // Keeping the head hash somewhere else also makes removal of the newest entries detectable
+    return {
+      valid: true,
+      checked,
+      lastSequence: expectedSequence - 1,
+      headHash: expectedPreviousHash
+    };
+  }
+
+  /**
+   * Access counts over a period for compliance reporting
+   */
+  async buildReport({ from, to }) {
+    const match = { occurredAt: { $gte: from, $lte: to } };
+
+    const [report] = await AuditLog.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $count: 'entries' }],
+          byAction: [{ $group: { _id: '$action', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+          byOutcome: [{ $group: { _id: '$outcome', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+          byBasis: [{ $group: { _id: '$basis', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+          topActors: [
+            {
+              $group: {
+                _id: { user: '$actor.user', userType: '$actor.userType' },
+                name: { $last: '$actor.name' },
+                accesses: { $sum: 1 },
+                patients: { $addToSet: '$patient' },
+                denied: { $sum: { $cond: [{ $eq: ['$outcome', 'denied'] }, 1, 0] } }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                user: '$_id.user',
+                userType: '$_id.userType',
+                name: 1,
+                accesses: 1,
+                denied: 1,
+                distinctPatients: { $size: '$patients' }
+              }
+            },
+            { $sort: { accesses: -1 } },
+            { $limit: 20 }
+          ]
+        }
+      }
+    ]);
+
+    const toCounts = (groups) => Object.fromEntries(groups.map(group => [group._id || 'unknown', group.count]));
+
+    return {
+      period: { from, to },
+      totalEntries: report.totals[0]?.entries || 0,
+      byAction: toCounts(report.byAction),
+      byOutcome: toCounts(report.byOutcome),
+      byBasis: toCounts(report.byBasis),
+      topActors: report.topActors
+    };
+  }
+}
+
+export default new AuditService();
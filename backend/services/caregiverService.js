@@ -0,0 +1,135 @@
+import CaregiverGrant, { CAREGIVER_SCOPES } from '../models/CaregiverGrant.js';
+import mailService from './mailService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+
+const INVITATION_EXPIRE_DAYS = 7;
+
+class CaregiverService {
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ErrorResponse('At least one scope is required', 400);
+    }
+
+    const invalid = scopes.filter(scope => !CAREGIVER_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new ErrorResponse(`Invalid scopes: ${invalid.join(', ')}`, 400);
+    }
+  }
+
+  validateExpiry(expiresAt) {
+    const expiry = new Date(expiresAt);
+    if (!expiresAt || Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new ErrorResponse('Access expiry date must be in the future', 400);
+    }
+    return expiry;
+  }
+
+  /**
+   * Create a pending grant and email the invitation link
+   */
+  async createInvitation(patient, { email, relationship, scopes, expiresAt }) {
+    if (!email || typeof email !== 'string') {
+      throw new ErrorResponse('Caregiver email is required', 400);
+    }
+
+    if (email.toLowerCase() === patient.email) {
+      throw new ErrorResponse('You cannot invite yourself as a caregiver', 400);
+    }
+
+    this.validateScopes(scopes);
+    const expiry = this.validateExpiry(expiresAt);
+
+    const { token, tokenHash } = createRandomToken();
+
+    const grant = await CaregiverGrant.create({
+      patient: patient._id,
+      inviteEmail: email,
+      relationship,
+      scopes,
+      expiresAt: expiry,
+      inviteTokenHash: tokenHash,
+      inviteExpiresAt: new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const invitationUrl = `${frontendUrl}/caregiver-invitation?token=${token}`;
+
+    try {
+      await mailService.sendCaregiverInvitation(email, `${patient.firstName} ${patient.lastName}`, invitationUrl, scopes);
+    } catch (error) {
+      console.error('Error sending caregiver invitation:', error);
+    }
+
+    return grant;
+  }
+
+  async findPendingInvitation(token) {
+    if (typeof token !== 'string') return null;
+
+    return CaregiverGrant.findOne({
+      inviteTokenHash: hashToken(token),
+      status: 'pending',
+      inviteExpiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Bind a pending invitation to the accepting account and activate it. Only the
+   * account with the email address the invitation was sent to can accept it.
+   */
+  async acceptInvitation(token, grantee, email) {
+    const grant = await this.findPendingInvitation(token);
+
+    if (!grant) {
+      throw new ErrorResponse('Invitation is invalid or has expired', 400);
+    }
+
+    if (typeof email !== 'string' || email.trim().toLowerCase() !== grant.inviteEmail) {
+      throw new ErrorResponse('This invitation was sent to a different email address', 403);
+    }
+
+    if (grantee.userType === 'patient' && grant.patient.toString() === grantee.user.toString()) {
+      throw new ErrorResponse('You cannot accept your own invitation', 400);
+    }
+
+    grant.grantee = grantee;
+    grant.status = 'active';
+    grant.acceptedAt = new Date();
+    grant.inviteTokenHash = undefined;
+    await grant.save();
+
+    return grant;
+  }
+
+  async declineInvitation(token) {
+    const grant = await this.findPendingInvitation(token);
+
+    if (!grant) {
+      throw new ErrorResponse('Invitation is invalid or has expired', 400);
+    }
+
+    grant.status = 'declined';
+    grant.inviteTokenHash = undefined;
+    await grant.save();
+
+    return grant;
+  }
+
+  /**
+   * Active grants the user holds, i.e. the patient profiles they can switch to
+   */
+  async getProfiles(userId, userType) {
+    return CaregiverGrant.find({
+      'grantee.user': userId,
+      'grantee.userType': userType,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('patient', 'firstName lastName dateOfBirth gender')
+      .sort({ acceptedAt: -1 })
+      .lean();
+  }
+}
+
+export default new CaregiverService();
@@ -0,0 +1,237 @@
+import Patient from '../models/Patient.js';
+import RecordImport from '../models/RecordImport.js';
+import revisionService from './revisionService.js';
+import { LOINC_CODE } from './labResultService.js';
+import { VITAL_SIGN_PATHS } from './fhirImportService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { parseCcda } from '../utils/ccda.js';
+import { matchingDay, toVitalSignValue, upsertEntry } from '../utils/recordImport.js';
+
+const PENDING_IMPORT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// C-CDA sections and the record paths they fill
+const SECTION_PATHS = {
+  problems: 'medicalHistory',
+  medications: 'currentMedications',
+  allergies: 'allergies',
+  vitals: 'vitalSigns',
+  results: 'labResults'
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const countByStatus = results => results.reduce((counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {});
+
+class CcdaImportService {
+  /**
+   * Parse an uploaded C-CDA document and keep it as a pending import for review.
+   * Without `includeMedications` the preview leaves the medications section out.
+   */
+  async createPreview(patientId, { xml, fileName, includeMedications = true }, req) {
+    const parsed = parseCcda(xml);
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    if (parsed.patient.birthDate && !matchingDay(parsed.patient.birthDate, patient.dateOfBirth)) {
+      throw new ErrorResponse('The document is about a different patient: birth dates differ', 422);
+    }
+
+    const recordImport = await RecordImport.create({
+      patient: patient._id,
+      uploadedBy: {
+        user: req.user.id,
+        userType: req.user.role,
+        name: `${req.user.firstName} ${req.user.lastName}`
+      },
+      fileName,
+      parsed: JSON.stringify(parsed),
+      expiresAt: new Date(Date.now() + PENDING_IMPORT_TTL_MS)
+    });
+
+    return this.toPreview(recordImport, patient, { includeMedications });
+  }
+
+  async getPreview(patientId, importId, { includeMedications = true } = {}) {
+    const recordImport = await this.findImport(patientId, importId);
+    const patient = await Patient.findById(patientId);
+
+    return this.toPreview(recordImport, patient, { includeMedications });
+  }
+
+  /**
+   * Write a pending import to the record. `excluded` lists, per section, the indexes
+   * of entries the reviewer left out.
+   */
+  async commit(patientId, importId, { excluded = {}, canWriteMedications = true } = {}, req) {
+    if (!isPlainObject(excluded) || !Object.values(excluded).every(Array.isArray)) {
+      throw new ErrorResponse('excluded must list entry indexes per section, e.g. { "problems": [1] }', 400);
+    }
+
+    const recordImport = await this.findPendingImport(patientId, importId);
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const parsed = recordImport.getParsed();
+    const before = revisionService.snapshot(patient);
+    const results = this.apply(patient, parsed, { excluded, canWriteMedications });
+    const summary = countByStatus(results);
+
+    if (patient.isModified()) {
+      await patient.save({ validateModifiedOnly: true });
+      await revisionService.record(patient, {
+        before,
+        req,
+        reason: `Imported ${parsed.document.title || 'C-CDA document'}`
+      });
+    }
+
+    recordImport.set({
+      status: 'committed',
+      summary,
+      committedAt: new Date(),
+      parsed: undefined,
+      expiresAt: undefined
+    });
+    await recordImport.save();
+
+    return { summary, results };
+  }
+
+  async discard(patientId, importId) {
+    const recordImport = await this.findPendingImport(patientId, importId);
+
+    recordImport.set({ status: 'discarded', parsed: undefined, expiresAt: undefined });
+    await recordImport.save();
+  }
+
+  async findImport(patientId, importId) {
+    const recordImport = await RecordImport.findOne({ _id: importId, patient: patientId });
+
+    if (!recordImport) {
+      throw new ErrorResponse('Import not found', 404);
+    }
+
+    return recordImport;
+  }
+
+  async findPendingImport(patientId, importId) {
+    const recordImport = await this.findImport(patientId, importId);
+
+    if (recordImport.status !== 'pending') {
+      throw new ErrorResponse(`This import has already been ${recordImport.status}`, 409);
+    }
+
+    return recordImport;
+  }
+
+  /**
+   * The parsed document with the result committing would have for each entry,
+   * worked out on the loaded record without saving it
+   */
+  toPreview(recordImport, patient, { includeMedications = true } = {}) {
+    const parsed = recordImport.getParsed();
+    const preview = {
+      _id: recordImport._id,
+      status: recordImport.status,
+      fileName: recordImport.fileName,
+      summary: recordImport.summary,
+      createdAt: recordImport.createdAt,
+      expiresAt: recordImport.expiresAt
+    };
+
+    if (!parsed || !patient) return preview;
+
+    const results = this.apply(patient, parsed)
+      .filter(({ section }) => includeMedications || section !== 'medications');
+
+    return {
+      ...preview,
+      summary: countByStatus(results),
+      document: parsed.document,
+      patient: parsed.patient,
+      sections: Object.fromEntries(
+        Object.entries(parsed.sections)
+          .filter(([section]) => includeMedications || section !== 'medications')
+          .map(([section, items]) => [
+            section,
+            items.map((item, index) => {
+              const { status, message } = results.find(result => result.section === section && result.index === index);
+              return { index, ...item, result: { status, message } };
+            })
+          ])
+      )
+    };
+  }
+
+  apply(patient, parsed, { excluded = {}, canWriteMedications = true } = {}) {
+    return Object.entries(SECTION_PATHS).flatMap(([section, path]) =>
+      (parsed.sections[section] || []).map((item, index) => {
+        const result = { section, index };
+
+        if ((excluded[section] || []).map(Number).includes(index)) {
+          return { ...result, status: 'skipped', message: 'Left out during review' };
+        }
+
+        if (path === 'currentMedications' && !canWriteMedications) {
+          return { ...result, status: 'failed', message: 'Not authorized to write medications' };
+        }
+
+        try {
+          return { ...result, ...upsertEntry(patient, path, this.toEntry(section, item)) };
+        } catch (error) {
+          return { ...result, status: 'failed', message: error.message };
+        }
+      }));
+  }
+
+  toEntry(section, item) {
+    if (section === 'results') return this.toLabResultEntry(item);
+    if (section !== 'vitals') return item;
+
+    const fields = Object.fromEntries(
+      item.observations
+        .map(observation => [VITAL_SIGN_PATHS[observation.code], toVitalSignValue(observation.value, observation.unit)])
+        .filter(([path, value]) => path && value !== undefined)
+    );
+
+    if (Object.keys(fields).length === 0) {
+      throw new ErrorResponse('No vital signs the record keeps', 422);
+    }
+
+    if (!item.recordedDate) {
+      throw new ErrorResponse('Vital signs have no time', 422);
+    }
+
+    return { fields: { ...fields, recordedDate: item.recordedDate }, identifiers: item.identifiers };
+  }
+
+  toLabResultEntry(item) {
+    if (typeof item.value !== 'number') {
+      throw new ErrorResponse('Only numeric lab results are stored', 422);
+    }
+
+    if (!item.effectiveTime) {
+      throw new ErrorResponse('Lab result has no specimen date', 422);
+    }
+
+    return {
+      fields: {
+        test: item.name,
+        // Results coded in other systems keep only their name
+        loincCode: LOINC_CODE.test(item.code || '') ? item.code : undefined,
+        value: item.value,
+        unit: item.unit,
+        specimenDate: item.effectiveTime
+      },
+      identifiers: item.identifiers
+    };
+  }
+}
+
+export default new CcdaImportService();
@@ -0,0 +1,150 @@
+import Patient from '../models/Patient.js';
+import ConsentDocument, { CONSENT_TYPES } from '../models/ConsentDocument.js';
+import ConsentRecord from '../models/ConsentRecord.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+// Patient.preferences.privacy flag kept in sync with each consent type
+const PRIVACY_FIELDS = {
+  'ai-processing': 'allowAIProcessing',
+  research: 'shareDataForResearch',
+  marketing: 'allowMarketing'
+};
+
+class ConsentService {
+  validateType(type) {
+    if (!CONSENT_TYPES.includes(type)) {
+      throw new ErrorResponse(`Invalid consent type. Expected one of: ${CONSENT_TYPES.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * The version of a consent document currently in effect
+   */
+  async getCurrentDocument(type) {
+    return ConsentDocument.findOne({ type, effectiveAt: { $lte: new Date() } })
+      .sort({ version: -1 })
+      .lean();
+  }
+
+  async getCurrentDocuments() {
+    const documents = await Promise.all(CONSENT_TYPES.map(type => this.getCurrentDocument(type)));
+    return documents.filter(Boolean);
+  }
+
+  /**
+   * Lowest version a grant must be for to still count
+   */
+  async getMinimumVersion(type) {
+    const document = await ConsentDocument.findOne({
+      type,
+      requiresReconsent: true,
+      effectiveAt: { $lte: new Date() }
+    })
+      .sort({ version: -1 })
+      .lean();
+
+    return document ? document.version : 1;
+  }
+
+  async publishDocument({ type, title, body, requiresReconsent = false, effectiveAt }, adminId) {
+    this.validateType(type);
+
+    const latest = await ConsentDocument.findOne({ type }).sort({ version: -1 }).lean();
+
+    return ConsentDocument.create({
+      type,
+      version: latest ? latest.version + 1 : 1,
+      title,
+      body,
+      requiresReconsent,
+      effectiveAt: effectiveAt || new Date(),
+      publishedBy: adminId
+    });
+  }
+
+  async getLatestRecord(patientId, type) {
+    return ConsentRecord.findOne({ patient: patientId, type })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Whether the patient currently has a valid grant for the consent type
+   */
+  async hasConsent(patientId, type) {
+    const record = await this.getLatestRecord(patientId, type);
+    if (!record || record.action !== 'granted') return false;
+
+    return record.version >= await this.getMinimumVersion(type);
+  }
+
+  async getStatus(patientId) {
+    return Promise.all(CONSENT_TYPES.map(async (type) => {
+      const [record, document, minimumVersion] = await Promise.all([
+        this.getLatestRecord(patientId, type),
+        this.getCurrentDocument(type),
+        this.getMinimumVersion(type)
+      ]);
+
+      const granted = Boolean(record && record.action === 'granted');
+
+      return {
+        type,
+        granted: granted && record.version >= minimumVersion,
+        grantedVersion: granted ? record.version : null,
+        currentVersion: document ? document.version : null,
+        reconsentRequired: granted && record.version < minimumVersion,
+        recordedAt: record ? record.createdAt : null
+      };
+    }));
+  }
+
+  async getHistory(patientId) {
+    return ConsentRecord.find({ patient: patientId })
+      .populate('document', 'title version')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Record a grant or withdrawal against the current document and update the
+   * patient's privacy preferences to match. A grant must name the version the
+   * patient was shown, so they never agree to text they have not seen.
+   */
+  async recordDecision(patientId, { type, action, version }, actor, req) {
+    this.validateType(type);
+
+    if (!['granted', 'withdrawn'].includes(action)) {
+      throw new ErrorResponse('Action must be granted or withdrawn', 400);
+    }
+
+    const document = await this.getCurrentDocument(type);
+    if (!document) {
+      throw new ErrorResponse('No consent document has been published for this type', 400);
+    }
+
+    if (action === 'granted' && Number(version) !== document.version) {
+      throw new ErrorResponse(`Consent must be given for the current version (${document.version}) of this document`, 409);
+    }
+
+    const record = await ConsentRecord.create({
+      patient: patientId,
+      type,
+      action,
+      document: document._id,
+      version: document.version,
+      actor,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await Patient.updateOne(
+      { _id: patientId },
+      { [`preferences.privacy.${PRIVACY_FIELDS[type]}`]: action === 'granted' }
+    );
+
+    return record;
+  }
+}
+
+export default new ConsentService();
@@ -0,0 +1,168 @@
+import archiver from 'archiver';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import AuditLog from '../models/AuditLog.js';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import ChatMessage from '../models/ChatMessage.js';
+import ConsentRecord from '../models/ConsentRecord.js';
+import Doctor from '../models/Doctor.js';
+import Hospital from '../models/Hospital.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { toCsv } from '../utils/csv.js';
+
+export const ZIP_CONTENT_TYPE = 'application/zip';
+
+// Record sections exported as their own datasets, by file name
+const RECORD_SECTIONS = {
+  'medical-history': 'medicalHistory',
+  medications: 'currentMedications',
+  allergies: 'allergies',
+  'vital-signs': 'vitalSigns',
+  'lab-results': 'labResults',
+  immunizations: 'immunizations',
+  'family-history': 'familyHistory',
+  'emergency-contacts': 'emergencyContacts'
+};
+
+// ObjectIds become strings and dates ISO strings, as in API responses
+const toPlain = value => JSON.parse(JSON.stringify(value));
+
+const toBuffer = archive => new Promise((resolve, reject) => {
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+});
+
+class DataExportService {
+  /**
+   * Everything held about a patient, for the patient to download: a ZIP with each
+   * dataset as JSON and CSV and a manifest listing them
+   */
+  async generateArchive(patientId) {
+    const patient = await Patient.findById(patientId).populate('primaryDoctor', 'firstName lastName');
+
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const generatedAt = new Date();
+    const datasets = await this.collect(patient);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const archived = toBuffer(archive);
+
+    const manifest = {
+      patient: patient._id.toString(),
+      generatedAt,
+      datasets: Object.entries(datasets).map(([name, records]) => {
+        archive.append(JSON.stringify(records, null, 2), { name: `json/${name}.json`, date: generatedAt });
+        archive.append(toCsv(records), { name: `csv/${name}.csv`, date: generatedAt });
+
+        return { name, records: records.length, files: [`json/${name}.json`, `csv/${name}.csv`] };
+      })
+    };
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json', date: generatedAt });
+
+    archive.finalize();
+
+    return { archive: await archived, fileName: this.fileName(patient, generatedAt) };
+  }
+
+  fileName(patient, generatedAt) {
+    const name = `${patient.firstName}-${patient.lastName}`.toLowerCase().replace(/[^a-z0-9-]+/g, '');
+    return `${name}-data-${generatedAt.toISOString().slice(0, 10)}.zip`;
+  }
+
+  /**
+   * The patient's datasets as arrays of plain records, with encrypted fields decrypted
+   */
+  async collect(patient) {
+    const record = toPlain(patient.toObject({ getters: true, virtuals: false, versionKey: false }));
+    const sections = Object.fromEntries(Object.entries(RECORD_SECTIONS).map(([name, path]) => [name, record[path]]));
+
+    const profile = { ...record };
+    Object.values(RECORD_SECTIONS).forEach(path => delete profile[path]);
+    delete profile.healthSummary;
+
+    const [appointments, consents, caregiverGrants, chatHistory, accessLog, reviews] = await Promise.all([
+      Appointment.find({ patient: patient._id })
+        .populate('doctor', 'firstName lastName')
+        .populate('hospital', 'name')
+        .select('-__v')
+        .sort({ scheduledAt: -1 })
+        .lean(),
+      ConsentRecord.find({ patient: patient._id })
+        .select('type action version actor createdAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      CaregiverGrant.find({ patient: patient._id })
+        .select('inviteEmail relationship scopes status expiresAt acceptedAt revokedAt createdAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      this.collectChatHistory(patient._id),
+      // As in the patient's access log view: other users' network details are left out
+      AuditLog.find({ patient: patient._id })
+        .select('occurredAt actor action resource outcome basis reason')
+        .sort({ occurredAt: -1 })
+        .lean(),
+      this.collectReviews(patient._id)
+    ]);
+
+    return {
+      profile: [profile],
+      ...sections,
+      'ai-health-summary': record.healthSummary ? [record.healthSummary] : [],
+      appointments: toPlain(appointments),
+      consents: toPlain(consents),
+      'caregiver-grants': toPlain(caregiverGrants),
+      'chat-history': chatHistory,
+      'access-log': toPlain(accessLog),
+      reviews
+    };
+  }
+
+  async collectChatHistory(patientId) {
+    const messages = await ChatMessage.find({ patient: patientId }).sort({ createdAt: 1 });
+
+    return messages.map(({ conversationId, message, response, aiProcessed, createdAt }) => toPlain({
+      conversationId,
+      message,
+      response,
+      aiProcessed,
+      createdAt
+    }));
+  }
+
+  // Reviews the patient wrote about doctors and hospitals
+  async collectReviews(patientId) {
+    const [doctors, hospitals] = await Promise.all([
+      Doctor.find({ 'reviews.patient': patientId }).select('firstName lastName reviews').lean(),
+      Hospital.find({ 'reviews.patient': patientId }).select('name reviews').lean()
+    ]);
+
+    const byPatient = review => String(review.patient) === String(patientId);
+
+    return toPlain([
+      ...doctors.flatMap(doctor => doctor.reviews.filter(byPatient).map(review => ({
+        about: 'doctor',
+        name: `Dr. ${doctor.firstName} ${doctor.lastName}`,
+        rating: review.rating,
+        comment: review.comment,
+        isPublic: review.isPublic,
+        createdAt: review.createdAt
+      }))),
+      ...hospitals.flatMap(hospital => hospital.reviews.filter(byPatient).map(review => ({
+        about: 'hospital',
+        name: hospital.name,
+        rating: review.rating,
+        comment: review.comment,
+        department: review.department,
+        visitDate: review.visitDate,
+        isPublic: review.isPublic
+      })))
+    ]);
+  }
+}
+
+export default new DataExportService();
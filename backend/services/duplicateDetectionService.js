@@ -0,0 +1,113 @@
+import Patient from '../models/Patient.js';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { DUPLICATE_THRESHOLD, scorePatients } from '../utils/patientMatching.js';
+
+// Fields compared when scoring, and the most records compared per patient
+const MATCH_FIELDS = 'firstName lastName dateOfBirth phone address.zipCode';
+const MAX_COMPARED = 200;
+
+const REVIEW_FIELDS = 'firstName lastName email phone dateOfBirth gender address isActive mergedInto createdAt';
+
+class DuplicateDetectionService {
+  /**
+   * Active records that may be the same person as the patient, best match first.
+   * Only records sharing the birth date, phone number or ZIP code are compared.
+   */
+  async findMatches(patient) {
+    const blocks = [{ dateOfBirth: patient.dateOfBirth }];
+    if (patient.phone) blocks.push({ phone: patient.phone });
+    if (patient.address?.zipCode) blocks.push({ 'address.zipCode': patient.address.zipCode });
+
+    const others = await Patient.find({ _id: { $ne: patient._id }, isActive: true, $or: blocks })
+      .select(MATCH_FIELDS)
+      .limit(MAX_COMPARED);
+
+    return others
+      .map(other => ({ patient: other, ...scorePatients(patient, other) }))
+      .filter(({ score }) => score >= DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Queue the patient's likely duplicates for review. Pairs already reviewed keep
+   * their status; only their score is refreshed.
+   */
+  async screenPatient(patient) {
+    // Merged records stay inactive and are not matched again
+    if (patient.isActive === false) return [];
+
+    const matches = await this.findMatches(patient);
+
+    return Promise.all(matches.map(({ patient: other, score, matches: fields }) => {
+      const patients = [patient._id, other._id].sort((a, b) => String(a).localeCompare(String(b)));
+
+      return DuplicateCandidate.findOneAndUpdate(
+        { pairKey: DuplicateCandidate.toPairKey(patient._id, other._id) },
+        { $set: { score, matches: fields }, $setOnInsert: { patients, status: 'pending' } },
+        { new: true, upsert: true, runValidators: true }
+      );
+    }));
+  }
+
+  /**
+   * Screen every active patient. Each pair is found from both sides, so it is
+   * counted once by its key.
+   */
+  async scan() {
+    const pairs = new Set();
+    let scanned = 0;
+
+    for await (const patient of Patient.find({ isActive: true }).select(MATCH_FIELDS).cursor()) {
+      const candidates = await this.screenPatient(patient);
+      candidates.forEach(candidate => pairs.add(candidate.pairKey));
+      scanned++;
+    }
+
+    return { scanned, candidates: pairs.size };
+  }
+
+  async listCandidates({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const query = { status };
+    const skip = (page - 1) * limit;
+
+    const [candidates, total] = await Promise.all([
+      DuplicateCandidate.find(query)
+        .populate('patients', REVIEW_FIELDS)
+        .sort({ score: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      DuplicateCandidate.countDocuments(query)
+    ]);
+
+    return { candidates, total };
+  }
+
+  async findCandidate(candidateId) {
+    const candidate = await DuplicateCandidate.findById(candidateId);
+
+    if (!candidate) {
+      throw new ErrorResponse('Duplicate candidate not found', 404);
+    }
+
+    return candidate;
+  }
+
+  async dismiss(candidateId, req) {
+    const candidate = await this.findCandidate(candidateId);
+
+    if (candidate.status !== 'pending') {
+      throw new ErrorResponse(`This candidate has already been ${candidate.status}`, 409);
+    }
+
+    candidate.set({
+      status: 'dismissed',
+      reviewedBy: { user: req.user.id, name: `${req.user.firstName} ${req.user.lastName}` },
+      reviewedAt: new Date()
+    });
+
+    return candidate.save();
+  }
+}
+
+export default new DuplicateDetectionService();
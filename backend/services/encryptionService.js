@@ -0,0 +1,308 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import EncryptionKey from '../models/EncryptionKey.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const VALUE_PREFIX = 'enc:v1:';
+const BLIND_INDEX_KEY_ID = 'blind-index';
+
+/**
+ * AES-256-GCM encrypt, returning `iv:tag:ciphertext` in base64
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+const open = (key, sealed) => {
+  const [iv, tag, ciphertext] = sealed.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Key providers hold the master keys and implement
+ * `wrapKey(key)` → `{ masterKeyId, wrappedKey }` and `unwrapKey({ masterKeyId, wrappedKey })` → Buffer
+ */
+export class LocalKeyFileProvider {
+  constructor(filePath = process.env.FIELD_ENCRYPTION_KEY_FILE || path.join(process.cwd(), 'keys', 'field-encryption.json')) {
+    this.filePath = filePath;
+  }
+
+  // The key file holds `{ activeKeyId, keys: { [masterKeyId]: base64 } }`
+  loadKeyFile() {
+    if (!fs.existsSync(this.filePath)) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error(`Field encryption key file not found at ${this.filePath}`);
+      }
+
+      console.warn(`⚠️  Generating a development field encryption key at ${this.filePath}`);
+      this.rotateMasterKey();
+    }
+
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  /**
+   * Add a new master key and use it for wrapping from now on. Older master keys
+   * stay in the file until every data key has been rewrapped.
+   */
+  rotateMasterKey() {
+    const keyFile = fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      : { keys: {} };
+
+    const masterKeyId = `local-${Date.now()}`;
+    keyFile.keys[masterKeyId] = crypto.randomBytes(32).toString('base64');
+    keyFile.activeKeyId = masterKeyId;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(keyFile, null, 2), { mode: 0o600 });
+
+    return masterKeyId;
+  }
+
+  getMasterKey(masterKeyId) {
+    const { keys } = this.loadKeyFile();
+
+    if (!keys[masterKeyId]) {
+      throw new Error(`Master key ${masterKeyId} not found in ${this.filePath}`);
+    }
+
+    return Buffer.from(keys[masterKeyId], 'base64');
+  }
+
+  async wrapKey(key) {
+    const { activeKeyId } = this.loadKeyFile();
+    return { masterKeyId: activeKeyId, wrappedKey: seal(this.getMasterKey(activeKeyId), key) };
+  }
+
+  async unwrapKey({ masterKeyId, wrappedKey }) {
+    return open(this.getMasterKey(masterKeyId), wrappedKey);
+  }
+}
+
+/**
+ * Delegates wrapping to a KMS-style HTTP service exposing `POST /wrap` and `POST /unwrap`,
+ * so master keys never leave the KMS
+ */
+export class HttpKmsProvider {
+  constructor(url = process.env.KMS_URL, masterKeyId = process.env.KMS_KEY_ID) {
+    this.url = url;
+    this.masterKeyId = masterKeyId;
+  }
+
+  async request(action, body) {
+    const response = await fetch(`${this.url}/${action}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.KMS_TOKEN && { Authorization: `Bearer ${process.env.KMS_TOKEN}` })
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KMS responded with status ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async wrapKey(key) {
+    const { keyId, ciphertext } = await this.request('wrap', {
+      keyId: this.masterKeyId,
+      plaintext: key.toString('base64')
+    });
+
+    return { masterKeyId: keyId || this.masterKeyId, wrappedKey: ciphertext };
+  }
+
+  async unwrapKey({ masterKeyId, wrappedKey }) {
+    const { plaintext } = await this.request('unwrap', { keyId: masterKeyId, ciphertext: wrappedKey });
+    return Buffer.from(plaintext, 'base64');
+  }
+}
+
+class EncryptionService {
+  constructor() {
+    // Resolved in initialize() so .env has been loaded by then
+    this.provider = null;
+    this.dataKeys = new Map();
+    this.activeKeyId = null;
+    this.indexKey = null;
+  }
+
+  createDefaultProvider() {
+    const provider = process.env.FIELD_ENCRYPTION_KEY_PROVIDER || (process.env.KMS_URL ? 'kms' : 'local');
+    return provider === 'kms' ? new HttpKmsProvider() : new LocalKeyFileProvider();
+  }
+
+  /**
+   * Swap the key provider (e.g. for a cloud KMS SDK)
+   */
+  setKeyProvider(provider) {
+    this.provider = provider;
+  }
+
+  getKeyProvider() {
+    if (!this.provider) {
+      this.provider = this.createDefaultProvider();
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Unwrap the stored data keys into memory, creating the first data key and the
+   * blind-index key on a fresh database. Must finish before encrypted fields are used.
+   */
+  async initialize() {
+    const provider = this.getKeyProvider();
+    const keys = await EncryptionKey.find().sort({ createdAt: 1 }).lean();
+
+    this.dataKeys.clear();
+    this.activeKeyId = null;
+    this.indexKey = null;
+
+    for (const key of keys) {
+      const plaintextKey = await provider.unwrapKey(key);
+
+      if (key.purpose === 'blind-index') {
+        this.indexKey = plaintextKey;
+      } else {
+        this.dataKeys.set(key.keyId, plaintextKey);
+        if (key.status === 'active') this.activeKeyId = key.keyId;
+      }
+    }
+
+    if (!this.indexKey) {
+      this.indexKey = await this.createIndexKey();
+    }
+
+    if (!this.activeKeyId) {
+      await this.rotateDataKey();
+    }
+  }
+
+  // The blind-index key is never rotated, since every stored index would change with it
+  async createIndexKey() {
+    const plaintextKey = crypto.randomBytes(32);
+
+    try {
+      await EncryptionKey.create({
+        keyId: BLIND_INDEX_KEY_ID,
+        purpose: 'blind-index',
+        ...await this.getKeyProvider().wrapKey(plaintextKey)
+      });
+      return plaintextKey;
+    } catch (error) {
+      // Another process created it first
+      if (error.code !== 11000) throw error;
+
+      const existing = await EncryptionKey.findOne({ keyId: BLIND_INDEX_KEY_ID }).lean();
+      return this.getKeyProvider().unwrapKey(existing);
+    }
+  }
+
+  /**
+   * Create a new active data key and retire the previous ones. Retired keys still
+   * decrypt existing values until they are re-encrypted.
+   */
+  async rotateDataKey() {
+    const keyId = crypto.randomUUID();
+    const plaintextKey = crypto.randomBytes(32);
+
+    await EncryptionKey.create({
+      keyId,
+      purpose: 'data',
+      ...await this.getKeyProvider().wrapKey(plaintextKey)
+    });
+
+    await EncryptionKey.updateMany(
+      { purpose: 'data', status: 'active', keyId: { $ne: keyId } },
+      { status: 'retired', retiredAt: new Date() }
+    );
+
+    this.dataKeys.set(keyId, plaintextKey);
+    this.activeKeyId = keyId;
+
+    return keyId;
+  }
+
+  /**
+   * Re-wrap every stored key under the provider's current master key,
+   * after the master key has been rotated
+   */
+  async rewrapKeys() {
+    const provider = this.getKeyProvider();
+    const keys = await EncryptionKey.find();
+
+    for (const key of keys) {
+      const plaintextKey = await provider.unwrapKey(key);
+      Object.assign(key, await provider.wrapKey(plaintextKey));
+      await key.save();
+    }
+
+    return keys.length;
+  }
+
+  assertInitialized() {
+    if (!this.activeKeyId || !this.indexKey) {
+      throw new Error('Field encryption keys are not loaded; call encryptionService.initialize() first');
+    }
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+  }
+
+  getKeyId(value) {
+    return this.isEncrypted(value) ? value.slice(VALUE_PREFIX.length).split(':')[0] : null;
+  }
+
+  /**
+   * Whether a stored value is plaintext or encrypted under a retired data key
+   */
+  needsReencryption(value) {
+    return this.getKeyId(value) !== this.activeKeyId;
+  }
+
+  encrypt(plaintext) {
+    this.assertInitialized();
+
+    const sealed = seal(this.dataKeys.get(this.activeKeyId), Buffer.from(String(plaintext), 'utf8'));
+    return `${VALUE_PREFIX}${this.activeKeyId}:${sealed}`;
+  }
+
+  decrypt(value) {
+    // Values written before encryption was enabled are returned as they are
+    if (!this.isEncrypted(value)) return value;
+
+    this.assertInitialized();
+
+    const keyId = this.getKeyId(value);
+    const key = this.dataKeys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown field encryption key ${keyId}; restart to load rotated keys`);
+    }
+
+    return open(key, value.slice(VALUE_PREFIX.length + keyId.length + 1)).toString('utf8');
+  }
+
+  /**
+   * Keyed hash of a normalized value, stored alongside the ciphertext for exact-match lookups
+   */
+  blindIndex(value) {
+    this.assertInitialized();
+    return crypto.createHmac('sha256', this.indexKey).update(String(value)).digest('hex');
+  }
+}
+
+export default new EncryptionService();
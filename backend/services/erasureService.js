@@ -0,0 +1,260 @@
+import Patient from '../models/Patient.js';
+import ErasureRequest from '../models/ErasureRequest.js';
+import LegalHold from '../models/LegalHold.js';
+import AccountLockout from '../models/AccountLockout.js';
+import Appointment from '../models/Appointment.js';
+import AuthToken from '../models/AuthToken.js';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import ChatMessage from '../models/ChatMessage.js';
+import ConsentRecord from '../models/ConsentRecord.js';
+import Doctor from '../models/Doctor.js';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import Hospital from '../models/Hospital.js';
+import PatientMerge from '../models/PatientMerge.js';
+import PatientRevision from '../models/PatientRevision.js';
+import ProxyActivity from '../models/ProxyActivity.js';
+import RecordImport from '../models/RecordImport.js';
+import VitalsImport from '../models/VitalsImport.js';
+import Session from '../models/Session.js';
+import TwoFactorCredential from '../models/TwoFactorCredential.js';
+import mailService from './mailService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+const GRACE_PERIOD_DAYS = 30;
+const OPEN_STATUSES = ['scheduled', 'held'];
+
+// What is left of an erased patient record: an inactive shell that other records
+// (and the audit log, which is never altered) can still point at
+const ERASED_FIELDS = {
+  $set: {
+    firstName: 'Erased',
+    lastName: 'Patient',
+    gender: 'prefer-not-to-say',
+    isActive: false,
+    medicalHistory: [],
+    currentMedications: [],
+    allergies: [],
+    vitalSigns: [],
+    labResults: [],
+    immunizations: [],
+    familyHistory: [],
+    emergencyContacts: [],
+    sourceIdentifiers: []
+  },
+  $unset: {
+    email: 1,
+    phone: 1,
+    password: 1,
+    dateOfBirth: 1,
+    address: 1,
+    bloodType: 1,
+    insurance: 1,
+    primaryDoctor: 1,
+    healthSummary: 1,
+    pendingEmail: 1,
+    pendingPhone: 1,
+    lastLoginDate: 1,
+    preferences: 1
+  }
+};
+
+const toActor = req => ({ user: req.user.id, name: `${req.user.firstName} ${req.user.lastName}` });
+
+const getGracePeriodDays = () => parseInt(process.env.ERASURE_GRACE_PERIOD_DAYS, 10) || GRACE_PERIOD_DAYS;
+
+class ErasureService {
+  /**
+   * Schedule the erasure of a patient's data at the end of the grace period
+   */
+  async requestErasure(patientId, { reason } = {}) {
+    const patient = await Patient.findById(patientId);
+
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    if (await this.findOpenRequest(patientId)) {
+      throw new ErrorResponse('An erasure request is already scheduled', 409);
+    }
+
+    const scheduledFor = new Date(Date.now() + getGracePeriodDays() * 24 * 60 * 60 * 1000);
+    const request = await ErasureRequest.create({ patient: patientId, reason, scheduledFor });
+
+    mailService.sendErasureScheduled(patient.email, scheduledFor)
+      .catch(error => console.error('Error sending erasure confirmation:', error));
+
+    return request;
+  }
+
+  findOpenRequest(patientId) {
+    return ErasureRequest.findOne({ patient: patientId, status: { $in: OPEN_STATUSES } });
+  }
+
+  async cancel(patientId) {
+    const request = await this.findOpenRequest(patientId);
+
+    if (!request) {
+      throw new ErrorResponse('No erasure request is scheduled', 404);
+    }
+
+    request.set({ status: 'cancelled', cancelledAt: new Date() });
+    return request.save();
+  }
+
+  async listRequests({ status, page = 1, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+    const skip = (page - 1) * limit;
+
+    const [requests, total] = await Promise.all([
+      ErasureRequest.find(query)
+        .populate('patient', 'firstName lastName dateOfBirth isActive erasedAt')
+        .sort({ scheduledFor: 1 })
+        .skip(skip)
+        .limit(limit),
+      ErasureRequest.countDocuments(query)
+    ]);
+
+    return { requests, total };
+  }
+
+  async placeHold(patientId, { reason } = {}, req) {
+    if (!(await Patient.exists({ _id: patientId }))) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    return LegalHold.create({ patient: patientId, reason, placedBy: toActor(req) });
+  }
+
+  async releaseHold(holdId, req) {
+    const hold = await LegalHold.findById(holdId);
+
+    if (!hold) {
+      throw new ErrorResponse('Legal hold not found', 404);
+    }
+
+    if (hold.status !== 'active') {
+      throw new ErrorResponse('This legal hold has already been released', 409);
+    }
+
+    hold.set({ status: 'released', releasedBy: toActor(req), releasedAt: new Date() });
+    return hold.save();
+  }
+
+  async listHolds({ patientId, status, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (patientId) query.patient = patientId;
+    if (status) query.status = status;
+    const skip = (page - 1) * limit;
+
+    const [holds, total] = await Promise.all([
+      LegalHold.find(query)
+        .populate('patient', 'firstName lastName dateOfBirth')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      LegalHold.countDocuments(query)
+    ]);
+
+    return { holds, total };
+  }
+
+  /**
+   * Carry out the requests whose grace period has ended. A request for a patient
+   * under an active legal hold is marked held and tried again on the next run.
+   */
+  async processDueRequests() {
+    const due = await ErasureRequest.find({ status: { $in: OPEN_STATUSES }, scheduledFor: { $lte: new Date() } });
+    let completed = 0;
+    let held = 0;
+
+    for (const request of due) {
+      const patientIds = await this.getPatientIds(request.patient);
+
+      if (await LegalHold.exists({ patient: { $in: patientIds }, status: 'active' })) {
+        if (request.status !== 'held') {
+          request.status = 'held';
+          await request.save();
+        }
+        held++;
+        continue;
+      }
+
+      const summary = await this.erase(patientIds);
+      request.set({ status: 'completed', completedAt: new Date(), summary });
+      await request.save();
+      completed++;
+    }
+
+    return { completed, held };
+  }
+
+  // The patient and any duplicate records merged into theirs
+  async getPatientIds(patientId) {
+    const merged = await Patient.find({ mergedInto: patientId }).distinct('_id');
+    return [patientId, ...merged];
+  }
+
+  /**
+   * Erase the patients' data. Their health records and everything else tied to
+   * them are deleted; each patient record is reduced to an anonymous shell. The
+   * PHI audit log is kept as it is: entries are hash-chained and must be retained.
+   * Returns the number of records erased per kind.
+   */
+  async erase(patientIds) {
+    const patient = { $in: patientIds };
+    const asUser = { user: { $in: patientIds }, userType: 'patient' };
+
+    const [doctorReviews, hospitalReviews] = await Promise.all([
+      this.removeReviews(Doctor, patientIds),
+      this.removeReviews(Hospital, patientIds)
+    ]);
+
+    const deletions = {
+      appointments: Appointment.deleteMany({ patient }),
+      caregiverGrants: CaregiverGrant.deleteMany({ $or: [{ patient }, { 'grantee.user': patient, 'grantee.userType': 'patient' }] }),
+      proxyActivity: ProxyActivity.deleteMany({ $or: [{ patient }, { 'actor.user': patient, 'actor.userType': 'patient' }] }),
+      consentRecords: ConsentRecord.deleteMany({ patient }),
+      chatMessages: ChatMessage.deleteMany({ patient }),
+      revisions: PatientRevision.deleteMany({ patient }),
+      recordImports: RecordImport.deleteMany({ patient }),
+      vitalsImports: VitalsImport.deleteMany({ patient }),
+      duplicateCandidates: DuplicateCandidate.deleteMany({ patients: patient }),
+      patientMerges: PatientMerge.deleteMany({ $or: [{ survivor: patient }, { merged: patient }] }),
+      sessions: Session.deleteMany(asUser),
+      authTokens: AuthToken.deleteMany(asUser),
+      twoFactorCredentials: TwoFactorCredential.deleteMany(asUser),
+      lockouts: AccountLockout.deleteMany(asUser)
+    };
+
+    const results = await Promise.all(Object.values(deletions));
+    const summary = Object.fromEntries(Object.keys(deletions).map((kind, index) => [kind, results[index].deletedCount]));
+
+    const { modifiedCount } = await Patient.updateMany({ _id: patient }, {
+      ...ERASED_FIELDS,
+      $set: { ...ERASED_FIELDS.$set, erasedAt: new Date() }
+    });
+
+    return { patients: modifiedCount, ...summary, doctorReviews, hospitalReviews };
+  }
+
+  /**
+   * Remove the patients' reviews of doctors or hospitals. Documents are saved so
+   * stored rating totals are recalculated.
+   */
+  async removeReviews(Model, patientIds) {
+    const ids = patientIds.map(String);
+    const reviewed = await Model.find({ 'reviews.patient': { $in: patientIds } });
+    let removed = 0;
+
+    for (const doc of reviewed) {
+      const kept = doc.reviews.filter(review => !ids.includes(String(review.patient)));
+      removed += doc.reviews.length - kept.length;
+      doc.reviews = kept;
+      await doc.save({ validateModifiedOnly: true });
+    }
+
+    return removed;
+  }
+}
+
+export default new ErasureService();
@@ -0,0 +1,468 @@
+import Patient from '../models/Patient.js';
+import revisionService from './revisionService.js';
+import { SYSTEMS, VITAL_SIGN_CODES, CONDITION_SEVERITIES } from './fhirService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { addSourceIdentifiers, matchingDay, toVitalSignValue, upsertEntry } from '../utils/recordImport.js';
+
+export const IMPORTABLE_BUNDLE_TYPES = ['transaction', 'batch', 'collection', 'searchset'];
+
+// Identifiers that are personal documents rather than record numbers are never stored
+const PERSONAL_IDENTIFIER_SYSTEMS = ['http://hl7.org/fhir/sid/us-ssn'];
+const RECORD_IDENTIFIER_TYPES = ['MR'];
+
+const CONDITION_STATUSES = {
+  active: 'active',
+  recurrence: 'active',
+  relapse: 'active',
+  inactive: 'resolved',
+  remission: 'resolved',
+  resolved: 'resolved'
+};
+
+const MEDICATION_STATUSES = {
+  active: 'active',
+  intended: 'active',
+  draft: 'active',
+  'on-hold': 'active',
+  completed: 'completed',
+  stopped: 'discontinued',
+  cancelled: 'discontinued',
+  revoked: 'discontinued',
+  'not-taken': 'discontinued'
+};
+
+const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe'];
+
+const GENDERS = {
+  male: 'male',
+  female: 'female',
+  other: 'other',
+  unknown: 'prefer-not-to-say'
+};
+
+// LOINC code to the vitalSigns path it fills, including the blood pressure components
+// and codes other systems use for the same measurements
+export const VITAL_SIGN_PATHS = {
+  ...Object.fromEntries(
+    Object.entries(VITAL_SIGN_CODES)
+      .filter(([field]) => field !== 'bloodPressure')
+      .map(([field, { code }]) => [code, field])
+  ),
+  [VITAL_SIGN_CODES.bloodPressure.components.systolic.code]: 'bloodPressure.systolic',
+  [VITAL_SIGN_CODES.bloodPressure.components.diastolic.code]: 'bloodPressure.diastolic',
+  '59408-5': 'oxygenSaturation'
+};
+
+const BLOOD_PRESSURE_PANELS = [VITAL_SIGN_CODES.bloodPressure.code, '55284-4'];
+
+const IGNORED_STATUSES = ['entered-in-error', 'refuted', 'cancelled'];
+
+const isLaboratory = resource => (resource.category || [])
+  .some(category => (category.coding || []).some(item => item.code === 'laboratory'));
+
+const skip = message => ({ status: 'skipped', message });
+
+const codeOf = concept => concept?.coding?.find(item => item.code)?.code;
+
+const textOf = concept => concept?.text || concept?.coding?.find(item => item.display)?.display;
+
+const notesOf = resource => (resource.note || []).map(note => note.text).filter(Boolean).join('\n') || undefined;
+
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Identifiers an imported resource is known by: its business identifiers plus its
+ * fullUrl (or type and id), which is all Synthea and most transaction Bundles carry
+ */
+const sourceIdentifiersOf = ({ resource, fullUrl }) => {
+  const identifiers = (resource.identifier || [])
+    .filter(identifier => identifier.value && !PERSONAL_IDENTIFIER_SYSTEMS.includes(identifier.system))
+    .filter(identifier => !identifier.type || RECORD_IDENTIFIER_TYPES.includes(codeOf(identifier.type)))
+    .map(({ system, value }) => ({ system, value }));
+
+  if (fullUrl) {
+    identifiers.push({ system: 'urn:ietf:rfc:3986', value: fullUrl });
+  } else if (resource.id) {
+    identifiers.push({ value: `${resource.resourceType}/${resource.id}` });
+  }
+
+  return identifiers;
+};
+
+const quantityValue = quantity => toVitalSignValue(quantity?.value, quantity?.code);
+
+const dosageOf = (dosage) => {
+  if (!dosage) return {};
+
+  const dose = dosage.doseAndRate?.[0]?.doseQuantity;
+  const repeat = dosage.timing?.repeat;
+
+  return {
+    dosage: dose?.value !== undefined ? `${dose.value} ${dose.unit || dose.code || ''}`.trim() : dosage.text,
+    frequency: repeat?.frequency && repeat.period
+      ? `${repeat.frequency} time(s) per ${repeat.period} ${repeat.periodUnit || ''}`.trim()
+      : textOf(dosage.timing?.code)
+  };
+};
+
+// The official name, or the first one given
+const nameOf = resource => (resource.name || []).find(name => name.use === 'official') || resource.name?.[0];
+
+// A mobile or home number before any other
+const telecomOf = (resource, system) => {
+  const contacts = (resource.telecom || []).filter(contact => contact.system === system && contact.value);
+  return (contacts.find(contact => ['mobile', 'home'].includes(contact.use)) || contacts[0])?.value;
+};
+
+/**
+ * The Bundle's entries, once it is checked to be an importable Bundle with at most one Patient
+ */
+const bundleEntries = (bundle) => {
+  if (bundle?.resourceType !== 'Bundle' || !IMPORTABLE_BUNDLE_TYPES.includes(bundle.type)) {
+    throw new ErrorResponse(`Expected a FHIR Bundle of type ${IMPORTABLE_BUNDLE_TYPES.join(', ')}`, 400);
+  }
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const patientEntries = entries.filter(entry => entry?.resource?.resourceType === 'Patient');
+
+  if (patientEntries.length > 1) {
+    throw new ErrorResponse('A Bundle may contain only one Patient', 400);
+  }
+
+  return { entries, patientEntry: patientEntries[0] };
+};
+
+class FhirImportService {
+  /**
+   * Find the record a Bundle's Patient was imported into before, by the identifiers
+   * it was imported with, or create one from its name, gender, birth date and
+   * telecom. A doctor who creates a record becomes its primary doctor. Only
+   * identifiers with a system are matched, as a bare resource id is not unique
+   * across sources.
+   */
+  async findOrCreatePatient(bundle, req) {
+    const { patientEntry } = bundleEntries(bundle);
+
+    if (!patientEntry) {
+      throw new ErrorResponse('The Bundle must contain the Patient to import', 400);
+    }
+
+    const identifiers = sourceIdentifiersOf(patientEntry).filter(identifier => identifier.system);
+
+    if (identifiers.length > 0) {
+      const existing = await Patient.findOne({
+        $or: identifiers.map(identifier => ({ sourceIdentifiers: { $elemMatch: identifier } }))
+      }).select('_id');
+
+      if (existing) return { patient: existing, created: false };
+    }
+
+    const { resource } = patientEntry;
+    const name = nameOf(resource);
+    const fields = {
+      firstName: name?.given?.[0],
+      lastName: name?.family,
+      gender: GENDERS[resource.gender],
+      dateOfBirth: parseDate(resource.birthDate),
+      phone: telecomOf(resource, 'phone'),
+      email: telecomOf(resource, 'email')
+    };
+
+    const missing = Object.keys(fields).filter(field => !fields[field]);
+    if (missing.length > 0) {
+      throw new ErrorResponse(`The Patient in the Bundle has no ${missing.join(', ')}, which a new record needs`, 422);
+    }
+
+    if (await Patient.exists({ email: fields.email })) {
+      throw new ErrorResponse('A patient with this email already exists; import into their record instead', 409);
+    }
+
+    const patient = await Patient.create({
+      ...fields,
+      sourceIdentifiers: sourceIdentifiersOf(patientEntry),
+      primaryDoctor: req.user.role === 'doctor' ? req.user.id : undefined
+    });
+
+    return { patient, created: true };
+  }
+
+  /**
+   * Import the Patient, Conditions, medications, AllergyIntolerances and vital-sign
+   * and laboratory Observations of a Bundle into an existing record. Entries already imported from
+   * the same source are updated, likely duplicates of existing entries are merged,
+   * and every resource gets its own result. The Patient in the Bundle, if any, must
+   * match the record.
+   */
+  async importBundle(patientId, bundle, { req, canWriteMedications = true } = {}) {
+    const { entries, patientEntry } = bundleEntries(bundle);
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const before = revisionService.snapshot(patient);
+    const { references: patientReferences, result: patientResult } = patientEntry
+      ? this.importPatient(patient, patientEntry)
+      : {};
+
+    const results = entries.map((entry, index) => {
+      const resource = entry?.resource;
+      const result = { index, fullUrl: entry?.fullUrl, resourceType: resource?.resourceType, id: resource?.id };
+
+      try {
+        if (resource?.resourceType === 'Patient') return { ...result, ...patientResult };
+        return { ...result, ...this.importEntry(patient, entry, { patientReferences, canWriteMedications }) };
+      } catch (error) {
+        return { ...result, status: 'failed', message: error.message };
+      }
+    });
+
+    const summary = results.reduce((counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {});
+
+    if (patient.isModified()) {
+      await patient.save({ validateModifiedOnly: true });
+      await revisionService.record(patient, { before, req, reason: 'Imported FHIR Bundle' });
+    }
+
+    return { summary, results };
+  }
+
+  /**
+   * Check the Bundle's Patient is this record, keep its identifiers and fill in an
+   * address the record lacks. Returns its result and the references other resources
+   * may use for it.
+   */
+  importPatient(patient, entry) {
+    const { resource } = entry;
+    const birthDate = parseDate(resource.birthDate);
+    const identifierCount = patient.sourceIdentifiers.length;
+    let status = 'unchanged';
+
+    if (birthDate && !matchingDay(birthDate, patient.dateOfBirth)) {
+      throw new ErrorResponse('The Patient in the Bundle does not match this record: birth dates differ', 422);
+    }
+
+    const address = resource.address?.[0];
+    if (address && !patient.address?.street && !patient.address?.city) {
+      patient.address = {
+        street: address.line?.join(', '),
+        city: address.city,
+        state: address.state,
+        zipCode: address.postalCode,
+        country: address.country || patient.address?.country
+      };
+      status = 'updated';
+    }
+
+    addSourceIdentifiers(patient, sourceIdentifiersOf(entry));
+    if (patient.sourceIdentifiers.length > identifierCount) status = 'updated';
+
+    return {
+      result: { status, path: 'patient' },
+      references: new Set([
+        entry.fullUrl,
+        `Patient/${resource.id}`,
+        `urn:uuid:${resource.id}`
+      ].filter(Boolean))
+    };
+  }
+
+  importEntry(patient, entry, { patientReferences, canWriteMedications }) {
+    const resource = entry?.resource;
+
+    if (!resource?.resourceType) {
+      throw new ErrorResponse('Entry has no resource', 400);
+    }
+
+    if (entry.request?.method === 'DELETE') {
+      return skip('Deletes are not imported');
+    }
+
+    const subject = (resource.subject || resource.patient)?.reference;
+    if (patientReferences && subject && !patientReferences.has(subject)) {
+      throw new ErrorResponse(`Refers to a different patient (${subject})`, 422);
+    }
+
+    switch (resource.resourceType) {
+      case 'Condition':
+        return this.importCondition(patient, entry);
+      case 'MedicationStatement':
+      case 'MedicationRequest':
+        if (!canWriteMedications) {
+          throw new ErrorResponse('Not authorized to write medications', 403);
+        }
+        return this.importMedication(patient, entry);
+      case 'AllergyIntolerance':
+        return this.importAllergy(patient, entry);
+      case 'Observation':
+        return this.importObservation(patient, entry);
+      default:
+        return skip(`${resource.resourceType} resources are not imported`);
+    }
+  }
+
+  importCondition(patient, entry) {
+    const { resource } = entry;
+
+    if (IGNORED_STATUSES.includes(codeOf(resource.verificationStatus))) {
+      return skip(`Condition is ${codeOf(resource.verificationStatus)}`);
+    }
+
+    const condition = textOf(resource.code);
+    if (!condition) {
+      throw new ErrorResponse('Condition has no code text or display', 422);
+    }
+
+    const severityCode = codeOf(resource.severity);
+    const severity = Object.keys(CONDITION_SEVERITIES)
+      .find(level => CONDITION_SEVERITIES[level].code === severityCode || level === textOf(resource.severity)?.toLowerCase());
+    const clinicalStatus = codeOf(resource.clinicalStatus);
+
+    const fields = {
+      condition,
+      diagnosedDate: parseDate(resource.onsetDateTime || resource.onsetPeriod?.start || resource.recordedDate),
+      status: CONDITION_STATUSES[clinicalStatus] || (resource.abatementDateTime ? 'resolved' : 'active'),
+      severity,
+      notes: notesOf(resource)
+    };
+
+    return upsertEntry(patient, 'medicalHistory', { fields, identifiers: sourceIdentifiersOf(entry) });
+  }
+
+  importMedication(patient, entry) {
+    const { resource } = entry;
+
+    if (IGNORED_STATUSES.includes(resource.status)) {
+      return skip(`${resource.resourceType} is ${resource.status}`);
+    }
+
+    const name = textOf(resource.medicationCodeableConcept) || resource.medicationReference?.display;
+    if (!name) {
+      throw new ErrorResponse(`${resource.resourceType} has no medication name`, 422);
+    }
+
+    const isRequest = resource.resourceType === 'MedicationRequest';
+    const period = isRequest ? resource.dispenseRequest?.validityPeriod : resource.effectivePeriod;
+
+    const fields = {
+      name,
+      ...dosageOf(isRequest ? resource.dosageInstruction?.[0] : resource.dosage?.[0]),
+      startDate: parseDate(period?.start || (isRequest ? resource.authoredOn : resource.effectiveDateTime)),
+      endDate: parseDate(period?.end),
+      status: MEDICATION_STATUSES[resource.status] || 'active',
+      notes: notesOf(resource)
+    };
+
+    return upsertEntry(patient, 'currentMedications', { fields, identifiers: sourceIdentifiersOf(entry) });
+  }
+
+  importAllergy(patient, entry) {
+    const { resource } = entry;
+    const clinicalStatus = codeOf(resource.clinicalStatus);
+
+    if (IGNORED_STATUSES.includes(codeOf(resource.verificationStatus))) {
+      return skip(`AllergyIntolerance is ${codeOf(resource.verificationStatus)}`);
+    }
+
+    if (clinicalStatus && clinicalStatus !== 'active') {
+      return skip(`AllergyIntolerance is ${clinicalStatus}`);
+    }
+
+    const allergen = textOf(resource.code);
+    if (!allergen) {
+      throw new ErrorResponse('AllergyIntolerance has no code text or display', 422);
+    }
+
+    const reaction = resource.reaction?.[0];
+    const fields = {
+      allergen,
+      reaction: textOf(reaction?.manifestation?.[0]) || reaction?.description,
+      severity: ALLERGY_SEVERITIES.includes(reaction?.severity)
+        ? reaction.severity
+        : (resource.criticality === 'high' ? 'severe' : undefined),
+      notes: notesOf(resource)
+    };
+
+    return upsertEntry(patient, 'allergies', { fields, identifiers: sourceIdentifiersOf(entry) });
+  }
+
+  /**
+   * Vital-sign Observations fill the vitalSigns entry recorded at the same time,
+   * since one entry holds every measurement of a reading. Laboratory Observations
+   * with a numeric value each become a lab result.
+   */
+  importObservation(patient, entry) {
+    const { resource } = entry;
+
+    if (IGNORED_STATUSES.includes(resource.status)) {
+      return skip(`Observation is ${resource.status}`);
+    }
+
+    const codes = (resource.code?.coding || [])
+      .filter(item => item.system === SYSTEMS.loinc)
+      .map(item => item.code);
+
+    const fields = {};
+
+    if (codes.some(code => BLOOD_PRESSURE_PANELS.includes(code))) {
+      (resource.component || []).forEach((component) => {
+        const path = VITAL_SIGN_PATHS[codeOf(component.code)];
+        const value = quantityValue(component.valueQuantity);
+        if (path && value !== undefined) fields[path] = value;
+      });
+    } else {
+      const path = codes.map(code => VITAL_SIGN_PATHS[code]).find(Boolean);
+      const value = quantityValue(resource.valueQuantity);
+      if (path && value !== undefined) fields[path] = value;
+    }
+
+    if (Object.keys(fields).length === 0) {
+      if (isLaboratory(resource) && typeof resource.valueQuantity?.value === 'number') {
+        return this.importLabResult(patient, entry);
+      }
+      return skip('Only vital-sign and laboratory Observations with a value are imported');
+    }
+
+    const recordedDate = parseDate(resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued);
+    if (!recordedDate) {
+      throw new ErrorResponse('Observation has no effective date', 422);
+    }
+
+    return upsertEntry(patient, 'vitalSigns', {
+      fields: { ...fields, recordedDate },
+      identifiers: sourceIdentifiersOf(entry)
+    });
+  }
+
+  importLabResult(patient, entry) {
+    const { resource } = entry;
+
+    const test = textOf(resource.code);
+    if (!test) {
+      throw new ErrorResponse('Observation has no code text or display', 422);
+    }
+
+    const specimenDate = parseDate(resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued);
+    if (!specimenDate) {
+      throw new ErrorResponse('Observation has no effective date', 422);
+    }
+
+    const fields = {
+      test,
+      loincCode: (resource.code.coding || []).find(item => item.system === SYSTEMS.loinc)?.code,
+      value: resource.valueQuantity.value,
+      unit: resource.valueQuantity.code || resource.valueQuantity.unit,
+      specimenDate,
+      notes: notesOf(resource)
+    };
+
+    return upsertEntry(patient, 'labResults', { fields, identifiers: sourceIdentifiersOf(entry) });
+  }
+}
+
+export default new FhirImportService();
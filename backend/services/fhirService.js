@@ -0,0 +1,432 @@
+import crypto from 'crypto';
+import Patient from '../models/Patient.js';
+import Doctor from '../models/Doctor.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+export const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+export const SYSTEMS = {
+  loinc: 'http://loinc.org',
+  snomed: 'http://snomed.info/sct',
+  ucum: 'http://unitsofmeasure.org',
+  npi: 'http://hl7.org/fhir/sid/us-npi',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  allergyClinical: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+  allergyVerification: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
+  contactRole: 'http://terminology.hl7.org/CodeSystem/v2-0131',
+  roleCode: 'http://terminology.hl7.org/CodeSystem/v3-RoleCode',
+  cvx: 'http://hl7.org/fhir/sid/cvx',
+  observationInterpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation'
+};
+
+// LOINC codes and UCUM units for vitalSigns fields, exported as vital-signs profile
+// Observations. Blood pressure is a panel with systolic and diastolic components.
+export const VITAL_SIGN_CODES = {
+  bloodPressure: {
+    code: '85354-9',
+    display: 'Blood pressure panel with all children optional',
+    components: {
+      systolic: { code: '8480-6', display: 'Systolic blood pressure', unit: 'mm[Hg]', unitDisplay: 'mmHg' },
+      diastolic: { code: '8462-4', display: 'Diastolic blood pressure', unit: 'mm[Hg]', unitDisplay: 'mmHg' }
+    }
+  },
+  heartRate: { code: '8867-4', display: 'Heart rate', unit: '/min', unitDisplay: 'beats/minute' },
+  temperature: { code: '8310-5', display: 'Body temperature', unit: 'Cel', unitDisplay: 'C' },
+  respiratoryRate: { code: '9279-1', display: 'Respiratory rate', unit: '/min', unitDisplay: 'breaths/minute' },
+  oxygenSaturation: { code: '2708-6', display: 'Oxygen saturation in Arterial blood', unit: '%', unitDisplay: '%' },
+  weight: { code: '29463-7', display: 'Body weight', unit: 'kg', unitDisplay: 'kg' },
+  height: { code: '8302-2', display: 'Body height', unit: 'cm', unitDisplay: 'cm' },
+  bmi: { code: '39156-5', display: 'Body mass index (BMI) [Ratio]', unit: 'kg/m2', unitDisplay: 'kg/m2' }
+};
+
+const BLOOD_TYPE_CODE = { code: '882-1', display: 'ABO and Rh group [Type] in Blood' };
+
+const GENDERS = {
+  male: 'male',
+  female: 'female',
+  other: 'other',
+  'prefer-not-to-say': 'unknown'
+};
+
+const CONDITION_STATUSES = {
+  active: 'active',
+  chronic: 'active',
+  managed: 'active',
+  resolved: 'resolved'
+};
+
+export const CONDITION_SEVERITIES = {
+  mild: { code: '255604002', display: 'Mild' },
+  moderate: { code: '6736007', display: 'Moderate' },
+  severe: { code: '24484000', display: 'Severe' }
+};
+
+// HL7 v3 RoleCode family member codes for familyHistory relatives
+const FAMILY_MEMBER_CODES = {
+  mother: { code: 'MTH', display: 'mother' },
+  father: { code: 'FTH', display: 'father' },
+  sister: { code: 'SIS', display: 'sister' },
+  brother: { code: 'BRO', display: 'brother' },
+  daughter: { code: 'DAUC', display: 'daughter' },
+  son: { code: 'SONC', display: 'son' },
+  grandmother: { code: 'GRMTH', display: 'grandmother' },
+  grandfather: { code: 'GRFTH', display: 'grandfather' },
+  aunt: { code: 'AUNT', display: 'aunt' },
+  uncle: { code: 'UNCLE', display: 'uncle' },
+  'half-sister': { code: 'HSIS', display: 'half-sister' },
+  'half-brother': { code: 'HBRO', display: 'half-brother' },
+  niece: { code: 'NIECE', display: 'niece' },
+  nephew: { code: 'NEPHEW', display: 'nephew' },
+  granddaughter: { code: 'GRNDDAU', display: 'granddaughter' },
+  grandson: { code: 'GRNDSON', display: 'grandson' },
+  cousin: { code: 'COUSN', display: 'cousin' }
+};
+
+const LAB_INTERPRETATIONS = {
+  normal: { code: 'N', display: 'Normal' },
+  low: { code: 'L', display: 'Low' },
+  high: { code: 'H', display: 'High' },
+  critical: { code: 'AA', display: 'Critical abnormal' }
+};
+
+const MEDICATION_STATUSES = {
+  active: 'active',
+  completed: 'completed',
+  discontinued: 'stopped'
+};
+
+// FHIR JSON may not contain nulls, empty strings, arrays or objects
+const prune = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(prune).filter(item => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, prune(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+
+  if (value === null || value === '' || value === undefined) return undefined;
+  return value;
+};
+
+const toDate = value => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+const toDateTime = value => (value ? new Date(value).toISOString() : undefined);
+
+const coding = (system, code, display) => ({ coding: [{ system, code, display }] });
+
+const quantity = ({ unit, unitDisplay }, value) => ({
+  value,
+  unit: unitDisplay,
+  system: SYSTEMS.ucum,
+  code: unit
+});
+
+const reference = (type, id) => (id ? { reference: `${type}/${id}` } : undefined);
+
+class FhirService {
+  /**
+   * FHIR R4 searchset Bundle with the patient and everything in their record,
+   * as returned by Patient/$everything. Without `includeMedications` it has no
+   * MedicationStatements, nor the prescribers only they reference.
+   */
+  async everything(patientId, { baseUrl, includeMedications = true }) {
+    const record = await Patient.findById(patientId).lean();
+
+    if (!record) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const patient = includeMedications ? record : { ...record, currentMedications: [] };
+
+    const practitioners = await this.findPractitioners(patient);
+
+    const resources = [
+      this.toPatient(patient),
+      ...practitioners.map(doctor => this.toPractitioner(doctor)),
+      ...(patient.medicalHistory || []).map(entry => this.toCondition(entry, patient)),
+      ...(patient.currentMedications || []).map(entry => this.toMedicationStatement(entry, patient)),
+      ...(patient.allergies || []).map(entry => this.toAllergyIntolerance(entry, patient)),
+      ...this.toBloodTypeObservations(patient),
+      ...(patient.vitalSigns || []).flatMap(entry => this.toVitalSignObservations(entry, patient)),
+      ...(patient.labResults || []).map(entry => this.toLabObservation(entry, patient)),
+      ...(patient.immunizations || []).map(entry => this.toImmunization(entry, patient)),
+      ...(patient.familyHistory || []).map(entry => this.toFamilyMemberHistory(entry, patient)),
+      ...(patient.emergencyContacts || []).map(entry => this.toRelatedPerson(entry, patient))
+    ];
+
+    return this.toBundle(resources, { baseUrl, matchType: 'Patient' });
+  }
+
+  /**
+   * Doctors referenced from the record, included so the Bundle resolves on its own
+   */
+  async findPractitioners(patient) {
+    const ids = [
+      patient.primaryDoctor,
+      ...(patient.currentMedications || []).map(entry => entry.prescribedBy),
+      ...(patient.vitalSigns || []).map(entry => entry.recordedBy)
+    ].filter(Boolean).map(String);
+
+    if (ids.length === 0) return [];
+
+    return Doctor.find({ _id: { $in: [...new Set(ids)] } })
+      .select('firstName lastName npiNumber')
+      .lean();
+  }
+
+  toBundle(resources, { baseUrl, matchType }) {
+    const entries = resources.map(resource => prune({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource: prune(resource),
+      search: { mode: resource.resourceType === matchType ? 'match' : 'include' }
+    }));
+
+    return {
+      resourceType: 'Bundle',
+      id: crypto.randomUUID(),
+      meta: { lastUpdated: new Date().toISOString() },
+      type: 'searchset',
+      total: entries.filter(entry => entry.search.mode === 'match').length,
+      entry: entries
+    };
+  }
+
+  toPatient(patient) {
+    const { address } = patient;
+
+    return {
+      resourceType: 'Patient',
+      id: String(patient._id),
+      meta: { lastUpdated: toDateTime(patient.updatedAt) },
+      active: patient.isActive,
+      name: [{ use: 'official', family: patient.lastName, given: [patient.firstName] }],
+      telecom: [
+        patient.phone && { system: 'phone', value: patient.phone, use: 'mobile' },
+        patient.email && { system: 'email', value: patient.email }
+      ].filter(Boolean),
+      gender: GENDERS[patient.gender],
+      birthDate: toDate(patient.dateOfBirth),
+      address: address && [{
+        use: 'home',
+        line: [address.street],
+        city: address.city,
+        state: address.state,
+        postalCode: address.zipCode,
+        country: address.country
+      }],
+      generalPractitioner: [reference('Practitioner', patient.primaryDoctor)]
+    };
+  }
+
+  toPractitioner(doctor) {
+    return {
+      resourceType: 'Practitioner',
+      id: String(doctor._id),
+      identifier: [{ system: SYSTEMS.npi, value: doctor.npiNumber }],
+      name: [{ family: doctor.lastName, given: [doctor.firstName], prefix: ['Dr.'] }]
+    };
+  }
+
+  toCondition(entry, patient) {
+    const severity = CONDITION_SEVERITIES[entry.severity];
+
+    return {
+      resourceType: 'Condition',
+      id: String(entry._id),
+      meta: { lastUpdated: toDateTime(entry.updatedAt) },
+      clinicalStatus: coding(SYSTEMS.conditionClinical, CONDITION_STATUSES[entry.status] || 'active'),
+      verificationStatus: coding(SYSTEMS.conditionVerification, 'confirmed'),
+      category: [coding(SYSTEMS.conditionCategory, 'problem-list-item', 'Problem List Item')],
+      severity: severity && coding(SYSTEMS.snomed, severity.code, severity.display),
+      code: { text: entry.condition },
+      subject: reference('Patient', patient._id),
+      onsetDateTime: toDateTime(entry.diagnosedDate),
+      recordedDate: toDateTime(entry.createdAt),
+      note: entry.notes && [{ text: entry.notes }]
+    };
+  }
+
+  toMedicationStatement(entry, patient) {
+    const dosage = [entry.dosage, entry.frequency].filter(Boolean).join(', ');
+
+    return {
+      resourceType: 'MedicationStatement',
+      id: String(entry._id),
+      meta: { lastUpdated: toDateTime(entry.updatedAt) },
+      status: MEDICATION_STATUSES[entry.status] || 'unknown',
+      medicationCodeableConcept: { text: entry.name },
+      subject: reference('Patient', patient._id),
+      effectivePeriod: { start: toDateTime(entry.startDate), end: toDateTime(entry.endDate) },
+      dateAsserted: toDateTime(entry.createdAt),
+      informationSource: reference('Practitioner', entry.prescribedBy),
+      dosage: dosage && [{ text: dosage }],
+      note: entry.notes && [{ text: entry.notes }]
+    };
+  }
+
+  toAllergyIntolerance(entry, patient) {
+    const severe = ['severe', 'life-threatening'].includes(entry.severity);
+
+    return {
+      resourceType: 'AllergyIntolerance',
+      id: String(entry._id),
+      meta: { lastUpdated: toDateTime(entry.updatedAt) },
+      clinicalStatus: coding(SYSTEMS.allergyClinical, 'active'),
+      verificationStatus: coding(SYSTEMS.allergyVerification, 'confirmed'),
+      criticality: severe ? 'high' : 'low',
+      code: { text: entry.allergen },
+      patient: reference('Patient', patient._id),
+      recordedDate: toDateTime(entry.createdAt),
+      // manifestation is required, so a reaction is only listed when it is described
+      reaction: entry.reaction && [{
+        manifestation: [{ text: entry.reaction }],
+        severity: severe ? 'severe' : entry.severity
+      }],
+      note: entry.notes && [{ text: entry.notes }]
+    };
+  }
+
+  toBloodTypeObservations(patient) {
+    if (!patient.bloodType || patient.bloodType === 'unknown') return [];
+
+    return [{
+      resourceType: 'Observation',
+      id: `${patient._id}-blood-type`,
+      status: 'final',
+      category: [coding(SYSTEMS.observationCategory, 'laboratory', 'Laboratory')],
+      code: coding(SYSTEMS.loinc, BLOOD_TYPE_CODE.code, BLOOD_TYPE_CODE.display),
+      subject: reference('Patient', patient._id),
+      valueCodeableConcept: { text: patient.bloodType }
+    }];
+  }
+
+  /**
+   * One Observation per measured value; ids are the entry's id plus the field name
+   */
+  toVitalSignObservations(entry, patient) {
+    const observation = (field, { code, display }) => ({
+      resourceType: 'Observation',
+      id: `${entry._id}-${field}`,
+      meta: { lastUpdated: toDateTime(entry.updatedAt) },
+      status: 'final',
+      category: [coding(SYSTEMS.observationCategory, 'vital-signs', 'Vital Signs')],
+      code: coding(SYSTEMS.loinc, code, display),
+      subject: reference('Patient', patient._id),
+      effectiveDateTime: toDateTime(entry.recordedDate),
+      performer: [reference('Practitioner', entry.recordedBy)]
+    });
+
+    const observations = [];
+    const { bloodPressure } = VITAL_SIGN_CODES;
+    const components = Object.entries(bloodPressure.components)
+      .filter(([field]) => typeof entry.bloodPressure?.[field] === 'number')
+      .map(([field, component]) => ({
+        code: coding(SYSTEMS.loinc, component.code, component.display),
+        valueQuantity: quantity(component, entry.bloodPressure[field])
+      }));
+
+    if (components.length > 0) {
+      observations.push({ ...observation('bloodPressure', bloodPressure), component: components });
+    }
+
+    Object.entries(VITAL_SIGN_CODES)
+      .filter(([field]) => field !== 'bloodPressure' && typeof entry[field] === 'number')
+      .forEach(([field, vital]) => {
+        observations.push({ ...observation(field, vital), valueQuantity: quantity(vital, entry[field]) });
+      });
+
+    return observations;
+  }
+
+  toLabObservation(entry, patient) {
+    const interpretation = LAB_INTERPRETATIONS[entry.flag];
+    const range = entry.referenceRange || {};
+    const limit = value => (typeof value === 'number' ? { value, unit: range.unit, system: SYSTEMS.ucum, code: range.unit } : undefined);
+
+    return {
+      resourceType: 'Observation',
+      id: String(entry._id),
+      meta: { lastUpdated: toDateTime(entry.updatedAt) },
+      status: 'final',
+      category: [coding(SYSTEMS.observationCategory, 'laboratory', 'Laboratory')],
+      code: entry.loincCode
+        ? { ...coding(SYSTEMS.loinc, entry.loincCode, entry.test), text: entry.test }
+        : { text: entry.test },
+      subject: reference('Patient', patient._id),
+      effectiveDateTime: toDateTime(entry.specimenDate),
+      valueQuantity: { value: entry.value, unit: entry.unit, system: entry.unit && SYSTEMS.ucum, code: entry.unit },
+      interpretation: interpretation && [coding(SYSTEMS.observationInterpretation, interpretation.code, interpretation.display)],
+      referenceRange: (range.low !== undefined || range.high !== undefined) && [{ low: limit(range.low), high: limit(range.high) }],
+      note: entry.notes && [{ text: entry.notes }]
+    };
+  }
+
+  toImmunization(entry, patient) {
+    return {
+      resourceType: 'Immunization',
+      id: String(entry._id),
+      meta: { lastUpdated: toDateTime(entry.updatedAt) },
+      status: 'completed',
+      vaccineCode: entry.cvxCode
+        ? { ...coding(SYSTEMS.cvx, entry.cvxCode, entry.vaccine), text: entry.vaccine }
+        : { text: entry.vaccine },
+      patient: reference('Patient', patient._id),
+      occurrenceDateTime: toDateTime(entry.administeredDate),
+      recorded: toDateTime(entry.createdAt),
+      lotNumber: entry.lotNumber,
+      performer: entry.administeredBy && [{ actor: { display: entry.administeredBy } }],
+      protocolApplied: entry.doseNumber && [{ doseNumberPositiveInt: entry.doseNumber }],
+      note: entry.notes && [{ text: entry.notes }]
+    };
+  }
+
+  toFamilyMemberHistory(entry, patient) {
+    const member = FAMILY_MEMBER_CODES[entry.relative];
+
+    return {
+      resourceType: 'FamilyMemberHistory',
+      id: String(entry._id),
+      meta: { lastUpdated: toDateTime(entry.updatedAt) },
+      status: 'completed',
+      patient: reference('Patient', patient._id),
+      date: toDateTime(entry.createdAt),
+      relationship: member
+        ? { ...coding(SYSTEMS.roleCode, member.code, member.display), text: [entry.side, entry.relative].filter(Boolean).join(' ') }
+        : { text: entry.relative },
+      condition: [{
+        code: { text: entry.condition },
+        onsetAge: typeof entry.ageAtOnset === 'number'
+          ? { value: entry.ageAtOnset, unit: 'years', system: SYSTEMS.ucum, code: 'a' }
+          : undefined,
+        note: entry.notes && [{ text: entry.notes }]
+      }]
+    };
+  }
+
+  toRelatedPerson(entry, patient) {
+    return {
+      resourceType: 'RelatedPerson',
+      id: String(entry._id),
+      active: true,
+      patient: reference('Patient', patient._id),
+      relationship: [
+        coding(SYSTEMS.contactRole, 'C', 'Emergency Contact'),
+        { text: entry.relationship }
+      ],
+      name: [{ text: entry.name }],
+      telecom: [
+        entry.phone && { system: 'phone', value: entry.phone, rank: entry.isPrimary ? 1 : undefined },
+        entry.email && { system: 'email', value: entry.email }
+      ].filter(Boolean)
+    };
+  }
+}
+
+export default new FhirService();
@@ -0,0 +1,25 @@
+import Patient from '../models/Patient.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { evaluateImmunizations } from '../utils/immunizationSchedule.js';
+
+class ImmunizationService {
+  /**
+   * Due, overdue, upcoming and completed vaccines for a patient from their date of
+   * birth and immunization history, per the bundled schedule
+   */
+  async getSchedule(patientId, asOf = new Date()) {
+    const patient = await Patient.findById(patientId).select('dateOfBirth immunizations').lean();
+
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    if (!patient.dateOfBirth) {
+      throw new ErrorResponse('A date of birth is needed to work out the immunization schedule', 422);
+    }
+
+    return evaluateImmunizations(patient, asOf);
+  }
+}
+
+export default new ImmunizationService();
@@ -0,0 +1,90 @@
+import Patient from '../models/Patient.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { LAB_REFERENCE_RANGES, convertLabValue, findReferenceTest } from '../utils/labReferenceRanges.js';
+
+export const LOINC_CODE = /^\d{1,7}-\d$/;
+
+// Changes smaller than this share of the first value are reported as stable
+const STABLE_CHANGE = 0.05;
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${name} must be a date`, 400);
+  }
+
+  return date;
+};
+
+const sameText = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const getDirection = (first, last) => {
+  if (Math.abs(last - first) <= Math.abs(first) * STABLE_CHANGE) return 'stable';
+  return last > first ? 'rising' : 'falling';
+};
+
+class LabResultService {
+  /**
+   * A test's results over time, oldest first, in the unit of the latest result.
+   * `test` is a LOINC code or a test name; a test the reference table knows also
+   * matches results recorded under its other codes and names (e.g. direct and
+   * calculated LDL). Results that cannot be converted to that unit are left out.
+   */
+  async getTrend(patientId, { test, from, to } = {}) {
+    // Repeated or bracketed query parameters arrive as arrays and objects
+    if (typeof test !== 'string' || !test.trim()) {
+      throw new ErrorResponse('test is required, once: a LOINC code or test name', 400);
+    }
+
+    const since = parseDate(from, 'from');
+    const until = parseDate(to, 'to');
+
+    const patient = await Patient.findById(patientId).select('labResults').lean();
+
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const query = LOINC_CODE.test(test) ? { loincCode: test } : { test };
+    const referenceTest = findReferenceTest(query);
+    const isMatch = referenceTest
+      ? result => findReferenceTest(result) === referenceTest
+      : result => (query.loincCode ? result.loincCode === query.loincCode : sameText(result.test, query.test));
+
+    const results = (patient.labResults || [])
+      .filter(isMatch)
+      .filter(result => (!since || result.specimenDate >= since) && (!until || result.specimenDate <= until))
+      .sort((a, b) => a.specimenDate - b.specimenDate);
+
+    const latest = results[results.length - 1];
+    const unit = latest?.unit;
+
+    const points = results.flatMap((result) => {
+      const value = referenceTest
+        ? convertLabValue(referenceTest, result.value, result.unit, unit)
+        : (result.unit === unit ? result.value : undefined);
+
+      return value === undefined ? [] : [{ _id: result._id, specimenDate: result.specimenDate, value, unit, flag: result.flag }];
+    });
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return {
+      test: referenceTest?.name || latest?.test || test,
+      loincCode: latest?.loincCode || query.loincCode,
+      unit,
+      referenceRange: latest?.referenceRange,
+      rangesVersion: LAB_REFERENCE_RANGES.version,
+      points,
+      excluded: results.length - points.length,
+      change: points.length > 1
+        ? { absolute: Number((last.value - first.value).toFixed(2)), direction: getDirection(first.value, last.value) }
+        : null
+    };
+  }
+}
+
+export default new LabResultService();
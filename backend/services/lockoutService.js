@@ -0,0 +1,165 @@
+import AccountLockout from '../models/AccountLockout.js';
+import encryptionService from './encryptionService.js';
+import mailService from './mailService.js';
+import { normalizeEmail } from '../utils/fieldEncryption.js';
+
+// Failures allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 60;
+
+class LockoutService {
+  getMaxAttempts() {
+    return parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 10;
+  }
+
+  getLockoutMinutes() {
+    return parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+  }
+
+  /**
+   * Stand-in for a sign-in email without an active account. It is throttled and
+   * locked like an account, by the email's blind index, so login responses do not
+   * reveal whether an account exists.
+   */
+  unknownAccount(email) {
+    return { identifier: encryptionService.blindIndex(normalizeEmail(email)) };
+  }
+
+  // The lockout record of an account or an unknownAccount
+  recordFilter(user, userType) {
+    return user._id ? { user: user._id, userType } : { identifier: user.identifier, userType };
+  }
+
+  /**
+   * Seconds to wait after the given number of consecutive failures (1s, 2s, 4s, ...)
+   */
+  getDelaySeconds(failedAttempts) {
+    if (failedAttempts <= FREE_ATTEMPTS) return 0;
+    return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Claim a login attempt, returning why it must be refused or null if it may proceed.
+   * Called before the password is checked, so a locked account cannot be probed.
+   *
+   * The attempt is counted as a failure up front and only cleared by recordSuccess,
+   * so concurrent guesses each see the ones claimed before them rather than all
+   * passing the check at once. An attempt made before the wait is over is refused
+   * and still counts.
+   */
+  async claimAttempt(user, userType, req) {
+    const filter = this.recordFilter(user, userType);
+    const current = await AccountLockout.findOne(filter);
+    if (current?.isLocked()) {
+      return this.lockedBlock(current);
+    }
+
+    const now = new Date();
+
+    // The record as it was before this attempt; null for an account's first attempt
+    const previous = await AccountLockout.findOneAndUpdate(
+      filter,
+      { $inc: { failedAttempts: 1 }, $set: { lastAttemptAt: now, lastAttemptIp: req.ip } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (!previous) return null;
+
+    const attempt = previous.failedAttempts + 1;
+    const delaySeconds = this.getDelaySeconds(previous.failedAttempts);
+    const nextAttemptAt = previous.lastAttemptAt ? previous.lastAttemptAt.getTime() + delaySeconds * 1000 : 0;
+
+    if (attempt <= this.getMaxAttempts() && nextAttemptAt <= now.getTime()) {
+      return null;
+    }
+
+    const locked = await this.recordFailure(user, userType);
+    if (locked) {
+      return this.lockedBlock(locked);
+    }
+
+    return {
+      statusCode: 429,
+      message: 'Too many failed login attempts. Please wait before trying again',
+      retryAfter: this.getDelaySeconds(attempt)
+    };
+  }
+
+  lockedBlock(record) {
+    return {
+      statusCode: 423,
+      message: 'Account is temporarily locked after too many failed login attempts. Try again later or reset your password',
+      retryAfter: Math.ceil((record.lockedUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * Give back a claimed attempt whose password was right, so it does not count while
+   * the second factor is pending. Earlier failures still count until a login succeeds.
+   */
+  async releaseAttempt(user, userType) {
+    await AccountLockout.updateOne(
+      { ...this.recordFilter(user, userType), failedAttempts: { $gt: 0 } },
+      { $inc: { failedAttempts: -1 } }
+    );
+  }
+
+  /**
+   * Follow a claimed attempt that failed its password or second factor: lock the
+   * account once the limit is reached. Returns the locked record, if this call locked it.
+   */
+  async recordFailure(user, userType) {
+    const lockoutMinutes = this.getLockoutMinutes();
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+
+    // Only the request that trips the limit locks the account and sends the notice
+    const locked = await AccountLockout.findOneAndUpdate(
+      { ...this.recordFilter(user, userType), failedAttempts: { $gte: this.getMaxAttempts() } },
+      {
+        $set: { failedAttempts: 0, lockedUntil, lastLockedAt: new Date() },
+        $inc: { lockoutCount: 1 }
+      },
+      { new: true }
+    );
+
+    // An unknownAccount has no owner to tell
+    if (locked && user.email) {
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+      try {
+        await mailService.sendAccountLocked(user.email, lockoutMinutes, `${frontendUrl}/forgot-password`);
+      } catch (error) {
+        console.error('Error sending account lockout email:', error);
+      }
+    }
+
+    return locked;
+  }
+
+  async recordSuccess(userId, userType) {
+    await AccountLockout.updateOne(
+      { user: userId, userType, failedAttempts: { $gt: 0 } },
+      { failedAttempts: 0 }
+    );
+  }
+
+  /**
+   * Clear a lockout early, e.g. by an admin or after a password reset
+   */
+  async unlock(userId, userType) {
+    const result = await AccountLockout.updateOne(
+      { user: userId, userType },
+      { failedAttempts: 0, lockedUntil: null }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  async listLocked() {
+    return AccountLockout.find({ user: { $exists: true }, lockedUntil: { $gt: new Date() } })
+      .sort({ lastLockedAt: -1 })
+      .lean();
+  }
+}
+
+export default new LockoutService();
@@ -0,0 +1,165 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Mail transports implement `send({ to, subject, text, html })`
+ */
+export class SmtpTransport {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  async send(message) {
+    return this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Development transport that writes messages to a local outbox and the console
+ */
+export class OutboxTransport {
+  constructor(outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    if (!fs.existsSync(this.outboxDir)) {
+      fs.mkdirSync(this.outboxDir, { recursive: true });
+    }
+
+    const filePath = path.join(this.outboxDir, `mail-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    console.log(`   Subject: ${message.subject}`);
+
+    return { messageId: path.basename(filePath), filePath };
+  }
+}
+
+class MailService {
+  constructor() {
+    // Resolved on first send so .env has been loaded by then
+    this.transport = null;
+  }
+
+  createDefaultTransport() {
+    const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+    return transport === 'smtp' ? new SmtpTransport() : new OutboxTransport();
+  }
+
+  /**
+   * Swap the underlying transport (e.g. for a provider SDK)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async sendMail({ to, subject, text, html }) {
+    if (!this.transport) {
+      this.transport = this.createDefaultTransport();
+    }
+
+    const from = process.env.MAIL_FROM || 'MedAssist <no-reply@medassist.local>';
+    return this.transport.send({ from, to, subject, text, html });
+  }
+
+  /**
+   * Send a password reset link
+   */
+  async sendPasswordReset(to, resetUrl, expiresInMinutes) {
+    return this.sendMail({
+      to,
+      subject: 'Reset your MedAssist password',
+      text: [
+        'We received a request to reset your MedAssist password.',
+        '',
+        `Reset it here: ${resetUrl}`,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send a link confirming ownership of an email address
+   */
+  async sendEmailVerification(to, verificationUrl, expiresInHours) {
+    return this.sendMail({
+      to,
+      subject: 'Confirm your MedAssist email address',
+      text: [
+        'Please confirm this email address for your MedAssist account.',
+        '',
+        `Confirm it here: ${verificationUrl}`,
+        '',
+        `This link expires in ${expiresInHours} hours.`,
+        'If you did not create an account or change your email, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  async sendAccountLocked(to, lockoutMinutes, resetUrl) {
+    return this.sendMail({
+      to,
+      subject: 'Your MedAssist account has been locked',
+      text: [
+        'Your MedAssist account was temporarily locked after too many failed login attempts.',
+        '',
+        `You can try again in ${lockoutMinutes} minutes.`,
+        '',
+        'If these attempts were not you, someone may be trying to guess your password.',
+        `We recommend resetting it now: ${resetUrl}`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Invite a caregiver to manage a patient's care
+   */
+  async sendCaregiverInvitation(to, patientName, invitationUrl, scopes) {
+    return this.sendMail({
+      to,
+      subject: `${patientName} invited you to help manage their care on MedAssist`,
+      text: [
+        `${patientName} has invited you to access their MedAssist record as a caregiver.`,
+        '',
+        `Access requested: ${scopes.join(', ')}`,
+        '',
+        `Accept the invitation here: ${invitationUrl}`,
+        '',
+        'If you were not expecting this invitation, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Confirm a data erasure request and how to cancel it
+   */
+  async sendErasureScheduled(to, scheduledFor) {
+    return this.sendMail({
+      to,
+      subject: 'Your MedAssist data erasure request',
+      text: [
+        'We received your request to erase your MedAssist account and health data.',
+        '',
+        `Your data will be erased on ${scheduledFor.toDateString()}. Until then you can sign in and cancel the request.`,
+        'Download a copy of your data first if you want to keep it.',
+        '',
+        'If you did not make this request, sign in, cancel it and change your password.'
+      ].join('\n')
+    });
+  }
+}
+
+export default new MailService();
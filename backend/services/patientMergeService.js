@@ -0,0 +1,258 @@
+import Patient from '../models/Patient.js';
+import PatientMerge from '../models/PatientMerge.js';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import Appointment from '../models/Appointment.js';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import auditService from './auditService.js';
+import duplicateDetectionService from './duplicateDetectionService.js';
+import revisionService, { ENTRY_PATHS } from './revisionService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { findDuplicateEntry } from '../utils/recordImport.js';
+
+const MAX_REASON_LENGTH = 500;
+
+// Survivor fields filled from the duplicate when the survivor has no value
+const FILLABLE_FIELDS = {
+  address: address => Boolean(address?.street || address?.city || address?.zipCode),
+  bloodType: bloodType => Boolean(bloodType) && bloodType !== 'unknown',
+  insurance: insurance => Boolean(insurance?.provider || insurance?.policyNumber),
+  primaryDoctor: primaryDoctor => Boolean(primaryDoctor)
+};
+
+// Stored values, with encrypted fields still encrypted
+const toStored = document => document.toObject({ getters: false, virtuals: false, depopulate: true });
+
+const toComparable = value => JSON.stringify(value ?? null);
+
+const identifierKey = ({ system, value }) => `${system || ''}|${value}`;
+
+const toActor = req => ({ user: req.user.id, name: `${req.user.firstName} ${req.user.lastName}` });
+
+class PatientMergeService {
+  /**
+   * Merge a duplicate candidate's records into the one chosen to survive. Entries
+   * the survivor lacks are copied over, empty survivor fields are filled, and the
+   * duplicate's appointments and caregiver grants move to the survivor. The
+   * duplicate is kept, inactive, so the merge can be undone.
+   */
+  async merge(candidateId, { survivorId, reason } = {}, req) {
+    const candidate = await duplicateDetectionService.findCandidate(candidateId);
+
+    if (candidate.status !== 'pending') {
+      throw new ErrorResponse(`This candidate has already been ${candidate.status}`, 409);
+    }
+
+    const ids = candidate.patients.map(String);
+    if (!ids.includes(String(survivorId))) {
+      throw new ErrorResponse('survivorId must be one of the candidate\'s patients', 400);
+    }
+
+    const mergedId = ids.find(id => id !== String(survivorId));
+    const [survivor, duplicate] = await Promise.all([Patient.findById(survivorId), Patient.findById(mergedId)]);
+
+    if (!survivor || !duplicate) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    if (!survivor.isActive || !duplicate.isActive) {
+      throw new ErrorResponse('Both records must be active to be merged', 409);
+    }
+
+    const before = revisionService.snapshot(survivor);
+    const addedEntries = this.copyEntries(survivor, duplicate);
+    const filledFields = this.fillFields(survivor, duplicate);
+    const addedSourceIdentifiers = this.copySourceIdentifiers(survivor, duplicate);
+
+    await survivor.save({ validateModifiedOnly: true });
+
+    duplicate.set({ isActive: false, mergedInto: survivor._id });
+    await duplicate.save({ validateModifiedOnly: true });
+
+    const [movedAppointments, movedGrants] = await Promise.all([
+      this.moveReferences(Appointment, duplicate._id, survivor._id),
+      this.moveReferences(CaregiverGrant, duplicate._id, survivor._id)
+    ]);
+
+    const patientMerge = await PatientMerge.create({
+      survivor: survivor._id,
+      merged: duplicate._id,
+      candidate: candidate._id,
+      performedBy: toActor(req),
+      reason: reason?.slice(0, MAX_REASON_LENGTH),
+      addedEntries,
+      filledFields,
+      addedSourceIdentifiers,
+      movedAppointments,
+      movedGrants
+    });
+
+    candidate.set({ status: 'merged', reviewedBy: toActor(req), reviewedAt: new Date(), merge: patientMerge._id });
+    await candidate.save();
+
+    await revisionService.record(survivor, {
+      before,
+      req,
+      reason: reason || `Merged duplicate record ${duplicate._id}`
+    });
+    this.audit(req, [survivor._id, duplicate._id], 'patient.merge');
+
+    return patientMerge;
+  }
+
+  /**
+   * Reverse a merge: entries and identifiers copied to the survivor are removed,
+   * filled fields get their previous value back unless they were changed since,
+   * moved documents return, and the duplicate is active again. Returns the paths
+   * of filled fields that were kept because they had changed.
+   */
+  async undo(mergeId, req) {
+    const patientMerge = await this.findMerge(mergeId);
+
+    if (patientMerge.status !== 'merged') {
+      throw new ErrorResponse('This merge has already been undone', 409);
+    }
+
+    const [survivor, duplicate] = await Promise.all([
+      Patient.findById(patientMerge.survivor),
+      Patient.findById(patientMerge.merged)
+    ]);
+
+    if (!survivor || !duplicate) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const before = revisionService.snapshot(survivor);
+
+    patientMerge.addedEntries.forEach(({ path, entryId }) => survivor[path].pull(entryId));
+
+    const stored = toStored(survivor);
+    const keptFields = patientMerge.filledFields
+      .filter(({ path, value }) => toComparable(stored[path]) !== toComparable(value))
+      .map(({ path }) => path);
+    patientMerge.filledFields
+      .filter(({ path }) => !keptFields.includes(path))
+      .forEach(({ path, previous }) => survivor.set(path, previous));
+
+    const addedIdentifiers = new Set(patientMerge.addedSourceIdentifiers.map(identifierKey));
+    survivor.sourceIdentifiers = survivor.sourceIdentifiers.filter(identifier => !addedIdentifiers.has(identifierKey(identifier)));
+
+    await survivor.save({ validateModifiedOnly: true });
+
+    duplicate.set({ isActive: true, mergedInto: undefined });
+    await duplicate.save({ validateModifiedOnly: true });
+
+    await Promise.all([
+      this.moveReferences(Appointment, survivor._id, duplicate._id, patientMerge.movedAppointments),
+      this.moveReferences(CaregiverGrant, survivor._id, duplicate._id, patientMerge.movedGrants)
+    ]);
+
+    patientMerge.set({ status: 'undone', undoneBy: toActor(req), undoneAt: new Date() });
+    await patientMerge.save();
+
+    if (patientMerge.candidate) {
+      await DuplicateCandidate.updateOne(
+        { _id: patientMerge.candidate },
+        { $set: { status: 'pending' }, $unset: { merge: 1, reviewedBy: 1, reviewedAt: 1 } }
+      );
+    }
+
+    await revisionService.record(survivor, {
+      before,
+      req,
+      reason: `Undid merge of duplicate record ${duplicate._id}`
+    });
+    this.audit(req, [survivor._id, duplicate._id], 'patient.merge.undo');
+
+    return { merge: patientMerge, keptFields };
+  }
+
+  async listMerges({ patientId, page = 1, limit = 20 } = {}) {
+    const query = patientId ? { $or: [{ survivor: patientId }, { merged: patientId }] } : {};
+    const skip = (page - 1) * limit;
+
+    const [merges, total] = await Promise.all([
+      PatientMerge.find(query)
+        .populate('survivor merged', 'firstName lastName dateOfBirth isActive')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PatientMerge.countDocuments(query)
+    ]);
+
+    return { merges, total };
+  }
+
+  async findMerge(mergeId) {
+    const patientMerge = await PatientMerge.findById(mergeId);
+
+    if (!patientMerge) {
+      throw new ErrorResponse('Merge not found', 404);
+    }
+
+    return patientMerge;
+  }
+
+  /**
+   * Copy the duplicate's sub-documents the survivor does not already have, keeping
+   * their _id. Likely duplicates are recognized as for imported records.
+   */
+  copyEntries(survivor, duplicate) {
+    return ENTRY_PATHS.flatMap(path =>
+      duplicate[path]
+        .map(toStored)
+        .filter(entry => !findDuplicateEntry(survivor, path, entry))
+        .map((entry) => {
+          survivor[path].push(entry);
+          return { path, entryId: entry._id };
+        }));
+  }
+
+  fillFields(survivor, duplicate) {
+    const survivorValues = toStored(survivor);
+    const duplicateValues = toStored(duplicate);
+
+    return Object.entries(FILLABLE_FIELDS)
+      .filter(([path, hasValue]) => !hasValue(survivorValues[path]) && hasValue(duplicateValues[path]))
+      .map(([path]) => {
+        survivor.set(path, duplicateValues[path]);
+        return { path, previous: survivorValues[path], value: duplicateValues[path] };
+      });
+  }
+
+  copySourceIdentifiers(survivor, duplicate) {
+    const known = new Set(survivor.sourceIdentifiers.map(identifierKey));
+    const added = duplicate.sourceIdentifiers
+      .map(({ system, value }) => ({ system, value }))
+      .filter(identifier => !known.has(identifierKey(identifier)));
+
+    added.forEach(identifier => survivor.sourceIdentifiers.push(identifier));
+    return added;
+  }
+
+  /**
+   * Point documents of another collection at a different patient. Returns the
+   * IDs moved; `ids` limits the move to those documents.
+   */
+  async moveReferences(Model, fromId, toId, ids) {
+    const query = { patient: fromId, ...(ids && { _id: { $in: ids } }) };
+    const moved = await Model.find(query).distinct('_id');
+
+    if (moved.length > 0) {
+      await Model.updateMany({ _id: { $in: moved } }, { patient: toId });
+    }
+
+    return moved;
+  }
+
+  audit(req, patientIds, resource) {
+    patientIds.forEach(patient => auditService.recordRequest(req, {
+      patient,
+      action: 'merge',
+      resource,
+      statusCode: 200,
+      basis: 'administration'
+    }));
+  }
+}
+
+export default new PatientMergeService();
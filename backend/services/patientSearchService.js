@@ -0,0 +1,212 @@
+import Patient from '../models/Patient.js';
+import accessPolicyService from './accessPolicyService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  name: { lastName: 1, firstName: 1 },
+  dateOfBirth: { dateOfBirth: 1 },
+  riskScore: { 'healthSummary.overallRiskScore': 1 },
+  createdAt: { createdAt: 1 }
+};
+
+// Only what a result list shows. Encrypted fields are left out: they can only be
+// matched exactly, so they are not searchable here.
+const RESULT_FIELDS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'gender',
+  'address.city',
+  'address.zipCode',
+  'bloodType',
+  'primaryDoctor',
+  'healthSummary.overallRiskScore',
+  'healthSummary.lastAnalyzed',
+  'medicalHistory.condition',
+  'medicalHistory.status',
+  'currentMedications.name',
+  'currentMedications.status',
+  'allergies.allergen',
+  'allergies.severity'
+].join(' ');
+
+const SEARCH_PARAMS = [
+  'name', 'dateOfBirth', 'condition', 'medication', 'allergy', 'minAge', 'maxAge', 'zipCode',
+  'minRiskScore', 'maxRiskScore', 'sort', 'order', 'page', 'limit'
+];
+
+// Repeated (?name=a&name=b) and bracketed (?name[a]=b) parameters are parsed into
+// arrays and objects, which the filters cannot use
+const checkParamTypes = (params) => {
+  const invalid = SEARCH_PARAMS.filter(name => params[name] !== undefined && typeof params[name] !== 'string');
+
+  if (invalid.length > 0) {
+    throw new ErrorResponse(`${invalid.join(', ')} must each be given once, as text`, 400);
+  }
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const contains = value => new RegExp(escapeRegExp(value.trim()), 'i');
+
+const startsWith = value => new RegExp(`^${escapeRegExp(value.trim())}`, 'i');
+
+const parseNumber = (value, name, { min, max }) => {
+  if (value === undefined || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new ErrorResponse(`${name} must be a number from ${min} to ${max}`, 400);
+  }
+  return number;
+};
+
+const parseDay = (value) => {
+  if (!value) return undefined;
+
+  const day = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(day.getTime())) {
+    throw new ErrorResponse('dateOfBirth must be a date as YYYY-MM-DD', 400);
+  }
+  return day;
+};
+
+// The birth date of someone who turns `age` today
+const yearsAgo = (age) => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCFullYear(date.getUTCFullYear() - age);
+  return date;
+};
+
+class PatientSearchService {
+  /**
+   * Search the active patients the user may see. Text filters match case-insensitively:
+   * names by the start of the first or last name, clinical terms anywhere in the entry.
+   */
+  async search(user, params = {}) {
+    checkParamTypes(params);
+
+    const { sort = 'name', order = 'asc' } = params;
+
+    if (!SORTS[sort]) {
+      throw new ErrorResponse(`sort must be one of: ${Object.keys(SORTS).join(', ')}`, 400);
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+      throw new ErrorResponse('order must be asc or desc', 400);
+    }
+
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const limit = parseNumber(params.limit, 'limit', { min: 1, max: MAX_LIMIT }) || 20;
+
+    const query = {
+      $and: [
+        { isActive: true },
+        await accessPolicyService.treatedPatientsFilter(user),
+        ...this.buildFilters(params)
+      ]
+    };
+
+    const direction = order === 'asc' ? 1 : -1;
+    const sortBy = Object.fromEntries(Object.entries(SORTS[sort]).map(([field]) => [field, direction]));
+
+    const [patients, total] = await Promise.all([
+      Patient.find(query)
+        .select(RESULT_FIELDS)
+        .sort({ ...sortBy, _id: direction })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Patient.countDocuments(query)
+    ]);
+
+    return {
+      patients: patients.map(patient => this.toResult(patient)),
+      page,
+      limit,
+      total
+    };
+  }
+
+  buildFilters(params) {
+    const { name, condition, medication, allergy, zipCode } = params;
+    const filters = [];
+
+    if (name?.trim()) {
+      name.trim().split(/\s+/).forEach((term) => {
+        filters.push({ $or: [{ firstName: startsWith(term) }, { lastName: startsWith(term) }] });
+      });
+    }
+
+    const dateOfBirth = parseDay(params.dateOfBirth);
+    if (dateOfBirth) {
+      const nextDay = new Date(dateOfBirth.getTime() + 24 * 60 * 60 * 1000);
+      filters.push({ dateOfBirth: { $gte: dateOfBirth, $lt: nextDay } });
+    }
+
+    // Resolved conditions and stopped medications do not describe the patient now
+    if (condition?.trim()) {
+      filters.push({ medicalHistory: { $elemMatch: { condition: contains(condition), status: { $ne: 'resolved' } } } });
+    }
+
+    if (medication?.trim()) {
+      filters.push({ currentMedications: { $elemMatch: { name: contains(medication), status: 'active' } } });
+    }
+
+    if (allergy?.trim()) {
+      filters.push({ 'allergies.allergen': contains(allergy) });
+    }
+
+    const minAge = parseNumber(params.minAge, 'minAge', { min: 0, max: 150 });
+    const maxAge = parseNumber(params.maxAge, 'maxAge', { min: 0, max: 150 });
+    if (minAge !== undefined || maxAge !== undefined) {
+      filters.push({
+        dateOfBirth: {
+          ...(minAge !== undefined && { $lte: yearsAgo(minAge) }),
+          ...(maxAge !== undefined && { $gt: yearsAgo(maxAge + 1) })
+        }
+      });
+    }
+
+    if (zipCode?.trim()) {
+      filters.push({ 'address.zipCode': zipCode.trim() });
+    }
+
+    const minRiskScore = parseNumber(params.minRiskScore, 'minRiskScore', { min: 0, max: 100 });
+    const maxRiskScore = parseNumber(params.maxRiskScore, 'maxRiskScore', { min: 0, max: 100 });
+    if (minRiskScore !== undefined || maxRiskScore !== undefined) {
+      filters.push({
+        'healthSummary.overallRiskScore': {
+          ...(minRiskScore !== undefined && { $gte: minRiskScore }),
+          ...(maxRiskScore !== undefined && { $lte: maxRiskScore })
+        }
+      });
+    }
+
+    return filters;
+  }
+
+  toResult(patient) {
+    return {
+      _id: patient._id,
+      firstName: patient.firstName,
+      lastName: patient.lastName,
+      dateOfBirth: patient.dateOfBirth,
+      age: patient.age,
+      gender: patient.gender,
+      city: patient.address?.city,
+      zipCode: patient.address?.zipCode,
+      bloodType: patient.bloodType,
+      primaryDoctor: patient.primaryDoctor,
+      overallRiskScore: patient.healthSummary?.overallRiskScore,
+      lastAnalyzed: patient.healthSummary?.lastAnalyzed,
+      activeConditions: patient.getActiveConditions().map(condition => condition.condition),
+      activeMedications: patient.getCurrentMedications().map(medication => medication.name),
+      allergies: patient.allergies.map(({ allergen, severity }) => ({ allergen, severity }))
+    };
+  }
+}
+
+export default new PatientSearchService();
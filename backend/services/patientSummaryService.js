@@ -0,0 +1,279 @@
+import PDFDocument from 'pdfkit';
+import Patient from '../models/Patient.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+export const PDF_CONTENT_TYPE = 'application/pdf';
+
+const MARGIN = 50;
+const HEADER_HEIGHT = 40;
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  accent: '#2563eb',
+  warning: '#b91c1c',
+  rule: '#d1d5db'
+};
+
+const formatDate = date => (date ? new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : null);
+
+const capitalize = value => (value ? value.charAt(0).toUpperCase() + value.slice(1) : value);
+
+const joinParts = (parts, separator = ' · ') => parts.filter(Boolean).join(separator);
+
+class PatientSummaryService {
+  /**
+   * Printable summary of a patient's record to bring to a new doctor: demographics,
+   * active conditions, current medications, severe allergies, the latest vital signs
+   * and the AI health summary. Without `includeMedications` the medications section
+   * only says that access to it is restricted.
+   */
+  async generatePdf(patientId, { includeMedications = true } = {}) {
+    const patient = await Patient.findById(patientId).populate('primaryDoctor', 'firstName lastName specializations');
+
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const generatedAt = new Date();
+    const pdf = await this.render(patient, generatedAt, { includeMedications });
+
+    return { pdf, fileName: this.fileName(patient, generatedAt) };
+  }
+
+  fileName(patient, generatedAt) {
+    const name = `${patient.firstName}-${patient.lastName}`.toLowerCase().replace(/[^a-z0-9-]+/g, '');
+    return `${name}-summary-${generatedAt.toISOString().slice(0, 10)}.pdf`;
+  }
+
+  render(patient, generatedAt, { includeMedications = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: MARGIN + HEADER_HEIGHT, bottom: MARGIN, left: MARGIN, right: MARGIN },
+        bufferPages: true,
+        info: {
+          Title: `Patient summary - ${patient.fullName}`,
+          CreationDate: generatedAt
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.writeDemographics(doc, patient);
+      this.writeConditions(doc, patient);
+      this.writeMedications(doc, patient, { includeMedications });
+      this.writeAllergies(doc, patient);
+      this.writeVitalSigns(doc, patient);
+      this.writeHealthSummary(doc, patient);
+      this.writePageFrames(doc, patient, generatedAt);
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Header and page numbers, drawn once every page exists so the total is known
+   */
+  writePageFrames(doc, patient, generatedAt) {
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+
+      const { width, height } = doc.page;
+      const contentWidth = width - MARGIN * 2;
+      // Text below the bottom margin would otherwise start a new page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+
+      doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.accent)
+        .text('Patient Summary', MARGIN, MARGIN, { width: contentWidth, lineBreak: false });
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+        .text(`${patient.fullName} · Born ${formatDate(patient.dateOfBirth)}`, MARGIN, MARGIN + 2, {
+          width: contentWidth,
+          align: 'right',
+          lineBreak: false
+        })
+        .text(`Generated on ${formatDate(generatedAt)}`, MARGIN, MARGIN + 14, {
+          width: contentWidth,
+          align: 'right',
+          lineBreak: false
+        });
+      doc.moveTo(MARGIN, MARGIN + HEADER_HEIGHT - 10).lineTo(width - MARGIN, MARGIN + HEADER_HEIGHT - 10)
+        .strokeColor(COLORS.rule).lineWidth(1).stroke();
+
+      doc.fontSize(8).fillColor(COLORS.muted)
+        .text(`Page ${index - start + 1} of ${count}`, MARGIN, height - MARGIN / 2 - 8, {
+          width: contentWidth,
+          align: 'center',
+          lineBreak: false
+        });
+
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  writeSectionTitle(doc, title) {
+    // Keep a title together with at least the first lines of its section
+    if (doc.y + 60 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    doc.moveDown(doc.y > doc.page.margins.top ? 1 : 0);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text).text(title, MARGIN);
+    doc.moveDown(0.3);
+  }
+
+  writeEmpty(doc, message) {
+    doc.font('Helvetica-Oblique').fontSize(10).fillColor(COLORS.muted).text(message);
+  }
+
+  writeItem(doc, title, detail, { color = COLORS.text } = {}) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(color).text(title, { continued: Boolean(detail) });
+    if (detail) {
+      doc.font('Helvetica').fillColor(COLORS.muted).text(`  ${detail}`);
+    }
+    doc.moveDown(0.2);
+  }
+
+  writeFields(doc, fields) {
+    fields
+      .filter(([, value]) => Boolean(value) || value === 0)
+      .forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(String(value));
+      });
+  }
+
+  writeDemographics(doc, patient) {
+    const { address, primaryDoctor } = patient;
+    const primaryContact = patient.emergencyContacts.find(contact => contact.isPrimary) || patient.emergencyContacts[0];
+
+    this.writeSectionTitle(doc, 'Patient');
+    this.writeFields(doc, [
+      ['Name', patient.fullName],
+      ['Date of birth', joinParts([formatDate(patient.dateOfBirth), patient.age !== null && `${patient.age} years`], ' · ')],
+      ['Gender', capitalize(patient.gender)],
+      ['Blood type', patient.bloodType !== 'unknown' && patient.bloodType],
+      ['Phone', patient.phone],
+      ['Email', patient.email],
+      ['Address', address && joinParts([address.street, address.city, joinParts([address.state, address.zipCode], ' ')], ', ')],
+      ['Primary care', primaryDoctor && joinParts([primaryDoctor.fullName, primaryDoctor.primarySpecialization])],
+      ['Emergency contact', primaryContact && joinParts([primaryContact.name, primaryContact.relationship, primaryContact.phone])]
+    ]);
+  }
+
+  writeConditions(doc, patient) {
+    const conditions = patient.getActiveConditions();
+
+    this.writeSectionTitle(doc, 'Active Conditions');
+    if (conditions.length === 0) {
+      this.writeEmpty(doc, 'No active conditions recorded.');
+      return;
+    }
+
+    conditions.forEach(condition => this.writeItem(doc, condition.condition, joinParts([
+      capitalize(condition.status),
+      condition.severity && `${condition.severity} severity`,
+      condition.diagnosedDate && `diagnosed ${formatDate(condition.diagnosedDate)}`
+    ])));
+  }
+
+  writeMedications(doc, patient, { includeMedications = true } = {}) {
+    this.writeSectionTitle(doc, 'Current Medications');
+    if (!includeMedications) {
+      this.writeEmpty(doc, 'Not shown: access to medications is restricted.');
+      return;
+    }
+
+    const medications = patient.getCurrentMedications();
+    if (medications.length === 0) {
+      this.writeEmpty(doc, 'No current medications recorded.');
+      return;
+    }
+
+    medications.forEach(medication => this.writeItem(doc, medication.name, joinParts([
+      medication.dosage,
+      medication.frequency,
+      medication.startDate && `since ${formatDate(medication.startDate)}`
+    ])));
+  }
+
+  writeAllergies(doc, patient) {
+    const allergies = patient.getHighSeverityAllergies();
+
+    this.writeSectionTitle(doc, 'Severe Allergies');
+    if (allergies.length === 0) {
+      this.writeEmpty(doc, 'No severe or life-threatening allergies recorded.');
+      return;
+    }
+
+    allergies.forEach(allergy => this.writeItem(doc, allergy.allergen, joinParts([
+      capitalize(allergy.severity),
+      allergy.reaction
+    ]), { color: COLORS.warning }));
+  }
+
+  writeVitalSigns(doc, patient) {
+    const vitals = patient.getLatestVitalSigns();
+
+    this.writeSectionTitle(doc, 'Latest Vital Signs');
+    if (!vitals) {
+      this.writeEmpty(doc, 'No vital signs recorded.');
+      return;
+    }
+
+    const { systolic, diastolic } = vitals.bloodPressure || {};
+    const bmi = vitals.bmi || patient.currentBMI;
+
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(`Recorded ${formatDate(vitals.recordedDate)}`);
+    doc.moveDown(0.2);
+    this.writeFields(doc, [
+      ['Blood pressure', systolic && diastolic && `${systolic}/${diastolic} mmHg`],
+      ['Heart rate', vitals.heartRate && `${vitals.heartRate} bpm`],
+      ['Temperature', vitals.temperature && `${vitals.temperature} °C`],
+      ['Respiratory rate', vitals.respiratoryRate && `${vitals.respiratoryRate} breaths/min`],
+      ['Oxygen saturation', vitals.oxygenSaturation && `${vitals.oxygenSaturation}%`],
+      ['Weight', vitals.weight && `${vitals.weight} kg`],
+      ['Height', vitals.height && `${vitals.height} cm`],
+      ['BMI', bmi && Number(bmi).toFixed(1)]
+    ]);
+  }
+
+  writeHealthSummary(doc, patient) {
+    const { riskFactors = [], recommendations = [], lastAnalyzed, overallRiskScore } = patient.healthSummary || {};
+
+    this.writeSectionTitle(doc, 'Health Summary');
+    if (!lastAnalyzed && riskFactors.length === 0 && recommendations.length === 0) {
+      this.writeEmpty(doc, 'No AI health analysis has been run for this record.');
+      return;
+    }
+
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(joinParts([
+        lastAnalyzed && `AI analysis of ${formatDate(lastAnalyzed)}`,
+        typeof overallRiskScore === 'number' && `overall risk score ${overallRiskScore}/100`
+      ]) || 'AI analysis');
+    doc.moveDown(0.3);
+
+    [['Risk factors', riskFactors], ['Recommendations', recommendations]]
+      .filter(([, items]) => items.length > 0)
+      .forEach(([title, items]) => {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(title);
+        doc.font('Helvetica').list(items, { bulletRadius: 1.5, textIndent: 10 });
+        doc.moveDown(0.3);
+      });
+
+    doc.moveDown(0.5);
+    this.writeEmpty(doc, 'AI-generated insights are not a diagnosis. Discuss them with your doctor.');
+  }
+}
+
+export default new PatientSummaryService();
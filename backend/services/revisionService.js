@@ -0,0 +1,250 @@
+import Patient from '../models/Patient.js';
+import PatientRevision from '../models/PatientRevision.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_REASON_LENGTH = 500;
+
+// Parts of the record that are versioned. Account, verification, preference and
+// AI-generated fields are left out: they are not clinical and change on their own.
+export const VERSIONED_PATHS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'gender',
+  'address',
+  'bloodType',
+  'insurance',
+  'primaryDoctor',
+  'medicalHistory',
+  'currentMedications',
+  'allergies',
+  'vitalSigns',
+  'labResults',
+  'immunizations',
+  'familyHistory',
+  'emergencyContacts'
+];
+
+// Sub-document arrays; their entries are matched by _id when diffing and can be restored
+export const ENTRY_PATHS = [
+  'medicalHistory',
+  'currentMedications',
+  'allergies',
+  'vitalSigns',
+  'labResults',
+  'immunizations',
+  'familyHistory',
+  'emergencyContacts'
+];
+
+// Sub-document timestamps move on every edit, so they are reported but not compared
+const IGNORED_ENTRY_FIELDS = ['_id', 'createdAt', 'updatedAt'];
+
+const toComparable = (value) => JSON.stringify(value ?? null);
+
+const diffEntryFields = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter(field => !IGNORED_ENTRY_FIELDS.includes(field))
+    .filter(field => toComparable(before[field]) !== toComparable(after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+const diffEntries = (path, before = [], after = []) => {
+  const beforeById = new Map(before.map(entry => [String(entry._id), entry]));
+  const afterIds = new Set(after.map(entry => String(entry._id)));
+  const changes = [];
+
+  after.forEach((entry) => {
+    const previous = beforeById.get(String(entry._id));
+
+    if (!previous) {
+      changes.push({ path, entryId: entry._id, change: 'added', to: entry });
+      return;
+    }
+
+    const fields = diffEntryFields(previous, entry);
+    if (fields.length > 0) {
+      changes.push({ path, entryId: entry._id, change: 'modified', fields, updatedAt: entry.updatedAt });
+    }
+  });
+
+  before
+    .filter(entry => !afterIds.has(String(entry._id)))
+    .forEach(entry => changes.push({ path, entryId: entry._id, change: 'removed', from: entry }));
+
+  return changes;
+};
+
+class RevisionService {
+  /**
+   * Stored values of the versioned paths, with encrypted fields still encrypted
+   */
+  snapshot(patient) {
+    const stored = patient.toObject({ getters: false, virtuals: false, depopulate: true });
+
+    return Object.fromEntries(
+      VERSIONED_PATHS
+        .filter(path => stored[path] !== undefined)
+        .map(path => [path, stored[path]])
+    );
+  }
+
+  /**
+   * Plain, decrypted copy of a snapshot for comparing and returning to clients
+   */
+  readSnapshot(snapshot) {
+    return Patient.decryptFields(JSON.parse(JSON.stringify(snapshot)));
+  }
+
+  /**
+   * Changes between two snapshots: top-level fields as a whole, sub-document
+   * arrays entry by entry. Arrays are in every full snapshot, so one missing from
+   * either side was omitted from it and is not compared.
+   */
+  diffSnapshots(before, after) {
+    const from = this.readSnapshot(before);
+    const to = this.readSnapshot(after);
+
+    return VERSIONED_PATHS.flatMap((path) => {
+      if (ENTRY_PATHS.includes(path)) {
+        return from[path] && to[path] ? diffEntries(path, from[path], to[path]) : [];
+      }
+
+      if (toComparable(from[path]) === toComparable(to[path])) return [];
+      return [{ path, change: 'modified', from: from[path] ?? null, to: to[path] ?? null }];
+    });
+  }
+
+  /**
+   * Store a revision of the patient after a change. `before` is the snapshot taken
+   * before the change; it becomes the baseline revision the first time a record is
+   * changed. The author is the request's user unless given, as for background
+   * jobs. Paths in `omitPaths` are listed as changed but not copied into the
+   * revision, for changes too large to keep, such as a device import's vital signs.
+   * Returns null when nothing versioned changed.
+   */
+  async record(patient, { before, req, reason, author, omitPaths = [] }) {
+    const latest = await PatientRevision.findOne({ patient: patient._id })
+      .sort({ revision: -1 })
+      .lean();
+
+    if (!latest && before) {
+      await this.append(patient._id, {
+        reason: 'Record as it was before its first tracked change',
+        changedPaths: [],
+        snapshot: before
+      });
+    }
+
+    const after = this.snapshot(patient);
+    // Paths the latest revision omitted are compared with the record as it was before this change
+    const omitted = (latest?.omittedPaths || []).filter(path => before?.[path] !== undefined);
+    const previous = latest
+      ? { ...latest.snapshot, ...Object.fromEntries(omitted.map(path => [path, before[path]])) }
+      : before;
+    const changes = previous ? this.diffSnapshots(previous, after) : [];
+
+    if (previous && changes.length === 0) return null;
+
+    const requestedReason = req?.get('x-change-reason');
+
+    return this.append(patient._id, {
+      author: author || (req?.user && {
+        user: req.user.id,
+        userType: req.user.role,
+        name: `${req.user.firstName} ${req.user.lastName}`
+      }),
+      reason: (requestedReason || reason)?.slice(0, MAX_REASON_LENGTH),
+      changedPaths: [...new Set(changes.map(change => change.path))],
+      ...(omitPaths.length > 0 && { omittedPaths: omitPaths }),
+      snapshot: Object.fromEntries(Object.entries(after).filter(([path]) => !omitPaths.includes(path)))
+    });
+  }
+
+  async append(patientId, revision, attempt = 1) {
+    const last = await PatientRevision.findOne({ patient: patientId })
+      .sort({ revision: -1 })
+      .select('revision')
+      .lean();
+
+    try {
+      return await PatientRevision.create({
+        ...revision,
+        patient: patientId,
+        revision: last ? last.revision + 1 : 1
+      });
+    } catch (error) {
+      // A concurrent change took the number; append after it
+      if (error.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) {
+        return this.append(patientId, revision, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  async getRevision(patientId, revision) {
+    const stored = await PatientRevision.findOne({ patient: patientId, revision }).lean();
+
+    if (!stored) {
+      throw new ErrorResponse(`Revision ${revision} not found`, 404);
+    }
+
+    return stored;
+  }
+
+  async diff(patientId, fromRevision, toRevision) {
+    const [from, to] = await Promise.all([
+      this.getRevision(patientId, fromRevision),
+      this.getRevision(patientId, toRevision)
+    ]);
+
+    return this.diffSnapshots(from.snapshot, to.snapshot);
+  }
+
+  /**
+   * Put one sub-document back the way it was in a past revision, re-adding it
+   * with its original _id and createdAt if it has since been removed
+   */
+  async restoreEntry(patientId, revisionNumber, { path, entryId }, req) {
+    if (!ENTRY_PATHS.includes(path)) {
+      throw new ErrorResponse(`path must be one of: ${ENTRY_PATHS.join(', ')}`, 400);
+    }
+
+    const revision = await this.getRevision(patientId, revisionNumber);
+    const stored = (revision.snapshot[path] || []).find(entry => String(entry._id) === String(entryId));
+
+    if (!stored) {
+      throw new ErrorResponse(`Entry not found in revision ${revisionNumber}`, 404);
+    }
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const before = this.snapshot(patient);
+    const current = patient[path].id(entryId);
+
+    // Stored values are already encrypted, so the field setters leave them as they are
+    if (current) {
+      current.overwrite(stored);
+    } else {
+      patient[path].push(stored);
+    }
+
+    await patient.save({ validateModifiedOnly: true });
+
+    await this.record(patient, {
+      before,
+      req,
+      reason: `Restored ${path} entry from revision ${revisionNumber}`
+    });
+
+    return patient[path].id(entryId);
+  }
+}
+
+export default new RevisionService();
@@ -0,0 +1,158 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+
+const REFRESH_TOKEN_EXPIRE_DAYS = 30;
+
+class SessionService {
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  signAccessToken(userId, userType, sessionId) {
+    return jwt.sign(
+      { id: userId, type: userType, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRE || '15m' }
+    );
+  }
+
+  /**
+   * Start a new session and issue its first access/refresh token pair
+   */
+  async createSession(userId, userType, req) {
+    const { token: refreshToken, tokenHash } = createRandomToken(48);
+    const userAgent = req.get('user-agent') || '';
+
+    const session = await Session.create({
+      user: userId,
+      userType,
+      refreshTokenHash: tokenHash,
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ipAddress: req.ip,
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return {
+      accessToken: this.signAccessToken(userId, userType, session._id),
+      refreshToken,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. A reused (already rotated) token
+   * means it was stolen, so the whole session is revoked.
+   */
+  async rotateSession(refreshToken, req) {
+    if (typeof refreshToken !== 'string') {
+      throw new ErrorResponse('Refresh token must be text', 400);
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const { token: nextRefreshToken, tokenHash: nextTokenHash } = createRandomToken(48);
+
+    const session = await Session.findOneAndUpdate(
+      {
+        refreshTokenHash: tokenHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        refreshTokenHash: nextTokenHash,
+        $push: { previousTokenHashes: tokenHash },
+        lastSeenAt: new Date(),
+        ipAddress: req.ip,
+        expiresAt: this.getRefreshExpiry()
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOne({ previousTokenHashes: tokenHash, revokedAt: null });
+      if (reused) {
+        await this.revokeSession(reused._id, 'refresh-token-reuse');
+      }
+
+      throw new ErrorResponse('Invalid or expired refresh token', 401);
+    }
+
+    return {
+      accessToken: this.signAccessToken(session.user, session.userType, session._id),
+      refreshToken: nextRefreshToken,
+      session
+    };
+  }
+
+  /**
+   * Load an active session for an access token and record activity
+   */
+  async touchSession(sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+
+    // Avoid a write on every request
+    if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+      session.lastSeenAt = new Date();
+      await session.save();
+    }
+
+    return session;
+  }
+
+  async listSessions(userId, userType) {
+    return Session.find({
+      user: userId,
+      userType,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one (the caller's)
+   */
+  async revokeAllSessions(userId, userType, { exceptSessionId = null, reason = 'logout-all' } = {}) {
+    const query = { user: userId, userType, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+  }
+
+  getRefreshExpiry() {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || REFRESH_TOKEN_EXPIRE_DAYS;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Human-readable device label from a user agent string
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [['Edg/', 'Edge'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+    const systems = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([marker]) => userAgent.includes(marker));
+    const system = systems.find(([marker]) => userAgent.includes(marker));
+
+    if (!browser && !system) return userAgent.substring(0, 60);
+    return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+  }
+}
+
+export default new SessionService();
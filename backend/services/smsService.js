@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * SMS transports implement `send({ to, body })`
+ */
+export class WebhookSmsTransport {
+  constructor(url = process.env.SMS_WEBHOOK_URL) {
+    this.url = url;
+  }
+
+  // Posts the message to an HTTP gateway that relays it to the SMS provider
+  async send(message) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` })
+      },
+      body: JSON.stringify(message)
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with status ${response.status}`);
+    }
+
+    return { messageId: response.headers.get('x-message-id') };
+  }
+}
+
+/**
+ * Development transport that writes messages to a local outbox and the console
+ */
+export class OutboxSmsTransport {
+  constructor(outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    if (!fs.existsSync(this.outboxDir)) {
+      fs.mkdirSync(this.outboxDir, { recursive: true });
+    }
+
+    const filePath = path.join(this.outboxDir, `sms-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    console.log(`📱 SMS to ${message.to} written to ${filePath}`);
+
+    return { messageId: path.basename(filePath), filePath };
+  }
+}
+
+class SmsService {
+  constructor() {
+    // Resolved on first send so .env has been loaded by then
+    this.transport = null;
+  }
+
+  createDefaultTransport() {
+    const transport = process.env.SMS_TRANSPORT || (process.env.SMS_WEBHOOK_URL ? 'webhook' : 'outbox');
+    return transport === 'webhook' ? new WebhookSmsTransport() : new OutboxSmsTransport();
+  }
+
+  /**
+   * Swap the underlying transport (e.g. for a provider SDK)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async sendSms({ to, body }) {
+    if (!this.transport) {
+      this.transport = this.createDefaultTransport();
+    }
+
+    return this.transport.send({ to, body });
+  }
+
+  /**
+   * Send a one-time code to confirm a phone number
+   */
+  async sendVerificationCode(to, code, expiresInMinutes) {
+    return this.sendSms({
+      to,
+      body: `Your MedAssist verification code is ${code}. It expires in ${expiresInMinutes} minutes.`
+    });
+  }
+}
+
+export default new SmsService();
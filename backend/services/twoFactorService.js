@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import TwoFactorCredential from '../models/TwoFactorCredential.js';
+import SecurityPolicy from '../models/SecurityPolicy.js';
+import Session from '../models/Session.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { hashToken } from '../utils/tokens.js';
+import { generateSecret, verifyCode, buildOtpAuthUri } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+
+class TwoFactorService {
+  async isEnabled(userId, userType) {
+    const credential = await TwoFactorCredential.findOne({ user: userId, userType }).lean();
+    return Boolean(credential && credential.enabled);
+  }
+
+  /**
+   * Whether the security policy forces this user type to use 2FA
+   */
+  async isRequired(userType) {
+    if (userType !== 'doctor') return false;
+
+    const policy = await SecurityPolicy.getPolicy();
+    return policy.requireTwoFactorForDoctors;
+  }
+
+  /**
+   * Sign out every user of a type who has not enabled 2FA, once the policy starts
+   * requiring it. Refresh tokens slide their expiry forward on every rotation, so
+   * without this an existing session would never pass the enrollment step at login.
+   * Returns the number of sessions revoked.
+   */
+  async revokeUnenrolledSessions(userType) {
+    const enrolled = await TwoFactorCredential.find({ userType, enabled: true }).distinct('user');
+
+    const result = await Session.updateMany(
+      { userType, user: { $nin: enrolled }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'two-factor-required' }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Generate a pending secret and the otpauth URI to render as a QR code
+   */
+  async beginEnrollment(userId, userType, accountName) {
+    const secret = generateSecret();
+
+    await TwoFactorCredential.findOneAndUpdate(
+      { user: userId, userType },
+      { pendingSecret: secret },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, accountName)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * and return freshly generated recovery codes
+   */
+  async confirmEnrollment(userId, userType, code) {
+    const credential = await TwoFactorCredential.findOne({ user: userId, userType }).select('+pendingSecret');
+
+    if (!credential || !credential.pendingSecret) {
+      throw new ErrorResponse('Start two-factor enrollment first', 400);
+    }
+
+    const step = verifyCode(credential.pendingSecret, code);
+    if (step === null) {
+      throw new ErrorResponse('Invalid verification code', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    credential.secret = credential.pendingSecret;
+    credential.pendingSecret = undefined;
+    credential.enabled = true;
+    credential.enabledAt = new Date();
+    credential.lastUsedStep = step;
+    credential.recoveryCodeHashes = recoveryCodes.map(hashToken);
+    await credential.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code or consume a one-time recovery code
+   */
+  async verify(userId, userType, { code, recoveryCode }) {
+    const credential = await TwoFactorCredential.findOne({ user: userId, userType, enabled: true })
+      .select('+secret +recoveryCodeHashes');
+
+    if (!credential) return false;
+
+    // Each one-time check is made in the update that uses it up, so two requests
+    // sent at once cannot both use the same recovery code or time step
+    if (recoveryCode) {
+      const recoveryHash = hashToken(this.normalizeRecoveryCode(recoveryCode));
+      const consumed = await TwoFactorCredential.findOneAndUpdate(
+        { _id: credential._id, recoveryCodeHashes: recoveryHash },
+        { $pull: { recoveryCodeHashes: recoveryHash } }
+      );
+      return Boolean(consumed);
+    }
+
+    const step = verifyCode(credential.secret, code);
+    if (step === null) return false;
+
+    const claimed = await TwoFactorCredential.findOneAndUpdate(
+      { _id: credential._id, $or: [{ lastUsedStep: { $exists: false } }, { lastUsedStep: { $lt: step } }] },
+      { $set: { lastUsedStep: step } }
+    );
+    return Boolean(claimed);
+  }
+
+  async regenerateRecoveryCodes(userId, userType) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await TwoFactorCredential.updateOne(
+      { user: userId, userType, enabled: true },
+      { recoveryCodeHashes: recoveryCodes.map(hashToken) }
+    );
+
+    return recoveryCodes;
+  }
+
+  async disable(userId, userType) {
+    await TwoFactorCredential.deleteOne({ user: userId, userType });
+  }
+
+  async getRemainingRecoveryCodes(userId, userType) {
+    const credential = await TwoFactorCredential.findOne({ user: userId, userType })
+      .select('+recoveryCodeHashes')
+      .lean();
+
+    return credential?.recoveryCodeHashes?.length || 0;
+  }
+
+  /**
+   * Short-lived token proving the password step passed. It carries no session id,
+   * so protect() never accepts it as an access token.
+   */
+  signChallenge(userId, userType, purpose) {
+    return jwt.sign(
+      { id: userId, type: userType, purpose },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRE }
+    );
+  }
+
+  verifyChallenge(token, purpose) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== purpose) {
+      throw new ErrorResponse('Invalid challenge token', 401);
+    }
+
+    return decoded;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  normalizeRecoveryCode(recoveryCode) {
+    const cleaned = String(recoveryCode).toLowerCase().replace(/[^0-9a-f]/g, '');
+    return `${cleaned.slice(0, 5)}-${cleaned.slice(5)}`;
+  }
+}
+
+export default new TwoFactorService();
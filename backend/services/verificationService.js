@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import Patient from '../models/Patient.js';
+import AuthToken from '../models/AuthToken.js';
+import mailService from './mailService.js';
+import smsService from './smsService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+
+const EMAIL_TOKEN_EXPIRE_HOURS = 24;
+const PHONE_CODE_EXPIRE_MINUTES = 10;
+const MAX_CODE_ATTEMPTS = 5;
+
+class VerificationService {
+  /**
+   * Email a verification link for the given address (the current email by default)
+   */
+  async sendEmailVerification(patient, email = patient.email) {
+    await AuthToken.deleteMany({ user: patient._id, purpose: 'email-verification', usedAt: null });
+
+    const { token, tokenHash } = createRandomToken();
+
+    await AuthToken.create({
+      user: patient._id,
+      userType: 'patient',
+      purpose: 'email-verification',
+      target: email,
+      tokenHash,
+      expiresAt: new Date(Date.now() + EMAIL_TOKEN_EXPIRE_HOURS * 60 * 60 * 1000)
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const verificationUrl = `${frontendUrl}/verify-email?token=${token}`;
+
+    await mailService.sendEmailVerification(email, verificationUrl, EMAIL_TOKEN_EXPIRE_HOURS);
+  }
+
+  async verifyEmail(token) {
+    const authToken = await AuthToken.consume(hashToken(token), 'email-verification');
+    const patient = authToken && await Patient.findById(authToken.user).lean();
+
+    if (!patient) {
+      throw new ErrorResponse('Verification link is invalid or has expired', 400);
+    }
+
+    const update = { emailVerified: true, emailVerifiedAt: new Date() };
+
+    if (authToken.target === patient.pendingEmail) {
+      // The address may have been taken since the change was requested
+      if (await Patient.exists({ email: authToken.target, _id: { $ne: patient._id } })) {
+        throw new ErrorResponse('This email address is already in use', 400);
+      }
+
+      update.email = patient.pendingEmail;
+      update.$unset = { pendingEmail: 1 };
+    } else if (authToken.target !== patient.email) {
+      // Link for an address that is no longer on the account
+      throw new ErrorResponse('Verification link is invalid or has expired', 400);
+    }
+
+    return Patient.findByIdAndUpdate(patient._id, update, { new: true });
+  }
+
+  /**
+   * Text a one-time code to the pending phone number, or the current one
+   */
+  async sendPhoneCode(patient) {
+    const phone = patient.pendingPhone || patient.phone;
+
+    if (!patient.pendingPhone && patient.phoneVerified) {
+      throw new ErrorResponse('Phone number is already verified', 400);
+    }
+
+    await AuthToken.deleteMany({ user: patient._id, purpose: 'phone-verification', usedAt: null });
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    await AuthToken.create({
+      user: patient._id,
+      userType: 'patient',
+      purpose: 'phone-verification',
+      target: phone,
+      tokenHash: this.hashPhoneCode(patient._id, phone, code),
+      expiresAt: new Date(Date.now() + PHONE_CODE_EXPIRE_MINUTES * 60 * 1000)
+    });
+
+    await smsService.sendVerificationCode(phone, code, PHONE_CODE_EXPIRE_MINUTES);
+  }
+
+  async verifyPhone(patient, code) {
+    const authToken = await AuthToken.findOne({
+      user: patient._id,
+      purpose: 'phone-verification',
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!authToken || authToken.attempts >= MAX_CODE_ATTEMPTS) {
+      throw new ErrorResponse('Verification code is invalid or has expired', 400);
+    }
+
+    const tokenHash = this.hashPhoneCode(patient._id, authToken.target, String(code));
+    if (tokenHash !== authToken.tokenHash) {
+      await AuthToken.updateOne({ _id: authToken._id }, { $inc: { attempts: 1 } });
+      throw new ErrorResponse('Invalid verification code', 400);
+    }
+
+    if (!(await AuthToken.consume(tokenHash, 'phone-verification'))) {
+      throw new ErrorResponse('Verification code is invalid or has expired', 400);
+    }
+
+    const update = { phoneVerified: true, phoneVerifiedAt: new Date() };
+
+    if (authToken.target === patient.pendingPhone) {
+      update.phone = patient.pendingPhone;
+      update.$unset = { pendingPhone: 1 };
+    } else if (authToken.target !== patient.phone) {
+      throw new ErrorResponse('Verification code is invalid or has expired', 400);
+    }
+
+    return Patient.findByIdAndUpdate(patient._id, update, { new: true });
+  }
+
+  /**
+   * Send both verifications after registration. Delivery failures are logged
+   * rather than failing the registration; the user can ask for a new one.
+   */
+  async sendInitialVerifications(patient) {
+    try {
+      await this.sendEmailVerification(patient);
+    } catch (error) {
+      console.error('Error sending email verification:', error);
+    }
+
+    try {
+      await this.sendPhoneCode(patient);
+    } catch (error) {
+      console.error('Error sending phone verification code:', error);
+    }
+  }
+
+  /**
+   * Hold a new email or phone number as pending and send a verification to it.
+   * The current value stays in use until the new one is confirmed.
+   * Returns the fields awaiting verification.
+   */
+  async requestContactChange(patient, { email, phone }) {
+    const update = {};
+
+    if (email !== undefined && String(email).toLowerCase().trim() !== patient.email) {
+      update.pendingEmail = String(email).toLowerCase().trim();
+
+      if (await Patient.exists({ email: update.pendingEmail, _id: { $ne: patient._id } })) {
+        throw new ErrorResponse('This email address is already in use', 400);
+      }
+    }
+
+    if (phone !== undefined && phone !== patient.phone) {
+      update.pendingPhone = phone;
+    }
+
+    if (Object.keys(update).length === 0) return [];
+
+    await Patient.updateOne({ _id: patient._id }, update);
+
+    if (update.pendingEmail) {
+      try {
+        await this.sendEmailVerification(patient, update.pendingEmail);
+      } catch (error) {
+        console.error('Error sending email verification:', error);
+      }
+    }
+
+    if (update.pendingPhone) {
+      try {
+        await this.sendPhoneCode({ ...patient, pendingPhone: update.pendingPhone });
+      } catch (error) {
+        console.error('Error sending phone verification code:', error);
+      }
+    }
+
+    return Object.keys(update).map(field => (field === 'pendingEmail' ? 'email' : 'phone'));
+  }
+
+  // Six-digit codes are salted with the account and number so equal codes never collide
+  hashPhoneCode(userId, phone, code) {
+    return hashToken(`${userId}:${phone}:${code}`);
+  }
+}
+
+export default new VerificationService();
@@ -0,0 +1,264 @@
+import fs from 'fs';
+import readline from 'readline';
+import Patient from '../models/Patient.js';
+import VitalsImport from '../models/VitalsImport.js';
+import revisionService from './revisionService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { VITALS_IMPORT_FORMATS, addMeasurement, createLineParser, resolveMapping, toReadings } from '../utils/deviceVitals.js';
+import { upsertEntry } from '../utils/recordImport.js';
+
+const PROGRESS_INTERVAL_MS = 2000;
+// A running job that has not reported progress for this long was cut short, e.g. by a restart
+const STALE_JOB_MS = 10 * 60 * 1000;
+// Share of the progress bar for reading the file; the rest is saving the readings
+const READ_PERCENT = 90;
+const RECENT_JOBS = 20;
+// Vital-signs entries a record may hold after an import, so that it and its
+// revisions stay well under MongoDB's 16MB document limit. The newest readings
+// are imported first; those that no longer fit are counted as leftOut.
+export const MAX_VITAL_SIGNS = 10000;
+
+const FORMAT_NAMES = {
+  'apple-health': 'an Apple Health export',
+  fitbit: 'a Fitbit export',
+  'google-fit': 'a Google Fit export',
+  csv: 'a CSV file'
+};
+
+const countByStatus = statuses => statuses.reduce((counts, status) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {});
+
+class VitalsImportService {
+  constructor() {
+    // Jobs run one at a time in this process, in the order they were queued
+    this.queue = Promise.resolve();
+    this.queued = new Set();
+  }
+
+  /**
+   * Queue an uploaded export to be read into vitalSigns in the background. The
+   * mapping is checked now so the uploader hears about a bad one straight away.
+   */
+  async createJob(patientId, { format, file, mapping }, req) {
+    if (!VITALS_IMPORT_FORMATS.includes(format)) {
+      throw new ErrorResponse(`format must be one of ${VITALS_IMPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    if (format !== 'apple-health') {
+      resolveMapping(format, mapping);
+    }
+
+    if (!await Patient.exists({ _id: patientId })) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const job = await VitalsImport.create({
+      patient: patientId,
+      uploadedBy: {
+        user: req.user.id,
+        userType: req.user.role,
+        name: `${req.user.firstName} ${req.user.lastName}`
+      },
+      format,
+      fileName: file.originalname,
+      filePath: file.path,
+      mapping
+    });
+
+    this.enqueue(job._id);
+
+    return this.toJob(job);
+  }
+
+  async getJob(patientId, jobId) {
+    const job = await VitalsImport.findOne({ _id: jobId, patient: patientId });
+
+    if (!job) {
+      throw new ErrorResponse('Import not found', 404);
+    }
+
+    return this.toJob(job);
+  }
+
+  async listJobs(patientId) {
+    const jobs = await VitalsImport.find({ patient: patientId })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_JOBS);
+
+    return jobs.map(job => this.toJob(job));
+  }
+
+  enqueue(jobId) {
+    const id = String(jobId);
+    if (this.queued.has(id)) return;
+
+    this.queued.add(id);
+    this.queue = this.queue
+      .then(() => this.run(id))
+      .catch(error => console.error('Error running vitals import:', error))
+      .finally(() => this.queued.delete(id));
+  }
+
+  /**
+   * Queue the jobs left behind by a restart: those still queued, and running jobs
+   * that stopped reporting progress. Re-reading a file is safe, as readings already
+   * in the record are recognized by their time.
+   */
+  async processPending() {
+    const notHere = { $nin: [...this.queued] };
+
+    await VitalsImport.updateMany(
+      { _id: notHere, status: 'running', updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } },
+      { status: 'queued' }
+    );
+
+    const jobs = await VitalsImport.find({ _id: notHere, status: 'queued' })
+      .sort({ createdAt: 1 })
+      .select('_id')
+      .lean();
+
+    jobs.forEach(job => this.enqueue(job._id));
+  }
+
+  /**
+   * Read the job's file, write its readings to the record and remove the file.
+   * A job another process has already claimed is left alone.
+   */
+  async run(jobId) {
+    const job = await VitalsImport.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { status: 'running', startedAt: new Date() },
+      { new: true }
+    ).select('+filePath');
+
+    if (!job) return;
+
+    try {
+      const { readings, linesRead, skipped } = await this.readFile(job);
+
+      await this.reportProgress(job, { percent: READ_PERCENT, linesRead, readings: readings.length });
+      const summary = await this.apply(job, readings);
+
+      job.set({
+        status: 'completed',
+        progress: { percent: 100, linesRead, readings: readings.length },
+        summary: skipped > 0 ? { ...summary, skipped } : summary
+      });
+    } catch (error) {
+      job.set({ status: 'failed', error: error.message });
+    }
+
+    if (job.filePath) {
+      await fs.promises.rm(job.filePath, { force: true });
+    }
+    job.set({ filePath: undefined, completedAt: new Date() });
+    await job.save();
+  }
+
+  /**
+   * Readings in the file, one per time, reporting progress as it is read
+   */
+  async readFile(job) {
+    const parse = createLineParser(job.format, job.mapping);
+    const { size } = await fs.promises.stat(job.filePath).catch(() => {
+      throw new ErrorResponse('The uploaded file is no longer available; please upload it again', 410);
+    });
+
+    const stream = fs.createReadStream(job.filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const readings = new Map();
+    let linesRead = 0;
+    let skipped = 0;
+    let reportedAt = Date.now();
+
+    for await (const line of lines) {
+      linesRead += 1;
+
+      const result = parse(line);
+      if (result?.skipped) skipped += 1;
+      (result?.measurements || []).forEach(measurement => addMeasurement(readings, measurement));
+
+      if (Date.now() - reportedAt >= PROGRESS_INTERVAL_MS) {
+        reportedAt = Date.now();
+        await this.reportProgress(job, {
+          percent: Math.floor((stream.bytesRead / size) * READ_PERCENT),
+          linesRead,
+          readings: readings.size
+        });
+      }
+    }
+
+    if (readings.size === 0) {
+      throw new ErrorResponse(`No vital signs found in the file; check it is ${FORMAT_NAMES[job.format]}` +
+        (job.format === 'apple-health' ? '' : ' and the column mapping matches its headers'), 422);
+    }
+
+    return { readings: toReadings(readings), linesRead, skipped };
+  }
+
+  reportProgress(job, progress) {
+    return VitalsImport.updateOne({ _id: job._id }, { progress });
+  }
+
+  /**
+   * Add the readings to vitalSigns, tagged with the export format, newest first and
+   * up to MAX_VITAL_SIGNS entries. A reading at the same time as an existing entry
+   * updates it rather than adding another. The revision records that vitalSigns
+   * changed, without a copy of them.
+   */
+  async apply(job, readings) {
+    const patient = await Patient.findById(job.patient);
+    if (!patient) {
+      throw new ErrorResponse('Patient not found', 404);
+    }
+
+    const before = revisionService.snapshot(patient);
+    // Entries by time, so each reading finds its entry without searching them all
+    const entriesByTime = new Map(patient.vitalSigns
+      .filter(entry => entry.recordedDate)
+      .map(entry => [entry.recordedDate.getTime(), entry]));
+
+    const statuses = [...readings]
+      .sort((a, b) => b.recordedDate - a.recordedDate)
+      .map((reading) => {
+        const time = reading.recordedDate.getTime();
+        const match = entriesByTime.get(time) || null;
+
+        if (!match && patient.vitalSigns.length >= MAX_VITAL_SIGNS) return 'leftOut';
+
+        try {
+          const { status } = upsertEntry(patient, 'vitalSigns', {
+            fields: { ...reading, source: job.format },
+            identifiers: []
+          }, { match });
+
+          // A created entry is the last one
+          if (status === 'created') entriesByTime.set(time, patient.vitalSigns[patient.vitalSigns.length - 1]);
+          return status;
+        } catch (error) {
+          // Left out of the record, but counted
+          return 'failed';
+        }
+      });
+    const summary = countByStatus(statuses);
+
+    if (patient.isModified()) {
+      await patient.save({ validateModifiedOnly: true });
+      await revisionService.record(patient, {
+        before,
+        author: job.toObject().uploadedBy,
+        reason: `Imported vital signs from ${job.fileName || FORMAT_NAMES[job.format]}: ` +
+          `${summary.created || 0} added, ${summary.updated || 0} updated`,
+        omitPaths: ['vitalSigns']
+      });
+    }
+
+    return summary;
+  }
+
+  toJob(job) {
+    const { _id, format, fileName, status, progress, summary, error, uploadedBy, startedAt, completedAt, createdAt } = job.toObject();
+    return { _id, format, fileName, status, progress, summary, error, uploadedBy, startedAt, completedAt, createdAt };
+  }
+}
+
+export default new VitalsImportService();
@@ -4,6 +4,11 @@ import dotenv from 'dotenv';
 import Patient from './models/Patient.js';
 import Doctor from './models/Doctor.js';
 import Hospital from './models/Hospital.js';
+import Admin from './models/Admin.js';
+import Appointment from './models/Appointment.js';
+import ConsentDocument from './models/ConsentDocument.js';
+import ConsentRecord from './models/ConsentRecord.js';
+import encryptionService from './services/encryptionService.js';
 
 dotenv.config();
 
@@ -238,7 +243,7 @@ const sampleDoctors = [
     dateOfBirth: new Date("1980-05-15"),
     gender: "female",
     licenseNumber: "MD12345NY",
-    npiNumber: "1234567890",
+    npiNumber: "1234567893",
     specializations: ["Cardiology", "Internal Medicine"],
     yearsOfExperience: 15,
     education: [
@@ -296,7 +301,7 @@ const sampleDoctors = [
     phone: "(212) 746-2345",
     gender: "male",
     licenseNumber: "MD23456NY",
-    npiNumber: "2345678901",
+    npiNumber: "2345678900",
     specializations: ["Pediatrics", "Neonatology"],
     yearsOfExperience: 12,
     education: [
@@ -441,12 +446,50 @@ const samplePatients = [
   }
 ];
 
+const sampleAdmins = [
+  {
+    firstName: "System",
+    lastName: "Administrator",
+    email: "admin@medassist.example.com",
+    isActive: true
+  }
+];
+
+const sampleConsentDocuments = [
+  {
+    type: 'ai-processing',
+    version: 1,
+    title: 'AI processing of health data',
+    body: 'I agree that MedAssist may send my health record, including conditions, medications, allergies and vital signs, to an external AI provider to generate summaries, insights and recommendations. I can withdraw this consent at any time; AI features that need my data will then be unavailable.'
+  },
+  {
+    type: 'research',
+    version: 1,
+    title: 'Sharing de-identified data for research',
+    body: 'I agree that MedAssist may share de-identified information from my health record with approved research partners. I can withdraw this consent at any time.'
+  },
+  {
+    type: 'marketing',
+    version: 1,
+    title: 'Marketing communications',
+    body: 'I agree to receive news and offers from MedAssist by email or text message. I can withdraw this consent at any time.'
+  }
+];
+
+const SAMPLE_PASSWORD = 'Password123!';
+
 const seedDatabase = async () => {
   try {
+    const hashedPassword = await bcrypt.hash(SAMPLE_PASSWORD, await bcrypt.genSalt(10));
+
     console.log('🗑️  Clearing existing data...');
     await Patient.deleteMany({});
     await Doctor.deleteMany({});
     await Hospital.deleteMany({});
+    await Admin.deleteMany({});
+    await Appointment.deleteMany({});
+    await ConsentDocument.deleteMany({});
+    await ConsentRecord.deleteMany({});
 
     console.log('🏥 Creating hospitals...');
     const hospitals = await Hospital.insertMany(sampleHospitals);
@@ -455,6 +498,8 @@ const seedDatabase = async () => {
     // Assign hospitals to doctors
     const doctorsWithHospitals = sampleDoctors.map((doctor, index) => ({
       ...doctor,
+      password: hashedPassword,
+      verification: { status: 'approved', reviewedAt: new Date() },
       hospital: hospitals[index % hospitals.length]._id
     }));
 
@@ -465,6 +510,10 @@ const seedDatabase = async () => {
     // Assign primary doctor to patients
     const patientsWithDoctors = samplePatients.map(patient => ({
       ...patient,
+      password: hashedPassword,
+      emailVerified: true,
+      phoneVerified: true,
+      preferences: { privacy: { allowAIProcessing: true } },
       primaryDoctor: doctors[0]._id // Assign Dr. Johnson as primary doctor
     }));
 
@@ -484,16 +533,42 @@ const seedDatabase = async () => {
     }
 
     console.log('🔗 Updated hospital-doctor relationships');
+
+    console.log('🛡️  Creating admins...');
+    const admins = await Admin.insertMany(
+      sampleAdmins.map(admin => ({ ...admin, password: hashedPassword }))
+    );
+    console.log(`✅ Created ${admins.length} admins`);
+
+    console.log('📝 Publishing consent documents...');
+    const consentDocuments = await ConsentDocument.insertMany(
+      sampleConsentDocuments.map(document => ({ ...document, publishedBy: admins[0]._id }))
+    );
+    const aiConsentDocument = consentDocuments.find(document => document.type === 'ai-processing');
+
+    // Sample patients have agreed to AI processing so the AI features work out of the box
+    await ConsentRecord.insertMany(patients.map(patient => ({
+      patient: patient._id,
+      type: 'ai-processing',
+      action: 'granted',
+      document: aiConsentDocument._id,
+      version: aiConsentDocument.version,
+      actor: { user: patient._id, userType: 'patient' }
+    })));
+    console.log(`✅ Published ${consentDocuments.length} consent documents`);
+
     console.log('🎉 Database seeded successfully!');
     
     console.log('\n📋 Sample Data Summary:');
     console.log(`- Hospitals: ${hospitals.length}`);
     console.log(`- Doctors: ${doctors.length}`);
     console.log(`- Patients: ${patients.length}`);
+    console.log(`- Admins: ${admins.length}`);
     
     console.log('\n🔑 Sample Login Credentials:');
-    console.log('Patient: neel.patel@example.com');
-    console.log('Doctor: sarah.johnson@mountsinai.org');
+    console.log(`Patient: neel.patel@example.com / ${SAMPLE_PASSWORD}`);
+    console.log(`Doctor: sarah.johnson@mountsinai.org / ${SAMPLE_PASSWORD}`);
+    console.log(`Admin: admin@medassist.example.com / ${SAMPLE_PASSWORD}`);
     
     console.log('\n📍 Sample Patient ID for API testing:');
     console.log(`Patient ID: ${patients[0]._id}`);
@@ -505,6 +580,8 @@ const seedDatabase = async () => {
 
 const runSetup = async () => {
   await connectDB();
+  // Patient fields are encrypted on insert, so the keys must be loaded first
+  await encryptionService.initialize();
   await seedDatabase();
   process.exit(0);
 };
@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import Doctor from '../models/Doctor.js';
+import accessPolicyService from '../services/accessPolicyService.js';
+
+const record = {
+  firstName: 'Maria',
+  allergies: [{ allergen: 'Penicillin' }],
+  currentMedications: [{ name: 'Metformin' }]
+};
+
+const doctorId = '64b7f0c2a1b2c3d4e5f6071a';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const caregiverAccess = scopes => ({ basis: 'caregiver', scope: 'record:read', grant: new CaregiverGrant({ scopes }) });
+
+describe('accessPolicyService.redactRecord', () => {
+  test('leaves medications out for a caregiver without medications:read', () => {
+    expect(accessPolicyService.redactRecord(record, caregiverAccess(['record:read']))).toEqual({
+      firstName: 'Maria',
+      allergies: record.allergies
+    });
+  });
+
+  test.each([
+    ['medications:read', caregiverAccess(['record:read', 'medications:read'])],
+    ['medications:write', caregiverAccess(['record:read', 'medications:write'])],
+    ['access of their own', { basis: 'self', scope: 'record:read', grant: null }]
+  ])('keeps medications for %s', (description, patientAccess) => {
+    expect(accessPolicyService.redactRecord(record, patientAccess)).toEqual(record);
+  });
+});
+
+describe('accessPolicyService.assertAssignableDoctor', () => {
+  test('accepts a verified, active doctor', async () => {
+    jest.spyOn(Doctor, 'exists').mockResolvedValue({ _id: doctorId });
+
+    await expect(accessPolicyService.assertAssignableDoctor(doctorId)).resolves.toBeUndefined();
+    expect(Doctor.exists).toHaveBeenCalledWith({ _id: doctorId, isActive: true, isVerified: true });
+  });
+
+  test('refuses a doctor that is unverified, inactive or unknown', async () => {
+    jest.spyOn(Doctor, 'exists').mockResolvedValue(null);
+
+    await expect(accessPolicyService.assertAssignableDoctor(doctorId)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test.each([
+    ['not an ID', 'dr-smith'],
+    ['an object', { $ne: null }]
+  ])('refuses a value that is %s without looking it up', async (description, value) => {
+    jest.spyOn(Doctor, 'exists');
+
+    await expect(accessPolicyService.assertAssignableDoctor(value)).rejects.toMatchObject({ statusCode: 400 });
+    expect(Doctor.exists).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import caregiverService from '../services/caregiverService.js';
+
+const patient = { _id: '64b7f0c2a1b2c3d4e5f60718', firstName: 'Maria', lastName: 'Garcia', email: 'maria@example.com' };
+
+const invitation = email => ({
+  email,
+  relationship: 'daughter',
+  scopes: ['record:read'],
+  expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+});
+
+beforeEach(() => {
+  jest.spyOn(CaregiverGrant, 'create').mockImplementation(async fields => fields);
+  jest.spyOn(CaregiverGrant, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('caregiverService.createInvitation', () => {
+  test.each([
+    ['missing', undefined],
+    ['a list', ['ann@example.com']],
+    ['an object', { $ne: null }]
+  ])('refuses an email that is %s with a 400', async (description, email) => {
+    await expect(caregiverService.createInvitation(patient, invitation(email)))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Caregiver email is required' });
+    expect(CaregiverGrant.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('caregiverService.acceptInvitation', () => {
+  test('refuses a token that is not text as invalid', async () => {
+    await expect(caregiverService.acceptInvitation(['token'], { user: patient._id, userType: 'caregiver' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invitation is invalid or has expired' });
+    expect(CaregiverGrant.findOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses an account with a different email address with a 403', async () => {
+    const grant = new CaregiverGrant({ patient: patient._id, inviteEmail: 'ann@example.com', status: 'pending' });
+    jest.spyOn(grant, 'save').mockResolvedValue(grant);
+    CaregiverGrant.findOne.mockResolvedValue(grant);
+
+    await expect(caregiverService.acceptInvitation('token', { user: '64b7f0c2a1b2c3d4e5f60719', userType: 'caregiver' }, 'eve@example.com'))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(grant.save).not.toHaveBeenCalled();
+    expect(grant.status).toBe('pending');
+  });
+
+  test('activates the grant for the invited email address', async () => {
+    const grant = new CaregiverGrant({ patient: patient._id, inviteEmail: 'ann@example.com', status: 'pending' });
+    jest.spyOn(grant, 'save').mockResolvedValue(grant);
+    CaregiverGrant.findOne.mockResolvedValue(grant);
+
+    await caregiverService.acceptInvitation('token', { user: '64b7f0c2a1b2c3d4e5f60719', userType: 'caregiver' }, 'Ann@Example.com');
+
+    expect(grant.status).toBe('active');
+    expect(grant.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import RecordImport from '../models/RecordImport.js';
+import ccdaImportService from '../services/ccdaImportService.js';
+
+const patientId = '64b7f0c2a1b2c3d4e5f60718';
+
+const parsed = {
+  document: { title: 'Continuity of Care Document' },
+  patient: { birthDate: '1984-03-12' },
+  sections: {
+    problems: [{ fields: { condition: 'Asthma', status: 'chronic' }, identifiers: [] }],
+    medications: [{ fields: { name: 'Metformin', status: 'active' }, identifiers: [] }]
+  }
+};
+
+let recordImport;
+
+beforeEach(() => {
+  recordImport = new RecordImport({
+    patient: patientId,
+    fileName: 'ccd.xml',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  // Stored encrypted; the parsed document is read back as it was kept
+  jest.spyOn(recordImport, 'getParsed').mockReturnValue(parsed);
+  jest.spyOn(RecordImport, 'findOne').mockResolvedValue(recordImport);
+  jest.spyOn(Patient, 'findById').mockImplementation(async () =>
+    new Patient({ _id: new mongoose.Types.ObjectId(patientId), firstName: 'Maria', lastName: 'Garcia' }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ccdaImportService.getPreview', () => {
+  test('shows every section', async () => {
+    const preview = await ccdaImportService.getPreview(patientId, recordImport._id);
+
+    expect(Object.keys(preview.sections)).toEqual(['problems', 'medications']);
+    expect(preview.summary).toEqual({ created: 2 });
+  });
+
+  test('leaves the medications out without includeMedications', async () => {
+    const preview = await ccdaImportService.getPreview(patientId, recordImport._id, { includeMedications: false });
+
+    expect(Object.keys(preview.sections)).toEqual(['problems']);
+    expect(preview.summary).toEqual({ created: 1 });
+  });
+});
+
+describe('ccdaImportService.commit', () => {
+  test.each([
+    ['null', null],
+    ['a list', [1]],
+    ['a section that is not a list', { problems: '1' }],
+    ['a section that is null', { problems: null }]
+  ])('refuses excluded given as %s with a 400', async (description, excluded) => {
+    await expect(ccdaImportService.commit(patientId, recordImport._id, { excluded }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(RecordImport.findOne).not.toHaveBeenCalled();
+  });
+});
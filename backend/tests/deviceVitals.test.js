@@ -0,0 +1,57 @@
+import { describe, expect, test } from '@jest/globals';
+import { addMeasurement, resolveMapping, toReadings } from '../utils/deviceVitals.js';
+
+describe('resolveMapping', () => {
+  test('uses the preset of a known export, with the units given', () => {
+    const { columns, units } = resolveMapping('fitbit', { units: { weight: 'lb' } });
+
+    expect(columns.weight).toBe('Weight');
+    expect(units).toEqual({ weight: 'lb' });
+  });
+
+  test('takes the columns of a CSV mapping', () => {
+    const { columns } = resolveMapping('csv', { columns: { recordedDate: 'Date', heartRate: 'Pulse' } });
+
+    expect(columns).toEqual({ recordedDate: 'Date', heartRate: 'Pulse' });
+  });
+
+  test.each([
+    ['null', null],
+    ['a number', 3],
+    ['an array', [{ recordedDate: 'Date' }]],
+    ['columns that are not an object', { columns: 'Date' }],
+    ['units that are null', { columns: { recordedDate: 'Date', weight: 'Weight' }, units: null }]
+  ])('refuses %s with a 400', (description, mapping) => {
+    expect(() => resolveMapping('csv', mapping)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('refuses a field that cannot be imported', () => {
+    expect(() => resolveMapping('csv', { columns: { recordedDate: 'Date', glucose: 'Glucose' } }))
+      .toThrow('Cannot map columns to glucose');
+  });
+});
+
+describe('addMeasurement', () => {
+  test('combines measurements taken at the same time into one reading', () => {
+    const readings = new Map();
+    const recordedDate = new Date('2024-01-15T08:30:00Z');
+
+    addMeasurement(readings, { recordedDate, path: 'bloodPressure.systolic', value: 120 });
+    addMeasurement(readings, { recordedDate, path: 'bloodPressure.diastolic', value: 80 });
+
+    expect(toReadings(readings)).toEqual([{ recordedDate, 'bloodPressure.systolic': 120, 'bloodPressure.diastolic': 80 }]);
+  });
+
+  test('keeps one daily average of oxygen saturation samples', () => {
+    const readings = new Map();
+
+    [97, 95, 96.5].forEach((value, hour) =>
+      addMeasurement(readings, { recordedDate: new Date(`2024-01-15T0${hour}:10:00Z`), path: 'oxygenSaturation', value }));
+    addMeasurement(readings, { recordedDate: new Date('2024-01-16T01:00:00Z'), path: 'oxygenSaturation', value: 94 });
+
+    expect(toReadings(readings)).toEqual([
+      { recordedDate: new Date('2024-01-15'), oxygenSaturation: 96.2 },
+      { recordedDate: new Date('2024-01-16'), oxygenSaturation: 94 }
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Patient from '../models/Patient.js';
+import fhirImportService from '../services/fhirImportService.js';
+
+const doctorReq = { user: { id: '64b7f0c2a1b2c3d4e5f6071a', role: 'doctor' } };
+const fullUrl = 'urn:uuid:8c95253e-8ee8-9ae8-6d40-021d702dc78e';
+
+const patientResource = (overrides = {}) => ({
+  resourceType: 'Patient',
+  id: '8c95253e',
+  identifier: [
+    { type: { coding: [{ code: 'MR' }] }, system: 'https://github.com/synthetichealth/synthea', value: 'a1b2c3' },
+    { type: { coding: [{ code: 'SS' }] }, system: 'http://hl7.org/fhir/sid/us-ssn', value: '999-12-3456' }
+  ],
+  name: [
+    { use: 'nickname', given: ['Mia'] },
+    { use: 'official', family: 'Garcia', given: ['Maria', 'Elena'] }
+  ],
+  gender: 'female',
+  birthDate: '1984-03-12',
+  telecom: [
+    { system: 'phone', value: '555-0100', use: 'work' },
+    { system: 'phone', value: '555-0199', use: 'mobile' },
+    { system: 'email', value: 'maria.garcia@example.com' }
+  ],
+  ...overrides
+});
+
+const bundleWith = resource => ({
+  resourceType: 'Bundle',
+  type: 'transaction',
+  entry: [
+    { fullUrl, resource },
+    { fullUrl: 'urn:uuid:1', resource: { resourceType: 'Condition', subject: { reference: fullUrl } } }
+  ]
+});
+
+beforeEach(() => {
+  jest.spyOn(Patient, 'findOne').mockReturnValue({ select: async () => null });
+  jest.spyOn(Patient, 'exists').mockResolvedValue(null);
+  jest.spyOn(Patient, 'create').mockImplementation(async fields => ({ _id: '64b7f0c2a1b2c3d4e5f60718', ...fields }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fhirImportService.findOrCreatePatient', () => {
+  test('finds the record the Patient was imported into before', async () => {
+    const existing = { _id: '64b7f0c2a1b2c3d4e5f60718' };
+    Patient.findOne.mockReturnValue({ select: async () => existing });
+
+    await expect(fhirImportService.findOrCreatePatient(bundleWith(patientResource()), doctorReq))
+      .resolves.toEqual({ patient: existing, created: false });
+
+    // Matched on the record number and fullUrl, never the SSN or the bare resource id
+    expect(Patient.findOne).toHaveBeenCalledWith({
+      $or: [
+        { sourceIdentifiers: { $elemMatch: { system: 'https://github.com/synthetichealth/synthea', value: 'a1b2c3' } } },
+        { sourceIdentifiers: { $elemMatch: { system: 'urn:ietf:rfc:3986', value: fullUrl } } }
+      ]
+    });
+    expect(Patient.create).not.toHaveBeenCalled();
+  });
+
+  test('creates a record from the Patient\'s demographics', async () => {
+    const { patient, created } = await fhirImportService.findOrCreatePatient(bundleWith(patientResource()), doctorReq);
+
+    expect(created).toBe(true);
+    expect(Patient.create).toHaveBeenCalledWith({
+      firstName: 'Maria',
+      lastName: 'Garcia',
+      gender: 'female',
+      dateOfBirth: new Date('1984-03-12'),
+      phone: '555-0199',
+      email: 'maria.garcia@example.com',
+      sourceIdentifiers: [
+        { system: 'https://github.com/synthetichealth/synthea', value: 'a1b2c3' },
+        { system: 'urn:ietf:rfc:3986', value: fullUrl }
+      ],
+      primaryDoctor: doctorReq.user.id
+    });
+    expect(patient.primaryDoctor).toBe(doctorReq.user.id);
+  });
+
+  test('does not make an admin the primary doctor', async () => {
+    await fhirImportService.findOrCreatePatient(bundleWith(patientResource({ gender: 'unknown' })), { user: { id: 'a1', role: 'admin' } });
+
+    expect(Patient.create).toHaveBeenCalledWith(expect.objectContaining({ gender: 'prefer-not-to-say', primaryDoctor: undefined }));
+  });
+
+  test('refuses to create a record without the fields it needs', async () => {
+    const resource = patientResource({ telecom: [{ system: 'phone', value: '555-0100' }], gender: undefined });
+
+    await expect(fhirImportService.findOrCreatePatient(bundleWith(resource), doctorReq))
+      .rejects.toMatchObject({ statusCode: 422, message: expect.stringContaining('gender, email') });
+    expect(Patient.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses an email another patient already has', async () => {
+    Patient.exists.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f6071b' });
+
+    await expect(fhirImportService.findOrCreatePatient(bundleWith(patientResource()), doctorReq))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(Patient.create).not.toHaveBeenCalled();
+  });
+
+  test('needs a Patient in the Bundle', async () => {
+    const bundle = { resourceType: 'Bundle', type: 'collection', entry: [] };
+
+    await expect(fhirImportService.findOrCreatePatient(bundle, doctorReq)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,45 @@
+import { beforeEach, afterEach, describe, expect, jest, test } from '@jest/globals';
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import Doctor from '../models/Doctor.js';
+import fhirService from '../services/fhirService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const prescriber = id();
+
+const record = {
+  _id: id(),
+  firstName: 'Maria',
+  lastName: 'Garcia',
+  gender: 'female',
+  dateOfBirth: new Date('1984-03-12'),
+  allergies: [{ _id: id(), allergen: 'Penicillin', severity: 'severe' }],
+  currentMedications: [{ _id: id(), name: 'Metformin', status: 'active', prescribedBy: prescriber }]
+};
+
+beforeEach(() => {
+  jest.spyOn(Patient, 'findById').mockReturnValue({ lean: async () => record });
+  jest.spyOn(Doctor, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const resourceTypes = bundle => bundle.entry.map(({ resource }) => resource.resourceType);
+
+describe('fhirService.everything', () => {
+  test('includes the medications', async () => {
+    const bundle = await fhirService.everything(record._id, { baseUrl: 'https://example.com/fhir' });
+
+    expect(resourceTypes(bundle)).toEqual(['Patient', 'MedicationStatement', 'AllergyIntolerance']);
+    expect(Doctor.find).toHaveBeenCalledWith({ _id: { $in: [String(prescriber)] } });
+  });
+
+  test('leaves the medications and their prescribers out when asked', async () => {
+    const bundle = await fhirService.everything(record._id, { baseUrl: 'https://example.com/fhir', includeMedications: false });
+
+    expect(resourceTypes(bundle)).toEqual(['Patient', 'AllergyIntolerance']);
+    expect(Doctor.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Patient from '../models/Patient.js';
+import labResultService from '../services/labResultService.js';
+
+const patientId = '64b7f0c2a1b2c3d4e5f60718';
+
+const labResults = [
+  { _id: 'a', test: 'LDL cholesterol (calculated)', loincCode: '13457-7', value: 4, unit: 'mmol/L', specimenDate: new Date('2023-01-10') },
+  { _id: 'b', test: 'Glucose', loincCode: '2345-7', value: 95, unit: 'mg/dL', specimenDate: new Date('2023-06-01') },
+  { _id: 'c', test: 'LDL direct', loincCode: '18262-6', value: 120, unit: 'mg/dL', specimenDate: new Date('2024-01-10'), flag: 'normal' }
+];
+
+beforeEach(() => {
+  jest.spyOn(Patient, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ labResults }) }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('labResultService.getTrend', () => {
+  test.each([
+    ['missing', undefined],
+    ['blank', ' '],
+    ['repeated', ['2093-3', '2085-9']],
+    ['bracketed', { $ne: 'x' }]
+  ])('refuses a %s test with a 400', async (description, value) => {
+    await expect(labResultService.getTrend(patientId, { test: value })).rejects.toMatchObject({ statusCode: 400 });
+    expect(Patient.findById).not.toHaveBeenCalled();
+  });
+
+  test('follows a test across its codes in the latest result\'s unit', async () => {
+    const trend = await labResultService.getTrend(patientId, { test: '13457-7' });
+
+    expect(trend.test).toBe('LDL cholesterol');
+    expect(trend.unit).toBe('mg/dL');
+    expect(trend.points.map(point => point._id)).toEqual(['a', 'c']);
+    expect(trend.points[0].value).toBeCloseTo(154.68);
+    expect(trend.change.direction).toBe('falling');
+  });
+
+  test('matches a test by name', async () => {
+    const trend = await labResultService.getTrend(patientId, { test: 'ldl' });
+
+    expect(trend.points).toHaveLength(2);
+  });
+
+  test('limits results to the dates given', async () => {
+    const trend = await labResultService.getTrend(patientId, { test: 'ldl', from: '2023-06-01' });
+
+    expect(trend.points.map(point => point._id)).toEqual(['c']);
+    expect(trend.change).toBeNull();
+  });
+});
@@ -0,0 +1,220 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import AccountLockout from '../models/AccountLockout.js';
+import encryptionService from '../services/encryptionService.js';
+import mailService from '../services/mailService.js';
+import lockoutService from '../services/lockoutService.js';
+
+const user = { _id: '64b7f0c2a1b2c3d4e5f60718', email: 'dr.smith@example.com' };
+const req = { ip: '203.0.113.7' };
+const start = Date.UTC(2024, 0, 15, 9, 0, 0);
+
+// One account's lockout record, updated the way MongoDB applies the service's updates
+let stored;
+
+const matches = (filter) => {
+  if (!stored || String(stored.user) !== String(filter.user) || stored.identifier !== filter.identifier) return false;
+  const { $gte = -Infinity, $gt = -Infinity } = filter.failedAttempts || {};
+  return stored.failedAttempts >= $gte && stored.failedAttempts > $gt;
+};
+
+const applyUpdate = (update) => {
+  const { $inc = {}, $set = {}, ...fields } = update;
+  Object.entries($inc).forEach(([field, amount]) => { stored[field] = (stored[field] || 0) + amount; });
+  Object.assign(stored, $set, fields);
+};
+
+const toDocument = record => (record ? new AccountLockout({ ...record }) : null);
+
+const advance = (seconds) => {
+  jest.setSystemTime(Date.now() + seconds * 1000);
+};
+
+const attempt = () => lockoutService.claimAttempt(user, 'doctor', req);
+
+const fail = async () => {
+  const block = await attempt();
+  if (!block) await lockoutService.recordFailure(user, 'doctor');
+  return block;
+};
+
+beforeEach(() => {
+  stored = null;
+  jest.useFakeTimers({ toFake: ['Date'], now: start });
+
+  jest.spyOn(AccountLockout, 'findOne').mockImplementation(async filter => (matches(filter) ? toDocument(stored) : null));
+  jest.spyOn(AccountLockout, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    if (!matches(filter)) {
+      if (!options.upsert) return null;
+      stored = { user: filter.user, identifier: filter.identifier, userType: filter.userType, failedAttempts: 0, lockoutCount: 0 };
+      applyUpdate(update);
+      return options.new ? toDocument(stored) : null;
+    }
+
+    const before = toDocument(stored);
+    applyUpdate(update);
+    return options.new ? toDocument(stored) : before;
+  });
+  jest.spyOn(AccountLockout, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return { matchedCount: 0 };
+    applyUpdate(update);
+    return { matchedCount: 1 };
+  });
+  jest.spyOn(mailService, 'sendAccountLocked').mockResolvedValue(undefined);
+  jest.spyOn(encryptionService, 'blindIndex').mockImplementation(value => `index:${value}`);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete process.env.LOGIN_MAX_FAILED_ATTEMPTS;
+});
+
+describe('lockoutService.getDelaySeconds', () => {
+  test('doubles the wait after two free failures, up to a minute', () => {
+    expect([0, 1, 2, 3, 4, 5, 6, 9, 20].map(failures => lockoutService.getDelaySeconds(failures)))
+      .toEqual([0, 0, 0, 1, 2, 4, 8, 60, 60]);
+  });
+});
+
+describe('lockoutService.claimAttempt', () => {
+  test('lets the first attempts through without waiting', async () => {
+    await expect(fail()).resolves.toBeNull();
+    await expect(fail()).resolves.toBeNull();
+    await expect(fail()).resolves.toBeNull();
+    expect(stored.failedAttempts).toBe(3);
+    expect(stored.lastAttemptIp).toBe(req.ip);
+  });
+
+  test('makes each attempt after two failures wait', async () => {
+    await fail();
+    await fail();
+    await fail();
+
+    const block = await fail();
+    expect(block).toMatchObject({ statusCode: 429 });
+
+    // The refused attempt counted, so the next wait is longer
+    expect(block.retryAfter).toBe(2);
+    advance(1);
+    await expect(attempt()).resolves.toMatchObject({ statusCode: 429 });
+
+    advance(lockoutService.getDelaySeconds(stored.failedAttempts));
+    await expect(attempt()).resolves.toBeNull();
+  });
+
+  test('throttles attempts made at the same time', async () => {
+    const blocks = await Promise.all(Array.from({ length: 6 }, attempt));
+
+    expect(blocks.filter(block => block === null)).toHaveLength(3);
+    expect(stored.failedAttempts).toBe(6);
+  });
+
+  test('gives back an attempt whose password was right, but not earlier failures', async () => {
+    await fail();
+    await expect(attempt()).resolves.toBeNull();
+    await lockoutService.releaseAttempt(user, 'doctor');
+
+    expect(stored.failedAttempts).toBe(1);
+  });
+
+  test('keeps counting until an attempt succeeds', async () => {
+    await fail();
+    await fail();
+    await expect(attempt()).resolves.toBeNull();
+    await lockoutService.recordSuccess(user._id, 'doctor');
+
+    expect(stored.failedAttempts).toBe(0);
+    await expect(fail()).resolves.toBeNull();
+  });
+});
+
+describe('lockout threshold', () => {
+  beforeEach(() => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS = '5';
+  });
+
+  const failUntilLocked = async () => {
+    for (let failures = 0; failures < 5; failures++) {
+      advance(60);
+      await fail();
+    }
+  };
+
+  test('locks the account and emails the owner on the last allowed failure', async () => {
+    await failUntilLocked();
+
+    expect(stored.lockedUntil.getTime()).toBe(Date.now() + 15 * 60 * 1000);
+    expect(stored.failedAttempts).toBe(0);
+    expect(stored.lockoutCount).toBe(1);
+    expect(mailService.sendAccountLocked).toHaveBeenCalledTimes(1);
+    expect(mailService.sendAccountLocked).toHaveBeenCalledWith(user.email, 15, expect.stringContaining('/forgot-password'));
+  });
+
+  test('refuses a locked account before its password is checked', async () => {
+    await failUntilLocked();
+    advance(60);
+
+    await expect(attempt()).resolves.toEqual(expect.objectContaining({ statusCode: 423, retryAfter: 14 * 60 }));
+    expect(stored.failedAttempts).toBe(0);
+  });
+
+  test('locks when attempts past the limit arrive together', async () => {
+    for (let failures = 0; failures < 4; failures++) {
+      advance(60);
+      await fail();
+    }
+    advance(60);
+
+    const blocks = await Promise.all([attempt(), attempt()]);
+
+    expect(blocks.map(block => block?.statusCode)).toEqual([undefined, 423]);
+    expect(stored.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(mailService.sendAccountLocked).toHaveBeenCalledTimes(1);
+  });
+
+  test('lets the account in again once the lockout expires', async () => {
+    await failUntilLocked();
+    advance(15 * 60);
+
+    await expect(attempt()).resolves.toBeNull();
+  });
+
+  test('is lifted early by an admin unlock', async () => {
+    await failUntilLocked();
+
+    await expect(lockoutService.unlock(user._id, 'doctor')).resolves.toBe(true);
+    expect(stored.lockedUntil).toBeNull();
+    await expect(attempt()).resolves.toBeNull();
+  });
+
+  test('unlocking an account without a record reports nothing to lift', async () => {
+    await expect(lockoutService.unlock(user._id, 'doctor')).resolves.toBe(false);
+  });
+});
+
+describe('an email without an account', () => {
+  beforeEach(() => {
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS = '5';
+  });
+
+  const unknown = () => lockoutService.unknownAccount(' Nobody@Example.com ');
+
+  test('is throttled by the email\'s blind index', async () => {
+    await lockoutService.claimAttempt(unknown(), 'doctor', req);
+
+    expect(stored).toMatchObject({ identifier: 'index:nobody@example.com', userType: 'doctor', failedAttempts: 1 });
+    expect(stored.user).toBeUndefined();
+  });
+
+  test('is locked like an account, without an email', async () => {
+    let block = null;
+    for (let failures = 0; failures < 6 && !block; failures++) {
+      advance(60);
+      block = await lockoutService.claimAttempt(unknown(), 'doctor', req);
+      if (!block) await lockoutService.recordFailure(unknown(), 'doctor');
+    }
+
+    expect(block).toMatchObject({ statusCode: 423 });
+    expect(mailService.sendAccountLocked).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, expect, test } from '@jest/globals';
+import { getPasswordError } from '../utils/passwordPolicy.js';
+
+describe('getPasswordError', () => {
+  test('accepts a long, uncommon password', () => {
+    expect(getPasswordError('correct horse battery staple')).toBeNull();
+  });
+
+  test.each([
+    ['missing', undefined],
+    ['too short', 'abc123'],
+    ['a list', ['aaaaaaaaaaaa']],
+    ['an object with a length', { length: 12 }]
+  ])('refuses a password that is %s', (description, password) => {
+    expect(getPasswordError(password)).toBe('Password must be at least 8 characters long');
+  });
+
+  test('refuses a common password', () => {
+    expect(getPasswordError('password123')).toMatch(/too common/);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, expect, test } from '@jest/globals';
+import { DUPLICATE_THRESHOLD, normalizeName, scorePatients, soundex, soundsAlike } from '../utils/patientMatching.js';
+
+const maria = {
+  firstName: 'Maria',
+  lastName: 'Garcia',
+  dateOfBirth: new Date('1984-03-12'),
+  phone: '(555) 010-0199',
+  address: { zipCode: '02139' }
+};
+
+const fieldsOf = result => Object.fromEntries(result.matches.map(({ field, match, points }) => [field, [match, points]]));
+
+describe('normalizeName', () => {
+  test('keeps lowercase letters only, without accents', () => {
+    expect(normalizeName('José-Luis')).toBe('joseluis');
+    expect(normalizeName(" O'Brien ")).toBe('obrien');
+    expect(normalizeName(undefined)).toBe('');
+  });
+});
+
+describe('soundex', () => {
+  test.each([
+    ['Robert', 'R163'],
+    ['Rupert', 'R163'],
+    ['Rubin', 'R150'],
+    ['Ashcraft', 'A261'],
+    ['Tymczak', 'T522'],
+    ['Pfister', 'P236'],
+    ['Honeyman', 'H555'],
+    ['Lee', 'L000'],
+    ['Smith', 'S530'],
+    ['Smyth', 'S530']
+  ])('codes %s as %s', (name, code) => {
+    expect(soundex(name)).toBe(code);
+  });
+
+  test('is empty for a name without letters', () => {
+    expect(soundex('--')).toBe('');
+  });
+});
+
+describe('soundsAlike', () => {
+  test('matches names with the same code', () => {
+    expect(soundsAlike('Smith', 'Smyth')).toBe(true);
+  });
+
+  test('matches first letters that sound alike', () => {
+    expect(soundsAlike('Catherine', 'Katherine')).toBe(true);
+    expect(soundsAlike('Catherine', 'Patherine')).toBe(false);
+  });
+
+  test('does not match different names or blanks', () => {
+    expect(soundsAlike('Smith', 'Jones')).toBe(false);
+    expect(soundsAlike('', 'Smith')).toBe(false);
+  });
+});
+
+describe('scorePatients', () => {
+  test('scores identical records 100', () => {
+    const result = scorePatients(maria, { ...maria, phone: '555-010-0199', address: { zipCode: ' 02139 ' } });
+
+    expect(result.score).toBe(100);
+    expect(fieldsOf(result)).toEqual({
+      lastName: ['exact', 25],
+      firstName: ['exact', 20],
+      dateOfBirth: ['exact', 30],
+      phone: ['exact', 15],
+      zipCode: ['exact', 10]
+    });
+  });
+
+  test('gives fewer points for names that only sound alike', () => {
+    const result = scorePatients(maria, { ...maria, firstName: 'Mariah', lastName: 'Garsia' });
+
+    expect(fieldsOf(result)).toMatchObject({ lastName: ['phonetic', 18], firstName: ['phonetic', 14] });
+    expect(result.score).toBe(18 + 14 + 30 + 15 + 10);
+  });
+
+  test('counts a first initial', () => {
+    expect(fieldsOf(scorePatients(maria, { ...maria, firstName: 'M.' })).firstName).toEqual(['initial', 5]);
+  });
+
+  test('counts first and last names entered the other way round', () => {
+    const result = scorePatients(maria, { ...maria, firstName: 'Garcia', lastName: 'Maria' });
+
+    expect(fieldsOf(result)).toMatchObject({ lastName: ['swapped', 25], firstName: ['swapped', 20] });
+  });
+
+  test.each([
+    ['swapped day and month', '1984-12-03'],
+    ['a different day', '1984-03-21'],
+    ['a different month', '1984-08-12'],
+    ['a different year', '1948-03-12']
+  ])('gives partial points for a birth date with %s', (description, dateOfBirth) => {
+    expect(fieldsOf(scorePatients(maria, { ...maria, dateOfBirth: new Date(dateOfBirth) })).dateOfBirth).toEqual(['partial', 12]);
+  });
+
+  test('gives no points for a birth date with two parts different', () => {
+    expect(fieldsOf(scorePatients(maria, { ...maria, dateOfBirth: new Date('1985-04-12') })).dateOfBirth).toBeUndefined();
+  });
+
+  test('ignores missing values', () => {
+    const result = scorePatients(maria, { firstName: 'Maria', lastName: 'Garcia' });
+
+    expect(result.score).toBe(45);
+    expect(result.score).toBeLessThan(DUPLICATE_THRESHOLD);
+  });
+
+  test('queues a sound-alike name with the same birth date and ZIP code', () => {
+    const result = scorePatients(maria, { firstName: 'Marie', lastName: 'Garcia', dateOfBirth: maria.dateOfBirth, address: { zipCode: '02139' } });
+
+    expect(result.score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+  });
+});
@@ -0,0 +1,209 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import PatientMerge from '../models/PatientMerge.js';
+import DuplicateCandidate from '../models/DuplicateCandidate.js';
+import Appointment from '../models/Appointment.js';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import auditService from '../services/auditService.js';
+import duplicateDetectionService from '../services/duplicateDetectionService.js';
+import revisionService from '../services/revisionService.js';
+import patientMergeService from '../services/patientMergeService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const req = { user: { id: String(id()), firstName: 'Ada', lastName: 'Admin', role: 'admin' } };
+
+let survivor;
+let duplicate;
+let candidate;
+let patientMerge;
+// Documents of other collections, by the patient they belong to
+let appointments;
+let grants;
+
+// Find and move documents of an in-memory collection the way moveReferences queries them
+const mockCollection = (Model, documents) => {
+  jest.spyOn(Model, 'find').mockImplementation(({ patient, _id }) => ({
+    distinct: async () => documents
+      .filter(document => String(document.patient) === String(patient))
+      .filter(document => !_id || _id.$in.map(String).includes(String(document._id)))
+      .map(document => document._id)
+  }));
+  jest.spyOn(Model, 'updateMany').mockImplementation(async ({ _id }, { patient }) => {
+    documents
+      .filter(document => _id.$in.map(String).includes(String(document._id)))
+      .forEach((document) => { document.patient = patient; });
+  });
+};
+
+const patientsOf = documents => documents.map(document => String(document.patient));
+
+beforeEach(() => {
+  survivor = new Patient({
+    firstName: 'Maria',
+    lastName: 'Garcia',
+    dateOfBirth: new Date('1984-03-12'),
+    gender: 'female',
+    isActive: true,
+    insurance: { provider: 'Acme Health' },
+    allergies: [{ allergen: 'Penicillin', severity: 'severe' }],
+    sourceIdentifiers: [{ system: 'urn:mrn', value: '100' }]
+  });
+  duplicate = new Patient({
+    firstName: 'Marie',
+    lastName: 'Garcia',
+    dateOfBirth: new Date('1984-03-12'),
+    gender: 'female',
+    isActive: true,
+    address: { street: '1 Main St', city: 'Cambridge', zipCode: '02139' },
+    bloodType: 'O+',
+    insurance: { provider: 'Other Health' },
+    allergies: [
+      { allergen: 'penicillin ', severity: 'mild' },
+      { allergen: 'Peanuts', severity: 'moderate' }
+    ],
+    medicalHistory: [{ condition: 'Asthma', status: 'chronic' }],
+    sourceIdentifiers: [{ system: 'urn:mrn', value: '100' }, { system: 'urn:mrn', value: '200' }]
+  });
+  candidate = new DuplicateCandidate({
+    patients: [survivor._id, duplicate._id],
+    pairKey: DuplicateCandidate.toPairKey(survivor._id, duplicate._id),
+    score: 85
+  });
+
+  appointments = [
+    { _id: id(), patient: duplicate._id },
+    { _id: id(), patient: survivor._id }
+  ];
+  grants = [{ _id: id(), patient: duplicate._id }];
+
+  [survivor, duplicate, candidate].forEach(document => jest.spyOn(document, 'save').mockResolvedValue(document));
+  jest.spyOn(Patient, 'findById').mockImplementation(async patientId =>
+    [survivor, duplicate].find(patient => String(patient._id) === String(patientId)) || null);
+  jest.spyOn(duplicateDetectionService, 'findCandidate').mockResolvedValue(candidate);
+  jest.spyOn(DuplicateCandidate, 'updateOne').mockResolvedValue({});
+  jest.spyOn(PatientMerge, 'create').mockImplementation(async (fields) => {
+    patientMerge = new PatientMerge(fields);
+    jest.spyOn(patientMerge, 'save').mockResolvedValue(patientMerge);
+    return patientMerge;
+  });
+  jest.spyOn(PatientMerge, 'findById').mockImplementation(async () => patientMerge);
+  jest.spyOn(revisionService, 'record').mockResolvedValue(null);
+  jest.spyOn(auditService, 'recordRequest').mockReturnValue(undefined);
+
+  mockCollection(Appointment, appointments);
+  mockCollection(CaregiverGrant, grants);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const merge = () => patientMergeService.merge(candidate._id, { survivorId: survivor._id }, req);
+
+describe('patientMergeService.merge', () => {
+  test('copies the entries the survivor lacks, keeping their _id', async () => {
+    const { addedEntries } = await merge();
+
+    expect(survivor.allergies.map(allergy => allergy.allergen)).toEqual(['Penicillin', 'Peanuts']);
+    expect(survivor.medicalHistory.map(entry => entry.condition)).toEqual(['Asthma']);
+    expect(addedEntries.map(({ path, entryId }) => [path, String(entryId)])).toEqual([
+      ['medicalHistory', String(duplicate.medicalHistory[0]._id)],
+      ['allergies', String(duplicate.allergies[1]._id)]
+    ]);
+  });
+
+  test('fills only the survivor\'s empty fields', async () => {
+    const { filledFields } = await merge();
+
+    expect(filledFields.map(({ path }) => path)).toEqual(['address', 'bloodType']);
+    expect(survivor.address.city).toBe('Cambridge');
+    expect(survivor.bloodType).toBe('O+');
+    expect(survivor.insurance.provider).toBe('Acme Health');
+  });
+
+  test('adds the duplicate\'s other identifiers', async () => {
+    const { addedSourceIdentifiers } = await merge();
+
+    expect(addedSourceIdentifiers.map(({ value }) => value)).toEqual(['200']);
+    expect(survivor.sourceIdentifiers.map(({ value }) => value)).toEqual(['100', '200']);
+  });
+
+  test('moves appointments and grants and deactivates the duplicate', async () => {
+    const { movedAppointments, movedGrants } = await merge();
+
+    expect(movedAppointments.map(String)).toEqual([String(appointments[0]._id)]);
+    expect(movedGrants.map(String)).toEqual([String(grants[0]._id)]);
+    expect(patientsOf(appointments)).toEqual([String(survivor._id), String(survivor._id)]);
+    expect(patientsOf(grants)).toEqual([String(survivor._id)]);
+    expect(duplicate.isActive).toBe(false);
+    expect(String(duplicate.mergedInto)).toBe(String(survivor._id));
+    expect(candidate.status).toBe('merged');
+  });
+
+  test('refuses a candidate that was already reviewed', async () => {
+    candidate.status = 'dismissed';
+
+    await expect(merge()).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('refuses a survivor that is not one of the candidate\'s patients', async () => {
+    await expect(patientMergeService.merge(candidate._id, { survivorId: id() }, req)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('patientMergeService.undo', () => {
+  test('puts both records back as they were', async () => {
+    const original = {
+      allergies: survivor.allergies.map(allergy => allergy.allergen),
+      sourceIdentifiers: survivor.sourceIdentifiers.map(({ value }) => value)
+    };
+
+    await merge();
+    const { merge: undone, keptFields } = await patientMergeService.undo(patientMerge._id, req);
+
+    expect(keptFields).toEqual([]);
+    expect(survivor.allergies.map(allergy => allergy.allergen)).toEqual(original.allergies);
+    expect(survivor.medicalHistory).toHaveLength(0);
+    expect(survivor.address?.city).toBeUndefined();
+    expect(survivor.bloodType).toBeUndefined();
+    expect(survivor.sourceIdentifiers.map(({ value }) => value)).toEqual(original.sourceIdentifiers);
+    expect(duplicate.isActive).toBe(true);
+    expect(duplicate.mergedInto).toBeUndefined();
+    expect(undone.status).toBe('undone');
+    expect(DuplicateCandidate.updateOne).toHaveBeenCalledWith(
+      { _id: candidate._id },
+      expect.objectContaining({ $set: { status: 'pending' } })
+    );
+  });
+
+  test('returns only the appointments and grants it moved', async () => {
+    await merge();
+    const laterAppointment = { _id: id(), patient: survivor._id };
+    appointments.push(laterAppointment);
+
+    await patientMergeService.undo(patientMerge._id, req);
+
+    expect(patientsOf(appointments)).toEqual([String(duplicate._id), String(survivor._id), String(survivor._id)]);
+    expect(patientsOf(grants)).toEqual([String(duplicate._id)]);
+  });
+
+  test('keeps a filled field that was changed after the merge', async () => {
+    await merge();
+    survivor.bloodType = 'A+';
+
+    const { keptFields } = await patientMergeService.undo(patientMerge._id, req);
+
+    expect(keptFields).toEqual(['bloodType']);
+    expect(survivor.bloodType).toBe('A+');
+    expect(survivor.address?.city).toBeUndefined();
+  });
+
+  test('cannot undo a merge twice', async () => {
+    await merge();
+    await patientMergeService.undo(patientMerge._id, req);
+
+    await expect(patientMergeService.undo(patientMerge._id, req)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
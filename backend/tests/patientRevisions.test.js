@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import CaregiverGrant from '../models/CaregiverGrant.js';
+import ProxyActivity from '../models/ProxyActivity.js';
+import accessPolicyService from '../services/accessPolicyService.js';
+import auditService from '../services/auditService.js';
+import revisionService from '../services/revisionService.js';
+import patientRevisionRoutes from '../routes/patientRevisions.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+const patientId = '64b7f0c2a1b2c3d4e5f60718';
+const entryId = '64b7f0c2a1b2c3d4e5f60719';
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: '64b7f0c2a1b2c3d4e5f6071a', role: 'caregiver', firstName: 'Ann', lastName: 'Lee' };
+  next();
+});
+app.use('/api/patients/:id/revisions', patientRevisionRoutes);
+app.use(errorHandler);
+
+const snapshot = {
+  firstName: 'Maria',
+  allergies: [{ _id: entryId, allergen: 'Penicillin' }],
+  currentMedications: [{ _id: entryId, name: 'Metformin' }]
+};
+
+// Caregiver access with the given scopes; the scope asked for is checked against them
+const grantScopes = (scopes) => {
+  const grant = new CaregiverGrant({ scopes });
+
+  jest.spyOn(accessPolicyService, 'resolvePatientAccess').mockImplementation(async (user, patient, scope) => ({
+    allowed: grant.allows(scope),
+    basis: 'caregiver',
+    grant
+  }));
+};
+
+beforeEach(() => {
+  // errorHandler logs the refused requests
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(auditService, 'recordRequest').mockReturnValue(undefined);
+  jest.spyOn(ProxyActivity, 'create').mockResolvedValue({});
+  jest.spyOn(revisionService, 'restoreEntry').mockResolvedValue({ _id: entryId });
+  jest.spyOn(revisionService, 'getRevision').mockResolvedValue({ revision: 2, snapshot });
+  jest.spyOn(revisionService, 'readSnapshot').mockImplementation(stored => stored);
+  jest.spyOn(revisionService, 'diff').mockResolvedValue([
+    { path: 'allergies', entryId, change: 'added' },
+    { path: 'currentMedications', entryId, change: 'removed' }
+  ]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const restore = path => request(app).post(`/api/patients/${patientId}/revisions/2/restore/${path}/${entryId}`);
+
+describe('POST /api/patients/:id/revisions/:revision/restore/:path/:entryId', () => {
+  test('restores a medication with medications:write but not record:write', async () => {
+    grantScopes(['medications:write']);
+
+    await restore('currentMedications').expect(200);
+    expect(accessPolicyService.resolvePatientAccess).toHaveBeenCalledWith(expect.anything(), patientId, 'medications:write');
+    expect(revisionService.restoreEntry).toHaveBeenCalled();
+  });
+
+  test('refuses a medication restore with only record:write', async () => {
+    grantScopes(['record:write']);
+
+    await restore('currentMedications').expect(403);
+    expect(revisionService.restoreEntry).not.toHaveBeenCalled();
+  });
+
+  test('restores other sections with record:write', async () => {
+    grantScopes(['record:write']);
+
+    await restore('allergies').expect(200);
+    expect(accessPolicyService.resolvePatientAccess).toHaveBeenCalledWith(expect.anything(), patientId, 'record:write');
+  });
+
+  test('refuses other sections with only medications:write', async () => {
+    grantScopes(['medications:write']);
+
+    await restore('allergies').expect(403);
+    expect(revisionService.restoreEntry).not.toHaveBeenCalled();
+  });
+});
+
+describe('reading revisions', () => {
+  test('leaves medications out of a revision without medications:read', async () => {
+    grantScopes(['record:read']);
+
+    const res = await request(app).get(`/api/patients/${patientId}/revisions/2`).expect(200);
+
+    expect(res.body.data.revision.snapshot).toEqual({ firstName: 'Maria', allergies: snapshot.allergies });
+  });
+
+  test('includes medications in a revision with medications:read', async () => {
+    grantScopes(['record:read', 'medications:read']);
+
+    const res = await request(app).get(`/api/patients/${patientId}/revisions/2`).expect(200);
+
+    expect(res.body.data.revision.snapshot.currentMedications).toEqual(snapshot.currentMedications);
+  });
+
+  test('leaves medication changes out of a diff without medications:read', async () => {
+    grantScopes(['record:read']);
+
+    const res = await request(app).get(`/api/patients/${patientId}/revisions/diff?from=1&to=2`).expect(200);
+
+    expect(res.body.data.changes.map(change => change.path)).toEqual(['allergies']);
+  });
+
+  test('shows everything to users without a caregiver grant', async () => {
+    jest.spyOn(accessPolicyService, 'resolvePatientAccess').mockResolvedValue({ allowed: true, basis: 'self', grant: null });
+
+    const res = await request(app).get(`/api/patients/${patientId}/revisions/diff?from=1&to=2`).expect(200);
+
+    expect(res.body.data.changes.map(change => change.path)).toEqual(['allergies', 'currentMedications']);
+  });
+});
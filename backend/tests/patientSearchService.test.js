@@ -0,0 +1,41 @@
+import { describe, expect, test } from '@jest/globals';
+import patientSearchService from '../services/patientSearchService.js';
+
+const doctor = { id: '64b7f0c2a1b2c3d4e5f6071a', role: 'doctor' };
+
+describe('patientSearchService.search', () => {
+  test.each([
+    ['a repeated parameter', { name: ['ann', 'lee'] }, 'name'],
+    ['an operator', { condition: { $ne: 'x' } }, 'condition'],
+    ['a bracketed parameter', { zipCode: { a: '1' } }, 'zipCode'],
+    ['a repeated number', { minAge: ['10', '20'] }, 'minAge']
+  ])('refuses %s with a 400', async (description, params, name) => {
+    await expect(patientSearchService.search(doctor, params))
+      .rejects.toMatchObject({ statusCode: 400, message: `${name} must each be given once, as text` });
+  });
+
+  test('names every parameter that is not text', async () => {
+    await expect(patientSearchService.search(doctor, { name: ['a', 'b'], sort: ['name'] }))
+      .rejects.toMatchObject({ message: 'name, sort must each be given once, as text' });
+  });
+});
+
+describe('patientSearchService.buildFilters', () => {
+  test('matches each name term at the start of the first or last name', () => {
+    const [first, second] = patientSearchService.buildFilters({ name: ' ann  lee ' });
+
+    expect(first.$or[0].firstName).toEqual(/^ann/i);
+    expect(second.$or[1].lastName).toEqual(/^lee/i);
+  });
+
+  test('treats text as literal, not as a pattern', () => {
+    const [filter] = patientSearchService.buildFilters({ allergy: 'sulfa (mild)' });
+
+    expect(filter['allergies.allergen'].test('Sulfa (mild) rash')).toBe(true);
+    expect(filter['allergies.allergen'].test('sulfa mild')).toBe(false);
+  });
+
+  test('refuses an age out of range', () => {
+    expect(() => patientSearchService.buildFilters({ minAge: '200' })).toThrow('minAge must be a number from 0 to 150');
+  });
+});
@@ -0,0 +1,36 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Patient from '../models/Patient.js';
+import patientSummaryService from '../services/patientSummaryService.js';
+
+const doc = {};
+let patient;
+
+beforeEach(() => {
+  patient = new Patient({
+    firstName: 'Maria',
+    lastName: 'Garcia',
+    currentMedications: [{ name: 'Metformin', dosage: '500 mg', frequency: 'twice daily', status: 'active' }]
+  });
+  ['writeSectionTitle', 'writeEmpty', 'writeItem'].forEach(method =>
+    jest.spyOn(patientSummaryService, method).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('patientSummaryService.writeMedications', () => {
+  test('lists the current medications', () => {
+    patientSummaryService.writeMedications(doc, patient);
+
+    expect(patientSummaryService.writeItem).toHaveBeenCalledWith(doc, 'Metformin', '500 mg · twice daily');
+  });
+
+  test('only says access is restricted without includeMedications', () => {
+    patientSummaryService.writeMedications(doc, patient, { includeMedications: false });
+
+    expect(patientSummaryService.writeSectionTitle).toHaveBeenCalledWith(doc, 'Current Medications');
+    expect(patientSummaryService.writeEmpty).toHaveBeenCalledWith(doc, 'Not shown: access to medications is restricted.');
+    expect(patientSummaryService.writeItem).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Patient from '../models/Patient.js';
+import PatientRevision from '../models/PatientRevision.js';
+import revisionService from '../services/revisionService.js';
+
+let patient;
+let revisions;
+
+beforeEach(() => {
+  patient = new Patient({
+    firstName: 'Maria',
+    lastName: 'Garcia',
+    vitalSigns: [{ recordedDate: new Date('2024-01-01'), heartRate: 70 }]
+  });
+  revisions = [];
+
+  jest.spyOn(PatientRevision, 'findOne').mockImplementation(() => {
+    const latest = revisions[revisions.length - 1] || null;
+    const query = { sort: () => query, select: () => query, lean: async () => latest };
+    return query;
+  });
+  jest.spyOn(PatientRevision, 'create').mockImplementation(async (revision) => {
+    revisions.push(revision);
+    return revision;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const addVitalSigns = (recordedDate) => {
+  const before = revisionService.snapshot(patient);
+  patient.vitalSigns.push({ recordedDate, heartRate: 72 });
+  return before;
+};
+
+describe('revisionService.record', () => {
+  test('lists omitted paths as changed without copying them', async () => {
+    const before = addVitalSigns(new Date('2024-01-02'));
+
+    const revision = await revisionService.record(patient, { before, reason: 'Imported', omitPaths: ['vitalSigns'] });
+
+    expect(revision).toMatchObject({ revision: 2, changedPaths: ['vitalSigns'], omittedPaths: ['vitalSigns'] });
+    expect(revision.snapshot.vitalSigns).toBeUndefined();
+    expect(revision.snapshot.firstName).toBe('Maria');
+  });
+
+  test('compares the next change\'s omitted paths with the record before it', async () => {
+    await revisionService.record(patient, { before: addVitalSigns(new Date('2024-01-02')), omitPaths: ['vitalSigns'] });
+
+    const revision = await revisionService.record(patient, { before: addVitalSigns(new Date('2024-01-03')) });
+
+    expect(revision.changedPaths).toEqual(['vitalSigns']);
+    expect(revision.snapshot.vitalSigns).toHaveLength(3);
+  });
+
+  test('leaves omitted paths out of a diff between revisions', () => {
+    const full = revisionService.snapshot(patient);
+    const { vitalSigns, ...withoutVitals } = full;
+
+    expect(vitalSigns).toHaveLength(1);
+    expect(revisionService.diffSnapshots(full, { ...withoutVitals, firstName: 'Marie' })).toEqual([
+      { path: 'firstName', change: 'modified', from: 'Maria', to: 'Marie' }
+    ]);
+  });
+});
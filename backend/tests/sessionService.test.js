@@ -0,0 +1,29 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Session from '../models/Session.js';
+import sessionService from '../services/sessionService.js';
+
+const req = { ip: '203.0.113.7' };
+
+beforeEach(() => {
+  jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sessionService.rotateSession', () => {
+  test.each([
+    ['a list', ['a1b2c3']],
+    ['an object', { $ne: null }],
+    ['a number', 42]
+  ])('refuses a refresh token that is %s with a 400', async (description, refreshToken) => {
+    await expect(sessionService.rotateSession(refreshToken, req)).rejects.toMatchObject({ statusCode: 400 });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('refuses an unknown refresh token with a 401', async () => {
+    await expect(sessionService.rotateSession('a1b2c3', req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
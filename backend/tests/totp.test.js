@@ -0,0 +1,101 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpAuthUri,
+  generateCode,
+  getTimeStep,
+  verifyCode
+} from '../utils/totp.js';
+
+// The SHA-1 seed of the RFC 6238 test vectors, '12345678901234567890'
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// RFC 6238 appendix B: time in seconds and the 8-digit SHA-1 code; 6-digit codes are its last six digits
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+const at = seconds => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('base32', () => {
+  test('round-trips bytes', () => {
+    const bytes = Buffer.from('12345678901234567890');
+
+    expect(base32Encode(bytes)).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  test('ignores padding, spaces and case', () => {
+    expect(base32Decode('gezd gnbv====')).toEqual(base32Decode('GEZDGNBV'));
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateCode', () => {
+  test.each(RFC_VECTORS)('matches the RFC 6238 vector at T=%i', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code.slice(-6));
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111;
+  const step = getTimeStep(now * 1000);
+
+  test('accepts the current code and returns its step', () => {
+    at(now);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+  });
+
+  test('accepts codes one step either side', () => {
+    at(now);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+  });
+
+  test('rejects codes two steps away', () => {
+    at(now);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  test('ignores spaces in the code', () => {
+    at(now);
+    const code = generateCode(RFC_SECRET, step);
+    expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+  });
+
+  test.each([undefined, '', '12345', '1234567', 'abcdef'])('rejects malformed code %p', (code) => {
+    at(now);
+    expect(verifyCode(RFC_SECRET, code)).toBeNull();
+  });
+});
+
+describe('buildOtpAuthUri', () => {
+  test('describes a 6-digit, 30 second SHA-1 TOTP', () => {
+    const uri = new URL(buildOtpAuthUri('GEZDGNBV', 'dr.smith@example.com'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/MedAssist:dr.smith@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: 'GEZDGNBV',
+      issuer: 'MedAssist',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
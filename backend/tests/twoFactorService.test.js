@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import TwoFactorCredential from '../models/TwoFactorCredential.js';
+import twoFactorService from '../services/twoFactorService.js';
+import { hashToken } from '../utils/tokens.js';
+import { generateCode, generateSecret, getTimeStep } from '../utils/totp.js';
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const secret = generateSecret();
+const now = Date.UTC(2024, 0, 15, 9, 0, 0);
+const step = getTimeStep(now);
+
+let credential;
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+
+  credential = {
+    _id: '64b7f0c2a1b2c3d4e5f6071c',
+    secret,
+    enabled: true,
+    lastUsedStep: undefined,
+    recoveryCodeHashes: ['aaaaa-11111', 'bbbbb-22222'].map(hashToken)
+  };
+  jest.spyOn(TwoFactorCredential, 'findOne').mockReturnValue({ select: () => credential });
+  jest.spyOn(TwoFactorCredential, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    // Matched and updated in one step, as MongoDB does for a single document
+    const { recoveryCodeHashes: recoveryHash, $or: stepFilter } = filter;
+    if (recoveryHash && !credential.recoveryCodeHashes.includes(recoveryHash)) return null;
+    if (stepFilter && credential.lastUsedStep !== undefined && credential.lastUsedStep >= update.$set.lastUsedStep) return null;
+
+    if (update.$pull) {
+      credential.recoveryCodeHashes = credential.recoveryCodeHashes.filter(hash => hash !== update.$pull.recoveryCodeHashes);
+    }
+    Object.assign(credential, update.$set);
+    return credential;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('twoFactorService.verify', () => {
+  test('accepts a current code and records its step', async () => {
+    await expect(twoFactorService.verify(userId, 'doctor', { code: generateCode(secret, step) })).resolves.toBe(true);
+
+    expect(credential.lastUsedStep).toBe(step);
+  });
+
+  test('rejects the same code a second time', async () => {
+    const code = generateCode(secret, step);
+
+    await expect(twoFactorService.verify(userId, 'doctor', { code })).resolves.toBe(true);
+    await expect(twoFactorService.verify(userId, 'doctor', { code })).resolves.toBe(false);
+  });
+
+  test('accepts a code sent twice at once only once', async () => {
+    const code = generateCode(secret, step);
+
+    const results = await Promise.all([
+      twoFactorService.verify(userId, 'doctor', { code }),
+      twoFactorService.verify(userId, 'doctor', { code })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  test('rejects a code from an earlier step than the last one used', async () => {
+    credential.lastUsedStep = step;
+
+    await expect(twoFactorService.verify(userId, 'doctor', { code: generateCode(secret, step - 1) })).resolves.toBe(false);
+    expect(credential.lastUsedStep).toBe(step);
+  });
+
+  test('accepts the next step after a used one', async () => {
+    credential.lastUsedStep = step;
+
+    await expect(twoFactorService.verify(userId, 'doctor', { code: generateCode(secret, step + 1) })).resolves.toBe(true);
+    expect(credential.lastUsedStep).toBe(step + 1);
+  });
+
+  test('rejects a wrong code', async () => {
+    const code = generateCode(secret, step + 5);
+
+    await expect(twoFactorService.verify(userId, 'doctor', { code })).resolves.toBe(false);
+  });
+
+  test('accepts a recovery code only once', async () => {
+    await expect(twoFactorService.verify(userId, 'doctor', { recoveryCode: 'AAAAA 11111' })).resolves.toBe(true);
+    expect(credential.recoveryCodeHashes).toEqual([hashToken('bbbbb-22222')]);
+
+    await expect(twoFactorService.verify(userId, 'doctor', { recoveryCode: 'aaaaa-11111' })).resolves.toBe(false);
+  });
+
+  test('accepts a recovery code sent twice at once only once', async () => {
+    const results = await Promise.all([
+      twoFactorService.verify(userId, 'doctor', { recoveryCode: 'aaaaa-11111' }),
+      twoFactorService.verify(userId, 'doctor', { recoveryCode: 'aaaaa-11111' })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(credential.recoveryCodeHashes).toEqual([hashToken('bbbbb-22222')]);
+  });
+
+  test('rejects an unknown recovery code', async () => {
+    await expect(twoFactorService.verify(userId, 'doctor', { recoveryCode: 'ccccc-33333' })).resolves.toBe(false);
+    expect(credential.recoveryCodeHashes).toHaveLength(2);
+  });
+
+  test('fails without an enabled credential', async () => {
+    credential = null;
+
+    await expect(twoFactorService.verify(userId, 'doctor', { code: generateCode(secret, step) })).resolves.toBe(false);
+  });
+});
+
+describe('twoFactorService.generateRecoveryCodes', () => {
+  test('generates distinct codes that survive normalization', () => {
+    const codes = twoFactorService.generateRecoveryCodes();
+
+    expect(new Set(codes).size).toBe(codes.length);
+    codes.forEach((code) => {
+      expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(twoFactorService.normalizeRecoveryCode(code.toUpperCase().replace('-', ' '))).toBe(code);
+    });
+  });
+});
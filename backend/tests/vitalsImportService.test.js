@@ -0,0 +1,62 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Patient from '../models/Patient.js';
+import VitalsImport from '../models/VitalsImport.js';
+import revisionService from '../services/revisionService.js';
+import vitalsImportService, { MAX_VITAL_SIGNS } from '../services/vitalsImportService.js';
+
+const at = day => new Date(`2024-01-${String(day).padStart(2, '0')}T08:00:00Z`);
+
+let patient;
+let job;
+
+beforeEach(() => {
+  patient = new Patient({
+    firstName: 'Maria',
+    lastName: 'Garcia',
+    vitalSigns: [{ recordedDate: at(1), heartRate: 70 }]
+  });
+  job = new VitalsImport({ patient: patient._id, format: 'fitbit', fileName: 'fitbit.csv' });
+
+  jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+  jest.spyOn(patient, 'save').mockResolvedValue(patient);
+  jest.spyOn(revisionService, 'record').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('vitalsImportService.apply', () => {
+  test('updates the entry at a reading\'s time and adds the others', async () => {
+    const summary = await vitalsImportService.apply(job, [
+      { recordedDate: at(1), weight: 60 },
+      { recordedDate: at(2), weight: 61 }
+    ]);
+
+    expect(summary).toEqual({ created: 1, updated: 1 });
+    expect(patient.vitalSigns).toHaveLength(2);
+    expect(patient.vitalSigns[0]).toMatchObject({ heartRate: 70, weight: 60, source: 'fitbit' });
+  });
+
+  test('records the change without a copy of the vital signs', async () => {
+    await vitalsImportService.apply(job, [{ recordedDate: at(2), weight: 61 }]);
+
+    expect(revisionService.record).toHaveBeenCalledWith(patient, expect.objectContaining({
+      omitPaths: ['vitalSigns'],
+      reason: 'Imported vital signs from fitbit.csv: 1 added, 0 updated'
+    }));
+  });
+
+  test('leaves out the oldest readings once the record is full', async () => {
+    const readings = Array.from({ length: MAX_VITAL_SIGNS + 1 }, (value, index) => ({
+      recordedDate: new Date(at(2).getTime() + index * 60 * 1000),
+      weight: 61
+    }));
+
+    const summary = await vitalsImportService.apply(job, readings);
+
+    expect(summary).toEqual({ created: MAX_VITAL_SIGNS - 1, leftOut: 2 });
+    expect(patient.vitalSigns).toHaveLength(MAX_VITAL_SIGNS);
+    expect(patient.vitalSigns.some(entry => entry.recordedDate.getTime() === at(2).getTime())).toBe(false);
+  });
+});
@@ -0,0 +1,298 @@
+import { DOMParser } from '@xmldom/xmldom';
+import ErrorResponse from './errorResponse.js';
+
+// Sections are recognized by their LOINC section code, or by their C-CDA template
+// (entries-optional and entries-required variants share a prefix)
+const SECTIONS = {
+  problems: { code: '11450-4', templateId: '2.16.840.1.113883.10.20.22.2.5' },
+  medications: { code: '10160-0', templateId: '2.16.840.1.113883.10.20.22.2.1' },
+  allergies: { code: '48765-2', templateId: '2.16.840.1.113883.10.20.22.2.6' },
+  vitals: { code: '8716-3', templateId: '2.16.840.1.113883.10.20.22.2.4' },
+  results: { code: '30954-2', templateId: '2.16.840.1.113883.10.20.22.2.3' }
+};
+
+const SEVERITY_TEMPLATE = '2.16.840.1.113883.10.20.22.4.8';
+const STATUS_TEMPLATE = '2.16.840.1.113883.10.20.22.4.6';
+
+const MEDICATION_STATUSES = {
+  active: 'active',
+  completed: 'completed',
+  aborted: 'discontinued',
+  cancelled: 'discontinued',
+  suspended: 'discontinued'
+};
+
+const PERIOD_UNITS = { h: 'hours', d: 'days', wk: 'weeks', mo: 'months', min: 'minutes' };
+
+// Child elements by local name, so documents work with or without a namespace prefix
+const children = (element, name) => (element
+  ? Array.from(element.childNodes).filter(node => node.nodeType === 1 && node.localName === name)
+  : []);
+
+const child = (element, name) => children(element, name)[0];
+
+const path = (element, ...names) => names.reduce((current, name) => child(current, name), element);
+
+const descendants = (element, name) => (element ? Array.from(element.getElementsByTagNameNS('*', name)) : []);
+
+const attr = (element, name) => element?.getAttribute(name) || undefined;
+
+const hasTemplate = (element, templateId) => children(element, 'templateId')
+  .some(template => attr(template, 'root')?.startsWith(templateId));
+
+const cleanText = value => value?.replace(/\s+/g, ' ').trim() || undefined;
+
+/**
+ * HL7 TS value (YYYYMMDDHHMMSS+ZZZZ, any precision) as a Date
+ */
+const parseTimestamp = (value) => {
+  const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{2})?(\d{2})?/.exec(value || '');
+  if (!match) return undefined;
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zoneHours, zoneMinutes = '00'] = match;
+  const zone = zoneHours ? `${zoneHours}:${zoneMinutes}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const timeOf = element => parseTimestamp(attr(element, 'value'));
+
+const lowTime = effectiveTime => timeOf(child(effectiveTime, 'low')) || timeOf(effectiveTime);
+
+const highTime = effectiveTime => timeOf(child(effectiveTime, 'high'));
+
+const identifiersOf = element => children(element, 'id')
+  .filter(id => attr(id, 'root'))
+  .map(id => ({ system: `urn:oid:${attr(id, 'root')}`, value: attr(id, 'extension') || attr(id, 'root') }));
+
+const codeOf = element => attr(element, 'code');
+
+/**
+ * Parser for one C-CDA document; resolves narrative references against its IDs
+ */
+class CcdaDocument {
+  constructor(xml) {
+    const parser = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning') throw new Error(message);
+      }
+    });
+
+    let document;
+    try {
+      document = parser.parseFromString(xml, 'text/xml');
+    } catch (error) {
+      throw new ErrorResponse('Invalid XML document', 422);
+    }
+
+    this.root = document?.documentElement;
+    if (this.root?.localName !== 'ClinicalDocument') {
+      throw new ErrorResponse('Not a C-CDA document: expected a ClinicalDocument', 422);
+    }
+
+    this.narrative = new Map(
+      descendants(this.root, '*')
+        .filter(element => element.getAttribute('ID'))
+        .map(element => [element.getAttribute('ID'), cleanText(element.textContent)])
+    );
+  }
+
+  // Display name of a coded element, falling back to its original text or the
+  // narrative it references
+  textOf(element) {
+    if (!element) return undefined;
+
+    const originalText = child(element, 'originalText');
+    const reference = attr(child(originalText, 'reference'), 'value');
+
+    return attr(element, 'displayName') ||
+      (reference && this.narrative.get(reference.replace(/^#/, ''))) ||
+      cleanText(originalText?.textContent);
+  }
+
+  section(name) {
+    const { code, templateId } = SECTIONS[name];
+
+    return descendants(this.root, 'section').find(section =>
+      codeOf(child(section, 'code')) === code || hasTemplate(section, templateId));
+  }
+
+  entries(sectionName) {
+    return children(this.section(sectionName), 'entry');
+  }
+
+  parse() {
+    const patient = path(this.root, 'recordTarget', 'patientRole', 'patient');
+    const name = child(patient, 'name');
+
+    return {
+      document: {
+        title: cleanText(child(this.root, 'title')?.textContent),
+        effectiveTime: timeOf(child(this.root, 'effectiveTime')),
+        custodian: cleanText(path(this.root, 'custodian', 'assignedCustodian', 'representedCustodianOrganization', 'name')?.textContent),
+        identifiers: identifiersOf(this.root)
+      },
+      patient: {
+        firstName: cleanText(child(name, 'given')?.textContent),
+        lastName: cleanText(child(name, 'family')?.textContent),
+        birthDate: timeOf(child(patient, 'birthTime')),
+        gender: codeOf(child(patient, 'administrativeGenderCode'))
+      },
+      sections: {
+        problems: this.parseProblems(),
+        medications: this.parseMedications(),
+        allergies: this.parseAllergies(),
+        vitals: this.parseVitals(),
+        results: this.parseResults()
+      }
+    };
+  }
+
+  parseProblems() {
+    return this.entries('problems').flatMap((entry) => {
+      const act = child(entry, 'act');
+
+      return children(act, 'entryRelationship')
+        .map(relationship => child(relationship, 'observation'))
+        .filter(Boolean)
+        .map((observation) => {
+          const effectiveTime = child(observation, 'effectiveTime');
+          const status = descendants(observation, 'observation').find(item => hasTemplate(item, STATUS_TEMPLATE));
+          const resolved = Boolean(highTime(effectiveTime)) ||
+            codeOf(child(act, 'statusCode')) === 'completed' ||
+            /resolved|inactive/i.test(this.textOf(child(status, 'value')) || '');
+
+          return {
+            fields: {
+              condition: this.textOf(child(observation, 'value')),
+              diagnosedDate: lowTime(effectiveTime),
+              status: resolved ? 'resolved' : 'active'
+            },
+            identifiers: identifiersOf(observation).length > 0 ? identifiersOf(observation) : identifiersOf(act)
+          };
+        })
+        .filter(problem => problem.fields.condition);
+    });
+  }
+
+  parseMedications() {
+    return this.entries('medications')
+      .map(entry => child(entry, 'substanceAdministration'))
+      .filter(Boolean)
+      .map((administration) => {
+        const times = children(administration, 'effectiveTime');
+        const period = times.find(time => child(time, 'low') || child(time, 'high')) || times[0];
+        const frequency = child(times.find(time => child(time, 'period')), 'period');
+        const dose = child(administration, 'doseQuantity');
+        const material = path(administration, 'consumable', 'manufacturedProduct', 'manufacturedMaterial');
+
+        return {
+          fields: {
+            name: this.textOf(child(material, 'code')) || cleanText(child(material, 'name')?.textContent),
+            dosage: attr(dose, 'value') && `${attr(dose, 'value')} ${attr(dose, 'unit') || ''}`.trim(),
+            frequency: attr(frequency, 'value') &&
+              `every ${attr(frequency, 'value')} ${PERIOD_UNITS[attr(frequency, 'unit')] || attr(frequency, 'unit') || ''}`.trim(),
+            startDate: lowTime(period),
+            endDate: highTime(period),
+            status: MEDICATION_STATUSES[codeOf(child(administration, 'statusCode'))] || 'active'
+          },
+          identifiers: identifiersOf(administration)
+        };
+      })
+      .filter(medication => medication.fields.name);
+  }
+
+  parseAllergies() {
+    return this.entries('allergies').flatMap((entry) => {
+      const act = child(entry, 'act');
+
+      return children(act, 'entryRelationship')
+        .map(relationship => child(relationship, 'observation'))
+        .filter(Boolean)
+        // An allergy with an end time is no longer current
+        .filter(observation => !highTime(child(observation, 'effectiveTime')))
+        .map((observation) => {
+          const substance = path(observation, 'participant', 'participantRole', 'playingEntity');
+          const reaction = children(observation, 'entryRelationship')
+            .find(relationship => attr(relationship, 'typeCode') === 'MFST');
+          const severity = descendants(observation, 'observation').find(item => hasTemplate(item, SEVERITY_TEMPLATE));
+
+          return {
+            fields: {
+              allergen: this.textOf(child(substance, 'code')) || cleanText(child(substance, 'name')?.textContent),
+              reaction: this.textOf(path(reaction, 'observation', 'value')),
+              severity: this.severityOf(this.textOf(child(severity, 'value')))
+            },
+            identifiers: identifiersOf(observation).length > 0 ? identifiersOf(observation) : identifiersOf(act)
+          };
+        })
+        .filter(allergy => allergy.fields.allergen);
+    });
+  }
+
+  severityOf(text) {
+    if (!text) return undefined;
+    if (/fatal|life/i.test(text)) return 'life-threatening';
+    if (/severe/i.test(text)) return 'severe';
+    if (/moderate/i.test(text)) return 'moderate';
+    if (/mild/i.test(text)) return 'mild';
+    return undefined;
+  }
+
+  // One vital signs organizer is one reading; its observations keep their LOINC
+  // codes and UCUM units for the importer to map
+  parseVitals() {
+    return this.entries('vitals')
+      .map(entry => child(entry, 'organizer'))
+      .filter(Boolean)
+      .map((organizer) => {
+        const observations = children(organizer, 'component')
+          .map(component => child(component, 'observation'))
+          .filter(Boolean)
+          .map(observation => this.parseMeasurement(observation));
+
+        return {
+          recordedDate: lowTime(child(organizer, 'effectiveTime')) ||
+            observations.find(observation => observation.effectiveTime)?.effectiveTime,
+          identifiers: identifiersOf(organizer),
+          observations
+        };
+      });
+  }
+
+  parseResults() {
+    return this.entries('results')
+      .map(entry => child(entry, 'organizer'))
+      .filter(Boolean)
+      .flatMap(organizer => children(organizer, 'component')
+        .map(component => child(component, 'observation'))
+        .filter(Boolean)
+        .map(observation => ({
+          ...this.parseMeasurement(observation),
+          panel: this.textOf(child(organizer, 'code')),
+          interpretation: codeOf(child(observation, 'interpretationCode')),
+          referenceRange: cleanText(path(observation, 'referenceRange', 'observationRange', 'text')?.textContent),
+          identifiers: identifiersOf(observation)
+        })));
+  }
+
+  parseMeasurement(observation) {
+    const code = child(observation, 'code');
+    const value = child(observation, 'value');
+    const number = Number(attr(value, 'value'));
+
+    return {
+      name: this.textOf(code),
+      code: codeOf(code),
+      value: attr(value, 'value') !== undefined && !Number.isNaN(number) ? number : cleanText(value?.textContent),
+      unit: attr(value, 'unit'),
+      effectiveTime: lowTime(child(observation, 'effectiveTime'))
+    };
+  }
+}
+
+/**
+ * Problems, medications, allergies, vital signs and results of a C-CDA document
+ * (e.g. a Continuity of Care Document), with the patient it is about
+ */
+export const parseCcda = xml => new CcdaDocument(xml).parse();
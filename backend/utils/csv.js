@@ -0,0 +1,76 @@
+// Nested objects become dotted columns ("address.city"); arrays of values are
+// joined, arrays of objects are kept as JSON in one cell
+const flatten = (value, prefix = '', row = {}) => {
+  Object.entries(value).forEach(([key, field]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (field instanceof Date) {
+      row[column] = field.toISOString();
+    } else if (Array.isArray(field)) {
+      row[column] = field.every(item => item === null || typeof item !== 'object')
+        ? field.join('; ')
+        : JSON.stringify(field);
+    } else if (field && typeof field === 'object' && !(field instanceof Buffer) && field.constructor === Object) {
+      flatten(field, column, row);
+    } else {
+      row[column] = field;
+    }
+  });
+
+  return row;
+};
+
+const toCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV of plain objects. Columns are the union of every row's fields,
+ * in the order they first appear.
+ */
+export const toCsv = (records) => {
+  const rows = records.map(record => flatten(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(toCell).join(','))
+    .join('\r\n');
+};
+
+/**
+ * Cells of one CSV line, unquoting quoted cells ("a ""b""" -> a "b"). Cells are
+ * trimmed; quoted line breaks are not supported, so files are read line by line.
+ */
+export const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+};
@@ -0,0 +1,224 @@
+import ErrorResponse from './errorResponse.js';
+import { parseCsvLine } from './csv.js';
+import { toVitalSignValue } from './recordImport.js';
+
+// Export formats that can be imported; each imported vitalSigns entry is tagged with its format
+export const VITALS_IMPORT_FORMATS = ['apple-health', 'fitbit', 'google-fit', 'csv'];
+
+// vitalSigns fields a CSV column can be mapped to
+export const VITAL_SIGN_FIELDS = [
+  'bloodPressure.systolic',
+  'bloodPressure.diastolic',
+  'heartRate',
+  'temperature',
+  'respiratoryRate',
+  'oxygenSaturation',
+  'weight',
+  'height',
+  'bmi'
+];
+
+// Mapping keys that name the date and optional time columns rather than a field
+const DATE_COLUMNS = ['recordedDate', 'recordedTime'];
+
+// Fields a watch samples many times a day (oxygen saturation and breathing rate
+// through the night). They are kept as one reading per day, at midnight UTC,
+// with the day's average.
+const DAILY_AVERAGE_FIELDS = ['oxygenSaturation', 'respiratoryRate'];
+
+// Units a value may be given in, as the UCUM codes toVitalSignValue converts from.
+// Fields not listed here are taken as they are.
+const FIELD_UNITS = {
+  weight: { kg: 'kg', g: 'g', lb: '[lb_av]', lbs: '[lb_av]' },
+  height: { cm: 'cm', m: 'm', in: '[in_i]', ft: '[ft_i]' },
+  temperature: { degc: 'Cel', c: 'Cel', degf: '[degF]', f: '[degF]' }
+};
+
+// Column mappings of the known CSV exports. Fitbit exports weight in the account's
+// unit, so it can be overridden with `units.weight`.
+const CSV_PRESETS = {
+  fitbit: {
+    columns: { recordedDate: 'Date', weight: 'Weight', bmi: 'BMI' },
+    units: { weight: 'kg' }
+  },
+  'google-fit': {
+    columns: { recordedDate: 'Date', heartRate: 'Average heart rate (bpm)', weight: 'Average weight (kg)' },
+    units: { weight: 'kg' }
+  }
+};
+
+// Apple Health quantity types and the fields they fill. Raw heart rate samples are
+// left out: a watch records thousands a day, so the daily resting rate is used instead.
+const APPLE_HEALTH_TYPES = {
+  HKQuantityTypeIdentifierBloodPressureSystolic: 'bloodPressure.systolic',
+  HKQuantityTypeIdentifierBloodPressureDiastolic: 'bloodPressure.diastolic',
+  HKQuantityTypeIdentifierRestingHeartRate: 'heartRate',
+  HKQuantityTypeIdentifierBodyTemperature: 'temperature',
+  HKQuantityTypeIdentifierRespiratoryRate: 'respiratoryRate',
+  HKQuantityTypeIdentifierOxygenSaturation: 'oxygenSaturation',
+  HKQuantityTypeIdentifierBodyMass: 'weight',
+  HKQuantityTypeIdentifierHeight: 'height',
+  HKQuantityTypeIdentifierBodyMassIndex: 'bmi'
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * A value in the unit the vitalSigns schema stores, or undefined when it is not a
+ * positive number or its unit is not one the field accepts
+ */
+const toStoredValue = (path, value, unit) => {
+  const units = FIELD_UNITS[path];
+  const code = units && unit ? units[unit.toLowerCase()] : undefined;
+  if (units && unit && !code) return undefined;
+
+  const stored = toVitalSignValue(typeof value === 'string' ? Number(value.replace(/,/g, '')) : value, code);
+  return stored > 0 ? stored : undefined;
+};
+
+/**
+ * Check a CSV column mapping against the fields and units that can be imported and
+ * merge it over the format's preset. `columns` maps `recordedDate`, an optional
+ * `recordedTime` and vitalSigns fields to column headers; `units` gives the unit of
+ * weight, height or temperature columns.
+ */
+export const resolveMapping = (format, mapping = {}) => {
+  if (!isPlainObject(mapping) || [mapping.columns, mapping.units].some(value => value !== undefined && !isPlainObject(value))) {
+    throw new ErrorResponse('mapping must be an object, with columns and units as objects', 400);
+  }
+
+  const preset = CSV_PRESETS[format] || { columns: {} };
+  const columns = format === 'csv' ? { ...mapping.columns } : preset.columns;
+  const units = { ...preset.units, ...mapping.units };
+
+  if (!columns.recordedDate) {
+    throw new ErrorResponse('mapping.columns.recordedDate must name the date column', 400);
+  }
+
+  const fields = Object.keys(columns).filter(field => !DATE_COLUMNS.includes(field));
+  const unknown = fields.filter(field => !VITAL_SIGN_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    throw new ErrorResponse(`Cannot map columns to ${unknown.join(', ')}; fields are ${VITAL_SIGN_FIELDS.join(', ')}`, 400);
+  }
+
+  if (fields.length === 0) {
+    throw new ErrorResponse('Map at least one column to a vital sign', 400);
+  }
+
+  Object.entries(units).forEach(([field, unit]) => {
+    if (!FIELD_UNITS[field]?.[String(unit).toLowerCase()]) {
+      throw new ErrorResponse(`Unsupported unit for ${field}: ${unit}`, 400);
+    }
+  });
+
+  return { columns, units };
+};
+
+/**
+ * Measurements in one `<Record>` line of an Apple Health export.xml. Apple writes
+ * each record's start tag on its own line, so the export can be read line by line.
+ */
+const parseAppleHealthLine = (line) => {
+  const tag = line.match(/<Record\s([^>]*)/);
+  if (!tag) return undefined;
+
+  const attributes = Object.fromEntries([...tag[1].matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+  const path = APPLE_HEALTH_TYPES[attributes.type];
+  if (!path) return undefined;
+
+  // '2024-01-15 08:30:00 -0500' as ISO 8601
+  const recordedDate = parseDate(attributes.startDate?.replace(/^(\S+) (\S+) ([+-]\d{2})(\d{2})$/, '$1T$2$3:$4'));
+  let value = Number(attributes.value);
+
+  // Oxygen saturation is stored as a fraction of one
+  if (path === 'oxygenSaturation' && value <= 1) value *= 100;
+
+  const stored = toStoredValue(path, value, attributes.unit);
+  if (!recordedDate || stored === undefined) return { skipped: true };
+
+  return { measurements: [{ recordedDate, path, value: stored }] };
+};
+
+/**
+ * Reader for CSV lines. Header rows are found by the mapped column names, so
+ * exports with several sections (such as Fitbit's) are read section by section;
+ * a blank or one-cell line ends a section.
+ */
+const createCsvLineParser = ({ columns, units }) => {
+  let indexes = null;
+
+  return (line) => {
+    const cells = parseCsvLine(line);
+
+    if (cells.length < 2) {
+      indexes = null;
+      return undefined;
+    }
+
+    if (!indexes) {
+      const names = cells.map(cell => cell.toLowerCase());
+      const found = Object.fromEntries(Object.entries(columns)
+        .map(([field, column]) => [field, names.indexOf(String(column).toLowerCase())])
+        .filter(([, index]) => index >= 0));
+
+      if (found.recordedDate !== undefined && Object.keys(found).some(field => !DATE_COLUMNS.includes(field))) {
+        indexes = found;
+      }
+      return undefined;
+    }
+
+    const time = indexes.recordedTime !== undefined ? cells[indexes.recordedTime] : '';
+    const recordedDate = parseDate(`${cells[indexes.recordedDate]} ${time}`.trim());
+
+    const measurements = Object.entries(indexes)
+      .filter(([field]) => !DATE_COLUMNS.includes(field))
+      .filter(([, index]) => cells[index])
+      .map(([path, index]) => ({ recordedDate, path, value: toStoredValue(path, cells[index], units[path]) }))
+      .filter(measurement => measurement.value !== undefined);
+
+    if (!recordedDate || measurements.length === 0) return { skipped: true };
+    return { measurements };
+  };
+};
+
+/**
+ * Line reader for an export format. It returns `{ measurements }` for a line with
+ * readings, `{ skipped: true }` for a data line that could not be read, and
+ * undefined for anything else (headers, other record types).
+ */
+export const createLineParser = (format, mapping) => (format === 'apple-health'
+  ? parseAppleHealthLine
+  : createCsvLineParser(resolveMapping(format, mapping)));
+
+/**
+ * Add a measurement to the readings being collected, keyed by time: measurements
+ * taken at the same moment (systolic and diastolic) form one reading, and the same
+ * measurement seen twice is kept once. Daily-average fields are keyed by day; their
+ * readings carry the running `samples` per field until toReadings removes them.
+ */
+export const addMeasurement = (readings, { recordedDate, path, value }) => {
+  if (!DAILY_AVERAGE_FIELDS.includes(path)) {
+    const key = recordedDate.toISOString();
+    const reading = readings.get(key) || { recordedDate };
+    readings.set(key, { ...reading, [path]: value });
+    return;
+  }
+
+  const day = recordedDate.toISOString().slice(0, 10);
+  const reading = readings.get(day) || { recordedDate: new Date(day), samples: {} };
+  const { total = 0, count = 0 } = reading.samples[path] || {};
+  const samples = { ...reading.samples, [path]: { total: total + value, count: count + 1 } };
+
+  readings.set(day, { ...reading, samples, [path]: Number(((total + value) / (count + 1)).toFixed(1)) });
+};
+
+/**
+ * The collected readings, without the samples behind daily averages
+ */
+export const toReadings = readings => [...readings.values()].map(({ samples, ...reading }) => reading);
@@ -0,0 +1,11 @@
+/**
+ * Error carrying an HTTP status code, rendered by errorHandler
+ */
+class ErrorResponse extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+export default ErrorResponse;
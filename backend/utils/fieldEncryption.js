@@ -0,0 +1,221 @@
+import encryptionService from '../services/encryptionService.js';
+
+const FILTER_QUERY_OPS = [
+  'countDocuments', 'deleteMany', 'deleteOne', 'distinct', 'find', 'findOne',
+  'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate', 'replaceOne', 'updateMany', 'updateOne'
+];
+const UPDATE_QUERY_OPS = ['findOneAndUpdate', 'updateMany', 'updateOne'];
+const RESULT_QUERY_OPS = ['find', 'findOne', 'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate'];
+
+/**
+ * Schema setter: encrypt a plaintext value, optionally normalizing it first.
+ * Values that are already encrypted pass through unchanged.
+ */
+export const encryptField = (value, normalize) => {
+  if (value === undefined || value === null || value === '' || encryptionService.isEncrypted(value)) {
+    return value;
+  }
+
+  return encryptionService.encrypt(normalize ? normalize(value) : value);
+};
+
+/**
+ * Schema getter: decrypt a stored value
+ */
+export const decryptField = (value) => encryptionService.decrypt(value);
+
+export const normalizeEmail = (value) => String(value).trim().toLowerCase();
+
+export const normalizePhone = (value) => String(value).replace(/\D/g, '');
+
+const isEncryptedPath = (schemaType) => schemaType.getters.includes(decryptField);
+
+// Paths whose schema type decrypts on read, including paths inside document arrays
+const collectEncryptedPaths = (schema, prefix = '') => {
+  const paths = [];
+
+  schema.eachPath((pathName, schemaType) => {
+    if (schemaType.$isMongooseDocumentArray) {
+      paths.push(...collectEncryptedPaths(schemaType.schema, `${prefix}${pathName}.`));
+    } else if (isEncryptedPath(schemaType)) {
+      paths.push(`${prefix}${pathName}`);
+    }
+  });
+
+  return paths;
+};
+
+// Decrypt a path in a lean result in place, walking into arrays along the way
+const decryptPath = (target, segments) => {
+  if (Array.isArray(target)) {
+    target.forEach(item => decryptPath(item, segments));
+    return;
+  }
+
+  if (!target || typeof target !== 'object') return;
+
+  const [head, ...rest] = segments;
+  if (rest.length === 0) {
+    if (target[head] !== undefined) target[head] = decryptField(target[head]);
+    return;
+  }
+
+  decryptPath(target[head], rest);
+};
+
+const toBlindIndex = (value, normalize) => {
+  if (value === undefined || value === null || value === '') return value;
+  return encryptionService.blindIndex(normalize(decryptField(value)));
+};
+
+// Translate a filter condition on an encrypted path into one on its blind index
+const toIndexCondition = (condition, pathName, normalize) => {
+  if (condition === null || typeof condition !== 'object') {
+    return toBlindIndex(condition, normalize);
+  }
+
+  if (condition instanceof RegExp) {
+    throw new Error(`Encrypted field "${pathName}" only supports exact-match queries`);
+  }
+
+  return Object.fromEntries(Object.entries(condition).map(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+      case '$ne':
+        return [operator, toBlindIndex(operand, normalize)];
+      case '$in':
+      case '$nin':
+        return [operator, operand.map(value => toBlindIndex(value, normalize))];
+      case '$exists':
+        return [operator, operand];
+      default:
+        throw new Error(`Encrypted field "${pathName}" only supports exact-match queries`);
+    }
+  }));
+};
+
+const rewriteFilter = (filter, blindIndexes) => {
+  if (!filter || typeof filter !== 'object') return;
+
+  for (const [pathName, { field, normalize }] of Object.entries(blindIndexes)) {
+    if (Object.prototype.hasOwnProperty.call(filter, pathName)) {
+      filter[field] = toIndexCondition(filter[pathName], pathName, normalize);
+      delete filter[pathName];
+    }
+  }
+
+  ['$and', '$or', '$nor'].forEach((operator) => {
+    if (Array.isArray(filter[operator])) {
+      filter[operator].forEach(condition => rewriteFilter(condition, blindIndexes));
+    }
+  });
+};
+
+// Re-encrypt stored values that are plaintext or under a retired data key
+const reencryptDocument = (doc, schema) => {
+  schema.eachPath((pathName, schemaType) => {
+    if (schemaType.$isMongooseDocumentArray) {
+      (doc.get(pathName) || []).forEach(subdocument => reencryptDocument(subdocument, schemaType.schema));
+    } else if (isEncryptedPath(schemaType)) {
+      const stored = doc.get(pathName, null, { getters: false });
+
+      if (stored && encryptionService.needsReencryption(stored)) {
+        // The setter encrypts the plaintext again under the active data key
+        doc.set(pathName, decryptField(stored));
+      }
+    }
+  });
+};
+
+/**
+ * Transparent field-level encryption for paths declared with
+ * `get: decryptField, set: encryptField`.
+ *
+ * Hydrated documents decrypt through the getters, lean query results are decrypted
+ * in post hooks, and `blindIndexes` (`{ path: { field, normalize } }`) keep a keyed
+ * hash of each listed path so exact-match filters on it keep working.
+ */
+export const fieldEncryptionPlugin = (schema, { blindIndexes = {} } = {}) => {
+  const encryptedPaths = collectEncryptedPaths(schema).map(pathName => pathName.split('.'));
+
+  // Subdocuments serialized on their own (e.g. a single allergy) must decrypt too
+  schema.eachPath((pathName, schemaType) => {
+    if (schemaType.$isMongooseDocumentArray) {
+      ['toJSON', 'toObject'].forEach((option) => {
+        schemaType.schema.set(option, { ...schemaType.schema.get(option), getters: true });
+      });
+    }
+  });
+
+  const setBlindIndexes = function(next) {
+    for (const [pathName, { field, normalize }] of Object.entries(blindIndexes)) {
+      if (this.isNew || this.isModified(pathName)) {
+        this.set(field, toBlindIndex(this.get(pathName), normalize));
+      }
+    }
+    next();
+  };
+
+  // insertMany validates but does not save, so both hooks are needed
+  schema.pre('validate', setBlindIndexes);
+  schema.pre('save', setBlindIndexes);
+
+  schema.pre(FILTER_QUERY_OPS, function() {
+    rewriteFilter(this.getFilter(), blindIndexes);
+  });
+
+  schema.pre(UPDATE_QUERY_OPS, function() {
+    const update = this.getUpdate();
+    if (!update) return;
+
+    for (const [pathName, { field, normalize }] of Object.entries(blindIndexes)) {
+      [update, update.$set, update.$setOnInsert].forEach((target) => {
+        if (target && Object.prototype.hasOwnProperty.call(target, pathName)) {
+          target[field] = toBlindIndex(target[pathName], normalize);
+        }
+      });
+
+      if (update.$unset && Object.prototype.hasOwnProperty.call(update.$unset, pathName)) {
+        update.$unset[field] = 1;
+      }
+    }
+  });
+
+  /**
+   * Decrypt the encrypted paths of plain objects (lean results, stored snapshots) in place
+   */
+  schema.statics.decryptFields = function(result) {
+    encryptedPaths.forEach(segments => decryptPath(result, segments));
+    return result;
+  };
+
+  schema.post(RESULT_QUERY_OPS, function(result) {
+    if (!result || !this.mongooseOptions().lean) return;
+
+    this.model.decryptFields(result);
+  });
+
+  /**
+   * Re-encrypt every document under the active data key. Also encrypts values
+   * stored before encryption was enabled and backfills missing blind indexes.
+   */
+  schema.statics.reencryptFields = async function() {
+    const indexFields = Object.values(blindIndexes).map(({ field }) => `+${field}`).join(' ');
+    let updated = 0;
+
+    for await (const doc of this.find().select(indexFields).cursor()) {
+      reencryptDocument(doc, schema);
+
+      for (const [pathName, { field, normalize }] of Object.entries(blindIndexes)) {
+        doc.set(field, toBlindIndex(doc.get(pathName), normalize));
+      }
+
+      if (doc.isModified()) {
+        await doc.save({ validateModifiedOnly: true, timestamps: false });
+        updated++;
+      }
+    }
+
+    return updated;
+  };
+};
@@ -0,0 +1,121 @@
+// Blood relatives a family history entry can name, with their degree of
+// relationship and sex
+export const RELATIVES = {
+  mother: { degree: 1, sex: 'female' },
+  father: { degree: 1, sex: 'male' },
+  sister: { degree: 1, sex: 'female' },
+  brother: { degree: 1, sex: 'male' },
+  daughter: { degree: 1, sex: 'female' },
+  son: { degree: 1, sex: 'male' },
+  grandmother: { degree: 2, sex: 'female' },
+  grandfather: { degree: 2, sex: 'male' },
+  aunt: { degree: 2, sex: 'female' },
+  uncle: { degree: 2, sex: 'male' },
+  'half-sister': { degree: 2, sex: 'female' },
+  'half-brother': { degree: 2, sex: 'male' },
+  niece: { degree: 2, sex: 'female' },
+  nephew: { degree: 2, sex: 'male' },
+  granddaughter: { degree: 2, sex: 'female' },
+  grandson: { degree: 2, sex: 'male' },
+  cousin: { degree: 3 }
+};
+
+/**
+ * Conditions that run in families. Onset before `earlyOnset` (by the relative's
+ * sex) in a first-degree relative is a stronger sign of an inherited risk.
+ */
+export const HEREDITARY_CONDITIONS = {
+  cardiovascular: {
+    label: 'cardiovascular disease',
+    pattern: /heart|cardiac|coronary|myocardial|cardiovascular|angina|stroke/i,
+    earlyOnset: { male: 55, female: 65 },
+    recommendation: 'Check blood pressure and cholesterol regularly and review cardiovascular risk with your doctor'
+  },
+  diabetes: {
+    label: 'diabetes',
+    pattern: /diabet/i,
+    recommendation: 'Screen for diabetes (HbA1c or fasting glucose) regularly'
+  },
+  'breast-ovarian-cancer': {
+    label: 'breast or ovarian cancer',
+    pattern: /\b(breast|ovar(y|ian))\b.*\b(cancer|carcinoma)\b|\bbrca/i,
+    earlyOnset: { male: 50, female: 50 },
+    recommendation: 'Ask your doctor about earlier breast cancer screening and genetic counseling'
+  },
+  'colorectal-cancer': {
+    label: 'colorectal cancer',
+    pattern: /\b(colon|colorectal|rectal|bowel)\b.*\b(cancer|carcinoma)\b|lynch syndrome/i,
+    earlyOnset: { male: 50, female: 50 },
+    recommendation: 'Ask your doctor about starting colorectal cancer screening earlier'
+  }
+};
+
+// Points a hereditary risk adds to the risk score, and the most family history can add
+export const HEREDITARY_POINTS = { early: 20, firstDegree: 10, secondDegree: 5 };
+export const MAX_HEREDITARY_POINTS = 30;
+
+const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+const isEarlyOnset = (entry, relative, earlyOnset) =>
+  Boolean(earlyOnset && relative.sex) && typeof entry.ageAtOnset === 'number' && entry.ageAtOnset < earlyOnset[relative.sex];
+
+const assessCondition = (key, condition, familyHistory) => {
+  const affected = familyHistory
+    .filter(entry => condition.pattern.test(entry.condition || ''))
+    .map(entry => ({ entry, relative: RELATIVES[entry.relative] || { degree: 3 } }));
+
+  const firstDegree = affected.filter(({ relative }) => relative.degree === 1);
+  const secondDegree = affected.filter(({ relative }) => relative.degree === 2);
+  const early = firstDegree.find(({ entry, relative }) => isEarlyOnset(entry, relative, condition.earlyOnset));
+  const names = relatives => relatives.map(({ entry }) => entry.relative).join(', ');
+
+  let flag;
+  if (early) {
+    flag = {
+      level: 'high',
+      points: HEREDITARY_POINTS.early,
+      reason: `Early ${condition.label} in a first-degree relative (${early.entry.relative}, onset at ${early.entry.ageAtOnset})`
+    };
+  } else if (firstDegree.length > 0) {
+    flag = {
+      level: 'moderate',
+      points: HEREDITARY_POINTS.firstDegree,
+      reason: `${capitalize(condition.label)} in a first-degree relative (${names(firstDegree)})`
+    };
+  } else if (secondDegree.length > 1) {
+    // Several affected grandparents, aunts or uncles weigh like one parent
+    flag = {
+      level: 'moderate',
+      points: HEREDITARY_POINTS.firstDegree,
+      reason: `${capitalize(condition.label)} in ${secondDegree.length} second-degree relatives (${names(secondDegree)})`
+    };
+  } else if (secondDegree.length === 1) {
+    flag = {
+      level: 'low',
+      points: HEREDITARY_POINTS.secondDegree,
+      reason: `${capitalize(condition.label)} in a second-degree relative (${names(secondDegree)})`
+    };
+  } else {
+    return null;
+  }
+
+  return {
+    condition: key,
+    ...flag,
+    relatives: [...firstDegree, ...secondDegree].map(({ entry }) => entry.relative),
+    recommendation: condition.recommendation
+  };
+};
+
+/**
+ * Hereditary risk flags from a patient's family history, one per condition that
+ * runs in the family, highest first. Cousins and unknown relatives are not counted.
+ */
+export const assessFamilyHistory = (familyHistory = []) => {
+  const levels = ['high', 'moderate', 'low'];
+
+  return Object.entries(HEREDITARY_CONDITIONS)
+    .map(([key, condition]) => assessCondition(key, condition, familyHistory))
+    .filter(Boolean)
+    .sort((a, b) => levels.indexOf(a.level) - levels.indexOf(b.level));
+};
@@ -0,0 +1,157 @@
+import fs from 'fs';
+
+// The schedule table ships with the backend; its version is reported with every
+// result so a recommendation can be traced to the table that produced it
+const SCHEDULE_FILE = new URL('../data/immunization-schedule.json', import.meta.url);
+
+export const IMMUNIZATION_SCHEDULE = JSON.parse(fs.readFileSync(SCHEDULE_FILE, 'utf8'));
+
+const STATUS_ORDER = ['overdue', 'due', 'upcoming', 'complete'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const vaccines = IMMUNIZATION_SCHEDULE.vaccines.map(vaccine => ({
+  ...vaccine,
+  cvxCodes: new Set(vaccine.cvxCodes.map(code => String(Number(code)))),
+  namePattern: new RegExp(vaccine.namePattern, 'i')
+}));
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const latest = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(date => new Date(date).getTime())));
+
+// CVX codes are compared without leading zeros ('03' and '3' are both MMR);
+// entries without a code are matched on the vaccine name
+const isDoseOf = (vaccine, entry) => (entry.cvxCode
+  ? vaccine.cvxCodes.has(String(Number(entry.cvxCode)))
+  : vaccine.namePattern.test(entry.vaccine || ''));
+
+const getStatus = (asOf, dueDate, overdueDate) => {
+  if (asOf < dueDate) return 'upcoming';
+  if (asOf < overdueDate) return 'due';
+  return 'overdue';
+};
+
+/**
+ * Doses of a vaccine in the history, oldest first. Doses given on the same day
+ * count once; doses before `countFromAgeMonths` (e.g. childhood pneumococcal
+ * doses for the adult dose) do not count.
+ */
+const findDoses = (vaccine, immunizations, dateOfBirth) => {
+  const countFrom = addMonths(dateOfBirth, vaccine.countFromAgeMonths || 0);
+  const seen = new Set();
+
+  return immunizations
+    .filter(entry => entry.administeredDate && isDoseOf(vaccine, entry) && new Date(entry.administeredDate) >= countFrom)
+    .sort((a, b) => new Date(a.administeredDate) - new Date(b.administeredDate))
+    .filter((entry) => {
+      const day = new Date(entry.administeredDate).toISOString().slice(0, 10);
+      if (seen.has(day)) return false;
+      seen.add(day);
+      return true;
+    });
+};
+
+const evaluateSeries = (vaccine, doses, dateOfBirth, asOf) => {
+  // A recorded dose number also covers earlier doses that were never entered
+  const dosesReceived = Math.max(doses.length, ...doses.map(entry => entry.doseNumber || 0));
+  const lastDoseDate = doses.length > 0 ? doses[doses.length - 1].administeredDate : undefined;
+  const base = { dosesReceived, totalDoses: vaccine.doses.length, lastDoseDate };
+
+  if (dosesReceived >= vaccine.doses.length) {
+    return { ...base, status: 'complete' };
+  }
+
+  // Too old to start or finish the series: no longer recommended
+  if (vaccine.maxAgeMonths !== undefined && asOf >= addMonths(dateOfBirth, vaccine.maxAgeMonths)) {
+    return null;
+  }
+
+  const next = vaccine.doses[dosesReceived];
+  const dueDate = latest(
+    addMonths(dateOfBirth, next.ageMonths),
+    lastDoseDate && next.minIntervalDays && addDays(lastDoseDate, next.minIntervalDays)
+  );
+  const overdueDate = latest(
+    addMonths(dateOfBirth, next.overdueAgeMonths),
+    addDays(dueDate, IMMUNIZATION_SCHEDULE.catchUpGraceDays)
+  );
+
+  return {
+    ...base,
+    status: getStatus(asOf, dueDate, overdueDate),
+    doseNumber: dosesReceived + 1,
+    dueDate,
+    overdueDate
+  };
+};
+
+const evaluateRecurring = (vaccine, doses, dateOfBirth, asOf) => {
+  const { startAgeMonths, intervalMonths, graceMonths } = vaccine.recurring;
+  const lastDoseDate = doses.length > 0 ? doses[doses.length - 1].administeredDate : undefined;
+  const dueDate = latest(
+    addMonths(dateOfBirth, startAgeMonths),
+    lastDoseDate && addMonths(lastDoseDate, intervalMonths)
+  );
+  const overdueDate = addMonths(dueDate, graceMonths);
+
+  return {
+    status: getStatus(asOf, dueDate, overdueDate),
+    dosesReceived: doses.length,
+    lastDoseDate,
+    dueDate,
+    overdueDate
+  };
+};
+
+/**
+ * Where a patient stands on each vaccine of the schedule as of a date: `complete`,
+ * `upcoming`, `due` (from the recommended age) or `overdue` (past the latest
+ * recommended age, or the catch-up grace period after a late due date). Vaccines
+ * the patient has aged out of without completing are left out. Recurring vaccines
+ * such as influenza are never complete; a vaccine with `after` is only scheduled
+ * once that series is complete.
+ */
+export const evaluateImmunizations = ({ dateOfBirth, immunizations = [] }, asOf = new Date()) => {
+  const completed = new Set();
+  const recommendations = [];
+
+  vaccines.forEach((vaccine) => {
+    if (vaccine.after && !completed.has(vaccine.after)) return;
+
+    const doses = findDoses(vaccine, immunizations, dateOfBirth);
+    const result = vaccine.recurring
+      ? evaluateRecurring(vaccine, doses, dateOfBirth, asOf)
+      : evaluateSeries(vaccine, doses, dateOfBirth, asOf);
+
+    if (!result) return;
+    if (result.status === 'complete') completed.add(vaccine.id);
+
+    recommendations.push({ vaccine: vaccine.id, name: vaccine.name, ...result });
+  });
+
+  recommendations.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+    (a.dueDate && b.dueDate ? a.dueDate - b.dueDate : 0));
+
+  const counts = Object.fromEntries(STATUS_ORDER.map(status => [
+    status,
+    recommendations.filter(recommendation => recommendation.status === status).length
+  ]));
+
+  return {
+    schedule: {
+      version: IMMUNIZATION_SCHEDULE.version,
+      name: IMMUNIZATION_SCHEDULE.name,
+      source: IMMUNIZATION_SCHEDULE.source,
+      effectiveDate: IMMUNIZATION_SCHEDULE.effectiveDate
+    },
+    asOf,
+    counts,
+    recommendations
+  };
+};
@@ -0,0 +1,92 @@
+import fs from 'fs';
+
+// Reference ranges ship with the backend as a versioned table, like the
+// immunization schedule
+const RANGES_FILE = new URL('../data/lab-reference-ranges.json', import.meta.url);
+
+export const LAB_REFERENCE_RANGES = JSON.parse(fs.readFileSync(RANGES_FILE, 'utf8'));
+
+export const LAB_FLAGS = ['normal', 'low', 'high', 'critical'];
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const RANGE_LIMITS = ['low', 'high', 'criticalLow', 'criticalHigh'];
+
+// Units are compared case-insensitively and without spaces ('mg/dl', 'mg/dL ')
+const unitKey = unit => String(unit || '').replace(/\s+/g, '').toLowerCase();
+
+const tests = LAB_REFERENCE_RANGES.tests.map(test => ({
+  ...test,
+  namePattern: new RegExp(test.namePattern, 'i'),
+  // Factor from each accepted unit to the unit the ranges are in
+  factors: new Map([
+    [unitKey(test.unit), 1],
+    ...Object.entries(test.conversions || {}).map(([unit, factor]) => [unitKey(unit), factor])
+  ])
+}));
+
+const round = value => Number(value.toFixed(2));
+
+/**
+ * The table entry for a lab result, by LOINC code or else by test name. Results in
+ * a unit the entry cannot convert (e.g. a ratio named after LDL) are not flagged.
+ */
+export const findReferenceTest = ({ loincCode, test }) =>
+  (loincCode && tests.find(candidate => candidate.loincCodes.includes(loincCode))) ||
+  tests.find(candidate => candidate.namePattern.test((test || '').trim()));
+
+/**
+ * A value in another unit the table knows for the test, or undefined when either
+ * unit is not convertible. Values without a unit are taken to be in the table's unit.
+ */
+export const convertLabValue = (test, value, fromUnit, toUnit) => {
+  const from = fromUnit ? test.factors.get(unitKey(fromUnit)) : 1;
+  const to = toUnit ? test.factors.get(unitKey(toUnit)) : 1;
+  if (!from || !to) return undefined;
+  return from === to ? value : round((value * from) / to);
+};
+
+/**
+ * The range that applies to a patient of a sex and age: the first row whose sex
+ * and age bounds match. Rows without a sex apply to everyone, so patients whose
+ * sex is not male or female get the combined range.
+ */
+const findRange = (test, { sex, ageYears }) => test.ranges.find(range =>
+  (!range.sex || range.sex === sex) &&
+  (range.minAgeYears === undefined || ageYears >= range.minAgeYears) &&
+  (range.maxAgeYears === undefined || ageYears < range.maxAgeYears));
+
+const toFlag = (value, range) => {
+  if (range.criticalLow !== undefined && value < range.criticalLow) return 'critical';
+  if (range.criticalHigh !== undefined && value > range.criticalHigh) return 'critical';
+  if (range.low !== undefined && value < range.low) return 'low';
+  if (range.high !== undefined && value > range.high) return 'high';
+  return 'normal';
+};
+
+/**
+ * Flag a lab result against the reference range for the patient's sex and age on
+ * the specimen date. The range is returned in the result's own unit. Results for
+ * tests or units the table does not cover are left unflagged (an empty object).
+ */
+export const flagLabResult = (result, { gender, dateOfBirth }) => {
+  const test = findReferenceTest(result);
+  if (!test || typeof result.value !== 'number' || !dateOfBirth) return {};
+
+  // A result without a unit is taken to be in the table's unit
+  const factor = result.unit ? test.factors.get(unitKey(result.unit)) : 1;
+  if (!factor) return {};
+
+  const specimenDate = result.specimenDate ? new Date(result.specimenDate) : new Date();
+  const ageYears = (specimenDate - new Date(dateOfBirth)) / YEAR_MS;
+  const range = findRange(test, { sex: gender, ageYears });
+  if (!range) return {};
+
+  const limits = Object.fromEntries(RANGE_LIMITS
+    .filter(limit => range[limit] !== undefined)
+    .map(limit => [limit, round(range[limit] / factor)]));
+
+  return {
+    flag: toFlag(result.value * factor, range),
+    referenceRange: { ...limits, unit: result.unit || test.unit, version: LAB_REFERENCE_RANGES.version }
+  };
+};
@@ -0,0 +1,21 @@
+// NPI check digits are computed over the number prefixed with the
+// health industry card issuer code 80840 (ISO/IEC 7812)
+const NPI_PREFIX = '80840';
+
+/**
+ * Check that an NPI is ten digits with a valid Luhn check digit
+ */
+export const isValidNpi = (npi) => {
+  if (typeof npi !== 'string' || !/^\d{10}$/.test(npi)) {
+    return false;
+  }
+
+  const digits = `${NPI_PREFIX}${npi}`.split('').map(Number).reverse();
+  const sum = digits.reduce((total, digit, index) => {
+    if (index % 2 === 0) return total + digit;
+    const doubled = digit * 2;
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+
+  return sum % 10 === 0;
+};
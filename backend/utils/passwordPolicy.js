@@ -0,0 +1,38 @@
+import fs from 'fs';
+
+const MIN_PASSWORD_LENGTH = 8;
+const COMMON_PASSWORDS_FILE = new URL('../data/common-passwords.txt', import.meta.url);
+
+let commonPasswords = null;
+
+// Loaded once on first use; the list ships with the backend so no network lookup is needed
+const loadCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return commonPasswords;
+};
+
+export const isCommonPassword = (password) => loadCommonPasswords().has(String(password).toLowerCase());
+
+/**
+ * Returns the reason a new password is rejected, or null when it is acceptable
+ */
+export const getPasswordError = (password) => {
+  // Arrays and objects from a JSON body have a length too, but cannot be hashed
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+
+  if (isCommonPassword(password)) {
+    return 'This password is too common or has appeared in a data breach. Please choose a different one';
+  }
+
+  return null;
+};
@@ -0,0 +1,153 @@
+import { normalizePhone } from './fieldEncryption.js';
+
+// Points each agreeing field adds to a duplicate score (at most 100)
+export const MATCH_WEIGHTS = {
+  lastName: { exact: 25, phonetic: 18 },
+  firstName: { exact: 20, phonetic: 14, initial: 5 },
+  dateOfBirth: { exact: 30, partial: 12 },
+  phone: { exact: 15 },
+  zipCode: { exact: 10 }
+};
+
+// Pairs scoring at least this are queued for review
+export const DUPLICATE_THRESHOLD = 60;
+
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6
+};
+
+// Lowercase letters only, accents removed ("José-Luis" → "joseluis")
+export const normalizeName = value => String(value || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^a-z]/g, '');
+
+/**
+ * American Soundex: names that sound alike share a code ("Smith" and "Smyth" → S530)
+ */
+export const soundex = (value) => {
+  const name = normalizeName(value);
+  if (!name) return '';
+
+  let code = name[0].toUpperCase();
+  let previous = SOUNDEX_CODES[name[0]];
+
+  for (const letter of name.slice(1)) {
+    const digit = SOUNDEX_CODES[letter];
+
+    if (digit && digit !== previous) {
+      code += digit;
+      if (code.length === 4) break;
+    }
+
+    // H and W do not separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = digit;
+    }
+  }
+
+  return code.padEnd(4, '0');
+};
+
+/**
+ * Names with the same Soundex code, allowing first letters that sound alike
+ * ("Catherine" and "Katherine")
+ */
+export const soundsAlike = (a, b) => {
+  const first = soundex(a);
+  const second = soundex(b);
+
+  if (!first || !second) return false;
+  if (first === second) return true;
+
+  const group = SOUNDEX_CODES[first[0].toLowerCase()];
+  return group !== undefined && group === SOUNDEX_CODES[second[0].toLowerCase()] && first.slice(1) === second.slice(1);
+};
+
+const compareNames = (a, b, weights) => {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+
+  if (!first || !second) return null;
+  if (first === second) return { match: 'exact', points: weights.exact };
+  if (soundsAlike(first, second)) return { match: 'phonetic', points: weights.phonetic };
+  if (weights.initial && (first.length === 1 || second.length === 1) && first[0] === second[0]) {
+    return { match: 'initial', points: weights.initial };
+  }
+  return null;
+};
+
+const toDateParts = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+};
+
+// Same date, or the kind of typo that keeps two of its three parts: swapped day
+// and month, or a single part entered differently
+const compareDates = (a, b) => {
+  const first = toDateParts(a);
+  const second = toDateParts(b);
+
+  if (!first || !second) return null;
+
+  const [year, month, day] = first;
+  if (first.every((part, index) => part === second[index])) {
+    return { match: 'exact', points: MATCH_WEIGHTS.dateOfBirth.exact };
+  }
+
+  const swapped = year === second[0] && month === second[2] && day === second[1];
+  const agreeing = first.filter((part, index) => part === second[index]).length;
+  if (swapped || agreeing === 2) {
+    return { match: 'partial', points: MATCH_WEIGHTS.dateOfBirth.partial };
+  }
+
+  return null;
+};
+
+const compareValues = (a, b, points) => (a && b && a === b ? { match: 'exact', points } : null);
+
+/**
+ * How likely two patient records are the same person. Returns the score and the
+ * fields that agree; first and last names entered the other way round also count.
+ */
+export const scorePatients = (a, b) => {
+  let names = {
+    lastName: compareNames(a.lastName, b.lastName, MATCH_WEIGHTS.lastName),
+    firstName: compareNames(a.firstName, b.firstName, MATCH_WEIGHTS.firstName)
+  };
+
+  const swapped = {
+    lastName: compareNames(a.lastName, b.firstName, MATCH_WEIGHTS.lastName),
+    firstName: compareNames(a.firstName, b.lastName, MATCH_WEIGHTS.firstName)
+  };
+  if (!names.lastName && !names.firstName && swapped.lastName && swapped.firstName) {
+    names = {
+      lastName: { ...swapped.lastName, match: 'swapped' },
+      firstName: { ...swapped.firstName, match: 'swapped' }
+    };
+  }
+
+  const fields = {
+    ...names,
+    dateOfBirth: compareDates(a.dateOfBirth, b.dateOfBirth),
+    phone: compareValues(a.phone && normalizePhone(a.phone), b.phone && normalizePhone(b.phone), MATCH_WEIGHTS.phone.exact),
+    zipCode: compareValues(a.address?.zipCode?.trim(), b.address?.zipCode?.trim(), MATCH_WEIGHTS.zipCode.exact)
+  };
+
+  const matches = Object.entries(fields)
+    .filter(([, result]) => result)
+    .map(([field, result]) => ({ field, ...result }));
+
+  return {
+    score: matches.reduce((total, { points }) => total + points, 0),
+    matches
+  };
+};
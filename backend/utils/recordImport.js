@@ -0,0 +1,146 @@
+import ErrorResponse from './errorResponse.js';
+
+// Other UCUM units converted to the ones the vitalSigns schema stores
+const UNIT_CONVERSIONS = {
+  '[degF]': value => (value - 32) * 5 / 9,
+  '[lb_av]': value => value * 0.45359237,
+  g: value => value / 1000,
+  '[in_i]': value => value * 2.54,
+  '[ft_i]': value => value * 30.48,
+  m: value => value * 100
+};
+
+// Dates on the same day, or a date missing on either side
+export const matchingDay = (a, b) => !a || !b || new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a ?? undefined) === (b ?? undefined);
+};
+
+const sameText = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * How an imported or merged entry is recognized as a duplicate of one already in the record.
+ * Vital signs taken at the same time belong to one reading, so they are combined
+ * rather than only filling gaps.
+ */
+const DUPLICATES = {
+  medicalHistory: {
+    matches: (existing, fields) => sameText(existing.condition, fields.condition) &&
+      matchingDay(existing.diagnosedDate, fields.diagnosedDate)
+  },
+  currentMedications: {
+    matches: (existing, fields) => sameText(existing.name, fields.name) && matchingDay(existing.startDate, fields.startDate)
+  },
+  allergies: {
+    matches: (existing, fields) => sameText(existing.allergen, fields.allergen)
+  },
+  vitalSigns: {
+    matches: (existing, fields) => sameValue(existing.recordedDate, fields.recordedDate),
+    overwrite: true
+  },
+  labResults: {
+    matches: (existing, fields) => (existing.loincCode && fields.loincCode
+      ? existing.loincCode === fields.loincCode
+      : sameText(existing.test, fields.test)) && sameValue(existing.specimenDate, fields.specimenDate),
+    overwrite: true
+  },
+  immunizations: {
+    matches: (existing, fields) => sameText(existing.vaccine, fields.vaccine) &&
+      matchingDay(existing.administeredDate, fields.administeredDate)
+  },
+  familyHistory: {
+    matches: (existing, fields) => existing.relative === fields.relative && sameText(existing.condition, fields.condition)
+  },
+  emergencyContacts: {
+    matches: (existing, fields) => sameText(existing.name, fields.name)
+  }
+};
+
+/**
+ * The entry in `patient[path]` that the given fields most likely duplicate, if any
+ */
+export const findDuplicateEntry = (patient, path, fields) =>
+  patient[path].find(existing => DUPLICATES[path].matches(existing, fields));
+
+/**
+ * A measurement in the unit the vitalSigns schema stores, rounded to one decimal
+ */
+export const toVitalSignValue = (value, unit) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) return undefined;
+  const convert = UNIT_CONVERSIONS[unit];
+  return Number((convert ? convert(value) : value).toFixed(1));
+};
+
+const identifierKey = ({ system, value }) => `${system || ''}|${value}`;
+
+export const addSourceIdentifiers = (target, identifiers) => {
+  const known = new Set((target.sourceIdentifiers || []).map(identifierKey));
+  identifiers
+    .filter(identifier => !known.has(identifierKey(identifier)))
+    .forEach(identifier => target.sourceIdentifiers.push(identifier));
+};
+
+// Dotted paths such as 'bloodPressure.systolic' as nested objects
+const expandPaths = fields => Object.entries(fields).reduce((result, [key, value]) => {
+  const [head, ...rest] = key.split('.');
+  if (rest.length === 0) return { ...result, [key]: value };
+  return { ...result, [head]: { ...result[head], [rest.join('.')]: value } };
+}, {});
+
+/**
+ * Create, update or merge one imported sub-document. An entry imported before from
+ * the same source identifiers is overwritten with the imported values; a likely
+ * duplicate of an existing entry only has its missing fields filled in. Returns the
+ * entry's import result.
+ *
+ * Imports of many entries without identifiers can look the duplicate up in an index
+ * of their own and pass it (or null) as `match`, instead of the entries being searched.
+ */
+export const upsertEntry = (patient, path, { fields, identifiers }, { match } = {}) => {
+  const keys = new Set(identifiers.map(identifierKey));
+  const entries = patient[path];
+  const duplicates = DUPLICATES[path];
+
+  const imported = match === undefined && entries.find(existing =>
+    (existing.sourceIdentifiers || []).some(identifier => keys.has(identifierKey(identifier))));
+  const duplicate = match === undefined ? !imported && findDuplicateEntry(patient, path, fields) : match;
+  const existing = imported || duplicate;
+
+  if (!existing) {
+    const created = entries.create({ ...expandPaths(fields), sourceIdentifiers: identifiers });
+    const error = created.validateSync();
+    if (error) {
+      throw new ErrorResponse(error.message, 422);
+    }
+
+    entries.push(created);
+    return { status: 'created', path, entryId: created._id };
+  }
+
+  const overwrite = imported || duplicates.overwrite;
+  const changes = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .filter(([key]) => overwrite || existing.get(key) === undefined || existing.get(key) === null)
+    .filter(([key, value]) => !sameValue(existing.get(key), value));
+
+  const previous = changes.map(([key]) => [key, existing.get(key)]);
+  changes.forEach(([key, value]) => existing.set(key, value));
+
+  const error = existing.validateSync();
+  if (error) {
+    previous.forEach(([key, value]) => existing.set(key, value));
+    throw new ErrorResponse(error.message, 422);
+  }
+
+  addSourceIdentifiers(existing, identifiers);
+
+  if (duplicate && !overwrite) {
+    return { status: 'merged', path, entryId: existing._id };
+  }
+
+  return { status: changes.length > 0 ? 'updated' : 'unchanged', path, entryId: existing._id };
+};
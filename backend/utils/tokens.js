@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+/**
+ * Hash a token for storage so a database leak does not expose usable tokens
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a random URL-safe token along with its storage hash
+ */
+export const createRandomToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { FileUpload } from '@/components/ui/file-upload';
+import { toast } from "sonner";
+import { useCommitCcdaImport, useDiscardCcdaImport, useUploadCcda } from '@/hooks/useApi';
+import type { CcdaImport, CcdaMeasurement, CcdaPreviewItem, CcdaSection, ImportResultStatus } from '@/services/api';
+
+const SECTION_LABELS: Record<CcdaSection, string> = {
+  problems: 'Problems',
+  medications: 'Medications',
+  allergies: 'Allergies',
+  vitals: 'Vital Signs',
+  results: 'Results',
+};
+
+const STATUS_LABELS: Record<ImportResultStatus, string> = {
+  created: 'new',
+  updated: 'updates existing',
+  merged: 'merges with existing',
+  unchanged: 'already recorded',
+  skipped: 'not imported',
+  failed: 'invalid',
+};
+
+// Entries that would change nothing are left unticked
+const isImportable = (item: CcdaPreviewItem) => ['created', 'updated', 'merged'].includes(item.result.status);
+
+const formatDate = (date?: string) => (date ? new Date(date).toLocaleDateString() : undefined);
+
+const formatMeasurement = (measurement: CcdaMeasurement) =>
+  [measurement.name, [measurement.value, measurement.unit].filter(Boolean).join(' ')].filter(Boolean).join(': ');
+
+const describeItem = (section: CcdaSection, item: CcdaPreviewItem) => {
+  const fields = item.fields || {};
+
+  switch (section) {
+    case 'problems':
+      return { title: fields.condition, detail: [fields.status, formatDate(fields.diagnosedDate)].filter(Boolean).join(' · ') };
+    case 'medications':
+      return { title: fields.name, detail: [fields.dosage, fields.frequency, fields.status].filter(Boolean).join(' · ') };
+    case 'allergies':
+      return { title: fields.allergen, detail: [fields.reaction, fields.severity].filter(Boolean).join(' · ') };
+    case 'vitals':
+      return { title: formatDate(item.recordedDate), detail: (item.observations || []).map(formatMeasurement).join(' · ') };
+    case 'results':
+      return {
+        title: formatMeasurement(item),
+        detail: [item.interpretation && `flag ${item.interpretation}`, item.referenceRange, formatDate(item.effectiveTime)]
+          .filter(Boolean).join(' · '),
+      };
+  }
+};
+
+interface CcdaImportDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  patientId: string;
+}
+
+/**
+ * Upload a Continuity of Care Document, review what each entry would do to the
+ * record, then commit the chosen entries or discard the import
+ */
+const CcdaImportDialog = ({ open, onOpenChange, patientId }: CcdaImportDialogProps) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [preview, setPreview] = useState<CcdaImport | null>(null);
+  const [excluded, setExcluded] = useState<Partial<Record<CcdaSection, number[]>>>({});
+  const uploadCcda = useUploadCcda();
+  const commitImport = useCommitCcdaImport();
+  const discardImport = useDiscardCcdaImport();
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setExcluded({});
+  };
+
+  const close = () => {
+    reset();
+    onOpenChange(false);
+  };
+
+  const handleUpload = () => {
+    if (!file) return;
+
+    uploadCcda.mutate({ patientId, file }, {
+      onSuccess: (uploaded) => {
+        setPreview(uploaded);
+        setExcluded(Object.fromEntries(
+          Object.entries(uploaded.sections || {}).map(([section, items]) => [
+            section,
+            items.filter(item => !isImportable(item)).map(item => item.index),
+          ])
+        ));
+      },
+      onError: () => toast.error("Couldn't read the document. Please check it is a C-CDA XML file for this patient."),
+    });
+  };
+
+  const toggleItem = (section: CcdaSection, index: number, included: boolean) => {
+    setExcluded((current) => {
+      const indexes = (current[section] || []).filter(item => item !== index);
+      return { ...current, [section]: included ? indexes : [...indexes, index] };
+    });
+  };
+
+  const handleCommit = () => {
+    if (!preview) return;
+
+    commitImport.mutate({ patientId, importId: preview._id, excluded }, {
+      onSuccess: ({ summary }) => {
+        const changed = (summary.created || 0) + (summary.updated || 0) + (summary.merged || 0);
+        toast.success(`Imported ${changed} ${changed === 1 ? 'entry' : 'entries'} into the record`);
+        close();
+      },
+      onError: () => toast.error("Couldn't import the document. Please try again."),
+    });
+  };
+
+  const handleDiscard = () => {
+    if (!preview) {
+      close();
+      return;
+    }
+
+    discardImport.mutate({ patientId, importId: preview._id }, {
+      onSettled: close,
+    });
+  };
+
+  const sections = Object.entries(preview?.sections || {}) as Array<[CcdaSection, CcdaPreviewItem[]]>;
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => (isOpen ? onOpenChange(true) : handleDiscard())}>
+      <DialogContent className="sm:max-w-[640px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import a care document</DialogTitle>
+          <DialogDescription>
+            {preview
+              ? [preview.document?.title, preview.document?.custodian, formatDate(preview.document?.effectiveTime)]
+                .filter(Boolean).join(' · ')
+              : 'Upload a Continuity of Care Document (C-CDA XML) from another hospital. You can review its entries before anything is added.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!preview ? (
+          <FileUpload
+            file={file}
+            onFileSelect={setFile}
+            onFileRemove={() => setFile(null)}
+            accept=".xml"
+            maxSize={10}
+            disabled={uploadCcda.isPending}
+          />
+        ) : (
+          <div className="space-y-5">
+            {sections.map(([section, items]) => (
+              <div key={section}>
+                <h4 className="text-sm font-semibold mb-2">{SECTION_LABELS[section]}</h4>
+                {items.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">Nothing in this section.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {items.map((item) => {
+                      const { title, detail } = describeItem(section, item);
+                      const included = !(excluded[section] || []).includes(item.index);
+
+                      return (
+                        <label key={item.index} className="flex items-start gap-3 p-2 border rounded-md">
+                          <Checkbox
+                            checked={included}
+                            disabled={!isImportable(item)}
+                            onCheckedChange={(checked) => toggleItem(section, item.index, checked === true)}
+                            className="mt-1"
+                          />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium">{title}</p>
+                            {detail && <p className="text-xs text-muted-foreground">{detail}</p>}
+                            {item.result.message && <p className="text-xs text-muted-foreground">{item.result.message}</p>}
+                          </div>
+                          <Badge variant="outline" className="shrink-0">{STATUS_LABELS[item.result.status]}</Badge>
+                        </label>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={handleDiscard} disabled={discardImport.isPending}>
+            {preview ? 'Discard' : 'Cancel'}
+          </Button>
+          {preview ? (
+            <Button onClick={handleCommit} disabled={commitImport.isPending}>
+              {commitImport.isPending ? 'Importing...' : 'Import selected'}
+            </Button>
+          ) : (
+            <Button onClick={handleUpload} disabled={!file || uploadCcda.isPending}>
+              {uploadCcda.isPending ? 'Reading...' : 'Review'}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CcdaImportDialog;
@@ -1,8 +1,11 @@
 import React from 'react';
-import { Calendar, Heart, Pill, FileText, Brain, Navigation } from 'lucide-react';
+import { Calendar, Heart, Pill, FileText, Brain, Navigation, Syringe } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Link } from 'react-router-dom';
+import { useImmunizationSchedule, useRecordPatientId } from '@/hooks/useApi';
+import type { ImmunizationSchedule } from '@/services/api';
 
 interface DashboardCardProps {
   title: string;
@@ -11,9 +14,10 @@ interface DashboardCardProps {
   linkText: string;
   linkTo: string;
   isNew?: boolean;
+  status?: React.ReactNode;
 }
 
-const DashboardCard = ({ title, description, icon, linkText, linkTo, isNew = false }: DashboardCardProps) => {
+const DashboardCard = ({ title, description, icon, linkText, linkTo, isNew = false, status }: DashboardCardProps) => {
   return (
     <Card className={`health-card h-full flex flex-col relative ${isNew ? 'border-blue-200 bg-blue-50/50' : ''}`}>
       {isNew && (
@@ -31,6 +35,7 @@ const DashboardCard = ({ title, description, icon, linkText, linkTo, isNew = fal
       </CardHeader>
       <CardContent className="flex-grow">
         <CardDescription className="text-sm">{description}</CardDescription>
+        {status && <div className="mt-3">{status}</div>}
         <Button variant="outline" className="mt-4 w-full" asChild>
           <Link to={linkTo}>{linkText}</Link>
         </Button>
@@ -39,7 +44,41 @@ const DashboardCard = ({ title, description, icon, linkText, linkTo, isNew = fal
   );
 };
 
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
+
+// Vaccines needing attention now, or the next one coming up
+const describeImmunizations = (data?: ImmunizationSchedule) => {
+  if (!data) return "Keep track of your vaccines and see which ones are due.";
+
+  const pending = data.recommendations.filter(item => item.status === 'overdue' || item.status === 'due');
+  if (pending.length > 0) return `Due now: ${pending.map(item => item.name).join(', ')}.`;
+
+  const next = data.recommendations.find(item => item.status === 'upcoming');
+  return next?.dueDate
+    ? `You're up to date. Next: ${next.name} from ${formatDate(next.dueDate)}.`
+    : "You're up to date on your vaccines.";
+};
+
+const ImmunizationStatusBadges = ({ data }: { data?: ImmunizationSchedule }) => {
+  if (!data) return null;
+
+  const { overdue, due } = data.counts;
+  if (overdue === 0 && due === 0) {
+    return <Badge variant="outline" className="border-green-300 text-green-700">Up to date</Badge>;
+  }
+
+  return (
+    <div className="flex gap-2">
+      {overdue > 0 && <Badge variant="destructive">{overdue} overdue</Badge>}
+      {due > 0 && <Badge variant="outline" className="border-amber-300 text-amber-700">{due} due</Badge>}
+    </div>
+  );
+};
+
 const DashboardCards = () => {
+  const patientId = useRecordPatientId();
+  const { data: immunizations } = useImmunizationSchedule(patientId);
+
   const cards = [
     {
       title: "Health Records",
@@ -78,6 +117,14 @@ const DashboardCards = () => {
       linkText: "Manage Medications",
       linkTo: "/medications"
     },
+    {
+      title: "Immunizations",
+      description: describeImmunizations(immunizations),
+      icon: <Syringe size={20} className="text-primary" />,
+      linkText: "View Immunizations",
+      linkTo: "/health-records",
+      status: <ImmunizationStatusBadges data={immunizations} />
+    },
     {
       title: "Appointments",
       description: "Schedule and manage your appointments with healthcare providers.",
@@ -98,6 +145,7 @@ const DashboardCards = () => {
           linkText={card.linkText}
           linkTo={card.linkTo}
           isNew={card.isNew}
+          status={card.status}
         />
       ))}
     </div>
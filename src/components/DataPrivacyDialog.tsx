@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Download, Trash2 } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Separator } from '@/components/ui/separator';
+import { Textarea } from '@/components/ui/textarea';
+import { toast } from "sonner";
+import { useCancelErasureRequest, useDownloadMyData, useErasureRequest, useRequestErasure } from '@/hooks/useApi';
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
+
+interface DataPrivacyDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+/**
+ * Download a copy of everything held about the signed-in patient, or ask for it
+ * to be erased after a grace period during which the request can be cancelled
+ */
+const DataPrivacyDialog = ({ open, onOpenChange }: DataPrivacyDialogProps) => {
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [reason, setReason] = useState('');
+  const downloadMyData = useDownloadMyData();
+  const { data: erasureRequest, isLoading } = useErasureRequest(open);
+  const requestErasure = useRequestErasure();
+  const cancelErasure = useCancelErasureRequest();
+
+  const resetConfirmation = () => {
+    setIsConfirming(false);
+    setPassword('');
+    setReason('');
+  };
+
+  const handleOpenChange = (isOpen: boolean) => {
+    if (!isOpen) resetConfirmation();
+    onOpenChange(isOpen);
+  };
+
+  const handleDownload = () => {
+    downloadMyData.mutate(undefined, {
+      onError: () => toast.error("Couldn't prepare your data. Please try again."),
+    });
+  };
+
+  const handleRequestErasure = () => {
+    requestErasure.mutate({ password, reason: reason.trim() || undefined }, {
+      onSuccess: (request) => {
+        toast.success(`Your data will be erased on ${formatDate(request.scheduledFor)}`);
+        resetConfirmation();
+      },
+      onError: () => toast.error("Couldn't schedule the erasure. Please check your password."),
+    });
+  };
+
+  const handleCancelErasure = () => {
+    cancelErasure.mutate(undefined, {
+      onSuccess: () => toast.success('Erasure request cancelled'),
+      onError: () => toast.error("Couldn't cancel the request. Please try again."),
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-[520px]">
+        <DialogHeader>
+          <DialogTitle>Your data</DialogTitle>
+          <DialogDescription>
+            Download everything we hold about you, or ask for your account and health data to be erased.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div>
+            <h4 className="text-sm font-semibold mb-1">Download my data</h4>
+            <p className="text-sm text-muted-foreground mb-3">
+              A ZIP file with your record, AI health summary, chat history, appointments, consents and access log, as JSON and CSV.
+            </p>
+            <Button variant="outline" onClick={handleDownload} disabled={downloadMyData.isPending}>
+              <Download size={16} className="mr-2" />
+              {downloadMyData.isPending ? 'Preparing...' : 'Download'}
+            </Button>
+          </div>
+
+          <Separator />
+
+          <div>
+            <h4 className="text-sm font-semibold mb-1">Erase my data</h4>
+            {isLoading ? (
+              <p className="text-sm text-muted-foreground">Loading...</p>
+            ) : erasureRequest ? (
+              <Alert>
+                <AlertTitle>
+                  {erasureRequest.status === 'held' ? 'Erasure on hold' : `Erasure scheduled for ${formatDate(erasureRequest.scheduledFor)}`}
+                </AlertTitle>
+                <AlertDescription>
+                  {erasureRequest.status === 'held'
+                    ? 'Your data must be kept for now for legal reasons. It will be erased once that is no longer the case.'
+                    : 'You can keep using your account until then, and cancel the request at any time before it.'}
+                </AlertDescription>
+              </Alert>
+            ) : isConfirming ? (
+              <div className="space-y-3">
+                <p className="text-sm text-muted-foreground">
+                  Confirm with your password. You will have a grace period to change your mind before anything is erased.
+                </p>
+                <div className="space-y-1">
+                  <Label htmlFor="erasure-password">Password</Label>
+                  <Input
+                    id="erasure-password"
+                    type="password"
+                    value={password}
+                    onChange={(event) => setPassword(event.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="erasure-reason">Reason (optional)</Label>
+                  <Textarea
+                    id="erasure-reason"
+                    value={reason}
+                    maxLength={500}
+                    onChange={(event) => setReason(event.target.value)}
+                  />
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground">
+                Your account, health record, appointments, chat history and reviews will be erased. Records we are legally required to keep are retained.
+              </p>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          {erasureRequest ? (
+            <Button variant="outline" onClick={handleCancelErasure} disabled={cancelErasure.isPending}>
+              {cancelErasure.isPending ? 'Cancelling...' : 'Cancel erasure request'}
+            </Button>
+          ) : isConfirming ? (
+            <>
+              <Button variant="outline" onClick={resetConfirmation}>Back</Button>
+              <Button variant="destructive" onClick={handleRequestErasure} disabled={!password || requestErasure.isPending}>
+                {requestErasure.isPending ? 'Scheduling...' : 'Erase my data'}
+              </Button>
+            </>
+          ) : (
+            <Button variant="destructive" onClick={() => setIsConfirming(true)} disabled={isLoading}>
+              <Trash2 size={16} className="mr-2" />
+              Request erasure
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DataPrivacyDialog;
@@ -1,30 +1,127 @@
-
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus } from 'lucide-react';
 import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { RecordEntryDialog } from '@/components/RecordSectionEditor';
+import LabTrendDialog from '@/components/LabTrendDialog';
+import { useRecordEntries, useRecordPatientId } from '@/hooks/useApi';
+import type { LabFlag, LabResultEntry, VitalSignsEntry } from '@/services/api';
+
+type MetricStatus = 'normal' | 'warning' | 'critical';
 
 interface HealthMetric {
   label: string;
   value: string;
   date: string;
-  status?: 'normal' | 'warning' | 'critical';
+  status?: MetricStatus;
 }
 
+// Adult reference ranges, for at-a-glance flags only
+const rangeStatus = (value: number, normal: [number, number], warning: [number, number]): MetricStatus => {
+  if (value >= normal[0] && value <= normal[1]) return 'normal';
+  if (value >= warning[0] && value <= warning[1]) return 'warning';
+  return 'critical';
+};
+
+const METRICS: Array<{
+  label: string;
+  read: (vitals: VitalSignsEntry) => number | undefined;
+  format: (vitals: VitalSignsEntry) => string;
+  status: (vitals: VitalSignsEntry) => MetricStatus;
+}> = [
+  {
+    label: 'Blood Pressure',
+    read: (vitals) => vitals.bloodPressure?.systolic && vitals.bloodPressure?.diastolic ? vitals.bloodPressure.systolic : undefined,
+    format: (vitals) => `${vitals.bloodPressure?.systolic}/${vitals.bloodPressure?.diastolic} mmHg`,
+    status: (vitals) => {
+      const systolic = rangeStatus(vitals.bloodPressure?.systolic ?? 0, [90, 119], [80, 139]);
+      const diastolic = rangeStatus(vitals.bloodPressure?.diastolic ?? 0, [60, 79], [50, 89]);
+      if (systolic === 'critical' || diastolic === 'critical') return 'critical';
+      return systolic === 'warning' || diastolic === 'warning' ? 'warning' : 'normal';
+    },
+  },
+  {
+    label: 'Heart Rate',
+    read: (vitals) => vitals.heartRate,
+    format: (vitals) => `${vitals.heartRate} bpm`,
+    status: (vitals) => rangeStatus(vitals.heartRate as number, [60, 100], [50, 120]),
+  },
+  {
+    label: 'Oxygen Saturation',
+    read: (vitals) => vitals.oxygenSaturation,
+    format: (vitals) => `${vitals.oxygenSaturation}%`,
+    status: (vitals) => rangeStatus(vitals.oxygenSaturation as number, [95, 100], [90, 100]),
+  },
+  {
+    label: 'Temperature',
+    read: (vitals) => vitals.temperature,
+    format: (vitals) => `${vitals.temperature} °C`,
+    status: (vitals) => rangeStatus(vitals.temperature as number, [36.1, 37.5], [35, 38.9]),
+  },
+  {
+    label: 'BMI',
+    read: (vitals) => vitals.bmi,
+    format: (vitals) => `${vitals.bmi}`,
+    status: (vitals) => rangeStatus(vitals.bmi as number, [18.5, 24.9], [0, Infinity]),
+  },
+];
+
+// Latest reading of each metric, which may come from different entries
+const getLatestMetrics = (vitalSigns: VitalSignsEntry[]): HealthMetric[] => {
+  const newestFirst = [...vitalSigns].sort(
+    (a, b) => new Date(b.recordedDate).getTime() - new Date(a.recordedDate).getTime()
+  );
+
+  return METRICS.flatMap((metric) => {
+    const vitals = newestFirst.find(entry => metric.read(entry) !== undefined && metric.read(entry) !== null);
+    if (!vitals) return [];
+
+    return [{
+      label: metric.label,
+      value: metric.format(vitals),
+      date: vitals.recordedDate,
+      status: metric.status(vitals),
+    }];
+  });
+};
+
+// Flags are computed by the server against its reference-range table
+const LAB_FLAG_STATUS: Record<LabFlag, MetricStatus> = {
+  normal: 'normal',
+  low: 'warning',
+  high: 'warning',
+  critical: 'critical',
+};
+
+// Latest result of each test, keyed by LOINC code where there is one
+const getLatestLabs = (labResults: LabResultEntry[]) => {
+  const latest = new Map<string, LabResultEntry>();
+
+  [...labResults]
+    .sort((a, b) => new Date(b.specimenDate).getTime() - new Date(a.specimenDate).getTime())
+    .forEach((result) => {
+      const key = result.loincCode || result.test.trim().toLowerCase();
+      if (!latest.has(key)) latest.set(key, result);
+    });
+
+  return [...latest.values()];
+};
+
 const HealthSummary = () => {
-  // Mock data - in a real app, this would come from an API
-  const healthMetrics: HealthMetric[] = [
-    { label: 'Blood Pressure', value: '120/80 mmHg', date: '2024-04-10', status: 'normal' },
-    { label: 'Heart Rate', value: '72 bpm', date: '2024-04-10', status: 'normal' },
-    { label: 'Blood Glucose', value: '110 mg/dL', date: '2024-04-05', status: 'normal' },
-    { label: 'Cholesterol (LDL)', value: '160 mg/dL', date: '2024-03-15', status: 'warning' },
-  ];
-
-  const diagnoses = [
-    { condition: 'Hypertension', diagnosedDate: '2023-12-05', status: 'Controlled' },
-    { condition: 'Seasonal Allergies', diagnosedDate: '2024-02-22', status: 'Active' },
-  ];
-
-  const getStatusColor = (status?: 'normal' | 'warning' | 'critical') => {
+  const patientId = useRecordPatientId();
+  const { data: vitalSigns = [], isLoading: vitalsLoading } = useRecordEntries(patientId, 'vital-signs');
+  const { data: medicalHistory = [], isLoading: historyLoading } = useRecordEntries(patientId, 'medical-history');
+  const { data: labResults = [], isLoading: labsLoading } = useRecordEntries(patientId, 'lab-results');
+  const [isVitalsDialogOpen, setIsVitalsDialogOpen] = useState(false);
+  const [trendTest, setTrendTest] = useState<string>();
+
+  const healthMetrics = getLatestMetrics(vitalSigns);
+  const latestLabs = getLatestLabs(labResults);
+  const diagnoses = medicalHistory.filter(entry => entry.status !== 'resolved');
+
+  const getStatusColor = (status?: MetricStatus) => {
     switch (status) {
       case 'normal':
         return 'bg-green-100 text-green-800';
@@ -40,53 +137,135 @@ const HealthSummary = () => {
   return (
     <div className="space-y-6">
       <Card>
-        <CardHeader>
-          <CardTitle>Health Summary</CardTitle>
-          <CardDescription>Your latest health metrics and vital signs</CardDescription>
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div>
+            <CardTitle>Health Summary</CardTitle>
+            <CardDescription>Your latest health metrics and vital signs</CardDescription>
+          </div>
+          {patientId && (
+            <Button size="sm" variant="outline" onClick={() => setIsVitalsDialogOpen(true)}>
+              <Plus size={16} className="mr-1" />
+              Log vitals
+            </Button>
+          )}
         </CardHeader>
         <CardContent>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {healthMetrics.map((metric, index) => (
-              <div key={index} className="flex items-center justify-between p-2 border rounded-md">
-                <div>
-                  <p className="text-sm font-medium">{metric.label}</p>
-                  <p className="text-xs text-muted-foreground">Last updated: {new Date(metric.date).toLocaleDateString()}</p>
-                </div>
-                <div className="text-right">
-                  <p className="text-lg font-semibold">{metric.value}</p>
-                  <Badge variant="outline" className={getStatusColor(metric.status)}>
-                    {metric.status || 'Unknown'}
-                  </Badge>
+          {vitalsLoading ? (
+            <p className="text-sm text-muted-foreground">Loading...</p>
+          ) : healthMetrics.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No vital signs recorded yet.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {healthMetrics.map((metric) => (
+                <div key={metric.label} className="flex items-center justify-between p-2 border rounded-md">
+                  <div>
+                    <p className="text-sm font-medium">{metric.label}</p>
+                    <p className="text-xs text-muted-foreground">Last updated: {new Date(metric.date).toLocaleDateString()}</p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-lg font-semibold">{metric.value}</p>
+                    <Badge variant="outline" className={getStatusColor(metric.status)}>
+                      {metric.status || 'Unknown'}
+                    </Badge>
+                  </div>
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Lab Results</CardTitle>
+          <CardDescription>Your latest result for each test · select one to see its trend</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {labsLoading ? (
+            <p className="text-sm text-muted-foreground">Loading...</p>
+          ) : latestLabs.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No lab results recorded yet.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {latestLabs.map((result) => (
+                <button
+                  key={result._id}
+                  type="button"
+                  onClick={() => setTrendTest(result.loincCode || result.test)}
+                  className="flex items-center justify-between p-2 border rounded-md text-left hover:bg-muted/50"
+                >
+                  <div>
+                    <p className="text-sm font-medium">{result.test}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {new Date(result.specimenDate).toLocaleDateString()}
+                      {result.referenceRange && ` · Range ${result.referenceRange.low ?? '–'} to ${result.referenceRange.high ?? '–'}`}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-lg font-semibold">{result.value} {result.unit}</p>
+                    <Badge variant="outline" className={getStatusColor(result.flag ? LAB_FLAG_STATUS[result.flag] : undefined)}>
+                      {result.flag || 'Unknown'}
+                    </Badge>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
         </CardContent>
       </Card>
 
       <Card>
         <CardHeader>
           <CardTitle>Active Conditions</CardTitle>
-          <CardDescription>Your current medical diagnoses</CardDescription>
+          <CardDescription>
+            Your current medical diagnoses · <Link to="/health-records" className="underline">Manage records</Link>
+          </CardDescription>
         </CardHeader>
         <CardContent>
-          <div className="space-y-3">
-            {diagnoses.map((diagnosis, index) => (
-              <div key={index} className="flex items-center justify-between p-3 border rounded-md">
-                <div>
-                  <p className="font-medium">{diagnosis.condition}</p>
-                  <p className="text-xs text-muted-foreground">
-                    Diagnosed: {new Date(diagnosis.diagnosedDate).toLocaleDateString()}
-                  </p>
+          {historyLoading ? (
+            <p className="text-sm text-muted-foreground">Loading...</p>
+          ) : diagnoses.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No active conditions recorded.</p>
+          ) : (
+            <div className="space-y-3">
+              {diagnoses.map((diagnosis) => (
+                <div key={diagnosis._id} className="flex items-center justify-between p-3 border rounded-md">
+                  <div>
+                    <p className="font-medium">{diagnosis.condition}</p>
+                    {diagnosis.diagnosedDate && (
+                      <p className="text-xs text-muted-foreground">
+                        Diagnosed: {new Date(diagnosis.diagnosedDate).toLocaleDateString()}
+                      </p>
+                    )}
+                  </div>
+                  <Badge variant={diagnosis.status === 'active' ? 'secondary' : 'outline'} className="capitalize">
+                    {diagnosis.status}
+                  </Badge>
                 </div>
-                <Badge variant={diagnosis.status === 'Controlled' ? 'outline' : 'secondary'}>
-                  {diagnosis.status}
-                </Badge>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
         </CardContent>
       </Card>
+
+      {patientId && (
+        <RecordEntryDialog
+          open={isVitalsDialogOpen}
+          onOpenChange={setIsVitalsDialogOpen}
+          patientId={patientId}
+          section="vital-signs"
+          title="vital signs reading"
+        />
+      )}
+
+      {patientId && (
+        <LabTrendDialog
+          open={!!trendTest}
+          onOpenChange={(open) => !open && setTrendTest(undefined)}
+          patientId={patientId}
+          test={trendTest}
+        />
+      )}
     </div>
   );
 };
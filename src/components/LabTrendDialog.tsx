@@ -0,0 +1,79 @@
+import React from 'react';
+import { CartesianGrid, Line, LineChart, ReferenceArea, XAxis, YAxis } from 'recharts';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from '@/components/ui/chart';
+import { useLabTrend } from '@/hooks/useApi';
+
+interface LabTrendDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  patientId: string;
+  // LOINC code or test name, as the trend endpoint accepts
+  test?: string;
+}
+
+const chartConfig = {
+  value: { label: 'Result', color: 'hsl(var(--primary))' },
+} satisfies ChartConfig;
+
+const DIRECTION_LABELS = { rising: 'Rising', falling: 'Falling', stable: 'Stable' } as const;
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
+
+/**
+ * A lab test's results over time, with the reference range for the latest result
+ * shaded behind the line
+ */
+const LabTrendDialog = ({ open, onOpenChange, patientId, test }: LabTrendDialogProps) => {
+  const { data: trend, isLoading, error } = useLabTrend(open ? patientId : null, test);
+  const range = trend?.referenceRange;
+  const points = (trend?.points ?? []).map(point => ({ ...point, date: formatDate(point.specimenDate) }));
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[640px]">
+        <DialogHeader>
+          <DialogTitle>{trend?.test ?? test}</DialogTitle>
+          <DialogDescription>
+            {trend?.unit ? `Results in ${trend.unit}` : 'Results over time'}
+            {range && (range.low !== undefined || range.high !== undefined) && (
+              <> · Reference range {range.low ?? '–'} to {range.high ?? '–'}</>
+            )}
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading...</p>
+        ) : error ? (
+          <p className="text-sm text-destructive">Couldn't load the results for this test.</p>
+        ) : points.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No results to chart.</p>
+        ) : (
+          <>
+            <ChartContainer config={chartConfig} className="h-64 w-full">
+              <LineChart data={points} margin={{ top: 8, right: 16, left: 0, bottom: 0 }}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="date" tickLine={false} axisLine={false} />
+                <YAxis tickLine={false} axisLine={false} width={48} domain={['auto', 'auto']} />
+                {range && (range.low !== undefined || range.high !== undefined) && (
+                  <ReferenceArea y1={range.low} y2={range.high} fill="hsl(var(--primary))" fillOpacity={0.08} />
+                )}
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Line dataKey="value" type="monotone" stroke="var(--color-value)" strokeWidth={2} dot />
+              </LineChart>
+            </ChartContainer>
+            <p className="text-xs text-muted-foreground">
+              {trend?.change
+                ? `${DIRECTION_LABELS[trend.change.direction]} (${trend.change.absolute > 0 ? '+' : ''}${trend.change.absolute}) since ${points[0].date}`
+                : 'Only one result so far'}
+              {trend && trend.excluded > 0 && ` · ${trend.excluded} result(s) in other units not shown`}
+              {trend && ` · Reference ranges v${trend.rangesVersion}`}
+            </p>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default LabTrendDialog;
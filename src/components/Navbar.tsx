@@ -1,19 +1,32 @@
 
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { Bell, User } from 'lucide-react';
+import { Bell, Check, User } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import { 
   DropdownMenu, 
   DropdownMenuContent, 
   DropdownMenuItem, 
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
   DropdownMenuTrigger 
 } from "@/components/ui/dropdown-menu";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { useIsMobile } from '@/hooks/use-mobile';
+import { useActivePatient, useCaregiverProfiles, useCurrentUser, useLogout } from '@/hooks/useApi';
+import SignInDialog from './SignInDialog';
+import TwoFactorSetupDialog from './TwoFactorSetupDialog';
 
 const Navbar = () => {
   const isMobile = useIsMobile();
+  const { data: currentUser } = useCurrentUser();
+  const userType = currentUser?.type;
+  const canSwitchProfiles = !!currentUser && (userType === 'caregiver' || userType === 'patient');
+  const { data: profiles = [] } = useCaregiverProfiles(canSwitchProfiles);
+  const { activePatientId, setActivePatientId } = useActivePatient();
+  const logout = useLogout();
+  const [signInOpen, setSignInOpen] = useState(false);
+  const [twoFactorSetupOpen, setTwoFactorSetupOpen] = useState(false);
   
   return (
     <nav className="border-b border-gray-200 bg-white sticky top-0 z-50">
@@ -46,13 +59,51 @@ const Navbar = () => {
               </Button>
             </DropdownMenuTrigger>
             <DropdownMenuContent align="end" className="w-56">
-              <DropdownMenuItem>Profile</DropdownMenuItem>
-              <DropdownMenuItem>Settings</DropdownMenuItem>
-              <DropdownMenuItem>Sign out</DropdownMenuItem>
+              {profiles.length > 0 && (
+                <>
+                  <DropdownMenuLabel>Viewing records for</DropdownMenuLabel>
+                  {userType === 'patient' && (
+                    <DropdownMenuItem onClick={() => setActivePatientId(null)}>
+                      <span className="flex-1">Myself</span>
+                      {!activePatientId && <Check size={14} />}
+                    </DropdownMenuItem>
+                  )}
+                  {profiles.map((profile) => (
+                    <DropdownMenuItem
+                      key={profile.grantId}
+                      onClick={() => setActivePatientId(profile.patient._id)}
+                    >
+                      <span className="flex-1">
+                        {profile.patient.firstName} {profile.patient.lastName}
+                        {profile.relationship && (
+                          <span className="text-xs text-muted-foreground"> ({profile.relationship})</span>
+                        )}
+                      </span>
+                      {activePatientId === profile.patient._id && <Check size={14} />}
+                    </DropdownMenuItem>
+                  ))}
+                  <DropdownMenuSeparator />
+                </>
+              )}
+              {currentUser ? (
+                <>
+                  <DropdownMenuItem>Profile</DropdownMenuItem>
+                  <DropdownMenuItem>Settings</DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => setTwoFactorSetupOpen(true)}>
+                    Two-factor authentication
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => logout.mutate()}>Sign out</DropdownMenuItem>
+                </>
+              ) : (
+                <DropdownMenuItem onClick={() => setSignInOpen(true)}>Sign in</DropdownMenuItem>
+              )}
             </DropdownMenuContent>
           </DropdownMenu>
         </div>
       </div>
+
+      <SignInDialog open={signInOpen} onOpenChange={setSignInOpen} />
+      <TwoFactorSetupDialog open={twoFactorSetupOpen} onClose={() => setTwoFactorSetupOpen(false)} />
     </nav>
   );
 };
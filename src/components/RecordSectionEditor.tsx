@@ -0,0 +1,406 @@
+import React, { useEffect, useState } from 'react';
+import { Pencil, Plus, Trash2 } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
+import { Textarea } from '@/components/ui/textarea';
+import { toast } from "sonner";
+import { useAddRecordEntry, useRecordEntries, useRemoveRecordEntry, useUpdateRecordEntry } from '@/hooks/useApi';
+import type { PatientRecordSection, PatientRecordSections, RecordEntryInput } from '@/services/api';
+
+export interface RecordField {
+  // Dotted paths reach into nested values, e.g. bloodPressure.systolic
+  name: string;
+  label: string;
+  type?: 'text' | 'number' | 'date' | 'select' | 'textarea' | 'switch';
+  options?: string[];
+  required?: boolean;
+}
+
+type FormValues = Record<string, string | boolean>;
+
+// Form fields per section; each mirrors the fields the API accepts for it
+const RECORD_SECTION_FIELDS: Record<PatientRecordSection, RecordField[]> = {
+  'medical-history': [
+    { name: 'condition', label: 'Condition', required: true },
+    { name: 'diagnosedDate', label: 'Diagnosed', type: 'date' },
+    { name: 'status', label: 'Status', type: 'select', options: ['active', 'chronic', 'managed', 'resolved'] },
+    { name: 'severity', label: 'Severity', type: 'select', options: ['mild', 'moderate', 'severe'] },
+    { name: 'notes', label: 'Notes', type: 'textarea' },
+  ],
+  allergies: [
+    { name: 'allergen', label: 'Allergen', required: true },
+    { name: 'reaction', label: 'Reaction' },
+    { name: 'severity', label: 'Severity', type: 'select', options: ['mild', 'moderate', 'severe', 'life-threatening'] },
+    { name: 'notes', label: 'Notes', type: 'textarea' },
+  ],
+  'vital-signs': [
+    { name: 'recordedDate', label: 'Date', type: 'date', required: true },
+    { name: 'bloodPressure.systolic', label: 'Systolic (mmHg)', type: 'number' },
+    { name: 'bloodPressure.diastolic', label: 'Diastolic (mmHg)', type: 'number' },
+    { name: 'heartRate', label: 'Heart rate (bpm)', type: 'number' },
+    { name: 'temperature', label: 'Temperature (°C)', type: 'number' },
+    { name: 'respiratoryRate', label: 'Respiratory rate (/min)', type: 'number' },
+    { name: 'oxygenSaturation', label: 'Oxygen saturation (%)', type: 'number' },
+    { name: 'weight', label: 'Weight (kg)', type: 'number' },
+    { name: 'height', label: 'Height (cm)', type: 'number' },
+  ],
+  'lab-results': [
+    { name: 'test', label: 'Test', required: true },
+    { name: 'value', label: 'Value', type: 'number', required: true },
+    { name: 'unit', label: 'Unit' },
+    { name: 'specimenDate', label: 'Specimen date', type: 'date', required: true },
+    { name: 'loincCode', label: 'LOINC code' },
+    { name: 'notes', label: 'Notes', type: 'textarea' },
+  ],
+  immunizations: [
+    { name: 'vaccine', label: 'Vaccine', required: true },
+    { name: 'administeredDate', label: 'Date given', type: 'date', required: true },
+    { name: 'cvxCode', label: 'CVX code' },
+    { name: 'doseNumber', label: 'Dose number', type: 'number' },
+    { name: 'lotNumber', label: 'Lot number' },
+    { name: 'administeredBy', label: 'Given by' },
+    { name: 'notes', label: 'Notes', type: 'textarea' },
+  ],
+  'family-history': [
+    {
+      name: 'relative',
+      label: 'Relative',
+      type: 'select',
+      options: [
+        'mother', 'father', 'sister', 'brother', 'daughter', 'son',
+        'grandmother', 'grandfather', 'aunt', 'uncle', 'half-sister', 'half-brother',
+        'niece', 'nephew', 'granddaughter', 'grandson', 'cousin',
+      ],
+    },
+    { name: 'condition', label: 'Condition', required: true },
+    { name: 'ageAtOnset', label: 'Age at onset', type: 'number' },
+    { name: 'notes', label: 'Notes', type: 'textarea' },
+  ],
+  'emergency-contacts': [
+    { name: 'name', label: 'Name', required: true },
+    { name: 'relationship', label: 'Relationship' },
+    { name: 'phone', label: 'Phone', required: true },
+    { name: 'email', label: 'Email' },
+    { name: 'isPrimary', label: 'Primary contact', type: 'switch' },
+  ],
+  medications: [
+    { name: 'name', label: 'Medication', required: true },
+    { name: 'dosage', label: 'Dosage' },
+    { name: 'frequency', label: 'Frequency' },
+    { name: 'startDate', label: 'Start date', type: 'date' },
+    { name: 'endDate', label: 'End date', type: 'date' },
+    { name: 'status', label: 'Status', type: 'select', options: ['active', 'completed', 'discontinued'] },
+    { name: 'notes', label: 'Notes', type: 'textarea' },
+  ],
+};
+
+const getPath = (source: unknown, path: string): unknown =>
+  path.split('.').reduce<unknown>(
+    (value, key) => (value && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined),
+    source
+  );
+
+const setPath = (target: Record<string, unknown>, path: string, value: unknown) => {
+  const keys = path.split('.');
+  const last = keys.pop() as string;
+  const parent = keys.reduce<Record<string, unknown>>((node, key) => {
+    node[key] = (node[key] as Record<string, unknown>) || {};
+    return node[key] as Record<string, unknown>;
+  }, target);
+  parent[last] = value;
+};
+
+const toFormValues = (fields: RecordField[], entry?: object): FormValues =>
+  Object.fromEntries(fields.map((field) => {
+    const value = entry ? getPath(entry, field.name) : undefined;
+
+    if (field.type === 'switch') return [field.name, Boolean(value)];
+    if (field.type === 'select') return [field.name, (value as string) || field.options?.[0] || ''];
+    if (field.type === 'date') {
+      const date = value ? String(value) : (field.required ? new Date().toISOString() : '');
+      return [field.name, date.slice(0, 10)];
+    }
+    return [field.name, value === undefined || value === null ? '' : String(value)];
+  }));
+
+// Empty fields are left out of new entries and cleared on existing ones
+const toEntryInput = <S extends PatientRecordSection>(
+  fields: RecordField[],
+  values: FormValues,
+  isEditing: boolean
+): RecordEntryInput<S> => {
+  const input: Record<string, unknown> = {};
+
+  fields.forEach((field) => {
+    const value = values[field.name];
+
+    if (value === '') {
+      if (isEditing) setPath(input, field.name, null);
+      return;
+    }
+
+    setPath(input, field.name, field.type === 'number' ? Number(value) : value);
+  });
+
+  return input as RecordEntryInput<S>;
+};
+
+interface RecordEntryDialogProps<S extends PatientRecordSection> {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  patientId: string;
+  section: S;
+  title: string;
+  entry?: PatientRecordSections[S];
+}
+
+// Add or edit one entry of a record section
+export const RecordEntryDialog = <S extends PatientRecordSection>({
+  open,
+  onOpenChange,
+  patientId,
+  section,
+  title,
+  entry,
+}: RecordEntryDialogProps<S>) => {
+  const fields = RECORD_SECTION_FIELDS[section];
+  const [values, setValues] = useState<FormValues>(() => toFormValues(fields, entry));
+  const addEntry = useAddRecordEntry(section);
+  const updateEntry = useUpdateRecordEntry(section);
+  const isSaving = addEntry.isPending || updateEntry.isPending;
+
+  useEffect(() => {
+    if (open) setValues(toFormValues(fields, entry));
+  }, [open, entry, fields]);
+
+  const handleChange = (name: string, value: string | boolean) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = () => {
+    const missing = fields.filter(field => field.required && !values[field.name]);
+    if (missing.length > 0) {
+      toast.error(`Please fill in: ${missing.map(field => field.label).join(', ')}`);
+      return;
+    }
+
+    const callbacks = {
+      onSuccess: () => {
+        toast.success(entry ? "Record updated" : "Record added");
+        onOpenChange(false);
+      },
+      onError: () => {
+        toast.error("Couldn't save the record. Please try again.");
+      },
+    };
+
+    if (entry) {
+      updateEntry.mutate(
+        { patientId, entryId: entry._id, updates: toEntryInput<S>(fields, values, true) },
+        callbacks
+      );
+    } else {
+      addEntry.mutate({ patientId, entry: toEntryInput<S>(fields, values, false) }, callbacks);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[480px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{entry ? `Edit ${title}` : `Add ${title}`}</DialogTitle>
+        </DialogHeader>
+
+        <div className="grid gap-4 py-4">
+          {fields.map((field) => {
+            const id = `${section}-${field.name}`;
+            const value = values[field.name];
+
+            return (
+              <div key={field.name} className="grid gap-2">
+                <Label htmlFor={id}>
+                  {field.label}
+                  {field.required && ' *'}
+                </Label>
+                {field.type === 'select' ? (
+                  <Select value={value as string} onValueChange={(selected) => handleChange(field.name, selected)}>
+                    <SelectTrigger id={id}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {field.options?.map(option => (
+                        <SelectItem key={option} value={option} className="capitalize">{option}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                ) : field.type === 'textarea' ? (
+                  <Textarea id={id} value={value as string} onChange={(e) => handleChange(field.name, e.target.value)} />
+                ) : field.type === 'switch' ? (
+                  <Switch id={id} checked={value as boolean} onCheckedChange={(checked) => handleChange(field.name, checked)} />
+                ) : (
+                  <Input
+                    id={id}
+                    type={field.type || 'text'}
+                    step={field.type === 'number' ? 'any' : undefined}
+                    value={value as string}
+                    onChange={(e) => handleChange(field.name, e.target.value)}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+interface RecordSectionEditorProps<S extends PatientRecordSection> {
+  patientId: string;
+  section: S;
+  title: string;
+  entryTitle: string;
+  description: string;
+  emptyMessage: string;
+  summarize: (entry: PatientRecordSections[S]) => { title: string; detail?: string; badge?: string };
+}
+
+// Lists one section of a patient record with add, edit and remove actions
+const RecordSectionEditor = <S extends PatientRecordSection>({
+  patientId,
+  section,
+  title,
+  entryTitle,
+  description,
+  emptyMessage,
+  summarize,
+}: RecordSectionEditorProps<S>) => {
+  const { data: entries, isLoading, error } = useRecordEntries(patientId, section);
+  const removeEntry = useRemoveRecordEntry(section);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [editingEntry, setEditingEntry] = useState<PatientRecordSections[S] | undefined>();
+  const [removingEntry, setRemovingEntry] = useState<PatientRecordSections[S] | undefined>();
+
+  const openDialog = (entry?: PatientRecordSections[S]) => {
+    setEditingEntry(entry);
+    setIsDialogOpen(true);
+  };
+
+  const handleRemove = () => {
+    if (!removingEntry) return;
+
+    removeEntry.mutate(
+      { patientId, entryId: removingEntry._id },
+      {
+        onSuccess: () => toast.success("Record removed"),
+        onError: () => toast.error("Couldn't remove the record. Please try again."),
+        onSettled: () => setRemovingEntry(undefined),
+      }
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>{title}</CardTitle>
+          <CardDescription>{description}</CardDescription>
+        </div>
+        <Button size="sm" onClick={() => openDialog()}>
+          <Plus size={16} className="mr-1" />
+          Add
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <p className="text-sm text-muted-foreground">Loading...</p>
+        ) : error ? (
+          <p className="text-sm text-destructive">Couldn't load this section.</p>
+        ) : !entries || entries.length === 0 ? (
+          <p className="text-sm text-muted-foreground">{emptyMessage}</p>
+        ) : (
+          <div className="space-y-3">
+            {entries.map((entry) => {
+              const summary = summarize(entry);
+
+              return (
+                <div key={entry._id} className="flex items-center justify-between gap-3 p-3 border rounded-md">
+                  <div className="min-w-0">
+                    <p className="font-medium">{summary.title}</p>
+                    {summary.detail && (
+                      <p className="text-xs text-muted-foreground truncate">{summary.detail}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0">
+                    {summary.badge && (
+                      <Badge variant="outline" className="capitalize mr-2">{summary.badge}</Badge>
+                    )}
+                    <Button size="icon" variant="ghost" onClick={() => openDialog(entry)} aria-label="Edit">
+                      <Pencil size={16} />
+                    </Button>
+                    <Button size="icon" variant="ghost" onClick={() => setRemovingEntry(entry)} aria-label="Remove">
+                      <Trash2 size={16} />
+                    </Button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+
+      <RecordEntryDialog
+        open={isDialogOpen}
+        onOpenChange={setIsDialogOpen}
+        patientId={patientId}
+        section={section}
+        title={entryTitle}
+        entry={editingEntry}
+      />
+
+      <AlertDialog open={!!removingEntry} onOpenChange={(open) => !open && setRemovingEntry(undefined)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Remove this {entryTitle}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {removingEntry && summarize(removingEntry).title} will be removed from the record.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRemove} disabled={removeEntry.isPending}>
+              Remove
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
+
+export default RecordSectionEditor;
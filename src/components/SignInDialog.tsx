@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import TwoFactorPrompt from './TwoFactorPrompt';
+import TwoFactorSetupDialog from './TwoFactorSetupDialog';
+import { useLogin } from '../hooks/useApi';
+import { isTwoFactorChallenge } from '../services/api';
+import type { TwoFactorChallenge, UserType } from '../services/api';
+
+interface SignInDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+/**
+ * Email and password sign-in, followed by the authenticator code when the account
+ * has two-factor authentication, or by enrollment when it is required but not set up
+ */
+const SignInDialog: React.FC<SignInDialogProps> = ({ open, onOpenChange }) => {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [userType, setUserType] = useState<UserType>('patient');
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const login = useLogin();
+
+  const finish = () => {
+    setPassword("");
+    setChallenge(null);
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+
+    login.mutate({ email, password, userType }, {
+      onSuccess: (result) => {
+        onOpenChange(false);
+
+        if (isTwoFactorChallenge(result)) {
+          setChallenge(result);
+          return;
+        }
+
+        finish();
+        toast.success("Signed in");
+      },
+      onError: () => toast.error("Couldn't sign in. Please check your email and password."),
+    });
+  };
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="sm:max-w-[420px]">
+          <DialogHeader>
+            <DialogTitle>Sign in</DialogTitle>
+            <DialogDescription>Sign in to see and manage health records.</DialogDescription>
+          </DialogHeader>
+
+          <form id="sign-in-form" onSubmit={handleSubmit} className="grid gap-4">
+            <div className="grid gap-2">
+              <Label htmlFor="sign-in-user-type">I am a</Label>
+              <Select value={userType} onValueChange={(value) => setUserType(value as UserType)}>
+                <SelectTrigger id="sign-in-user-type">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="patient">Patient</SelectItem>
+                  <SelectItem value="doctor">Doctor</SelectItem>
+                  <SelectItem value="caregiver">Caregiver</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="sign-in-email">Email</Label>
+              <Input
+                id="sign-in-email"
+                type="email"
+                autoComplete="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="sign-in-password">Password</Label>
+              <Input
+                id="sign-in-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+          </form>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" form="sign-in-form" disabled={login.isPending}>
+              {login.isPending ? "Signing in..." : "Sign in"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {challenge?.twoFactorRequired && (
+        <TwoFactorPrompt
+          open
+          challengeToken={challenge.challengeToken}
+          onClose={finish}
+          onVerified={() => {
+            finish();
+            toast.success("Signed in");
+          }}
+        />
+      )}
+
+      {challenge?.twoFactorSetupRequired && (
+        <TwoFactorSetupDialog
+          open
+          challengeToken={challenge.challengeToken}
+          onClose={finish}
+          onEnabled={() => toast.success("Two-factor authentication is on. You're signed in.")}
+        />
+      )}
+    </>
+  );
+};
+
+export default SignInDialog;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+import { toast } from "sonner";
+import { useVerifyTwoFactorLogin } from '../hooks/useApi';
+import type { AuthResult } from '../services/api';
+
+interface TwoFactorPromptProps {
+  open: boolean;
+  challengeToken: string;
+  onClose: () => void;
+  onVerified: (result: AuthResult) => void;
+}
+
+// Second login step shown when useLogin returns a two-factor challenge
+const TwoFactorPrompt: React.FC<TwoFactorPromptProps> = ({
+  open,
+  challengeToken,
+  onClose,
+  onVerified,
+}) => {
+  const [code, setCode] = useState("");
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const verifyTwoFactor = useVerifyTwoFactorLogin();
+
+  const handleSubmit = () => {
+    if (useRecoveryCode ? !recoveryCode.trim() : code.length !== 6) {
+      toast.error(useRecoveryCode ? "Please enter a recovery code" : "Please enter the 6-digit code");
+      return;
+    }
+
+    verifyTwoFactor.mutate(
+      useRecoveryCode
+        ? { challengeToken, recoveryCode: recoveryCode.trim() }
+        : { challengeToken, code },
+      {
+        onSuccess: (result) => {
+          setCode("");
+          setRecoveryCode("");
+          onVerified(result);
+        },
+        onError: () => {
+          toast.error("That code didn't work. Please try again.");
+          setCode("");
+        },
+      }
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-[420px]">
+        <DialogHeader>
+          <DialogTitle className="text-lg font-semibold flex items-center gap-2">
+            <ShieldCheck className="h-5 w-5 text-primary" />
+            Two-Factor Authentication
+          </DialogTitle>
+          <DialogDescription>
+            {useRecoveryCode
+              ? "Enter one of your saved recovery codes. Each code works only once."
+              : "Enter the 6-digit code from your authenticator app."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-4">
+          {useRecoveryCode ? (
+            <div className="space-y-2">
+              <Label htmlFor="recovery-code">Recovery code</Label>
+              <Input
+                id="recovery-code"
+                placeholder="xxxxx-xxxxx"
+                value={recoveryCode}
+                onChange={(e) => setRecoveryCode(e.target.value)}
+                autoComplete="one-time-code"
+              />
+            </div>
+          ) : (
+            <div className="flex justify-center">
+              <InputOTP maxLength={6} value={code} onChange={setCode} autoFocus>
+                <InputOTPGroup>
+                  {[0, 1, 2, 3, 4, 5].map((index) => (
+                    <InputOTPSlot key={index} index={index} />
+                  ))}
+                </InputOTPGroup>
+              </InputOTP>
+            </div>
+          )}
+
+          <Button
+            variant="link"
+            className="px-0"
+            onClick={() => setUseRecoveryCode(!useRecoveryCode)}
+          >
+            {useRecoveryCode ? "Use authenticator code instead" : "Use a recovery code"}
+          </Button>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={verifyTwoFactor.isPending}>
+            {verifyTwoFactor.isPending ? "Verifying..." : "Verify"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TwoFactorPrompt;
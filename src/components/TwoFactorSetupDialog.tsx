@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck } from 'lucide-react';
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter,
+} from "@/components/ui/dialog";
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+import { toast } from "sonner";
+import { useEnableTwoFactor, useSetupTwoFactor } from '../hooks/useApi';
+
+interface TwoFactorSetupDialogProps {
+  open: boolean;
+  // Set when enrollment is required to finish signing in
+  challengeToken?: string;
+  onClose: () => void;
+  onEnabled?: () => void;
+}
+
+// Pair an authenticator app, confirm a code from it and show the recovery codes once
+const TwoFactorSetupDialog: React.FC<TwoFactorSetupDialogProps> = ({
+  open,
+  challengeToken,
+  onClose,
+  onEnabled,
+}) => {
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const setupTwoFactor = useSetupTwoFactor();
+  const enableTwoFactor = useEnableTwoFactor();
+  const { mutate: startSetup, reset: resetSetup } = setupTwoFactor;
+
+  useEffect(() => {
+    if (!open) return;
+
+    startSetup(challengeToken, {
+      onError: () => toast.error("Couldn't start two-factor setup. Please try again."),
+    });
+  }, [open, challengeToken, startSetup]);
+
+  const close = () => {
+    setCode("");
+    setRecoveryCodes([]);
+    resetSetup();
+    onClose();
+  };
+
+  const handleEnable = () => {
+    if (code.length !== 6) {
+      toast.error("Please enter the 6-digit code");
+      return;
+    }
+
+    enableTwoFactor.mutate({ code, challengeToken }, {
+      onSuccess: (result) => {
+        setRecoveryCodes(result.recoveryCodes);
+        onEnabled?.();
+      },
+      onError: () => {
+        toast.error("That code didn't work. Please try again.");
+        setCode("");
+      },
+    });
+  };
+
+  const setup = setupTwoFactor.data;
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && close()}>
+      <DialogContent className="sm:max-w-[460px]">
+        <DialogHeader>
+          <DialogTitle className="text-lg font-semibold flex items-center gap-2">
+            <ShieldCheck className="h-5 w-5 text-primary" />
+            Set Up Two-Factor Authentication
+          </DialogTitle>
+          <DialogDescription>
+            {recoveryCodes.length > 0
+              ? "Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app. They won't be shown again."
+              : challengeToken
+                ? "Your account requires two-factor authentication. Scan the code with an authenticator app, then enter the 6-digit code it shows."
+                : "Scan the code with an authenticator app, then enter the 6-digit code it shows."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {recoveryCodes.length > 0 ? (
+          <ul className="grid grid-cols-2 gap-2 rounded-md bg-muted p-4 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        ) : (
+          <div className="space-y-4 py-2">
+            {setup ? (
+              <div className="flex flex-col items-center gap-2">
+                <QRCodeSVG value={setup.otpauthUri} size={180} />
+                <p className="text-xs text-muted-foreground text-center">
+                  Can't scan it? Enter this key instead:
+                </p>
+                <code className="break-all text-sm">{setup.secret}</code>
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground text-center">
+                {setupTwoFactor.isError ? "Two-factor setup isn't available right now." : "Loading..."}
+              </p>
+            )}
+
+            <div className="flex justify-center">
+              <InputOTP maxLength={6} value={code} onChange={setCode} disabled={!setup}>
+                <InputOTPGroup>
+                  {[0, 1, 2, 3, 4, 5].map((index) => (
+                    <InputOTPSlot key={index} index={index} />
+                  ))}
+                </InputOTPGroup>
+              </InputOTP>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          {recoveryCodes.length > 0 ? (
+            <Button onClick={close}>I've saved them</Button>
+          ) : (
+            <>
+              <Button variant="outline" onClick={close}>
+                Cancel
+              </Button>
+              <Button onClick={handleEnable} disabled={!setup || enableTwoFactor.isPending}>
+                {enableTwoFactor.isPending ? "Verifying..." : "Turn on"}
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TwoFactorSetupDialog;
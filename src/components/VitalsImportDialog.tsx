@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { FileUpload } from '@/components/ui/file-upload';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from "sonner";
+import { useUploadVitalsImport, useVitalsImport } from '@/hooks/useApi';
+import type { VitalSignField, VitalsImportFormat, VitalsImportMapping } from '@/services/api';
+
+interface VitalsImportDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  patientId: string;
+}
+
+const FORMATS: Array<{ value: VitalsImportFormat; label: string; accept: string }> = [
+  { value: 'apple-health', label: 'Apple Health (export.xml)', accept: '.xml' },
+  { value: 'fitbit', label: 'Fitbit (CSV export)', accept: '.csv' },
+  { value: 'google-fit', label: 'Google Fit (Daily activity metrics CSV)', accept: '.csv' },
+  { value: 'csv', label: 'Other CSV file', accept: '.csv' },
+];
+
+// Columns of a generic CSV that can be mapped, by vitalSigns field
+const MAPPABLE_COLUMNS: Array<{ name: VitalSignField | 'recordedDate' | 'recordedTime'; label: string }> = [
+  { name: 'recordedDate', label: 'Date *' },
+  { name: 'recordedTime', label: 'Time' },
+  { name: 'bloodPressure.systolic', label: 'Systolic' },
+  { name: 'bloodPressure.diastolic', label: 'Diastolic' },
+  { name: 'heartRate', label: 'Heart rate' },
+  { name: 'weight', label: 'Weight' },
+  { name: 'height', label: 'Height' },
+  { name: 'temperature', label: 'Temperature' },
+  { name: 'oxygenSaturation', label: 'Oxygen saturation' },
+  { name: 'respiratoryRate', label: 'Respiratory rate' },
+];
+
+const SUMMARY_LABELS: Record<string, string> = {
+  created: 'added',
+  updated: 'updated',
+  unchanged: 'already recorded',
+  skipped: 'unreadable',
+  failed: 'invalid',
+};
+
+// Apple Health exports run to hundreds of megabytes
+const MAX_SIZE_MB = 200;
+
+/**
+ * Upload a wearable or home-device export and follow the background import as it
+ * adds readings to vital signs. Closing the dialog does not stop the import.
+ */
+const VitalsImportDialog = ({ open, onOpenChange, patientId }: VitalsImportDialogProps) => {
+  const [format, setFormat] = useState<VitalsImportFormat>('apple-health');
+  const [file, setFile] = useState<File | null>(null);
+  const [columns, setColumns] = useState<NonNullable<VitalsImportMapping['columns']>>({});
+  const [weightUnit, setWeightUnit] = useState('kg');
+  const [importId, setImportId] = useState<string>();
+  const uploadImport = useUploadVitalsImport();
+  const { data: vitalsImport } = useVitalsImport(patientId, importId);
+
+  const status = vitalsImport?.status;
+
+  useEffect(() => {
+    if (status === 'completed') toast.success('Device readings imported into vital signs');
+    if (status === 'failed') toast.error("Couldn't import the device readings");
+  }, [status]);
+
+  const close = () => {
+    setFile(null);
+    setColumns({});
+    setImportId(undefined);
+    onOpenChange(false);
+  };
+
+  const toMapping = (): VitalsImportMapping | undefined => {
+    if (format === 'apple-health') return undefined;
+
+    const units = { weight: weightUnit };
+    if (format !== 'csv') return { units };
+
+    const mapped = Object.fromEntries(Object.entries(columns).filter(([, column]) => column?.trim()));
+    return { columns: mapped, units };
+  };
+
+  const handleUpload = () => {
+    if (!file) return;
+
+    uploadImport.mutate({ patientId, file, format, mapping: toMapping() }, {
+      onSuccess: (uploaded) => setImportId(uploaded._id),
+      onError: () => toast.error("Couldn't start the import. Please check the format and column headers."),
+    });
+  };
+
+  const accept = FORMATS.find(option => option.value === format)?.accept;
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => (isOpen ? onOpenChange(true) : close())}>
+      <DialogContent className="sm:max-w-[560px] max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import device readings</DialogTitle>
+          <DialogDescription>
+            {importId
+              ? 'The file is being imported in the background. You can close this window; the readings will appear when it finishes.'
+              : 'Add blood pressure, weight, heart rate and other readings from a wearable or home device. Readings already in the record are not duplicated.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {!importId ? (
+          <div className="grid gap-4">
+            <div className="grid gap-2">
+              <Label htmlFor="vitals-import-format">Export format</Label>
+              <Select value={format} onValueChange={(value) => { setFormat(value as VitalsImportFormat); setFile(null); }}>
+                <SelectTrigger id="vitals-import-format">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {FORMATS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {format !== 'apple-health' && (
+              <div className="grid gap-2">
+                <Label htmlFor="vitals-import-weight-unit">Weight unit in the file</Label>
+                <Select value={weightUnit} onValueChange={setWeightUnit}>
+                  <SelectTrigger id="vitals-import-weight-unit">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="kg">kg</SelectItem>
+                    <SelectItem value="lb">lb</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            {format === 'csv' && (
+              <div className="grid gap-2">
+                <p className="text-sm font-medium">Column headers</p>
+                <p className="text-xs text-muted-foreground">
+                  Enter the header of each column the file has. Heights are read in cm and temperatures in °C.
+                </p>
+                <div className="grid grid-cols-2 gap-3">
+                  {MAPPABLE_COLUMNS.map(column => (
+                    <div key={column.name} className="grid gap-1">
+                      <Label htmlFor={`vitals-import-${column.name}`} className="text-xs">{column.label}</Label>
+                      <Input
+                        id={`vitals-import-${column.name}`}
+                        value={columns[column.name] ?? ''}
+                        onChange={(e) => setColumns(current => ({ ...current, [column.name]: e.target.value }))}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <FileUpload
+              file={file}
+              onFileSelect={setFile}
+              onFileRemove={() => setFile(null)}
+              accept={accept}
+              maxSize={MAX_SIZE_MB}
+              disabled={uploadImport.isPending}
+            />
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <Progress value={vitalsImport?.progress.percent ?? 0} />
+            <p className="text-sm text-muted-foreground">
+              {!vitalsImport || status === 'queued'
+                ? 'Waiting to start...'
+                : status === 'running'
+                  ? `Reading the file: ${vitalsImport.progress.readings} readings found so far`
+                  : status === 'failed'
+                    ? vitalsImport.error
+                    : Object.entries(vitalsImport.summary || {})
+                      .map(([result, count]) => `${count} ${SUMMARY_LABELS[result] ?? result}`)
+                      .join(' · ')}
+            </p>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={close}>
+            {importId ? 'Close' : 'Cancel'}
+          </Button>
+          {!importId && (
+            <Button
+              onClick={handleUpload}
+              disabled={!file || uploadImport.isPending || (format === 'csv' && !columns.recordedDate?.trim())}
+            >
+              {uploadImport.isPending ? 'Uploading...' : 'Import'}
+            </Button>
+          )}
+          {importId && status === 'failed' && (
+            <Button onClick={() => setImportId(undefined)}>Try again</Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default VitalsImportDialog;
@@ -5,6 +5,24 @@ import {
   patientService, 
   authService, 
   locationService,
+  caregiverService,
+  consentService,
+  auditService,
+  privacyService,
+  clearStoredSession,
+  isTwoFactorChallenge,
+  type AuthResult,
+  type CaregiverScope,
+  type CcdaSection,
+  type ConsentType,
+  type FhirBundle,
+  type PatientRecordSection,
+  type PatientSearchParams,
+  type RecordEntryInput,
+  type RevisionPath,
+  type UserType,
+  type VitalsImportFormat,
+  type VitalsImportMapping,
   type Patient,
   type Doctor,
   type Hospital 
@@ -32,6 +50,230 @@ export const useUpdatePatient = () => {
   });
 };
 
+// Patient record section hooks
+export const useRecordEntries = <S extends PatientRecordSection>(patientId: string | null | undefined, section: S) => {
+  return useQuery({
+    queryKey: ['patient-record', patientId, section],
+    queryFn: () => patientService.getRecordEntries(patientId as string, section),
+    enabled: !!patientId,
+  });
+};
+
+const useInvalidateRecordSection = (section: PatientRecordSection) => {
+  const queryClient = useQueryClient();
+
+  return (patientId: string) => {
+    queryClient.invalidateQueries({ queryKey: ['patient-record', patientId, section] });
+    queryClient.invalidateQueries({ queryKey: ['patient', patientId] });
+  };
+};
+
+export const useAddRecordEntry = <S extends PatientRecordSection>(section: S) => {
+  const invalidate = useInvalidateRecordSection(section);
+
+  return useMutation({
+    mutationFn: ({ patientId, entry }: { patientId: string; entry: RecordEntryInput<S> }) =>
+      patientService.addRecordEntry(patientId, section, entry),
+    onSuccess: (_, { patientId }) => invalidate(patientId),
+  });
+};
+
+export const useUpdateRecordEntry = <S extends PatientRecordSection>(section: S) => {
+  const invalidate = useInvalidateRecordSection(section);
+
+  return useMutation({
+    mutationFn: ({ patientId, entryId, updates }: { patientId: string; entryId: string; updates: RecordEntryInput<S> }) =>
+      patientService.updateRecordEntry(patientId, section, entryId, updates),
+    onSuccess: (_, { patientId }) => invalidate(patientId),
+  });
+};
+
+export const useRemoveRecordEntry = (section: PatientRecordSection) => {
+  const invalidate = useInvalidateRecordSection(section);
+
+  return useMutation({
+    mutationFn: ({ patientId, entryId }: { patientId: string; entryId: string }) =>
+      patientService.removeRecordEntry(patientId, section, entryId),
+    onSuccess: (_, { patientId }) => invalidate(patientId),
+  });
+};
+
+// Clinician search; only patients the caller treats are returned
+export const usePatientSearch = (filters: PatientSearchParams, enabled: boolean = true) => {
+  return useQuery({
+    queryKey: ['patient-search', filters],
+    queryFn: () => patientService.search(filters),
+    enabled,
+  });
+};
+
+// Patient revision hooks
+export const usePatientRevisions = (patientId: string | null | undefined, page: number = 1, limit: number = 20) => {
+  return useQuery({
+    queryKey: ['patient-revisions', patientId, page, limit],
+    queryFn: () => patientService.getRevisions(patientId as string, page, limit),
+    enabled: !!patientId,
+  });
+};
+
+export const usePatientRevision = (patientId: string | null | undefined, revision?: number) => {
+  return useQuery({
+    queryKey: ['patient-revision', patientId, revision],
+    queryFn: () => patientService.getRevision(patientId as string, revision as number),
+    enabled: !!patientId && !!revision,
+    staleTime: Infinity, // Revisions never change
+  });
+};
+
+export const useRevisionDiff = (patientId: string | null | undefined, from?: number, to?: number) => {
+  return useQuery({
+    queryKey: ['patient-revision-diff', patientId, from, to],
+    queryFn: () => patientService.diffRevisions(patientId as string, from as number, to as number),
+    enabled: !!patientId && !!from && !!to,
+    staleTime: Infinity,
+  });
+};
+
+export const useRestoreRevisionEntry = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ patientId, revision, path, entryId, reason }: {
+      patientId: string;
+      revision: number;
+      path: RevisionPath;
+      entryId: string;
+      reason?: string;
+    }) => patientService.restoreRevisionEntry(patientId, revision, path, entryId, reason),
+    onSuccess: (_, { patientId }) => {
+      queryClient.invalidateQueries({ queryKey: ['patient-record', patientId] });
+      queryClient.invalidateQueries({ queryKey: ['patient-revisions', patientId] });
+      queryClient.invalidateQueries({ queryKey: ['patient', patientId] });
+    },
+  });
+};
+
+// Keyed under the patient so it refreshes whenever a record section changes
+export const useLabTrend = (patientId: string | null | undefined, test?: string) => {
+  return useQuery({
+    queryKey: ['patient', patientId, 'lab-trend', test],
+    queryFn: () => patientService.getLabTrend(patientId as string, test as string),
+    enabled: !!patientId && !!test,
+  });
+};
+
+export const useImmunizationSchedule = (patientId: string | null | undefined) => {
+  return useQuery({
+    queryKey: ['patient', patientId, 'immunization-schedule'],
+    queryFn: () => patientService.getImmunizationSchedule(patientId as string),
+    enabled: !!patientId,
+  });
+};
+
+// Hands a fetched file to the browser as a download. Firefox only follows a link in
+// the document, and revoking the URL straight after the click cancels the download
+// in Firefox and Safari, so it is revoked once the download has started.
+const saveBlob = (blob: Blob, fileName: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Fetches the PDF and hands it to the browser as a download
+export const useDownloadPatientSummary = () => {
+  return useMutation({
+    mutationFn: async (patientId: string) => {
+      const pdf = await patientService.downloadSummaryPdf(patientId);
+      saveBlob(pdf, `patient-summary-${new Date().toISOString().slice(0, 10)}.pdf`);
+    },
+  });
+};
+
+export const useImportPatientFhir = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ patientId, bundle }: { patientId: string; bundle: FhirBundle }) =>
+      patientService.importFhir(patientId, bundle),
+    onSuccess: (_, { patientId }) => {
+      queryClient.invalidateQueries({ queryKey: ['patient-record', patientId] });
+      queryClient.invalidateQueries({ queryKey: ['patient-revisions', patientId] });
+      queryClient.invalidateQueries({ queryKey: ['patient', patientId] });
+    },
+  });
+};
+
+export const useUploadCcda = () => {
+  return useMutation({
+    mutationFn: ({ patientId, file }: { patientId: string; file: File }) => patientService.uploadCcda(patientId, file),
+  });
+};
+
+export const useCommitCcdaImport = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ patientId, importId, excluded }: {
+      patientId: string;
+      importId: string;
+      excluded?: Partial<Record<CcdaSection, number[]>>;
+    }) => patientService.commitCcdaImport(patientId, importId, excluded),
+    onSuccess: (_, { patientId }) => {
+      queryClient.invalidateQueries({ queryKey: ['patient-record', patientId] });
+      queryClient.invalidateQueries({ queryKey: ['patient-revisions', patientId] });
+      queryClient.invalidateQueries({ queryKey: ['patient', patientId] });
+    },
+  });
+};
+
+export const useDiscardCcdaImport = () => {
+  return useMutation({
+    mutationFn: ({ patientId, importId }: { patientId: string; importId: string }) =>
+      patientService.discardCcdaImport(patientId, importId),
+  });
+};
+
+export const useUploadVitalsImport = () => {
+  return useMutation({
+    mutationFn: ({ patientId, file, format, mapping }: {
+      patientId: string;
+      file: File;
+      format: VitalsImportFormat;
+      mapping?: VitalsImportMapping;
+    }) => patientService.uploadVitalsImport(patientId, file, format, mapping),
+  });
+};
+
+// Polls a background vitals import until it finishes, then refreshes the record
+export const useVitalsImport = (patientId: string | null | undefined, importId?: string) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: ['vitals-import', patientId, importId],
+    queryFn: async () => {
+      const vitalsImport = await patientService.getVitalsImport(patientId as string, importId as string);
+
+      if (vitalsImport.status === 'completed') {
+        queryClient.invalidateQueries({ queryKey: ['patient-record', patientId] });
+        queryClient.invalidateQueries({ queryKey: ['patient-revisions', patientId] });
+        queryClient.invalidateQueries({ queryKey: ['patient', patientId] });
+      }
+
+      return vitalsImport;
+    },
+    enabled: !!patientId && !!importId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.status;
+      return status === 'completed' || status === 'failed' ? false : 2000;
+    },
+  });
+};
+
 // AI Service hooks
 export const usePatientSummary = (patientId: string) => {
   return useQuery({
@@ -164,6 +406,14 @@ export const useCurrentLocation = () => {
 };
 
 // Authentication hooks
+const storeAuthResult = (data: AuthResult) => {
+  // Store tokens in localStorage
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  localStorage.setItem('user', JSON.stringify(data.user));
+};
+
+// Resolves to a TwoFactorChallenge instead of tokens when a code is needed
 export const useLogin = () => {
   const queryClient = useQueryClient();
   
@@ -175,12 +425,12 @@ export const useLogin = () => {
     }: { 
       email: string; 
       password: string; 
-      userType?: 'patient' | 'doctor' 
+      userType?: UserType 
     }) => authService.login(email, password, userType),
     onSuccess: (data) => {
-      // Store token in localStorage
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('user', JSON.stringify(data.user));
+      if (isTwoFactorChallenge(data)) return;
+
+      storeAuthResult(data);
       
       // Update query cache
       queryClient.setQueryData(['current-user'], data.user);
@@ -188,6 +438,48 @@ export const useLogin = () => {
   });
 };
 
+export const useVerifyTwoFactorLogin = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({
+      challengeToken,
+      code,
+      recoveryCode
+    }: {
+      challengeToken: string;
+      code?: string;
+      recoveryCode?: string
+    }) => authService.verifyTwoFactorLogin(challengeToken, { code, recoveryCode }),
+    onSuccess: (data) => {
+      storeAuthResult(data);
+      queryClient.setQueryData(['current-user'], data.user);
+    },
+  });
+};
+
+export const useSetupTwoFactor = () => {
+  return useMutation({
+    mutationFn: (challengeToken?: string) => authService.setupTwoFactor(challengeToken),
+  });
+};
+
+export const useEnableTwoFactor = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ code, challengeToken }: { code: string; challengeToken?: string }) =>
+      authService.enableTwoFactor(code, challengeToken),
+    onSuccess: (data) => {
+      // Enrollment forced at login also signs the user in
+      if (data.token && data.refreshToken && data.user) {
+        storeAuthResult(data as AuthResult);
+        queryClient.setQueryData(['current-user'], data.user);
+      }
+    },
+  });
+};
+
 export const useRegister = () => {
   const queryClient = useQueryClient();
   
@@ -197,12 +489,10 @@ export const useRegister = () => {
       userType 
     }: { 
       userData: any; 
-      userType?: 'patient' | 'doctor' 
+      userType?: UserType 
     }) => authService.register(userData, userType),
     onSuccess: (data) => {
-      // Store token in localStorage
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('user', JSON.stringify(data.user));
+      storeAuthResult(data);
       
       // Update query cache
       queryClient.setQueryData(['current-user'], data.user);
@@ -210,6 +500,41 @@ export const useRegister = () => {
   });
 };
 
+// Contact verification hooks
+export const useVerifyEmail = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (token: string) => authService.verifyEmail(token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['patient'] });
+    },
+  });
+};
+
+export const useResendEmailVerification = () => {
+  return useMutation({
+    mutationFn: () => authService.resendEmailVerification(),
+  });
+};
+
+export const useSendPhoneVerificationCode = () => {
+  return useMutation({
+    mutationFn: () => authService.sendPhoneVerificationCode(),
+  });
+};
+
+export const useVerifyPhone = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (code: string) => authService.verifyPhone(code),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['patient'] });
+    },
+  });
+};
+
 // Current user hook
 export const useCurrentUser = () => {
   return useQuery({
@@ -228,15 +553,223 @@ export const useLogout = () => {
   
   return useMutation({
     mutationFn: async () => {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      try {
+        // Revoke the session server-side so its refresh token stops working
+        await authService.logout();
+      } finally {
+        clearStoredSession();
+      }
     },
+    onSettled: () => {
+      queryClient.clear();
+    },
+  });
+};
+
+// Session management hooks
+export const useSessions = () => {
+  return useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => authService.getSessions(),
+  });
+};
+
+export const useRevokeSession = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (sessionId: string) => authService.revokeSession(sessionId),
     onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+    },
+  });
+};
+
+export const useLogoutEverywhere = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async () => {
+      try {
+        await authService.revokeAllSessions();
+      } finally {
+        clearStoredSession();
+      }
+    },
+    onSettled: () => {
       queryClient.clear();
     },
   });
 };
 
+// Consent hooks
+export const useConsentDocuments = () => {
+  return useQuery({
+    queryKey: ['consent-documents'],
+    queryFn: () => consentService.getDocuments(),
+    staleTime: 60 * 60 * 1000, // Documents change rarely
+  });
+};
+
+export const useConsents = (patientId: string) => {
+  return useQuery({
+    queryKey: ['consents', patientId],
+    queryFn: () => consentService.getForPatient(patientId),
+    enabled: !!patientId,
+  });
+};
+
+export const useRecordConsent = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({
+      patientId,
+      decision
+    }: {
+      patientId: string;
+      decision: { type: ConsentType; action: 'granted' | 'withdrawn'; version?: number }
+    }) => consentService.record(patientId, decision),
+    onSuccess: (_, { patientId }) => {
+      queryClient.invalidateQueries({ queryKey: ['consents', patientId] });
+      queryClient.invalidateQueries({ queryKey: ['patient', patientId] });
+    },
+  });
+};
+
+// Record access log hook
+export const useRecordAccessLog = (page: number = 1) => {
+  return useQuery({
+    queryKey: ['record-access-log', page],
+    queryFn: () => auditService.getRecordAccessLog(page),
+  });
+};
+
+// Caregiver hooks
+export const useCaregiverProfiles = (enabled: boolean = true) => {
+  return useQuery({
+    queryKey: ['caregiver-profiles'],
+    queryFn: () => caregiverService.getProfiles(),
+    enabled,
+  });
+};
+
+export const useCaregiverGrants = () => {
+  return useQuery({
+    queryKey: ['caregiver-grants'],
+    queryFn: () => caregiverService.getGrants(),
+  });
+};
+
+export const useInviteCaregiver = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (invitation: { email: string; relationship?: string; scopes: CaregiverScope[]; expiresAt: string }) =>
+      caregiverService.invite(invitation),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['caregiver-grants'] });
+    },
+  });
+};
+
+export const useAcceptCaregiverInvitation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (token: string) => caregiverService.acceptInvitation(token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['caregiver-profiles'] });
+    },
+  });
+};
+
+export const useRevokeCaregiverGrant = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (grantId: string) => caregiverService.revokeGrant(grantId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['caregiver-grants'] });
+      queryClient.invalidateQueries({ queryKey: ['caregiver-profiles'] });
+    },
+  });
+};
+
+// Privacy hooks: the signed-in patient's data export and erasure request
+export const useDownloadMyData = () => {
+  return useMutation({
+    mutationFn: async () => {
+      const archive = await privacyService.downloadMyData();
+      saveBlob(archive, `my-health-data-${new Date().toISOString().slice(0, 10)}.zip`);
+    },
+  });
+};
+
+export const useErasureRequest = (enabled: boolean = true) => {
+  return useQuery({
+    queryKey: ['erasure-request'],
+    queryFn: () => privacyService.getErasureRequest(),
+    enabled,
+  });
+};
+
+export const useRequestErasure = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ password, reason }: { password: string; reason?: string }) =>
+      privacyService.requestErasure(password, reason),
+    onSuccess: (request) => {
+      queryClient.setQueryData(['erasure-request'], request);
+    },
+  });
+};
+
+export const useCancelErasureRequest = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => privacyService.cancelErasureRequest(),
+    onSuccess: () => {
+      queryClient.setQueryData(['erasure-request'], null);
+    },
+  });
+};
+
+// The patient record currently being viewed. Caregivers switch between the
+// patients who granted them access; null means the user's own record.
+export const useActivePatient = () => {
+  const queryClient = useQueryClient();
+
+  const { data: activePatientId } = useQuery({
+    queryKey: ['active-patient'],
+    queryFn: () => localStorage.getItem('activePatientId'),
+    staleTime: Infinity,
+  });
+
+  const setActivePatientId = (patientId: string | null) => {
+    if (patientId) {
+      localStorage.setItem('activePatientId', patientId);
+    } else {
+      localStorage.removeItem('activePatientId');
+    }
+    queryClient.setQueryData(['active-patient'], patientId);
+  };
+
+  return { activePatientId: activePatientId ?? null, setActivePatientId };
+};
+
+// The record the current screen shows: the selected caregiver profile, otherwise
+// the signed-in patient's own record
+export const useRecordPatientId = (): string | null => {
+  const { data: currentUser } = useCurrentUser();
+  const { activePatientId } = useActivePatient();
+
+  if (activePatientId) return activePatientId;
+  return currentUser?.type === 'patient' ? currentUser.id : null;
+};
+
 // Combined hook for getting user location and nearby hospitals
 export const useLocationAndHospitals = (filters?: any) => {
   const { data: location, isLoading: locationLoading, error: locationError } = useCurrentLocation();
@@ -1,16 +1,42 @@
 
 import React, { useState } from 'react';
-import { Menu, FileText } from 'lucide-react';
+import { Menu, FileText, Upload, Download, ShieldCheck, Watch } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import Navbar from "@/components/Navbar";
 import Sidebar from "@/components/Sidebar";
+import RecordSectionEditor from "@/components/RecordSectionEditor";
+import CcdaImportDialog from "@/components/CcdaImportDialog";
+import VitalsImportDialog from "@/components/VitalsImportDialog";
+import DataPrivacyDialog from "@/components/DataPrivacyDialog";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { useActivePatient, useCurrentUser, useDownloadPatientSummary, useRecordPatientId } from "@/hooks/useApi";
+import { toast } from "sonner";
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
 
 const HealthRecords = () => {
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isVitalsImportOpen, setIsVitalsImportOpen] = useState(false);
+  const [isPrivacyOpen, setIsPrivacyOpen] = useState(false);
+  const patientId = useRecordPatientId();
+  const { data: currentUser } = useCurrentUser();
+  const { activePatientId } = useActivePatient();
+  // Export and erasure are for patients' own data only, not profiles they manage
+  const isOwnRecord = currentUser?.type === 'patient' && !activePatientId;
+  const downloadSummary = useDownloadPatientSummary();
   
   const toggleSidebar = () => {
     setIsSidebarOpen(!isSidebarOpen);
   };
+
+  const handleDownloadSummary = () => {
+    if (!patientId) return;
+
+    downloadSummary.mutate(patientId, {
+      onError: () => toast.error("Couldn't create the summary PDF. Please try again."),
+    });
+  };
   
   return (
     <div className="min-h-screen flex flex-col bg-offwhite">
@@ -25,29 +51,215 @@ const HealthRecords = () => {
                 <h1 className="text-2xl md:text-3xl font-bold">Health Records</h1>
                 <p className="text-muted-foreground">View and manage your medical history</p>
               </div>
-              <Button size="icon" variant="outline" className="md:hidden" onClick={toggleSidebar}>
-                <Menu size={20} />
-              </Button>
+              <div className="flex items-center gap-2">
+                {patientId && (
+                  <>
+                    <Button variant="outline" onClick={handleDownloadSummary} disabled={downloadSummary.isPending}>
+                      <Download size={16} className="mr-2" />
+                      {downloadSummary.isPending ? 'Preparing...' : 'Summary PDF'}
+                    </Button>
+                    <Button variant="outline" onClick={() => setIsImportOpen(true)}>
+                      <Upload size={16} className="mr-2" />
+                      Import C-CDA
+                    </Button>
+                    <Button variant="outline" onClick={() => setIsVitalsImportOpen(true)}>
+                      <Watch size={16} className="mr-2" />
+                      Import device data
+                    </Button>
+                    {isOwnRecord && (
+                      <Button variant="outline" onClick={() => setIsPrivacyOpen(true)}>
+                        <ShieldCheck size={16} className="mr-2" />
+                        Your data
+                      </Button>
+                    )}
+                  </>
+                )}
+                <Button size="icon" variant="outline" className="md:hidden" onClick={toggleSidebar}>
+                  <Menu size={20} />
+                </Button>
+              </div>
             </div>
             
-            <div className="bg-white rounded-lg shadow p-6">
-              <div className="flex items-center gap-3 mb-4">
-                <FileText className="h-6 w-6 text-primary" />
-                <h2 className="text-xl font-semibold">Your Medical Records</h2>
-              </div>
-              <p className="text-muted-foreground mb-6">
-                This section will display your complete medical history, test results, and diagnoses.
-              </p>
-              
-              <div className="text-center py-10">
-                <FileText size={48} className="mx-auto text-muted-foreground mb-4" />
-                <h3 className="text-lg font-medium mb-2">Health Records Coming Soon</h3>
-                <p className="text-muted-foreground max-w-md mx-auto mb-6">
-                  We're working on integrating with healthcare providers to bring your medical records online.
-                </p>
-                <Button>Upload Documents</Button>
+            {patientId ? (
+              <Tabs defaultValue="conditions">
+                <TabsList className="flex flex-wrap h-auto mb-4">
+                  <TabsTrigger value="conditions">Conditions</TabsTrigger>
+                  <TabsTrigger value="allergies">Allergies</TabsTrigger>
+                  <TabsTrigger value="medications">Medications</TabsTrigger>
+                  <TabsTrigger value="vitals">Vital Signs</TabsTrigger>
+                  <TabsTrigger value="labs">Lab Results</TabsTrigger>
+                  <TabsTrigger value="immunizations">Immunizations</TabsTrigger>
+                  <TabsTrigger value="family">Family History</TabsTrigger>
+                  <TabsTrigger value="contacts">Emergency Contacts</TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="conditions">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="medical-history"
+                    title="Medical History"
+                    entryTitle="condition"
+                    description="Diagnoses past and present"
+                    emptyMessage="No conditions recorded."
+                    summarize={(condition) => ({
+                      title: condition.condition,
+                      detail: condition.diagnosedDate
+                        ? `Diagnosed ${formatDate(condition.diagnosedDate)} · ${condition.severity}`
+                        : condition.severity,
+                      badge: condition.status,
+                    })}
+                  />
+                </TabsContent>
+
+                <TabsContent value="allergies">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="allergies"
+                    title="Allergies"
+                    entryTitle="allergy"
+                    description="Allergens and how you react to them"
+                    emptyMessage="No allergies recorded."
+                    summarize={(allergy) => ({
+                      title: allergy.allergen,
+                      detail: allergy.reaction,
+                      badge: allergy.severity,
+                    })}
+                  />
+                </TabsContent>
+
+                <TabsContent value="medications">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="medications"
+                    title="Medications"
+                    entryTitle="medication"
+                    description="Medications you take or have taken"
+                    emptyMessage="No medications recorded."
+                    summarize={(medication) => ({
+                      title: medication.name,
+                      detail: [medication.dosage, medication.frequency].filter(Boolean).join(' · '),
+                      badge: medication.status,
+                    })}
+                  />
+                </TabsContent>
+
+                <TabsContent value="vitals">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="vital-signs"
+                    title="Vital Signs"
+                    entryTitle="vital signs reading"
+                    description="Blood pressure, heart rate, weight and other readings"
+                    emptyMessage="No vital signs recorded."
+                    summarize={(vitals) => ({
+                      title: formatDate(vitals.recordedDate),
+                      detail: [
+                        vitals.bloodPressure?.systolic && vitals.bloodPressure?.diastolic
+                          && `${vitals.bloodPressure.systolic}/${vitals.bloodPressure.diastolic} mmHg`,
+                        vitals.heartRate && `${vitals.heartRate} bpm`,
+                        vitals.weight && `${vitals.weight} kg`,
+                        vitals.bmi && `BMI ${vitals.bmi}`,
+                      ].filter(Boolean).join(' · '),
+                      badge: vitals.source,
+                    })}
+                  />
+                </TabsContent>
+
+                <TabsContent value="labs">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="lab-results"
+                    title="Lab Results"
+                    entryTitle="lab result"
+                    description="Test results, flagged against reference ranges for your age and sex"
+                    emptyMessage="No lab results recorded."
+                    summarize={(result) => ({
+                      title: result.test,
+                      detail: [
+                        `${result.value}${result.unit ? ` ${result.unit}` : ''}`,
+                        formatDate(result.specimenDate),
+                        result.referenceRange && `Range ${result.referenceRange.low ?? '–'} to ${result.referenceRange.high ?? '–'}`,
+                      ].filter(Boolean).join(' · '),
+                      badge: result.flag,
+                    })}
+                  />
+                </TabsContent>
+
+                <TabsContent value="immunizations">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="immunizations"
+                    title="Immunizations"
+                    entryTitle="immunization"
+                    description="Vaccines you have had; due and overdue vaccines are shown on your dashboard"
+                    emptyMessage="No immunizations recorded."
+                    summarize={(immunization) => ({
+                      title: immunization.vaccine,
+                      detail: [
+                        formatDate(immunization.administeredDate),
+                        immunization.doseNumber && `Dose ${immunization.doseNumber}`,
+                        immunization.administeredBy,
+                      ].filter(Boolean).join(' · '),
+                      badge: immunization.cvxCode && `CVX ${immunization.cvxCode}`,
+                    })}
+                  />
+                </TabsContent>
+
+                <TabsContent value="family">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="family-history"
+                    title="Family History"
+                    entryTitle="family history entry"
+                    description="Conditions your blood relatives have had, which can affect your own risks"
+                    emptyMessage="No family history recorded."
+                    summarize={(entry) => ({
+                      title: entry.condition,
+                      detail: entry.ageAtOnset !== undefined ? `Onset at age ${entry.ageAtOnset}` : undefined,
+                      badge: [entry.side, entry.relative].filter(Boolean).join(' '),
+                    })}
+                  />
+                </TabsContent>
+
+                <TabsContent value="contacts">
+                  <RecordSectionEditor
+                    patientId={patientId}
+                    section="emergency-contacts"
+                    title="Emergency Contacts"
+                    entryTitle="emergency contact"
+                    description="People to contact in an emergency"
+                    emptyMessage="No emergency contacts recorded."
+                    summarize={(contact) => ({
+                      title: contact.name,
+                      detail: [contact.relationship, contact.phone].filter(Boolean).join(' · '),
+                      badge: contact.isPrimary ? 'primary' : undefined,
+                    })}
+                  />
+                </TabsContent>
+              </Tabs>
+            ) : (
+              <div className="bg-white rounded-lg shadow p-6">
+                <div className="text-center py-10">
+                  <FileText size={48} className="mx-auto text-muted-foreground mb-4" />
+                  <h3 className="text-lg font-medium mb-2">No record selected</h3>
+                  <p className="text-muted-foreground max-w-md mx-auto">
+                    Sign in as a patient, or choose a patient profile from the menu, to see health records.
+                  </p>
+                </div>
               </div>
-            </div>
+            )}
+
+            {patientId && (
+              <CcdaImportDialog open={isImportOpen} onOpenChange={setIsImportOpen} patientId={patientId} />
+            )}
+
+            {patientId && (
+              <VitalsImportDialog open={isVitalsImportOpen} onOpenChange={setIsVitalsImportOpen} patientId={patientId} />
+            )}
+
+            {isOwnRecord && (
+              <DataPrivacyDialog open={isPrivacyOpen} onOpenChange={setIsPrivacyOpen} />
+            )}
           </div>
         </main>
       </div>
@@ -6,8 +6,9 @@ import { Badge } from '@/components/ui/badge';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Separator } from '@/components/ui/separator';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Brain, FileText, AlertTriangle, Lightbulb, User, Clock, CheckCircle } from 'lucide-react';
+import { Brain, FileText, AlertTriangle, Lightbulb, User, Clock, CheckCircle, Download } from 'lucide-react';
 import { toast } from 'sonner';
+import { useDownloadPatientSummary, useRecordPatientId } from '@/hooks/useApi';
 
 interface HistorySummary {
   summary: string;
@@ -21,6 +22,8 @@ export function PatientHistorySummary() {
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [summary, setSummary] = useState<HistorySummary | null>(null);
+  const patientId = useRecordPatientId();
+  const downloadSummary = useDownloadPatientSummary();
 
   const handleFileSelect = (file: File) => {
     setSelectedFile(file);
@@ -44,8 +47,10 @@ export function PatientHistorySummary() {
       const formData = new FormData();
       formData.append('historyFile', selectedFile);
 
+      const token = localStorage.getItem('token');
       const response = await fetch('http://localhost:5000/api/ai/patient-history-summary', {
         method: 'POST',
+        headers: token ? { Authorization: `Bearer ${token}` } : undefined,
         body: formData,
       });
 
@@ -69,6 +74,14 @@ export function PatientHistorySummary() {
     }
   };
 
+  const handleDownloadRecordSummary = () => {
+    if (!patientId) return;
+
+    downloadSummary.mutate(patientId, {
+      onError: () => toast.error('Failed to create the summary PDF. Please try again.'),
+    });
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
       <div className="max-w-7xl mx-auto">
@@ -126,6 +139,33 @@ export function PatientHistorySummary() {
               </CardContent>
             </Card>
 
+            {/* Record Summary PDF */}
+            {patientId && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center space-x-2">
+                    <User className="h-5 w-5 text-blue-600" />
+                    <span>Record Summary PDF</span>
+                  </CardTitle>
+                  <CardDescription>
+                    A printable chart with demographics, active conditions, current medications,
+                    severe allergies, latest vital signs and the AI health summary
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <Button
+                    variant="outline"
+                    onClick={handleDownloadRecordSummary}
+                    disabled={downloadSummary.isPending}
+                    className="w-full"
+                  >
+                    <Download className="h-4 w-4 mr-2" />
+                    {downloadSummary.isPending ? 'Preparing PDF...' : 'Download Summary PDF'}
+                  </Button>
+                </CardContent>
+              </Card>
+            )}
+
             {/* Sample Data Card */}
             <Card>
               <CardHeader>
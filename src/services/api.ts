@@ -129,9 +129,449 @@ export interface Hospital {
   };
 }
 
+export interface Caregiver {
+  id: string;
+  type: 'caregiver';
+  firstName: string;
+  lastName: string;
+  email: string;
+}
+
+export type CaregiverScope =
+  | 'record:read'
+  | 'record:write'
+  | 'medications:read'
+  | 'medications:write'
+  | 'appointments:read'
+  | 'appointments:write';
+
+export interface CaregiverGrant {
+  _id: string;
+  patient: string;
+  inviteEmail: string;
+  relationship?: string;
+  scopes: CaregiverScope[];
+  status: 'pending' | 'active' | 'declined' | 'revoked';
+  expiresAt: string;
+  acceptedAt?: string;
+  revokedAt?: string;
+}
+
+// A patient record the signed-in user can act on through a caregiver grant
+export interface CaregiverProfile {
+  grantId: string;
+  patient: {
+    _id: string;
+    firstName: string;
+    lastName: string;
+    dateOfBirth: string;
+    gender: string;
+  };
+  relationship?: string;
+  scopes: CaregiverScope[];
+  expiresAt: string;
+}
+
+export type UserType = 'patient' | 'doctor' | 'caregiver';
+
+export type ConsentType = 'ai-processing' | 'research' | 'marketing';
+
+export interface ConsentDocument {
+  _id: string;
+  type: ConsentType;
+  version: number;
+  title: string;
+  body: string;
+  requiresReconsent: boolean;
+  effectiveAt: string;
+}
+
+export interface ConsentStatus {
+  type: ConsentType;
+  granted: boolean;
+  grantedVersion: number | null;
+  currentVersion: number | null;
+  reconsentRequired: boolean;
+  recordedAt: string | null;
+}
+
+export interface RecordAccessEntry {
+  _id: string;
+  occurredAt: string;
+  actor: { user: string; userType: string; name: string };
+  action: 'view' | 'update' | 'ai-process' | 'export' | 'merge';
+  resource: string;
+  outcome: 'success' | 'denied' | 'error';
+  basis?: string;
+  reason?: string;
+}
+
+export interface ErasureRequest {
+  _id: string;
+  patient: string;
+  reason?: string;
+  status: 'scheduled' | 'held' | 'cancelled' | 'completed';
+  scheduledFor: string;
+  cancelledAt?: string;
+  completedAt?: string;
+  createdAt: string;
+}
+
+export interface MedicalHistoryEntry {
+  _id: string;
+  condition: string;
+  diagnosedDate?: string;
+  status: 'active' | 'resolved' | 'chronic' | 'managed';
+  severity: 'mild' | 'moderate' | 'severe';
+  notes?: string;
+}
+
+export interface AllergyEntry {
+  _id: string;
+  allergen: string;
+  reaction?: string;
+  severity: 'mild' | 'moderate' | 'severe' | 'life-threatening';
+  notes?: string;
+}
+
+export interface VitalSignsEntry {
+  _id: string;
+  bloodPressure?: { systolic?: number; diastolic?: number };
+  heartRate?: number;
+  temperature?: number;
+  respiratoryRate?: number;
+  oxygenSaturation?: number;
+  weight?: number;
+  height?: number;
+  bmi?: number;
+  recordedDate: string;
+  // Set on readings imported from a wearable or home device
+  source?: VitalsImportFormat;
+}
+
+export type LabFlag = 'normal' | 'low' | 'high' | 'critical';
+
+export interface LabReferenceRange {
+  low?: number;
+  high?: number;
+  criticalLow?: number;
+  criticalHigh?: number;
+  unit?: string;
+  version?: string;
+}
+
+export interface LabResultEntry {
+  _id: string;
+  test: string;
+  loincCode?: string;
+  value: number;
+  unit?: string;
+  specimenDate: string;
+  orderedBy?: string;
+  // Set by the server; absent when no reference range covers the test
+  flag?: LabFlag;
+  referenceRange?: LabReferenceRange;
+  notes?: string;
+}
+
+export interface LabTrend {
+  test: string;
+  loincCode?: string;
+  unit?: string;
+  referenceRange?: LabReferenceRange;
+  rangesVersion: string;
+  points: Array<{ _id: string; specimenDate: string; value: number; unit?: string; flag?: LabFlag }>;
+  excluded: number;
+  change: { absolute: number; direction: 'rising' | 'falling' | 'stable' } | null;
+}
+
+export interface ImmunizationEntry {
+  _id: string;
+  vaccine: string;
+  cvxCode?: string;
+  doseNumber?: number;
+  administeredDate: string;
+  lotNumber?: string;
+  administeredBy?: string;
+  notes?: string;
+}
+
+export type ImmunizationStatus = 'overdue' | 'due' | 'upcoming' | 'complete';
+
+export interface ImmunizationRecommendation {
+  vaccine: string;
+  name: string;
+  status: ImmunizationStatus;
+  dosesReceived: number;
+  // Series only; recurring vaccines such as influenza have no total
+  totalDoses?: number;
+  doseNumber?: number;
+  lastDoseDate?: string;
+  dueDate?: string;
+  overdueDate?: string;
+}
+
+export interface ImmunizationSchedule {
+  schedule: { version: string; name: string; source: string; effectiveDate: string };
+  asOf: string;
+  counts: Record<ImmunizationStatus, number>;
+  recommendations: ImmunizationRecommendation[];
+}
+
+export type FamilyRelative =
+  | 'mother' | 'father' | 'sister' | 'brother' | 'daughter' | 'son'
+  | 'grandmother' | 'grandfather' | 'aunt' | 'uncle' | 'half-sister' | 'half-brother'
+  | 'niece' | 'nephew' | 'granddaughter' | 'grandson' | 'cousin';
+
+export interface FamilyHistoryEntry {
+  _id: string;
+  relative: FamilyRelative;
+  side?: 'maternal' | 'paternal';
+  condition: string;
+  ageAtOnset?: number;
+  notes?: string;
+}
+
+export interface EmergencyContactEntry {
+  _id: string;
+  name: string;
+  relationship?: string;
+  phone: string;
+  email?: string;
+  isPrimary: boolean;
+}
+
+export interface MedicationEntry {
+  _id: string;
+  name: string;
+  dosage?: string;
+  frequency?: string;
+  startDate?: string;
+  endDate?: string;
+  status: 'active' | 'completed' | 'discontinued';
+  notes?: string;
+}
+
+// Editable sections of a patient record, keyed by their URL segment
+export interface PatientRecordSections {
+  'medical-history': MedicalHistoryEntry;
+  allergies: AllergyEntry;
+  'vital-signs': VitalSignsEntry;
+  'lab-results': LabResultEntry;
+  immunizations: ImmunizationEntry;
+  'family-history': FamilyHistoryEntry;
+  'emergency-contacts': EmergencyContactEntry;
+  medications: MedicationEntry;
+}
+
+export type PatientRecordSection = keyof PatientRecordSections;
+
+export type RecordEntryInput<S extends PatientRecordSection> = Partial<Omit<PatientRecordSections[S], '_id'>>;
+
+// Field the API lists each section's entries under
+const RECORD_SECTION_KEYS: Record<PatientRecordSection, string> = {
+  'medical-history': 'medicalHistory',
+  allergies: 'allergies',
+  'vital-signs': 'vitalSigns',
+  'lab-results': 'labResults',
+  immunizations: 'immunizations',
+  'family-history': 'familyHistory',
+  'emergency-contacts': 'emergencyContacts',
+  medications: 'currentMedications',
+};
+
+// Top-level record path or sub-document array a revision covers
+export type RevisionPath =
+  | 'firstName' | 'lastName' | 'dateOfBirth' | 'gender' | 'address' | 'bloodType' | 'insurance' | 'primaryDoctor'
+  | 'medicalHistory' | 'currentMedications' | 'allergies' | 'vitalSigns' | 'labResults' | 'immunizations'
+  | 'familyHistory' | 'emergencyContacts';
+
+export interface PatientRevision {
+  _id: string;
+  revision: number;
+  author?: { user: string; userType: string; name: string };
+  reason?: string;
+  changedPaths: RevisionPath[];
+  createdAt: string;
+  snapshot?: Record<string, unknown>;
+}
+
+export interface RevisionChange {
+  path: RevisionPath;
+  change: 'added' | 'modified' | 'removed';
+  entryId?: string;
+  from?: unknown;
+  to?: unknown;
+  fields?: Array<{ field: string; from: unknown; to: unknown }>;
+  updatedAt?: string;
+}
+
+// FHIR R4 Bundle, as returned by Patient/$everything
+export interface FhirResource {
+  resourceType: string;
+  id?: string;
+  [key: string]: unknown;
+}
+
+export interface FhirBundle {
+  resourceType: 'Bundle';
+  id: string;
+  type: string;
+  total?: number;
+  entry?: Array<{ fullUrl?: string; resource: FhirResource; search?: { mode: string } }>;
+}
+
+// What an import did, or in a preview would do, with one imported entry
+export type ImportResultStatus = 'created' | 'updated' | 'merged' | 'unchanged' | 'skipped' | 'failed';
+
+export interface FhirImportResult {
+  index: number;
+  fullUrl?: string;
+  resourceType?: string;
+  id?: string;
+  status: ImportResultStatus;
+  path?: string;
+  entryId?: string;
+  message?: string;
+}
+
+export type CcdaSection = 'problems' | 'medications' | 'allergies' | 'vitals' | 'results';
+
+export interface CcdaMeasurement {
+  name?: string;
+  code?: string;
+  value?: number | string;
+  unit?: string;
+  effectiveTime?: string;
+}
+
+// One parsed entry of a C-CDA section. Problems, medications and allergies carry the
+// record fields they would fill; vitals group their measurements into one reading.
+export interface CcdaPreviewItem extends CcdaMeasurement {
+  index: number;
+  fields?: Record<string, string | undefined>;
+  recordedDate?: string;
+  observations?: CcdaMeasurement[];
+  panel?: string;
+  interpretation?: string;
+  referenceRange?: string;
+  result: { status: ImportResultStatus; message?: string };
+}
+
+export interface CcdaImport {
+  _id: string;
+  status: 'pending' | 'committed' | 'discarded';
+  fileName?: string;
+  summary?: Partial<Record<ImportResultStatus, number>>;
+  createdAt: string;
+  expiresAt?: string;
+  document?: { title?: string; effectiveTime?: string; custodian?: string };
+  patient?: { firstName?: string; lastName?: string; birthDate?: string; gender?: string };
+  sections?: Record<CcdaSection, CcdaPreviewItem[]>;
+}
+
+export type VitalsImportFormat = 'apple-health' | 'fitbit' | 'google-fit' | 'csv';
+
+export type VitalSignField =
+  | 'bloodPressure.systolic' | 'bloodPressure.diastolic' | 'heartRate' | 'temperature'
+  | 'respiratoryRate' | 'oxygenSaturation' | 'weight' | 'height' | 'bmi';
+
+// Column headers for a generic CSV; units for weight (kg, g, lb), height (cm, m, in, ft)
+// and temperature (degC, degF) columns
+export interface VitalsImportMapping {
+  columns?: Partial<Record<VitalSignField | 'recordedDate' | 'recordedTime', string>>;
+  units?: Partial<Record<'weight' | 'height' | 'temperature', string>>;
+}
+
+export interface VitalsImport {
+  _id: string;
+  format: VitalsImportFormat;
+  fileName?: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  progress: { percent: number; linesRead: number; readings: number };
+  summary?: Partial<Record<ImportResultStatus, number>>;
+  error?: string;
+  createdAt: string;
+  startedAt?: string;
+  completedAt?: string;
+}
+
+export interface PatientSearchParams {
+  name?: string;
+  dateOfBirth?: string;
+  condition?: string;
+  medication?: string;
+  allergy?: string;
+  minAge?: number;
+  maxAge?: number;
+  zipCode?: string;
+  minRiskScore?: number;
+  maxRiskScore?: number;
+  sort?: 'name' | 'dateOfBirth' | 'riskScore' | 'createdAt';
+  order?: 'asc' | 'desc';
+  page?: number;
+  limit?: number;
+}
+
+export interface PatientSearchResult {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  dateOfBirth: string;
+  age: number | null;
+  gender: string;
+  city?: string;
+  zipCode?: string;
+  bloodType?: string;
+  primaryDoctor?: string;
+  overallRiskScore?: number;
+  lastAnalyzed?: string;
+  activeConditions: string[];
+  activeMedications: string[];
+  allergies: Array<{ allergen: string; severity?: string }>;
+}
+
+export interface AuthSession {
+  id: string;
+  device: string;
+  userAgent: string;
+  ipAddress: string;
+  createdAt: string;
+  lastSeenAt: string;
+  expiresAt: string;
+  isCurrent: boolean;
+}
+
+export interface AuthResult {
+  token: string;
+  refreshToken: string;
+  user: Patient | Doctor | Caregiver;
+  recoveryCodes?: string[];
+}
+
+// Returned by login instead of tokens when a second factor is needed
+export interface TwoFactorChallenge {
+  twoFactorRequired?: boolean;
+  twoFactorSetupRequired?: boolean;
+  challengeToken: string;
+}
+
+export type LoginResult = AuthResult | TwoFactorChallenge;
+
+export const isTwoFactorChallenge = (result: LoginResult): result is TwoFactorChallenge =>
+  'challengeToken' in result;
+
+export const clearStoredSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  localStorage.removeItem('activePatientId');
+};
+
 // API Client class
 class ApiClient {
   private baseURL: string;
+  private refreshPromise: Promise<boolean> | null = null;
 
   constructor(baseURL: string) {
     this.baseURL = baseURL;
@@ -139,31 +579,89 @@ class ApiClient {
 
   private async request<T>(
     endpoint: string,
-    options: RequestInit = {}
+    options: RequestInit = {},
+    retryOnUnauthorized: boolean = true
   ): Promise<T> {
+    const response = await this.fetchWithAuth(endpoint, options, retryOnUnauthorized);
+    return response.json();
+  }
+
+  // Binary responses such as generated PDFs
+  private async requestBlob(endpoint: string, options: RequestInit = {}): Promise<Blob> {
+    const response = await this.fetchWithAuth(endpoint, options);
+    return response.blob();
+  }
+
+  private async fetchWithAuth(
+    endpoint: string,
+    options: RequestInit = {},
+    retryOnUnauthorized: boolean = true
+  ): Promise<Response> {
     const url = `${this.baseURL}${endpoint}`;
+    const token = localStorage.getItem('token');
     const config: RequestInit = {
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
+        // The browser sets the multipart boundary for form data itself
+        ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
       const response = await fetch(url, config);
+
+      // Access tokens are short-lived: refresh once and replay the request
+      if (response.status === 401 && retryOnUnauthorized && localStorage.getItem('refreshToken')) {
+        if (await this.refreshAccessToken()) {
+          return this.fetchWithAuth(endpoint, options, false);
+        }
+      }
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      return await response.json();
+      return response;
     } catch (error) {
       console.error('API request failed:', error);
       throw error;
     }
   }
 
+  // Refresh tokens rotate on every use, so concurrent 401s share a single refresh call
+  private refreshAccessToken(): Promise<boolean> {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const response = await fetch(`${this.baseURL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+          });
+
+          if (!response.ok) {
+            clearStoredSession();
+            return false;
+          }
+
+          const { data } = await response.json();
+          localStorage.setItem('token', data.token);
+          localStorage.setItem('refreshToken', data.refreshToken);
+          return true;
+        } catch (error) {
+          console.error('Token refresh failed:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
+  }
+
   // AI Services
   async generatePatientSummary(patientId: string): Promise<{ summary: string; riskFactors: string[]; recommendations: string[] }> {
     return this.request(`/ai/patient-summary/${patientId}`, {
@@ -316,25 +814,418 @@ class ApiClient {
     });
   }
 
-  // Authentication
-  async login(email: string, password: string, userType: 'patient' | 'doctor' = 'patient'): Promise<{
-    token: string;
-    user: Patient | Doctor;
+  // Patient record sections
+  async getRecordEntries<S extends PatientRecordSection>(
+    patientId: string,
+    section: S
+  ): Promise<PatientRecordSections[S][]> {
+    const response = await this.request<{ data: Record<string, PatientRecordSections[S][]> }>(
+      `/patients/${patientId}/${section}`
+    );
+    return response.data[RECORD_SECTION_KEYS[section]];
+  }
+
+  async addRecordEntry<S extends PatientRecordSection>(
+    patientId: string,
+    section: S,
+    entry: RecordEntryInput<S>
+  ): Promise<PatientRecordSections[S]> {
+    const response = await this.request<{ data: { entry: PatientRecordSections[S] } }>(
+      `/patients/${patientId}/${section}`,
+      {
+        method: 'POST',
+        body: JSON.stringify(entry),
+      }
+    );
+    return response.data.entry;
+  }
+
+  async updateRecordEntry<S extends PatientRecordSection>(
+    patientId: string,
+    section: S,
+    entryId: string,
+    updates: RecordEntryInput<S>
+  ): Promise<PatientRecordSections[S]> {
+    const response = await this.request<{ data: { entry: PatientRecordSections[S] } }>(
+      `/patients/${patientId}/${section}/${entryId}`,
+      {
+        method: 'PUT',
+        body: JSON.stringify(updates),
+      }
+    );
+    return response.data.entry;
+  }
+
+  async removeRecordEntry(patientId: string, section: PatientRecordSection, entryId: string): Promise<void> {
+    await this.request(`/patients/${patientId}/${section}/${entryId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Clinician search over the patients the caller treats
+  async searchPatients(filters: PatientSearchParams = {}): Promise<{
+    patients: PatientSearchResult[];
+    pagination: { page: number; limit: number; total: number; pages: number };
+  }> {
+    const params = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        params.append(key, value.toString());
+      }
+    });
+
+    const response = await this.request<{
+      data: { patients: PatientSearchResult[]; pagination: { page: number; limit: number; total: number; pages: number } };
+    }>(`/patients?${params}`);
+    return response.data;
+  }
+
+  // Patient record revisions
+  async getPatientRevisions(patientId: string, page: number = 1, limit: number = 20): Promise<{
+    revisions: PatientRevision[];
+    pagination: { page: number; limit: number; total: number; pages: number };
+  }> {
+    const response = await this.request<{
+      data: { revisions: PatientRevision[]; pagination: { page: number; limit: number; total: number; pages: number } };
+    }>(`/patients/${patientId}/revisions?page=${page}&limit=${limit}`);
+    return response.data;
+  }
+
+  async getPatientRevision(patientId: string, revision: number): Promise<PatientRevision> {
+    const response = await this.request<{ data: { revision: PatientRevision } }>(
+      `/patients/${patientId}/revisions/${revision}`
+    );
+    return response.data.revision;
+  }
+
+  async diffPatientRevisions(patientId: string, from: number, to: number): Promise<RevisionChange[]> {
+    const response = await this.request<{ data: { changes: RevisionChange[] } }>(
+      `/patients/${patientId}/revisions/diff?from=${from}&to=${to}`
+    );
+    return response.data.changes;
+  }
+
+  async restoreRevisionEntry(
+    patientId: string,
+    revision: number,
+    path: RevisionPath,
+    entryId: string,
+    reason?: string
+  ): Promise<unknown> {
+    const response = await this.request<{ data: { entry: unknown } }>(
+      `/patients/${patientId}/revisions/${revision}/restore/${path}/${entryId}`,
+      {
+        method: 'POST',
+        headers: reason ? { 'x-change-reason': reason } : {},
+      }
+    );
+    return response.data.entry;
+  }
+
+  // FHIR export. The Bundle is the response body itself, not wrapped in `data`.
+  async exportPatientFhir(patientId: string): Promise<FhirBundle> {
+    return this.request<FhirBundle>(`/patients/${patientId}/$everything`, {
+      headers: { Accept: 'application/fhir+json' },
+    });
+  }
+
+  async downloadPatientSummaryPdf(patientId: string): Promise<Blob> {
+    return this.requestBlob(`/patients/${patientId}/summary.pdf`, {
+      headers: { Accept: 'application/pdf' },
+    });
+  }
+
+  async getLabTrend(patientId: string, test: string, range: { from?: string; to?: string } = {}): Promise<LabTrend> {
+    const params = new URLSearchParams({ test });
+    if (range.from) params.append('from', range.from);
+    if (range.to) params.append('to', range.to);
+
+    const response = await this.request<{ data: { trend: LabTrend } }>(
+      `/patients/${patientId}/lab-results/trend?${params.toString()}`
+    );
+    return response.data.trend;
+  }
+
+  async getImmunizationSchedule(patientId: string): Promise<ImmunizationSchedule> {
+    const response = await this.request<{ data: ImmunizationSchedule }>(`/patients/${patientId}/immunization-schedule`);
+    return response.data;
+  }
+
+  async importPatientFhir(patientId: string, bundle: FhirBundle): Promise<{
+    summary: Partial<Record<ImportResultStatus, number>>;
+    results: FhirImportResult[];
+  }> {
+    const response = await this.request<{
+      data: { summary: Partial<Record<ImportResultStatus, number>>; results: FhirImportResult[] };
+    }>(`/patients/${patientId}/$import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/fhir+json' },
+      body: JSON.stringify(bundle),
+    });
+    return response.data;
+  }
+
+  // C-CDA imports: upload, review, then commit or discard
+  async uploadCcda(patientId: string, file: File): Promise<CcdaImport> {
+    const formData = new FormData();
+    formData.append('document', file);
+
+    const response = await this.request<{ data: { import: CcdaImport } }>(`/patients/${patientId}/ccda`, {
+      method: 'POST',
+      body: formData,
+    });
+    return response.data.import;
+  }
+
+  async getCcdaImport(patientId: string, importId: string): Promise<CcdaImport> {
+    const response = await this.request<{ data: { import: CcdaImport } }>(`/patients/${patientId}/ccda/${importId}`);
+    return response.data.import;
+  }
+
+  async commitCcdaImport(
+    patientId: string,
+    importId: string,
+    excluded: Partial<Record<CcdaSection, number[]>> = {}
+  ): Promise<{
+    summary: Partial<Record<ImportResultStatus, number>>;
+    results: Array<{ section: CcdaSection; index: number; status: ImportResultStatus; message?: string }>;
   }> {
-    return this.request('/auth/login', {
+    const response = await this.request<{
+      data: {
+        summary: Partial<Record<ImportResultStatus, number>>;
+        results: Array<{ section: CcdaSection; index: number; status: ImportResultStatus; message?: string }>;
+      };
+    }>(`/patients/${patientId}/ccda/${importId}/commit`, {
+      method: 'POST',
+      body: JSON.stringify({ excluded }),
+    });
+    return response.data;
+  }
+
+  async discardCcdaImport(patientId: string, importId: string): Promise<void> {
+    await this.request(`/patients/${patientId}/ccda/${importId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Device vitals imports run in the background; poll the import for progress
+  async uploadVitalsImport(
+    patientId: string,
+    file: File,
+    format: VitalsImportFormat,
+    mapping?: VitalsImportMapping
+  ): Promise<VitalsImport> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('format', format);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+
+    const response = await this.request<{ data: { import: VitalsImport } }>(`/patients/${patientId}/vitals-imports`, {
+      method: 'POST',
+      body: formData,
+    });
+    return response.data.import;
+  }
+
+  async getVitalsImport(patientId: string, importId: string): Promise<VitalsImport> {
+    const response = await this.request<{ data: { import: VitalsImport } }>(
+      `/patients/${patientId}/vitals-imports/${importId}`
+    );
+    return response.data.import;
+  }
+
+  // Authentication
+  async login(email: string, password: string, userType: UserType = 'patient'): Promise<LoginResult> {
+    const response = await this.request<{ data: LoginResult }>('/auth/login', {
       method: 'POST',
       body: JSON.stringify({ email, password, userType }),
+    }, false);
+    return response.data;
+  }
+
+  async verifyTwoFactorLogin(
+    challengeToken: string,
+    verification: { code?: string; recoveryCode?: string }
+  ): Promise<AuthResult> {
+    const response = await this.request<{ data: AuthResult }>('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...verification }),
+    }, false);
+    return response.data;
+  }
+
+  async setupTwoFactor(challengeToken?: string): Promise<{ secret: string; otpauthUri: string }> {
+    const response = await this.request<{ data: { secret: string; otpauthUri: string } }>('/auth/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken }),
+    });
+    return response.data;
+  }
+
+  // With a challenge token (enrollment forced at login) this also completes the login
+  async enableTwoFactor(code: string, challengeToken?: string): Promise<Partial<AuthResult> & { recoveryCodes: string[] }> {
+    const response = await this.request<{ data: Partial<AuthResult> & { recoveryCodes: string[] } }>('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code, challengeToken }),
+    });
+    return response.data;
+  }
+
+  // Caregivers register with the invitationToken from their invitation email
+  async register(userData: any, userType: UserType = 'patient'): Promise<AuthResult> {
+    const response = await this.request<{
+      data: { token: string; refreshToken: string; patient?: Patient; doctor?: Doctor; caregiver?: Caregiver };
+    }>(`/auth/register/${userType}`, {
+      method: 'POST',
+      body: JSON.stringify(userData),
+    });
+    return {
+      token: response.data.token,
+      refreshToken: response.data.refreshToken,
+      user: response.data[userType] as Patient | Doctor | Caregiver,
+    };
+  }
+
+  async verifyEmail(token: string): Promise<{ email: string; emailVerified: boolean }> {
+    const response = await this.request<{ data: { email: string; emailVerified: boolean } }>('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+    return response.data;
+  }
+
+  async resendEmailVerification(): Promise<void> {
+    await this.request('/auth/verify-email/resend', { method: 'POST' });
+  }
+
+  async sendPhoneVerificationCode(): Promise<void> {
+    await this.request('/auth/verify-phone/send', { method: 'POST' });
+  }
+
+  async verifyPhone(code: string): Promise<{ phone: string; phoneVerified: boolean }> {
+    const response = await this.request<{ data: { phone: string; phoneVerified: boolean } }>('/auth/verify-phone', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+    return response.data;
+  }
+
+  async logout(): Promise<void> {
+    await this.request('/auth/logout', { method: 'POST' });
+  }
+
+  async getSessions(): Promise<AuthSession[]> {
+    const response = await this.request<{ data: { sessions: AuthSession[] } }>('/auth/sessions');
+    return response.data.sessions;
+  }
+
+  async revokeSession(sessionId: string): Promise<void> {
+    await this.request(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+  }
+
+  async revokeAllSessions(keepCurrent: boolean = false): Promise<{ revoked: number }> {
+    const response = await this.request<{ data: { revoked: number } }>(
+      `/auth/sessions?keepCurrent=${keepCurrent}`,
+      { method: 'DELETE' }
+    );
+    return response.data;
+  }
+
+  // Consent management
+  async getConsentDocuments(): Promise<ConsentDocument[]> {
+    const response = await this.request<{ data: { documents: ConsentDocument[] } }>('/consents/documents');
+    return response.data.documents;
+  }
+
+  async getConsents(patientId: string): Promise<ConsentStatus[]> {
+    const response = await this.request<{ data: { consents: ConsentStatus[] } }>(`/consents/patients/${patientId}`);
+    return response.data.consents;
+  }
+
+  // Grants must name the document version the patient was shown
+  async recordConsent(
+    patientId: string,
+    decision: { type: ConsentType; action: 'granted' | 'withdrawn'; version?: number }
+  ): Promise<void> {
+    await this.request(`/consents/patients/${patientId}`, {
+      method: 'POST',
+      body: JSON.stringify(decision),
     });
   }
 
-  async register(userData: any, userType: 'patient' | 'doctor' = 'patient'): Promise<{
-    token: string;
-    user: Patient | Doctor;
+  // Who has accessed the signed-in patient's record
+  async getRecordAccessLog(page: number = 1, limit: number = 50): Promise<{
+    entries: RecordAccessEntry[];
+    pagination: { page: number; limit: number; total: number; pages: number };
   }> {
-    return this.request('/auth/register', {
+    const response = await this.request<{
+      data: { entries: RecordAccessEntry[]; pagination: { page: number; limit: number; total: number; pages: number } };
+    }>(`/audit/me?page=${page}&limit=${limit}`);
+    return response.data;
+  }
+
+  // The signed-in patient's own data: export and erasure
+  async downloadMyData(): Promise<Blob> {
+    return this.requestBlob('/privacy/export', {
+      headers: { Accept: 'application/zip' },
+    });
+  }
+
+  async getErasureRequest(): Promise<ErasureRequest | null> {
+    const response = await this.request<{ data: { request: ErasureRequest | null } }>('/privacy/erasure');
+    return response.data.request;
+  }
+
+  async requestErasure(password: string, reason?: string): Promise<ErasureRequest> {
+    const response = await this.request<{ data: { request: ErasureRequest } }>('/privacy/erasure', {
+      method: 'POST',
+      body: JSON.stringify({ password, reason }),
+    });
+    return response.data.request;
+  }
+
+  async cancelErasureRequest(): Promise<ErasureRequest> {
+    const response = await this.request<{ data: { request: ErasureRequest } }>('/privacy/erasure', {
+      method: 'DELETE',
+    });
+    return response.data.request;
+  }
+
+  // Caregiver access
+  async getCaregiverProfiles(): Promise<CaregiverProfile[]> {
+    const response = await this.request<{ data: { profiles: CaregiverProfile[] } }>('/caregivers/profiles');
+    return response.data.profiles;
+  }
+
+  async getCaregiverGrants(): Promise<CaregiverGrant[]> {
+    const response = await this.request<{ data: { grants: CaregiverGrant[] } }>('/caregivers/grants');
+    return response.data.grants;
+  }
+
+  async inviteCaregiver(invitation: {
+    email: string;
+    relationship?: string;
+    scopes: CaregiverScope[];
+    expiresAt: string;
+  }): Promise<CaregiverGrant> {
+    const response = await this.request<{ data: { grant: CaregiverGrant } }>('/caregivers/invitations', {
       method: 'POST',
-      body: JSON.stringify({ ...userData, userType }),
+      body: JSON.stringify(invitation),
     });
+    return response.data.grant;
+  }
+
+  async acceptCaregiverInvitation(token: string): Promise<CaregiverGrant> {
+    const response = await this.request<{ data: { grant: CaregiverGrant } }>('/caregivers/invitations/accept', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+    return response.data.grant;
+  }
+
+  async revokeCaregiverGrant(grantId: string): Promise<void> {
+    await this.request(`/caregivers/grants/${grantId}`, { method: 'DELETE' });
   }
 
   // Geolocation helper
@@ -393,15 +1284,87 @@ export const hospitalService = {
 
 export const patientService = {
   get: (patientId: string) => apiClient.getPatient(patientId),
+  search: (filters?: PatientSearchParams) => apiClient.searchPatients(filters),
   update: (patientId: string, updates: Partial<Patient>) => apiClient.updatePatient(patientId, updates),
   create: (patientData: Omit<Patient, '_id'>) => apiClient.createPatient(patientData),
+  getRecordEntries: <S extends PatientRecordSection>(patientId: string, section: S) =>
+    apiClient.getRecordEntries(patientId, section),
+  addRecordEntry: <S extends PatientRecordSection>(patientId: string, section: S, entry: RecordEntryInput<S>) =>
+    apiClient.addRecordEntry(patientId, section, entry),
+  updateRecordEntry: <S extends PatientRecordSection>(
+    patientId: string,
+    section: S,
+    entryId: string,
+    updates: RecordEntryInput<S>
+  ) => apiClient.updateRecordEntry(patientId, section, entryId, updates),
+  removeRecordEntry: (patientId: string, section: PatientRecordSection, entryId: string) =>
+    apiClient.removeRecordEntry(patientId, section, entryId),
+  getRevisions: (patientId: string, page?: number, limit?: number) =>
+    apiClient.getPatientRevisions(patientId, page, limit),
+  getRevision: (patientId: string, revision: number) => apiClient.getPatientRevision(patientId, revision),
+  diffRevisions: (patientId: string, from: number, to: number) => apiClient.diffPatientRevisions(patientId, from, to),
+  restoreRevisionEntry: (patientId: string, revision: number, path: RevisionPath, entryId: string, reason?: string) =>
+    apiClient.restoreRevisionEntry(patientId, revision, path, entryId, reason),
+  exportFhir: (patientId: string) => apiClient.exportPatientFhir(patientId),
+  downloadSummaryPdf: (patientId: string) => apiClient.downloadPatientSummaryPdf(patientId),
+  getLabTrend: (patientId: string, test: string, range?: { from?: string; to?: string }) =>
+    apiClient.getLabTrend(patientId, test, range),
+  getImmunizationSchedule: (patientId: string) => apiClient.getImmunizationSchedule(patientId),
+  importFhir: (patientId: string, bundle: FhirBundle) => apiClient.importPatientFhir(patientId, bundle),
+  uploadCcda: (patientId: string, file: File) => apiClient.uploadCcda(patientId, file),
+  getCcdaImport: (patientId: string, importId: string) => apiClient.getCcdaImport(patientId, importId),
+  commitCcdaImport: (patientId: string, importId: string, excluded?: Partial<Record<CcdaSection, number[]>>) =>
+    apiClient.commitCcdaImport(patientId, importId, excluded),
+  discardCcdaImport: (patientId: string, importId: string) => apiClient.discardCcdaImport(patientId, importId),
+  uploadVitalsImport: (patientId: string, file: File, format: VitalsImportFormat, mapping?: VitalsImportMapping) =>
+    apiClient.uploadVitalsImport(patientId, file, format, mapping),
+  getVitalsImport: (patientId: string, importId: string) => apiClient.getVitalsImport(patientId, importId),
 };
 
 export const authService = {
-  login: (email: string, password: string, userType?: 'patient' | 'doctor') => 
+  login: (email: string, password: string, userType?: UserType) => 
     apiClient.login(email, password, userType),
-  register: (userData: any, userType?: 'patient' | 'doctor') => 
+  register: (userData: any, userType?: UserType) => 
     apiClient.register(userData, userType),
+  verifyTwoFactorLogin: (challengeToken: string, verification: { code?: string; recoveryCode?: string }) =>
+    apiClient.verifyTwoFactorLogin(challengeToken, verification),
+  setupTwoFactor: (challengeToken?: string) => apiClient.setupTwoFactor(challengeToken),
+  enableTwoFactor: (code: string, challengeToken?: string) => apiClient.enableTwoFactor(code, challengeToken),
+  verifyEmail: (token: string) => apiClient.verifyEmail(token),
+  resendEmailVerification: () => apiClient.resendEmailVerification(),
+  sendPhoneVerificationCode: () => apiClient.sendPhoneVerificationCode(),
+  verifyPhone: (code: string) => apiClient.verifyPhone(code),
+  logout: () => apiClient.logout(),
+  getSessions: () => apiClient.getSessions(),
+  revokeSession: (sessionId: string) => apiClient.revokeSession(sessionId),
+  revokeAllSessions: (keepCurrent?: boolean) => apiClient.revokeAllSessions(keepCurrent),
+};
+
+export const auditService = {
+  getRecordAccessLog: (page?: number, limit?: number) => apiClient.getRecordAccessLog(page, limit),
+};
+
+export const privacyService = {
+  downloadMyData: () => apiClient.downloadMyData(),
+  getErasureRequest: () => apiClient.getErasureRequest(),
+  requestErasure: (password: string, reason?: string) => apiClient.requestErasure(password, reason),
+  cancelErasureRequest: () => apiClient.cancelErasureRequest(),
+};
+
+export const consentService = {
+  getDocuments: () => apiClient.getConsentDocuments(),
+  getForPatient: (patientId: string) => apiClient.getConsents(patientId),
+  record: (patientId: string, decision: { type: ConsentType; action: 'granted' | 'withdrawn'; version?: number }) =>
+    apiClient.recordConsent(patientId, decision),
+};
+
+export const caregiverService = {
+  getProfiles: () => apiClient.getCaregiverProfiles(),
+  getGrants: () => apiClient.getCaregiverGrants(),
+  invite: (invitation: { email: string; relationship?: string; scopes: CaregiverScope[]; expiresAt: string }) =>
+    apiClient.inviteCaregiver(invitation),
+  acceptInvitation: (token: string) => apiClient.acceptCaregiverInvitation(token),
+  revokeGrant: (grantId: string) => apiClient.revokeCaregiverGrant(grantId),
 };
 
 export const locationService = {